@@ -0,0 +1,38 @@
+// Compare Stripe subscriptions with clubs/{id}.subscription and print the drift
+// report as JSON.
+//
+//   npm run reconcile:subscriptions             # report only
+//   npm run reconcile:subscriptions -- --repair # rewrite drifted clubs
+//
+// Exits with code 1 when drift remains (or the run failed), so it can run from
+// a scheduler that alerts on failures.
+require("dotenv").config();
+
+const { validateStripeConfig } = require("../src/config/stripe");
+const { logger } = require("../src/config/logger");
+const { reconcileSubscriptions } = require("../src/services/reconciliation");
+
+const run = async () => {
+  validateStripeConfig();
+  const repair = process.argv.includes("--repair");
+
+  const report = await reconcileSubscriptions({ repair });
+  console.log(JSON.stringify(report, null, 2));
+
+  const remaining = report.drifted.filter((entry) => !entry.repaired);
+  logger.info("Subscription reconciliation finished", {
+    checked: report.checked,
+    drifted: report.drifted.length,
+    not_repaired: remaining.length,
+    unmatched: report.unmatched.length,
+    missing_in_stripe: report.missing_in_stripe.length,
+  });
+  return remaining.length ? 1 : 0;
+};
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    logger.error("Subscription reconciliation failed", { error });
+    process.exit(1);
+  });
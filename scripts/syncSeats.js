@@ -0,0 +1,54 @@
+// Set the subscription quantity of every club on a per-seat plan to its member
+// (or team) count and print the report as JSON.
+//
+//   npm run sync:seats                                  # default proration
+//   npm run sync:seats -- --proration-behavior=none     # no prorations
+//
+// Exits with code 1 when a club could not be synced (or the run failed), so it
+// can run from a scheduler that alerts on failures.
+require("dotenv").config();
+
+const { validateStripeConfig } = require("../src/config/stripe");
+const { logger } = require("../src/config/logger");
+const {
+  PRORATION_BEHAVIORS,
+  syncAllClubSeats,
+} = require("../src/services/seats");
+
+const readProrationBehavior = () => {
+  const arg = process.argv.find((value) =>
+    value.startsWith("--proration-behavior=")
+  );
+  if (!arg) return undefined;
+
+  const behavior = arg.split("=")[1];
+  if (!PRORATION_BEHAVIORS.includes(behavior)) {
+    throw new Error(
+      `--proration-behavior must be one of: ${PRORATION_BEHAVIORS.join(", ")}`
+    );
+  }
+  return behavior;
+};
+
+const run = async () => {
+  validateStripeConfig();
+  const prorationBehavior = readProrationBehavior();
+
+  const report = await syncAllClubSeats({ prorationBehavior });
+  console.log(JSON.stringify(report, null, 2));
+
+  logger.info("Seat sync finished", {
+    checked: report.checked,
+    updated: report.updated.length,
+    skipped: report.skipped,
+    failed: report.failed.length,
+  });
+  return report.failed.length ? 1 : 0;
+};
+
+run()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    logger.error("Seat sync failed", { error });
+    process.exit(1);
+  });
@@ -0,0 +1,95 @@
+const express = require("express");
+const helmet = require("helmet");
+
+const { setStripeClient } = require("./config/stripe");
+const { setFirebaseClients } = require("./config/firebase");
+const { errorHandler, sendError } = require("./middleware/errors");
+const { corsPolicy } = require("./middleware/cors");
+const { rateLimit } = require("./middleware/rateLimit");
+const { createMemoryStore } = require("./services/rateLimitStore");
+const {
+  assignRequestId,
+  bindRequestContext,
+} = require("./middleware/requestContext");
+const stripeRoutes = require("./routes/stripe");
+const connectRoutes = require("./routes/connect");
+const subscriptionRoutes = require("./routes/subscriptions");
+const healthRoutes = require("./routes/health");
+const clubRoutes = require("./routes/clubs");
+const ticketRoutes = require("./routes/tickets");
+const adminRoutes = require("./routes/admin");
+
+// Build the Express app.
+// Stripe, Firestore and Auth clients can be injected (e.g. in tests); by default
+// they are created from the environment and the Firebase service account.
+// `rateLimitStore` replaces the in-memory rate limit counters (see
+// services/rateLimitStore.js).
+const createApp = ({ stripe, db, auth, rateLimitStore } = {}) => {
+  if (stripe) {
+    setStripeClient(stripe);
+  }
+  if (db || auth) {
+    setFirebaseClients({ db, auth });
+  }
+
+  const app = express();
+  app.locals.rateLimitStore = rateLimitStore || createMemoryStore();
+
+  // Behind a load balancer, TRUST_PROXY (e.g. "1", the number of proxies) makes
+  // req.ip the client address used by the rate limits
+  if (process.env.TRUST_PROXY) {
+    const hops = Number(process.env.TRUST_PROXY);
+    app.set(
+      "trust proxy",
+      Number.isInteger(hops) ? hops : process.env.TRUST_PROXY
+    );
+  }
+
+  // Middleware
+  app.use(assignRequestId); // Request ID and request logging
+  app.use(helmet()); // Security headers
+  app.use(corsPolicy); // CORS for the origins in CORS_ORIGINS
+  app.use("/api", rateLimit("api")); // Per-IP budget of every API route
+
+  // Special handling for Stripe webhooks - must be before JSON body parser
+  app.use("/api/stripe/webhook", express.raw({ type: "application/json" }));
+
+  // Regular body parsing for other routes
+  app.use(express.json()); // Parse JSON bodies
+  app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
+  app.use(bindRequestContext); // Request ID in every log of the request
+
+  // Routes
+  app.use("/api/stripe/connect", connectRoutes);
+  app.use("/api/stripe/subscriptions", subscriptionRoutes);
+  app.use("/api/stripe", stripeRoutes);
+  app.use("/api/health", healthRoutes);
+  app.use("/api/clubs", clubRoutes);
+  app.use("/api/clubs", ticketRoutes);
+  app.use("/api/admin", adminRoutes);
+
+  // Root route
+  app.get("/", (req, res) => {
+    res.json({
+      message: "Welcome to Clubbix Backend API",
+      version: "1.0.0",
+      status: "running",
+    });
+  });
+
+  // 404 handler
+  app.use("*", (req, res) => {
+    sendError(res, 404, "not_found", "Route not found", {
+      message: `Cannot ${req.method} ${req.originalUrl}`,
+    });
+  });
+
+  // Error handler: maps Stripe and internal errors to the error envelope
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+};
@@ -0,0 +1,130 @@
+// Currencies accepted for payments.
+// `exponent` is the ISO 4217 number of decimals: amounts sent to Stripe are in
+// minor units (cents for EUR, yen for JPY, fils for KWD).
+// `minimum` is Stripe's minimum charge amount and `maximum` its largest
+// accepted amount, both in minor units.
+
+const STRIPE_MAXIMUM_AMOUNT = 99999999;
+
+const CURRENCIES = {
+  eur: { exponent: 2, minimum: 50 },
+  usd: { exponent: 2, minimum: 50 },
+  gbp: { exponent: 2, minimum: 30 },
+  chf: { exponent: 2, minimum: 50 },
+  cad: { exponent: 2, minimum: 50 },
+  aud: { exponent: 2, minimum: 50 },
+  dkk: { exponent: 2, minimum: 250 },
+  nok: { exponent: 2, minimum: 300 },
+  sek: { exponent: 2, minimum: 300 },
+  pln: { exponent: 2, minimum: 200 },
+  czk: { exponent: 2, minimum: 1500 },
+  mad: { exponent: 2, minimum: 500 },
+  jpy: { exponent: 0, minimum: 50 },
+  krw: { exponent: 0, minimum: 500 },
+  xof: { exponent: 0, minimum: 300 },
+  xaf: { exponent: 0, minimum: 300 },
+  // Stripe requires three-decimal amounts to end in 0
+  kwd: { exponent: 3, minimum: 200, step: 10 },
+  bhd: { exponent: 3, minimum: 200, step: 10 },
+  jod: { exponent: 3, minimum: 400, step: 10 },
+  omr: { exponent: 3, minimum: 200, step: 10 },
+  tnd: { exponent: 3, minimum: 1500, step: 10 },
+};
+
+// Currency a club accepts when it configured nothing else and its connected
+// account has no default currency
+const DEFAULT_CLUB_CURRENCY = "eur";
+
+const getCurrency = (code) => {
+  const key = typeof code === "string" ? code.toLowerCase() : null;
+  if (!key || !Object.prototype.hasOwnProperty.call(CURRENCIES, key)) {
+    return null;
+  }
+  return {
+    code: key,
+    maximum: STRIPE_MAXIMUM_AMOUNT,
+    step: 1,
+    ...CURRENCIES[key],
+  };
+};
+
+const isSupportedCurrency = (code) => !!getCurrency(code);
+
+// Convert an amount in major units (e.g. 29.99 EUR) to minor units (2999).
+// Returns null when the amount has more decimals than the currency allows.
+const toMinorUnits = (amount, code) => {
+  const { exponent } = getCurrency(code);
+  const scaled = amount * 10 ** exponent;
+  const minor = Math.round(scaled);
+  // Tolerate floating point noise such as 29.99 * 100 = 2998.9999999999995
+  return Math.abs(scaled - minor) < 1e-6 ? minor : null;
+};
+
+// Currencies outside the table are assumed to have 2 decimals
+const toMajorUnits = (amount, code) => {
+  const exponent = getCurrency(code)?.exponent ?? 2;
+  return Number((amount / 10 ** exponent).toFixed(exponent));
+};
+
+// Format minor units as a major amount string, e.g. "0.50 EUR"
+const formatAmount = (amount, code) => {
+  const { exponent } = getCurrency(code);
+  return `${(amount / 10 ** exponent).toFixed(exponent)} ${code.toUpperCase()}`;
+};
+
+// Check an amount in major units against the currency rules.
+// Returns { amount } in minor units, or { field, error } with a message for the
+// client.
+const parseAmount = (amount, code) => {
+  const currency = getCurrency(code);
+  if (!currency) {
+    return { field: "currency", error: `currency ${code} is not supported` };
+  }
+
+  const minor = toMinorUnits(amount, currency.code);
+  if (minor === null || minor % currency.step !== 0) {
+    const decimals = currency.exponent - Math.round(Math.log10(currency.step));
+    return {
+      field: "amount",
+      error: `amount must have at most ${decimals} decimals in ${currency.code.toUpperCase()}`,
+    };
+  }
+  if (minor < currency.minimum) {
+    return {
+      field: "amount",
+      error: `amount must be at least ${formatAmount(
+        currency.minimum,
+        currency.code
+      )}`,
+    };
+  }
+  if (minor > currency.maximum) {
+    return {
+      field: "amount",
+      error: `amount must be at most ${formatAmount(
+        currency.maximum,
+        currency.code
+      )}`,
+    };
+  }
+  return { amount: minor };
+};
+
+// Currencies a club accepts: its configured list, else the default currency
+// of its connected account
+const getClubCurrencies = (club) => {
+  if (Array.isArray(club.allowedCurrencies) && club.allowedCurrencies.length) {
+    return club.allowedCurrencies;
+  }
+  return [club.stripeAccount?.defaultCurrency || DEFAULT_CLUB_CURRENCY];
+};
+
+module.exports = {
+  CURRENCIES,
+  getCurrency,
+  isSupportedCurrency,
+  toMinorUnits,
+  toMajorUnits,
+  parseAmount,
+  getClubCurrencies,
+};
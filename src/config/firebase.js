@@ -1,11 +1,36 @@
 const admin = require("firebase-admin");
-const serviceAccount = require("../../firebase-service-account.json");
 
-admin.initializeApp({
-  credential: admin.credential.cert(serviceAccount),
-});
+let clients = null;
+
+// Firebase Admin is initialized with the service account on first use, so the
+// app can be loaded with injected clients (e.g. in tests) without credentials
+const initializeFirebase = () => {
+  const serviceAccount = require("../../firebase-service-account.json");
+
+  admin.initializeApp({
+    credential: admin.credential.cert(serviceAccount),
+  });
+
+  return {
+    db: admin.firestore(),
+    auth: admin.auth(),
+  };
+};
+
+const getClients = () => {
+  if (!clients) {
+    clients = initializeFirebase();
+  }
+  return clients;
+};
+
+// Replace the Firestore and Auth clients (e.g. with in-memory fakes)
+const setFirebaseClients = ({ db, auth }) => {
+  clients = { db, auth };
+};
 
 module.exports = {
-  db: admin.firestore(),
-  auth: admin.auth(),
+  getDb: () => getClients().db,
+  getAuth: () => getClients().auth,
+  setFirebaseClients,
 };
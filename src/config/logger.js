@@ -0,0 +1,139 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Structured logger: one JSON object per line, on stdout (debug, info) or
+// stderr (warn, error). Every entry carries the fields of the current request
+// context (request_id, and event_id/club_id while a webhook is handled).
+// Emails, client secrets, API keys and tokens are redacted from all output.
+
+const LEVELS = ["debug", "info", "warn", "error"];
+
+// Level used when LOG_LEVEL is not set
+const DEFAULT_LEVELS = {
+  development: "debug",
+  production: "info",
+  test: "silent",
+};
+
+const REDACTED = "[REDACTED]";
+
+// Fields whose value is never logged
+const SENSITIVE_KEY =
+  /email|secret|password|token|authorization|cookie|signature|api[_-]?key/i;
+
+// Values redacted wherever they appear in a string
+const SENSITIVE_PATTERNS = [
+  // Client secrets of PaymentIntents, SetupIntents and Checkout Sessions
+  /\b(?:pi|seti|cs)_\w+?_secret_\w+/g,
+  // Secret and restricted API keys, webhook signing secrets
+  /\b(?:sk|rk)_(?:test|live)_\w+/g,
+  /\bwhsec_\w+/g,
+  /\bBearer\s+[\w.~+/-]+=*/gi,
+  /[\w.!#$%&'*+/=?^`{|}~-]+@[\w-]+(?:\.[\w-]+)+/g,
+];
+
+const MAX_DEPTH = 8;
+
+const redactString = (value) =>
+  SENSITIVE_PATTERNS.reduce(
+    (result, pattern) => result.replace(pattern, REDACTED),
+    value
+  );
+
+// Only the fields useful to debug an error: Stripe errors also hold the raw
+// API response, which may contain customer details
+const serializeError = (error) => ({
+  name: error.name,
+  message: error.message,
+  type: error.type,
+  code: error.code,
+  decline_code: error.decline_code,
+  status: error.statusCode || error.status,
+  stripe_request_id: error.requestId,
+  stack: error.stack,
+});
+
+// Copy of `value` safe to log
+const redact = (value, depth = 0, seen = new WeakSet()) => {
+  if (typeof value === "string") return redactString(value);
+  if (value === null || typeof value !== "object") return value;
+  if (value instanceof Error) {
+    return redact(serializeError(value), depth, seen);
+  }
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value.toDate === "function") {
+    // Firestore Timestamp
+    return value.toDate().toISOString();
+  }
+  if (depth >= MAX_DEPTH || seen.has(value)) return "[Truncated]";
+  seen.add(value);
+
+  if (Array.isArray(value)) {
+    return value.map((item) => redact(item, depth + 1, seen));
+  }
+  const result = {};
+  Object.entries(value).forEach(([key, item]) => {
+    if (item === undefined) return;
+    result[key] = SENSITIVE_KEY.test(key)
+      ? REDACTED
+      : redact(item, depth + 1, seen);
+  });
+  return result;
+};
+
+const context = new AsyncLocalStorage();
+
+// Run `callback` with a logging context, inherited by everything it awaits
+const runWithContext = (fields, callback) =>
+  context.run({ ...fields }, callback);
+
+// Add fields (e.g. the webhook event ID) to the current logging context
+const addContext = (fields) => {
+  const store = context.getStore();
+  if (store) Object.assign(store, fields);
+};
+
+const getLevel = () => {
+  const level =
+    process.env.LOG_LEVEL || DEFAULT_LEVELS[process.env.NODE_ENV] || "info";
+  return level.toLowerCase();
+};
+
+const isEnabled = (level) => {
+  const minimum = LEVELS.indexOf(getLevel());
+  // Unknown levels (e.g. "silent") disable logging
+  return minimum !== -1 && LEVELS.indexOf(level) >= minimum;
+};
+
+const write = (level, bindings, message, fields = {}) => {
+  if (!isEnabled(level)) return;
+
+  const entry = redact({
+    level,
+    time: new Date().toISOString(),
+    message,
+    ...context.getStore(),
+    ...bindings,
+    ...fields,
+  });
+  const stream =
+    level === "warn" || level === "error" ? process.stderr : process.stdout;
+  stream.write(`${JSON.stringify(entry)}\n`);
+};
+
+// Logger whose entries all carry `bindings`
+const createLogger = (bindings = {}) => ({
+  debug: (message, fields) => write("debug", bindings, message, fields),
+  info: (message, fields) => write("info", bindings, message, fields),
+  warn: (message, fields) => write("warn", bindings, message, fields),
+  error: (message, fields) => write("error", bindings, message, fields),
+  child: (fields) => createLogger({ ...bindings, ...fields }),
+});
+
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  redact,
+  runWithContext,
+  addContext,
+};
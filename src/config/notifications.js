@@ -0,0 +1,119 @@
+// Billing notifications sent to club admins, with their templates per locale.
+// Each template returns the subject and the paragraphs of the message; links
+// are given as { text, url } paragraphs.
+
+const NOTIFICATION_TYPES = [
+  "payment_failed",
+  "trial_will_end",
+  "subscription_canceled",
+];
+
+const LOCALES = ["fr", "en"];
+
+// Locale of admins who chose none, when the club has no `locale` either
+const getDefaultLocale = () => {
+  const locale = (
+    process.env.NOTIFICATION_DEFAULT_LOCALE || "fr"
+  ).toLowerCase();
+  return LOCALES.includes(locale) ? locale : "fr";
+};
+
+const TEMPLATES = {
+  payment_failed: {
+    en: (data) => ({
+      subject: `Payment failed for ${data.clubName}`,
+      paragraphs: [
+        `We could not collect the payment of ${data.amount} for the ${data.planName} subscription of ${data.clubName}.`,
+        data.nextAttemptAt
+          ? `We will try again on ${data.nextAttemptAt}. Please check the payment method before then to keep full access.`
+          : "No new attempt is planned. Please update the payment method to keep access.",
+        data.invoiceUrl && { text: "Pay the invoice", url: data.invoiceUrl },
+      ],
+    }),
+    fr: (data) => ({
+      subject: `Échec du paiement pour ${data.clubName}`,
+      paragraphs: [
+        `Nous n'avons pas pu encaisser le paiement de ${data.amount} pour l'abonnement ${data.planName} de ${data.clubName}.`,
+        data.nextAttemptAt
+          ? `Une nouvelle tentative aura lieu le ${data.nextAttemptAt}. Vérifiez le moyen de paiement d'ici là pour garder l'accès complet.`
+          : "Aucune nouvelle tentative n'est prévue. Mettez à jour le moyen de paiement pour garder l'accès.",
+        data.invoiceUrl && { text: "Payer la facture", url: data.invoiceUrl },
+      ],
+    }),
+  },
+  trial_will_end: {
+    en: (data) => ({
+      subject: `The trial of ${data.clubName} ends on ${data.trialEndsAt}`,
+      paragraphs: [
+        `The free trial of the ${data.planName} plan for ${data.clubName} ends on ${data.trialEndsAt}.`,
+        data.hasPaymentMethod
+          ? "The subscription will then be charged to the payment method on file."
+          : "Add a payment method before then to keep using Clubbix without interruption.",
+      ],
+    }),
+    fr: (data) => ({
+      subject: `L'essai de ${data.clubName} se termine le ${data.trialEndsAt}`,
+      paragraphs: [
+        `L'essai gratuit de l'offre ${data.planName} pour ${data.clubName} se termine le ${data.trialEndsAt}.`,
+        data.hasPaymentMethod
+          ? "L'abonnement sera ensuite prélevé sur le moyen de paiement enregistré."
+          : "Ajoutez un moyen de paiement d'ici là pour continuer à utiliser Clubbix sans interruption.",
+      ],
+    }),
+  },
+  subscription_canceled: {
+    en: (data) => ({
+      subject: `The subscription of ${data.clubName} has ended`,
+      paragraphs: [
+        `The ${data.planName} subscription of ${data.clubName} ended on ${data.endedAt}.`,
+        "The club now has the features of the free plan. You can subscribe again at any time from the billing settings.",
+      ],
+    }),
+    fr: (data) => ({
+      subject: `L'abonnement de ${data.clubName} a pris fin`,
+      paragraphs: [
+        `L'abonnement ${data.planName} de ${data.clubName} a pris fin le ${data.endedAt}.`,
+        "Le club dispose désormais des fonctionnalités de l'offre gratuite. Vous pouvez vous réabonner à tout moment depuis les paramètres de facturation.",
+      ],
+    }),
+  },
+};
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Render a notification as the `message` of a Trigger Email document
+const renderNotification = (type, locale, data) => {
+  const { subject, paragraphs } = TEMPLATES[type][locale](data);
+  const blocks = paragraphs.filter(Boolean);
+
+  return {
+    subject,
+    text: blocks
+      .map((block) =>
+        typeof block === "string" ? block : `${block.text}: ${block.url}`
+      )
+      .join("\n\n"),
+    html: blocks
+      .map((block) =>
+        typeof block === "string"
+          ? `<p>${escapeHtml(block)}</p>`
+          : `<p><a href="${escapeHtml(block.url)}">${escapeHtml(
+              block.text
+            )}</a></p>`
+      )
+      .join("\n"),
+  };
+};
+
+module.exports = {
+  NOTIFICATION_TYPES,
+  LOCALES,
+  getDefaultLocale,
+  renderNotification,
+};
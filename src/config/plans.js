@@ -0,0 +1,219 @@
+// Subscription plan catalog.
+// Each plan has one Stripe price per billing cycle; price IDs come from the
+// environment so test and live mode can use different prices.
+
+const BILLING_CYCLES = {
+  monthly: { interval: "month" },
+  yearly: { interval: "year" },
+};
+
+// Free trial length of a plan, 0 when the plan has no trial
+const readTrialDays = (name) =>
+  Math.max(parseInt(process.env[name], 10) || 0, 0);
+
+// What a per-seat plan bills for, with the limit that caps the seat count.
+// Plans without a seat unit bill a flat price (quantity 1).
+const SEAT_UNITS = {
+  member: { limit: "maxMembers" },
+  team: { limit: "maxTeams" },
+};
+
+const readSeatUnit = (name) =>
+  Object.prototype.hasOwnProperty.call(SEAT_UNITS, process.env[name])
+    ? process.env[name]
+    : null;
+
+// Entitlements of a club without a usable subscription
+const FREE_PLAN = {
+  name: "Free",
+  limits: {
+    maxMembers: 15,
+    maxTeams: 1,
+    maxEvents: 3,
+    storageGb: 0.5,
+  },
+  features: {
+    onlinePayments: false,
+    eventTicketing: false,
+    advancedStats: false,
+    customBranding: false,
+  },
+};
+
+const PLANS = {
+  starter: {
+    name: "Starter",
+    description: "For small clubs getting started",
+    prices: {
+      monthly: {
+        priceId: process.env.STRIPE_PRICE_STARTER_MONTHLY,
+        amount: 900,
+        currency: "eur",
+      },
+      yearly: {
+        priceId: process.env.STRIPE_PRICE_STARTER_YEARLY,
+        amount: 9000,
+        currency: "eur",
+      },
+    },
+    trialDays: readTrialDays("STRIPE_TRIAL_DAYS_STARTER"),
+    seatUnit: readSeatUnit("STRIPE_SEAT_UNIT_STARTER"),
+    limits: {
+      maxMembers: 50,
+      maxTeams: 2,
+      maxEvents: 10,
+      storageGb: 1,
+    },
+    features: {
+      onlinePayments: true,
+      eventTicketing: false,
+      advancedStats: false,
+      customBranding: false,
+    },
+  },
+  pro: {
+    name: "Pro",
+    description: "For growing clubs with several teams",
+    prices: {
+      monthly: {
+        priceId: process.env.STRIPE_PRICE_PRO_MONTHLY,
+        amount: 2900,
+        currency: "eur",
+      },
+      yearly: {
+        priceId: process.env.STRIPE_PRICE_PRO_YEARLY,
+        amount: 29000,
+        currency: "eur",
+      },
+    },
+    trialDays: readTrialDays("STRIPE_TRIAL_DAYS_PRO"),
+    seatUnit: readSeatUnit("STRIPE_SEAT_UNIT_PRO"),
+    limits: {
+      maxMembers: 250,
+      maxTeams: 10,
+      maxEvents: 100,
+      storageGb: 10,
+    },
+    features: {
+      onlinePayments: true,
+      eventTicketing: true,
+      advancedStats: true,
+      customBranding: false,
+    },
+  },
+  premium: {
+    name: "Premium",
+    description: "For large clubs and federations",
+    prices: {
+      monthly: {
+        priceId: process.env.STRIPE_PRICE_PREMIUM_MONTHLY,
+        amount: 7900,
+        currency: "eur",
+      },
+      yearly: {
+        priceId: process.env.STRIPE_PRICE_PREMIUM_YEARLY,
+        amount: 79000,
+        currency: "eur",
+      },
+    },
+    trialDays: readTrialDays("STRIPE_TRIAL_DAYS_PREMIUM"),
+    seatUnit: readSeatUnit("STRIPE_SEAT_UNIT_PREMIUM"),
+    limits: {
+      maxMembers: null, // unlimited
+      maxTeams: null,
+      maxEvents: null,
+      storageGb: 100,
+    },
+    features: {
+      onlinePayments: true,
+      eventTicketing: true,
+      advancedStats: true,
+      customBranding: true,
+    },
+  },
+};
+
+const getPlan = (planKey) =>
+  Object.prototype.hasOwnProperty.call(PLANS, planKey) ? PLANS[planKey] : null;
+
+// Stripe price ID for a plan key and billing cycle, or null when unknown
+const resolvePriceId = (planKey, billingCycle) => {
+  const plan = getPlan(planKey);
+  if (
+    !plan ||
+    !Object.prototype.hasOwnProperty.call(plan.prices, billingCycle)
+  ) {
+    return null;
+  }
+  return plan.prices[billingCycle].priceId || null;
+};
+
+// Whether moving from `current` to `next` ({ plan, billingCycle }) is a downgrade.
+// Plans are ranked by their order in the catalog; within a plan, going from
+// yearly to monthly billing is a downgrade.
+const isPlanDowngrade = (current, next) => {
+  const planKeys = Object.keys(PLANS);
+  const currentRank = planKeys.indexOf(current.plan);
+  const nextRank = planKeys.indexOf(next.plan);
+
+  if (currentRank === -1) {
+    // Legacy price outside the catalog: moving to the catalog applies now
+    return false;
+  }
+  if (currentRank !== nextRank) {
+    return nextRank < currentRank;
+  }
+  return current.billingCycle === "yearly" && next.billingCycle === "monthly";
+};
+
+// Reverse lookup of a Stripe price in the catalog.
+// Prices outside the catalog keep their billing cycle but have no plan.
+const resolvePlanFromPrice = (price) => {
+  if (!price) return { plan: null, billingCycle: null };
+
+  for (const [planKey, plan] of Object.entries(PLANS)) {
+    for (const [billingCycle, planPrice] of Object.entries(plan.prices)) {
+      if (planPrice.priceId && planPrice.priceId === price.id) {
+        return { plan: planKey, billingCycle };
+      }
+    }
+  }
+
+  const interval = price.recurring?.interval;
+  const billingCycle = Object.keys(BILLING_CYCLES).find(
+    (cycle) => BILLING_CYCLES[cycle].interval === interval
+  );
+  return { plan: null, billingCycle: billingCycle || null };
+};
+
+// Public view of the catalog (no price IDs)
+const listPlans = () =>
+  Object.entries(PLANS).map(([key, plan]) => ({
+    key,
+    name: plan.name,
+    description: plan.description,
+    limits: plan.limits,
+    features: plan.features,
+    trial_days: plan.trialDays,
+    // Per-seat plans: prices are per member or per team
+    seat_unit: plan.seatUnit,
+    prices: Object.entries(plan.prices)
+      .filter(([, price]) => price.priceId)
+      .map(([billingCycle, price]) => ({
+        billing_cycle: billingCycle,
+        amount: price.amount,
+        currency: price.currency,
+      })),
+  }));
+
+module.exports = {
+  BILLING_CYCLES,
+  SEAT_UNITS,
+  FREE_PLAN,
+  PLANS,
+  getPlan,
+  resolvePriceId,
+  isPlanDowngrade,
+  resolvePlanFromPrice,
+  listPlans,
+};
@@ -1,7 +1,20 @@
 const stripe = require("stripe");
+const { logger } = require("./logger");
 
-// Initialize Stripe with secret key from environment variables
-const stripeInstance = stripe(process.env.STRIPE_SECRET_KEY);
+let stripeInstance = null;
+
+// Initialize Stripe with secret key from environment variables on first use
+const getStripe = () => {
+  if (!stripeInstance) {
+    stripeInstance = stripe(process.env.STRIPE_SECRET_KEY);
+  }
+  return stripeInstance;
+};
+
+// Replace the Stripe client (e.g. with a stub that never calls the API)
+const setStripeClient = (client) => {
+  stripeInstance = client;
+};
 
 // Validate that Stripe is properly configured
 const validateStripeConfig = () => {
@@ -10,7 +23,7 @@ const validateStripeConfig = () => {
   }
 
   if (!process.env.STRIPE_PUBLISHABLE_KEY) {
-    console.warn("STRIPE_PUBLISHABLE_KEY not found in environment variables");
+    logger.warn("STRIPE_PUBLISHABLE_KEY not found in environment variables");
   }
 
   return true;
@@ -20,7 +33,7 @@ const validateStripeConfig = () => {
 const testStripeConnection = async () => {
   try {
     // Make a simple API call to test the connection
-    const account = await stripeInstance.accounts.retrieve();
+    const account = await getStripe().accounts.retrieve();
     return {
       success: true,
       accountId: account.id,
@@ -36,7 +49,8 @@ const testStripeConnection = async () => {
 };
 
 module.exports = {
-  stripe: stripeInstance,
+  getStripe,
+  setStripeClient,
   validateStripeConfig,
   testStripeConnection,
 };
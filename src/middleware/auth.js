@@ -0,0 +1,121 @@
+const { getAuth, getDb } = require("../config/firebase");
+const { sendError } = require("./errors");
+
+// Roles allowed to act on a club's billing
+const CLUB_ADMIN_ROLES = ["owner", "admin"];
+
+// Resolve the caller's role in a club from the club document.
+// The owner is stored in `ownerId`, other roles in the `roles` map (uid -> role).
+const getClubRole = (club, uid) => {
+  if (!club || !uid) return null;
+  if (club.ownerId === uid) return "owner";
+  return club.roles?.[uid] || null;
+};
+
+const isClubAdmin = (club, uid) =>
+  CLUB_ADMIN_ROLES.includes(getClubRole(club, uid));
+
+// Verify the Firebase ID token sent as `Authorization: Bearer <token>`
+const authenticate = async (req, res, next) => {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return sendError(
+      res,
+      401,
+      "authentication_required",
+      "Authentication required"
+    );
+  }
+
+  try {
+    const decoded = await getAuth().verifyIdToken(token);
+    req.user = {
+      uid: decoded.uid,
+      email: decoded.email || null,
+      // Clubbix staff carry the `admin` custom claim
+      isPlatformAdmin: decoded.admin === true,
+    };
+    next();
+  } catch (error) {
+    sendError(
+      res,
+      401,
+      "invalid_token",
+      "Invalid or expired authentication token"
+    );
+  }
+};
+
+// Restrict a route to Clubbix staff
+const requirePlatformAdmin = (req, res, next) => {
+  if (!req.user?.isPlatformAdmin) {
+    return sendError(
+      res,
+      403,
+      "platform_admin_required",
+      "Platform administrator access required"
+    );
+  }
+  next();
+};
+
+// Load `clubs/{clubId}` and make sure the authenticated user passes `isAllowed`.
+// `getClubId` extracts the club ID from the request (body, params, ...).
+// Refused users get `deniedCode` and `deniedMessage`.
+const requireClubAccess =
+  (getClubId, isAllowed, deniedCode, deniedMessage) =>
+  async (req, res, next) => {
+    const clubId = getClubId(req);
+
+    if (!clubId) {
+      return sendError(res, 400, "validation_error", "clubId is required", {
+        fields: [{ field: "clubId", message: "clubId is required" }],
+      });
+    }
+
+    try {
+      const clubSnap = await getDb().collection("clubs").doc(clubId).get();
+      if (!clubSnap.exists) {
+        return sendError(res, 404, "club_not_found", "Club not found");
+      }
+
+      const club = clubSnap.data();
+      if (!isAllowed(club, req.user?.uid)) {
+        return sendError(res, 403, deniedCode, deniedMessage);
+      }
+
+      req.club = { id: clubId, ...club };
+      req.clubRole = getClubRole(club, req.user.uid);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+const requireClubAdmin = (getClubId) =>
+  requireClubAccess(
+    getClubId,
+    isClubAdmin,
+    "not_club_admin",
+    "You are not an administrator of this club"
+  );
+
+const requireClubMember = (getClubId) =>
+  requireClubAccess(
+    getClubId,
+    (club, uid) => !!getClubRole(club, uid),
+    "not_club_member",
+    "You are not a member of this club"
+  );
+
+module.exports = {
+  CLUB_ADMIN_ROLES,
+  getClubRole,
+  isClubAdmin,
+  authenticate,
+  requirePlatformAdmin,
+  requireClubAdmin,
+  requireClubMember,
+};
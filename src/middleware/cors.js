@@ -0,0 +1,43 @@
+const cors = require("cors");
+
+// Browser origins allowed to call the API, from CORS_ORIGINS (comma-separated,
+// e.g. "https://app.clubbix.com,https://admin.clubbix.com"; "*" allows any).
+// Without CORS_ORIGINS, any origin is allowed in development and none otherwise.
+const getAllowedOrigins = () => {
+  const configured = (process.env.CORS_ORIGINS || "")
+    .split(",")
+    .map((origin) => origin.trim().replace(/\/$/, ""))
+    .filter(Boolean);
+  if (configured.length) return configured;
+  return process.env.NODE_ENV === "development" ? ["*"] : [];
+};
+
+const isAllowedOrigin = (origin) => {
+  const allowed = getAllowedOrigins();
+  return allowed.includes("*") || allowed.includes(origin);
+};
+
+const corsHandler = cors({
+  // Requests without an Origin header (servers, curl, mobile apps) are not
+  // subject to CORS. Other origins get no CORS headers, so browsers block them.
+  origin: (origin, callback) =>
+    callback(null, !origin || isAllowedOrigin(origin)),
+  exposedHeaders: [
+    "X-Request-Id",
+    "Idempotent-Replayed",
+    "RateLimit-Limit",
+    "RateLimit-Remaining",
+    "RateLimit-Reset",
+    "Retry-After",
+  ],
+});
+
+// Stripe calls the webhook server to server: it never gets CORS headers
+const corsPolicy = (req, res, next) =>
+  req.originalUrl.startsWith("/api/stripe/webhook")
+    ? next()
+    : corsHandler(req, res, next);
+
+module.exports = {
+  corsPolicy,
+};
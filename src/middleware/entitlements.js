@@ -0,0 +1,83 @@
+const { getDb } = require("../config/firebase");
+const {
+  computeEntitlements,
+  isWithinLimit,
+} = require("../services/entitlements");
+const { sendError } = require("./errors");
+
+// Compute the club's entitlements once per request. Reuses `req.club` when a
+// previous middleware (e.g. requireClubAdmin) already loaded it.
+const loadEntitlements = async (req, getClubId) => {
+  if (req.entitlements) return req.entitlements;
+
+  let club = req.club;
+  if (!club) {
+    const clubId = getClubId(req);
+    if (!clubId) return null;
+    const clubSnap = await getDb().collection("clubs").doc(clubId).get();
+    if (!clubSnap.exists) return null;
+    club = { id: clubId, ...clubSnap.data() };
+  }
+
+  req.entitlements = computeEntitlements(club);
+  return req.entitlements;
+};
+
+// Reject the request when the club's plan does not include `feature`
+const requireFeature = (getClubId, feature) => async (req, res, next) => {
+  try {
+    const entitlements = await loadEntitlements(req, getClubId);
+    if (!entitlements) {
+      return sendError(res, 404, "club_not_found", "Club not found");
+    }
+
+    if (!entitlements.features[feature]) {
+      return sendError(
+        res,
+        403,
+        "feature_not_included",
+        "Your plan does not include this feature",
+        { feature, plan: entitlements.plan }
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Reject the request when the club already reached `limit`.
+// `getUsage(req)` returns the club's current usage for that limit.
+const requireWithinLimit =
+  (getClubId, limit, getUsage) => async (req, res, next) => {
+    try {
+      const entitlements = await loadEntitlements(req, getClubId);
+      if (!entitlements) {
+        return sendError(res, 404, "club_not_found", "Club not found");
+      }
+
+      const usage = await getUsage(req);
+      if (!isWithinLimit(entitlements, limit, usage)) {
+        return sendError(
+          res,
+          403,
+          "plan_limit_reached",
+          "Your plan limit has been reached",
+          {
+            limit,
+            max: entitlements.limits[limit],
+            usage,
+            plan: entitlements.plan,
+          }
+        );
+      }
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+module.exports = {
+  requireFeature,
+  requireWithinLimit,
+};
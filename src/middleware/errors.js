@@ -0,0 +1,134 @@
+// Central translation of errors thrown by route handlers into HTTP responses.
+// Every error response uses the same envelope:
+//   { success: false, error: "<message>", code: "<stable_code>", ... }
+
+const GENERIC_MESSAGE = "Something went wrong";
+
+// Internal messages (Stripe, Firestore, stack details) are only shown in development
+const exposeInternalMessages = () => process.env.NODE_ENV === "development";
+
+// Map a Stripe error to a status, a stable code and a message that is safe to
+// return to the client
+const translateStripeError = (error) => {
+  switch (error.type) {
+    case "StripeCardError":
+      // Card messages are written by Stripe for end users
+      return {
+        status: 402,
+        code: error.code || "card_error",
+        message: error.message,
+        extra: error.decline_code ? { decline_code: error.decline_code } : {},
+      };
+    case "StripeInvalidRequestError":
+      if (error.code === "resource_missing") {
+        return {
+          status: 404,
+          code: "resource_missing",
+          message: "The requested Stripe resource does not exist",
+          internal: true,
+        };
+      }
+      return {
+        status: 400,
+        code: error.code || "invalid_request",
+        message: "The request was rejected by the payment provider",
+        extra: error.param ? { param: error.param } : {},
+        internal: true,
+      };
+    case "StripeIdempotencyError":
+      return {
+        status: 409,
+        code: "idempotency_error",
+        message: "The request conflicts with a previous request",
+        internal: true,
+      };
+    case "StripeRateLimitError":
+      return {
+        status: 429,
+        code: "rate_limited",
+        message: "Too many requests to the payment provider, retry later",
+      };
+    case "StripeAuthenticationError":
+    case "StripePermissionError":
+      return {
+        status: 502,
+        code: "payment_provider_auth_error",
+        message: GENERIC_MESSAGE,
+        internal: true,
+      };
+    case "StripeConnectionError":
+    case "StripeAPIError":
+      return {
+        status: 503,
+        code: "payment_provider_unavailable",
+        message: "The payment provider is unavailable, retry later",
+        internal: true,
+      };
+    default:
+      return null;
+  }
+};
+
+// Client errors raised by Express middleware, e.g. a malformed JSON body
+const translateHttpError = (error) => {
+  const status = error.status || error.statusCode;
+  if (!(status >= 400 && status < 500)) return null;
+
+  return {
+    status,
+    code: error.type === "entity.parse.failed" ? "invalid_json" : "bad_request",
+    message: error.expose ? error.message : "Bad request",
+  };
+};
+
+// Turn any error into { status, body }
+const translateError = (error) => {
+  const translated = translateStripeError(error) ||
+    translateHttpError(error) || {
+      status: 500,
+      code: "internal_error",
+      message: GENERIC_MESSAGE,
+      internal: true,
+    };
+
+  const message =
+    translated.internal && exposeInternalMessages()
+      ? error.message
+      : translated.message;
+
+  return {
+    status: translated.status,
+    body: {
+      success: false,
+      error: message,
+      code: translated.code,
+      ...translated.extra,
+    },
+  };
+};
+
+// Send an error response in the shared envelope. `extra` adds fields next to
+// the code, e.g. the limit that was reached.
+const sendError = (res, status, code, message, extra = {}) =>
+  res.status(status).json({
+    success: false,
+    error: message,
+    code,
+    ...extra,
+  });
+
+// Express error handler, mounted after every route
+const errorHandler = (err, req, res, next) => {
+  const { status, body } = translateError(err);
+  if (status >= 500) {
+    req.log.error("Request failed", { error: err });
+  }
+  res.status(status).json(body);
+};
+
+module.exports = {
+  exposeInternalMessages,
+  translateError,
+  sendError,
+  errorHandler,
+};
@@ -0,0 +1,111 @@
+const {
+  getKeyId,
+  getRequestFingerprint,
+  claimKey,
+  saveResponse,
+  releaseKey,
+} = require("../services/idempotency");
+const { sendError } = require("./errors");
+
+const MAX_KEY_LENGTH = 255;
+
+// Responses worth replaying: success and definitive client errors. Server
+// errors, conflicts and rate limits release the key so the client can retry.
+const isReplayable = (status) =>
+  status < 500 && status !== 409 && status !== 429;
+
+// Honor an `Idempotency-Key` header on object-creating routes.
+// The first response is stored and replayed for retries with the same key;
+// the same key sent with another payload is rejected with 409.
+// The handler passes `req.idempotencyKey` to Stripe (see stripeRequestOptions).
+// Requests without the header are not affected. Must run after `authenticate`.
+const idempotent = async (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key || key.length > MAX_KEY_LENGTH) {
+    return sendError(
+      res,
+      400,
+      "validation_error",
+      `Idempotency-Key must be 1 to ${MAX_KEY_LENGTH} characters long`
+    );
+  }
+
+  const scope = { userId: req.user.uid, key };
+
+  try {
+    const claim = await claimKey({
+      ...scope,
+      fingerprint: getRequestFingerprint({
+        method: req.method,
+        path: req.originalUrl,
+        body: req.body,
+      }),
+    });
+
+    if (claim.state === "mismatch") {
+      return sendError(
+        res,
+        409,
+        "idempotency_key_reused",
+        "This Idempotency-Key was already used with a different request"
+      );
+    }
+    if (claim.state === "in_progress") {
+      return sendError(
+        res,
+        409,
+        "idempotency_key_in_use",
+        "A request with this Idempotency-Key is still in progress"
+      );
+    }
+    if (claim.state === "replay") {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(claim.response.status).json(claim.response.body);
+    }
+  } catch (error) {
+    return next(error);
+  }
+
+  // Forwarded to Stripe, namespaced by user so keys of different users
+  // never collide on the platform account
+  req.idempotencyKey = getKeyId(scope.userId, scope.key);
+
+  // Store the response before sending it, so a retry arriving right after
+  // sees the stored body
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const store = isReplayable(res.statusCode)
+      ? saveResponse(scope, res.statusCode, JSON.parse(JSON.stringify(body)))
+      : releaseKey(scope);
+
+    store
+      .catch((error) =>
+        req.log.error("Error storing idempotent response", { error })
+      )
+      .then(() => json(body));
+    return res;
+  };
+
+  next();
+};
+
+// Stripe request options for the current request. `scope` gives another key
+// to a Stripe request whose params may differ between retries.
+const stripeRequestOptions = (req, scope) => {
+  if (!req.idempotencyKey) return {};
+  return {
+    idempotencyKey:
+      scope === undefined
+        ? req.idempotencyKey
+        : `${req.idempotencyKey}-${scope}`,
+  };
+};
+
+module.exports = {
+  idempotent,
+  stripeRequestOptions,
+};
@@ -0,0 +1,113 @@
+// Fixed-window rate limits with a budget per client IP and per signed-in user.
+// Each route group has its own budgets; any of them can be changed with
+//   RATE_LIMIT_<GROUP>_WINDOW_SECONDS, RATE_LIMIT_<GROUP>_PER_IP and
+//   RATE_LIMIT_<GROUP>_PER_USER (0 disables that budget).
+// Counters live in the store of the app (app.locals.rateLimitStore).
+
+const { sendError } = require("./errors");
+
+const RATE_LIMIT_GROUPS = {
+  // Every API route
+  api: { windowSeconds: 60, perIp: 300, perUser: 0 },
+  // Creation of PaymentIntents and Checkout Sessions
+  payments: { windowSeconds: 60, perIp: 30, perUser: 10 },
+  // Customer portal sessions
+  portal: { windowSeconds: 60, perIp: 10, perUser: 5 },
+};
+
+// Requests never limited: Stripe retries webhooks on its own schedule
+const EXEMPT_PATHS = ["/api/stripe/webhook"];
+
+const readBudget = (group, name, fallback) => {
+  const raw = process.env[`RATE_LIMIT_${group.toUpperCase()}_${name}`];
+  const value = Number(raw);
+  return raw !== undefined &&
+    raw !== "" &&
+    Number.isInteger(value) &&
+    value >= 0
+    ? value
+    : fallback;
+};
+
+const getBudgets = (group) => {
+  const defaults = RATE_LIMIT_GROUPS[group];
+  return {
+    windowMs:
+      readBudget(group, "WINDOW_SECONDS", defaults.windowSeconds) * 1000,
+    perIp: readBudget(group, "PER_IP", defaults.perIp),
+    perUser: readBudget(group, "PER_USER", defaults.perUser),
+  };
+};
+
+// Limit the requests of a route group. Mount after `authenticate` for the
+// per-user budget to apply.
+const rateLimit = (group) => {
+  if (!RATE_LIMIT_GROUPS[group]) {
+    throw new Error(`Unknown rate limit group: ${group}`);
+  }
+
+  return async (req, res, next) => {
+    if (EXEMPT_PATHS.some((path) => req.originalUrl.startsWith(path))) {
+      return next();
+    }
+
+    const { windowMs, perIp, perUser } = getBudgets(group);
+    const checks = [];
+    if (perIp) checks.push({ key: `${group}:ip:${req.ip}`, limit: perIp });
+    if (perUser && req.user?.uid) {
+      checks.push({ key: `${group}:user:${req.user.uid}`, limit: perUser });
+    }
+    if (!checks.length) return next();
+
+    let results;
+    try {
+      const store = req.app.locals.rateLimitStore;
+      results = await Promise.all(
+        checks.map(async ({ key, limit }) => ({
+          limit,
+          ...(await store.increment(key, windowMs)),
+        }))
+      );
+    } catch (error) {
+      // A broken store must not take the API down
+      req.log.warn("Rate limit store unavailable", { group, error });
+      return next();
+    }
+
+    // Report the budget closest to running out
+    const tightest = results.reduce((current, result) =>
+      result.limit - result.count < current.limit - current.count
+        ? result
+        : current
+    );
+    const resetSeconds = Math.max(
+      0,
+      Math.ceil((tightest.resetAt - Date.now()) / 1000)
+    );
+    res.set({
+      "RateLimit-Limit": String(tightest.limit),
+      "RateLimit-Remaining": String(
+        Math.max(0, tightest.limit - tightest.count)
+      ),
+      "RateLimit-Reset": String(resetSeconds),
+    });
+
+    if (tightest.count > tightest.limit) {
+      req.log.warn("Rate limit exceeded", { group, user_id: req.user?.uid });
+      res.set("Retry-After", String(resetSeconds));
+      return sendError(
+        res,
+        429,
+        "rate_limited",
+        "Too many requests, please retry later"
+      );
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  RATE_LIMIT_GROUPS,
+  rateLimit,
+};
@@ -0,0 +1,45 @@
+const { randomUUID } = require("crypto");
+const { logger, runWithContext } = require("../config/logger");
+
+const REQUEST_ID_HEADER = "X-Request-Id";
+
+// IDs set by a proxy or the client are kept when they look like an ID
+const VALID_REQUEST_ID = /^[\w.-]{1,128}$/;
+
+// Give each request a correlation ID, returned in the X-Request-Id header, and
+// log one line per request once the response is sent. Mounted first so even
+// requests rejected by the body parsers are logged.
+const assignRequestId = (req, res, next) => {
+  const incoming = req.get(REQUEST_ID_HEADER);
+  req.id = VALID_REQUEST_ID.test(incoming || "") ? incoming : randomUUID();
+  req.log = logger.child({ request_id: req.id });
+  res.set(REQUEST_ID_HEADER, req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on("finish", () => {
+    const level =
+      res.statusCode >= 500 ? "error" : res.statusCode >= 400 ? "warn" : "info";
+    req.log[level]("Request completed", {
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      duration_ms: Number(process.hrtime.bigint() - startedAt) / 1e6,
+      user_id: req.user?.uid,
+      ip: req.ip,
+      user_agent: req.get("User-Agent"),
+    });
+  });
+
+  next();
+};
+
+// Make the request ID part of every log written while the request is handled,
+// services included. Mounted after the body parsers, whose stream callbacks
+// would otherwise lose the context.
+const bindRequestContext = (req, res, next) =>
+  runWithContext({ request_id: req.id }, next);
+
+module.exports = {
+  assignRequestId,
+  bindRequestContext,
+};
@@ -0,0 +1,22 @@
+const { validateStripeConfig } = require("../config/stripe");
+const { exposeInternalMessages, sendError } = require("./errors");
+
+// Middleware to validate Stripe configuration
+const validateStripe = (req, res, next) => {
+  try {
+    validateStripeConfig();
+    next();
+  } catch (error) {
+    // The message names the missing settings: development only
+    sendError(
+      res,
+      500,
+      "stripe_not_configured",
+      exposeInternalMessages() ? error.message : "Stripe configuration error"
+    );
+  }
+};
+
+module.exports = {
+  validateStripe,
+};
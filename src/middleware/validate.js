@@ -0,0 +1,144 @@
+// Declarative request validation.
+//
+// A schema lists the expected fields of `params`, `query` and `body`:
+//   validate({
+//     body: {
+//       amount: { type: "number", required: true, min: 0.5 },
+//       currency: { type: "string", pattern: /^[a-z]{3}$/ },
+//     },
+//   })
+//
+// Supported rules: type ("string", "number", "integer", "boolean", "object",
+// "array"), required, enum, min/max (numbers), minLength/maxLength (strings),
+// pattern, format ("url", "email", "date") and `fields` for nested objects.
+// Query strings are coerced to numbers and booleans before being checked.
+// Unknown fields are left untouched.
+
+const { sendError } = require("./errors");
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const isValidUrl = (value) => {
+  try {
+    const url = new URL(value);
+    return url.protocol === "http:" || url.protocol === "https:";
+  } catch (error) {
+    return false;
+  }
+};
+
+const FORMATS = {
+  url: {
+    check: isValidUrl,
+    message: "must be a valid http(s) URL",
+  },
+  email: {
+    check: (value) => EMAIL_PATTERN.test(value),
+    message: "must be a valid email address",
+  },
+  date: {
+    check: (value) => !Number.isNaN(Date.parse(value)),
+    message: "must be a valid date",
+  },
+};
+
+const TYPES = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+  array: (value) => Array.isArray(value),
+};
+
+const coerceQueryValue = (value, type) => {
+  if ((type === "number" || type === "integer") && value !== "") {
+    const number = Number(value);
+    return Number.isNaN(number) ? value : number;
+  }
+  if (type === "boolean" && (value === "true" || value === "false")) {
+    return value === "true";
+  }
+  return value;
+};
+
+// Return the error message for `value`, or null when it is valid
+const checkField = (value, rule) => {
+  if (value === undefined || value === null || value === "") {
+    return rule.required ? "is required" : null;
+  }
+
+  if (rule.type && !TYPES[rule.type](value)) {
+    return `must be ${rule.type === "integer" ? "an" : "a"} ${rule.type}`;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return `must be one of: ${rule.enum.join(", ")}`;
+  }
+  if (rule.min !== undefined && value < rule.min) {
+    return `must be at least ${rule.min}`;
+  }
+  if (rule.max !== undefined && value > rule.max) {
+    return `must be at most ${rule.max}`;
+  }
+  if (rule.minLength !== undefined && value.length < rule.minLength) {
+    return `must be at least ${rule.minLength} characters long`;
+  }
+  if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+    return `must be at most ${rule.maxLength} characters long`;
+  }
+  if (rule.pattern && !rule.pattern.test(value)) {
+    return rule.patternMessage || "has an invalid format";
+  }
+  if (rule.format && !FORMATS[rule.format].check(value)) {
+    return FORMATS[rule.format].message;
+  }
+  return null;
+};
+
+// Send a 400 listing the invalid fields ({ field, message })
+const rejectFields = (res, errors) =>
+  sendError(res, 400, "validation_error", errors[0].message, {
+    fields: errors,
+  });
+
+// Validate `fields` of `source`, recursing into nested object schemas
+const collectErrors = (source, fields, prefix, coerce) =>
+  Object.entries(fields).flatMap(([name, rule]) => {
+    const field = prefix ? `${prefix}.${name}` : name;
+    if (coerce && typeof source[name] === "string") {
+      source[name] = coerceQueryValue(source[name], rule.type);
+    }
+
+    const message = checkField(source[name], rule);
+    if (message) {
+      return [{ field, message: `${field} ${message}` }];
+    }
+    if (rule.fields && source[name]) {
+      return collectErrors(source[name], rule.fields, field, coerce);
+    }
+    return [];
+  });
+
+const validate = (schema) => (req, res, next) => {
+  const errors = ["params", "query", "body"].flatMap((location) =>
+    schema[location]
+      ? collectErrors(
+          req[location] || {},
+          schema[location],
+          location === "body" ? "" : location,
+          location === "query"
+        )
+      : []
+  );
+
+  if (errors.length) {
+    return rejectFields(res, errors);
+  }
+  next();
+};
+
+module.exports = {
+  validate,
+  rejectFields,
+};
@@ -0,0 +1,352 @@
+const express = require("express");
+const router = express.Router();
+const { getDb } = require("../config/firebase");
+const { getStripe } = require("../config/stripe");
+const { authenticate, requirePlatformAdmin } = require("../middleware/auth");
+const { WEBHOOK_COLLECTION, listEvents } = require("../services/webhookEvents");
+const {
+  MAX_REPLAY_BATCH,
+  replayEvent,
+  replayRange,
+  listReplays,
+} = require("../services/webhookReplay");
+const { reconcileSubscriptions } = require("../services/reconciliation");
+const { syncAllClubSeats } = require("../services/seats");
+const {
+  computeBillingAnalytics,
+  formatAnalyticsCsv,
+} = require("../services/analytics");
+const { validateStripe } = require("../middleware/stripe");
+const { sendError } = require("../middleware/errors");
+const { validate, rejectFields } = require("../middleware/validate");
+const {
+  idempotent,
+  stripeRequestOptions,
+} = require("../middleware/idempotency");
+const {
+  isSupportedCurrency,
+  toMinorUnits,
+  toMajorUnits,
+} = require("../config/currencies");
+const schemas = require("../schemas/admin");
+
+// Every admin route is reserved to Clubbix staff
+router.use(authenticate, requirePlatformAdmin);
+
+// Stored events are filtered on their ISO `received_at`, so dates given in
+// another format (e.g. "2030-01-01" or with an offset) are converted first
+const toISODate = (value) =>
+  value ? new Date(value).toISOString() : undefined;
+
+// List stored webhook events
+router.get(
+  "/webhooks",
+  validate(schemas.listWebhooks),
+  async (req, res, next) => {
+    try {
+      const { type, club_id, status, from, to, starting_after } = req.query;
+      const limit = req.query.limit || 50;
+
+      const events = await listEvents({
+        type,
+        clubId: club_id,
+        status,
+        from: toISODate(from),
+        to: toISODate(to),
+        limit,
+        startingAfter: starting_after,
+      });
+
+      res.json({
+        success: true,
+        events: events.map(({ data, ...event }) => event),
+        has_more: events.length === limit,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get a stored event with its replay history
+router.get("/webhooks/:eventId", async (req, res, next) => {
+  try {
+    const eventSnap = await getDb()
+      .collection(WEBHOOK_COLLECTION)
+      .doc(req.params.eventId)
+      .get();
+
+    if (!eventSnap.exists) {
+      return sendError(
+        res,
+        404,
+        "webhook_event_not_found",
+        "Webhook event not found"
+      );
+    }
+
+    res.json({
+      success: true,
+      event: { id: eventSnap.id, ...eventSnap.data() },
+      replays: await listReplays(req.params.eventId),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Replay every stored event received in a time range.
+// When `has_more` is true, call again with `starting_after` set to the returned
+// `last_event_id` to replay the next batch.
+router.post(
+  "/webhooks/replay",
+  validate(schemas.replayRange),
+  async (req, res, next) => {
+    try {
+      const {
+        from,
+        to,
+        type,
+        club_id,
+        status,
+        starting_after,
+        refetch = false,
+      } = req.body;
+
+      const results = await replayRange({
+        from: toISODate(from),
+        to: toISODate(to),
+        type,
+        clubId: club_id,
+        status,
+        startingAfter: starting_after,
+        refetch: !!refetch,
+        requestedBy: req.user.uid,
+      });
+
+      res.json({
+        success: true,
+        replayed: results.length,
+        has_more: results.length === MAX_REPLAY_BATCH,
+        last_event_id: results.length
+          ? results[results.length - 1].event_id
+          : null,
+        results,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Replay one stored event
+router.post(
+  "/webhooks/:eventId/replay",
+  validate(schemas.replayEvent),
+  async (req, res, next) => {
+    try {
+      const result = await replayEvent(req.params.eventId, {
+        refetch: !!req.body.refetch,
+        requestedBy: req.user.uid,
+      });
+
+      if (!result) {
+        return sendError(
+          res,
+          404,
+          "webhook_event_not_found",
+          "Webhook event not found"
+        );
+      }
+
+      res.json({
+        success: true,
+        result,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Refund a payment in full, or in part with `amount` in major units.
+// Refunds of member payments take the club's share back from its connected
+// account and give back the matching part of the application fee. The club's
+// ledger is updated by the charge.refunded webhook.
+router.post(
+  "/payments/:id/refunds",
+  validate(schemas.refundPayment),
+  validateStripe,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const paymentIntent = await getStripe().paymentIntents.retrieve(
+        req.params.id,
+        { expand: ["latest_charge"] }
+      );
+      const { currency } = paymentIntent;
+
+      if (paymentIntent.status !== "succeeded") {
+        return sendError(
+          res,
+          409,
+          "payment_not_refundable",
+          "Only succeeded payments can be refunded"
+        );
+      }
+
+      // What earlier refunds left on the charge
+      const refundable =
+        paymentIntent.amount_received -
+        (paymentIntent.latest_charge?.amount_refunded || 0);
+      if (refundable <= 0) {
+        return sendError(
+          res,
+          409,
+          "payment_already_refunded",
+          "This payment was already refunded in full"
+        );
+      }
+
+      const params = {
+        payment_intent: paymentIntent.id,
+        reason: req.body.reason,
+        metadata: {
+          refundedBy: req.user.uid,
+          ...(paymentIntent.metadata?.clubId && {
+            clubId: paymentIntent.metadata.clubId,
+          }),
+        },
+      };
+
+      if (req.body.amount !== undefined) {
+        const amount = isSupportedCurrency(currency)
+          ? toMinorUnits(req.body.amount, currency)
+          : null;
+        if (amount === null) {
+          return rejectFields(res, [
+            {
+              field: "amount",
+              message: `amount has too many decimals for ${currency.toUpperCase()}`,
+            },
+          ]);
+        }
+        if (amount <= 0 || amount > refundable) {
+          return rejectFields(res, [
+            {
+              field: "amount",
+              message: `amount must be greater than 0 and at most ${toMajorUnits(
+                refundable,
+                currency
+              )} ${currency.toUpperCase()}`,
+            },
+          ]);
+        }
+        params.amount = amount;
+      }
+
+      if (paymentIntent.transfer_data?.destination) {
+        params.reverse_transfer = true;
+        params.refund_application_fee = true;
+      }
+
+      const refund = await getStripe().refunds.create(
+        params,
+        stripeRequestOptions(req)
+      );
+
+      res.json({
+        success: true,
+        refund: {
+          id: refund.id,
+          payment_intent_id: paymentIntent.id,
+          amount: refund.amount,
+          amount_major: toMajorUnits(refund.amount, refund.currency),
+          currency: refund.currency,
+          reason: refund.reason,
+          status: refund.status,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Compare Stripe subscriptions with the club documents and report the drift.
+// With `repair: true`, drifted clubs are rewritten from Stripe.
+router.post(
+  "/reconciliation/subscriptions",
+  validate(schemas.reconcileSubscriptions),
+  async (req, res, next) => {
+    try {
+      const report = await reconcileSubscriptions({
+        repair: !!req.body.repair,
+      });
+
+      res.json({
+        success: true,
+        report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Sync the subscription quantity of every club on a per-seat plan with its
+// member (or team) count
+router.post(
+  "/seats/sync",
+  validate(schemas.syncSeats),
+  validateStripe,
+  async (req, res, next) => {
+    try {
+      const report = await syncAllClubSeats({
+        prorationBehavior: req.body.proration_behavior,
+      });
+
+      res.json({
+        success: true,
+        report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Billing analytics: MRR/ARR, subscription statuses, plan mix, and new clubs,
+// churned clubs and failed payment recovery per month.
+// `format=csv` returns one `table` of the report (summary, plans or months).
+router.get(
+  "/analytics/billing",
+  validate(schemas.billingAnalytics),
+  async (req, res, next) => {
+    try {
+      const { from, to, format = "json", table = "summary" } = req.query;
+
+      const report = await computeBillingAnalytics({
+        from: from ? new Date(from) : undefined,
+        to: to ? new Date(to) : undefined,
+      });
+
+      if (format === "csv") {
+        const day = report.generated_at.slice(0, 10);
+        return res
+          .type("text/csv")
+          .attachment(`billing-${table}-${day}.csv`)
+          .send(formatAnalyticsCsv(report, table));
+      }
+
+      res.json({
+        success: true,
+        report,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,237 @@
+const express = require("express");
+const router = express.Router();
+const { getDb } = require("../config/firebase");
+const {
+  authenticate,
+  requireClubAdmin,
+  requireClubMember,
+} = require("../middleware/auth");
+const { validate, rejectFields } = require("../middleware/validate");
+const { computeEntitlements } = require("../services/entitlements");
+const {
+  isSupportedCurrency,
+  getClubCurrencies,
+} = require("../config/currencies");
+const { syncClubCustomer } = require("../services/customers");
+const { describeTrial } = require("../services/trials");
+const { getNotificationPreferences } = require("../services/notifications");
+const { NOTIFICATION_TYPES } = require("../config/notifications");
+const {
+  describeLedgerBalances,
+  listLedgerEntries,
+} = require("../services/ledger");
+const schemas = require("../schemas/clubs");
+
+// Get the features and limits a club may use with its current subscription
+router.get(
+  "/:clubId/entitlements",
+  authenticate,
+  validate(schemas.getClub),
+  requireClubMember((req) => req.params.clubId),
+  (req, res) => {
+    res.json({
+      success: true,
+      club_id: req.club.id,
+      entitlements: computeEntitlements(req.club),
+      trial: describeTrial(req.club),
+    });
+  }
+);
+
+// Update the club's name and billing email.
+// The club's Stripe customer, if any, is updated to match.
+router.patch(
+  "/:clubId",
+  authenticate,
+  validate(schemas.updateProfile),
+  requireClubAdmin((req) => req.params.clubId),
+  async (req, res, next) => {
+    try {
+      const updates = {};
+      ["name", "email"].forEach((field) => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      if (!Object.keys(updates).length) {
+        return rejectFields(res, [
+          { field: "name", message: "name or email is required" },
+        ]);
+      }
+
+      await getDb().collection("clubs").doc(req.club.id).update(updates);
+      await syncClubCustomer({ ...req.club, ...updates });
+
+      res.json({
+        success: true,
+        club_id: req.club.id,
+        ...updates,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the billing notifications the signed-in admin receives for the club
+router.get(
+  "/:clubId/notification-preferences",
+  authenticate,
+  validate(schemas.getClub),
+  requireClubAdmin((req) => req.params.clubId),
+  (req, res) => {
+    res.json({
+      success: true,
+      club_id: req.club.id,
+      user_id: req.user.uid,
+      preferences: getNotificationPreferences(req.club, req.user.uid),
+    });
+  }
+);
+
+// Choose the billing notifications the signed-in admin receives for the club,
+// and their language. Other admins keep their own preferences.
+router.put(
+  "/:clubId/notification-preferences",
+  authenticate,
+  validate(schemas.updateNotificationPreferences),
+  requireClubAdmin((req) => req.params.clubId),
+  async (req, res, next) => {
+    try {
+      const updates = {};
+      ["locale", ...NOTIFICATION_TYPES].forEach((field) => {
+        if (req.body[field] !== undefined) updates[field] = req.body[field];
+      });
+
+      if (!Object.keys(updates).length) {
+        return rejectFields(res, [
+          {
+            field: "locale",
+            message: `locale or one of ${NOTIFICATION_TYPES.join(
+              ", "
+            )} is required`,
+          },
+        ]);
+      }
+
+      const prefix = `notificationPreferences.${req.user.uid}`;
+      await getDb()
+        .collection("clubs")
+        .doc(req.club.id)
+        .update(
+          Object.fromEntries(
+            Object.entries(updates).map(([field, value]) => [
+              `${prefix}.${field}`,
+              value,
+            ])
+          )
+        );
+
+      const stored = req.club.notificationPreferences?.[req.user.uid] || {};
+      res.json({
+        success: true,
+        club_id: req.club.id,
+        user_id: req.user.uid,
+        preferences: getNotificationPreferences(
+          {
+            ...req.club,
+            notificationPreferences: {
+              [req.user.uid]: { ...stored, ...updates },
+            },
+          },
+          req.user.uid
+        ),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the club's balance and its ledger, latest entries first
+router.get(
+  "/:clubId/ledger",
+  authenticate,
+  validate(schemas.listLedger),
+  requireClubAdmin((req) => req.params.clubId),
+  async (req, res, next) => {
+    try {
+      const limit = req.query.limit || 50;
+      const entries = await listLedgerEntries(req.club.id, {
+        limit,
+        startingAfter: req.query.starting_after,
+      });
+
+      res.json({
+        success: true,
+        club_id: req.club.id,
+        balances: describeLedgerBalances(req.club),
+        entries,
+        has_more: entries.length === limit,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get the currencies members can pay the club in
+router.get(
+  "/:clubId/currencies",
+  authenticate,
+  validate(schemas.getClub),
+  requireClubMember((req) => req.params.clubId),
+  (req, res) => {
+    res.json({
+      success: true,
+      club_id: req.club.id,
+      currencies: getClubCurrencies(req.club),
+    });
+  }
+);
+
+// Set the currencies members can pay the club in. The first one is the
+// default when a payment does not name a currency.
+router.put(
+  "/:clubId/currencies",
+  authenticate,
+  validate(schemas.updateCurrencies),
+  requireClubAdmin((req) => req.params.clubId),
+  async (req, res, next) => {
+    try {
+      const currencies = [
+        ...new Set(
+          req.body.currencies.map((currency) => String(currency).toLowerCase())
+        ),
+      ];
+
+      const unsupported = currencies.filter(
+        (currency) => !isSupportedCurrency(currency)
+      );
+      if (!currencies.length || unsupported.length) {
+        return rejectFields(res, [
+          {
+            field: "currencies",
+            message: currencies.length
+              ? `currencies not supported: ${unsupported.join(", ")}`
+              : "currencies must not be empty",
+          },
+        ]);
+      }
+
+      await getDb()
+        .collection("clubs")
+        .doc(req.club.id)
+        .update({ allowedCurrencies: currencies });
+
+      res.json({
+        success: true,
+        club_id: req.club.id,
+        currencies,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,153 @@
+const express = require("express");
+const router = express.Router();
+const { getStripe } = require("../config/stripe");
+const { authenticate, requireClubAdmin } = require("../middleware/auth");
+const { validateStripe } = require("../middleware/stripe");
+const { sendError } = require("../middleware/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/connect");
+const {
+  buildStripeAccountData,
+  getOnboardingStatus,
+  updateClubStripeAccount,
+} = require("../services/connect");
+
+const DEFAULT_CONNECT_COUNTRY =
+  process.env.STRIPE_CONNECT_DEFAULT_COUNTRY || "FR";
+
+// Response shape shared by the Connect endpoints
+const formatStripeAccount = (stripeAccount) => ({
+  account_id: stripeAccount.accountId,
+  onboarding_status: getOnboardingStatus(stripeAccount),
+  charges_enabled: stripeAccount.chargesEnabled,
+  payouts_enabled: stripeAccount.payoutsEnabled,
+  details_submitted: stripeAccount.detailsSubmitted,
+  capabilities: stripeAccount.capabilities,
+  requirements: {
+    currently_due: stripeAccount.requirements.currentlyDue,
+    eventually_due: stripeAccount.requirements.eventuallyDue,
+    past_due: stripeAccount.requirements.pastDue,
+    pending_verification: stripeAccount.requirements.pendingVerification,
+    disabled_reason: stripeAccount.requirements.disabledReason,
+  },
+});
+
+// Create a Stripe Connect (Express) account for a club
+router.post(
+  "/accounts",
+  authenticate,
+  validate(schemas.createAccount),
+  requireClubAdmin((req) => req.body.clubId),
+  validateStripe,
+  async (req, res, next) => {
+    try {
+      const { country = DEFAULT_CONNECT_COUNTRY, email } = req.body;
+      const club = req.club;
+
+      if (club.stripeAccount?.accountId) {
+        return sendError(
+          res,
+          409,
+          "stripe_account_exists",
+          "This club already has a Stripe account",
+          { account_id: club.stripeAccount.accountId }
+        );
+      }
+
+      const account = await getStripe().accounts.create({
+        type: "express",
+        country,
+        email: email || req.user.email || undefined,
+        capabilities: {
+          card_payments: { requested: true },
+          transfers: { requested: true },
+        },
+        business_profile: club.name ? { name: club.name } : undefined,
+        metadata: { clubId: club.id },
+      });
+
+      await updateClubStripeAccount(club.id, account);
+
+      res.status(201).json({
+        success: true,
+        account: formatStripeAccount(buildStripeAccountData(account)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Generate an onboarding link. Call again to get a fresh link when the
+// previous one expired (Stripe redirects to refresh_url in that case).
+router.post(
+  "/account-links",
+  authenticate,
+  validate(schemas.createAccountLink),
+  requireClubAdmin((req) => req.body.clubId),
+  validateStripe,
+  async (req, res, next) => {
+    try {
+      const { refresh_url, return_url } = req.body;
+      const accountId = req.club.stripeAccount?.accountId;
+
+      if (!accountId) {
+        return sendError(
+          res,
+          404,
+          "stripe_account_missing",
+          "This club has no Stripe account yet"
+        );
+      }
+
+      const accountLink = await getStripe().accountLinks.create({
+        account: accountId,
+        refresh_url,
+        return_url,
+        type: "account_onboarding",
+      });
+
+      res.json({
+        success: true,
+        url: accountLink.url,
+        expires_at: accountLink.expires_at,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get capability and requirements status of a club's connected account
+router.get(
+  "/accounts/:clubId",
+  authenticate,
+  validate(schemas.getAccount),
+  requireClubAdmin((req) => req.params.clubId),
+  validateStripe,
+  async (req, res, next) => {
+    try {
+      const accountId = req.club.stripeAccount?.accountId;
+
+      if (!accountId) {
+        return res.json({
+          success: true,
+          account: null,
+          onboarding_status: getOnboardingStatus(null),
+        });
+      }
+
+      const account = await getStripe().accounts.retrieve(accountId);
+      await updateClubStripeAccount(req.club.id, account);
+
+      res.json({
+        success: true,
+        account: formatStripeAccount(buildStripeAccountData(account)),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -4,6 +4,20 @@ const {
   validateStripeConfig,
   testStripeConnection,
 } = require("../config/stripe");
+const { getHealthReport } = require("../services/health");
+const { exposeInternalMessages } = require("../middleware/errors");
+
+// Check results without the error messages of dependencies, which may reveal
+// internals, outside development
+const publicChecks = (checks) =>
+  exposeInternalMessages()
+    ? checks
+    : Object.fromEntries(
+        Object.entries(checks).map(([name, { error, ...check }]) => [
+          name,
+          check,
+        ])
+      );
 
 // Basic health check
 router.get("/", (req, res) => {
@@ -15,6 +29,34 @@ router.get("/", (req, res) => {
   });
 });
 
+// Liveness: the process is up and serving requests. Never checks
+// dependencies, so an outage of Stripe or Firestore does not restart the server.
+router.get("/live", (req, res) => {
+  res.json({
+    status: "alive",
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+  });
+});
+
+// Readiness: Stripe, Firestore and the configuration are usable.
+// Answers 503 when one of them is not, so traffic is routed elsewhere.
+router.get("/ready", async (req, res, next) => {
+  try {
+    const report = await getHealthReport();
+
+    res.status(report.ready ? 200 : 503).json({
+      status: report.ready ? "ready" : "not_ready",
+      timestamp: new Date().toISOString(),
+      checked_at: report.checked_at,
+      cached: report.cached,
+      checks: publicChecks(report.checks),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // Stripe health check
 router.get("/stripe", async (req, res) => {
   try {
@@ -44,13 +86,11 @@ router.get("/stripe", async (req, res) => {
 });
 
 // Detailed health check
-router.get("/detailed", async (req, res) => {
+router.get("/detailed", async (req, res, next) => {
   try {
-    // Validate Stripe configuration
-    validateStripeConfig();
-
-    // Test Stripe connection
-    const stripeStatus = await testStripeConnection();
+    const report = await getHealthReport();
+    const serviceStatus = (check) =>
+      check.status === "ok" ? "operational" : "failed";
 
     res.json({
       status: "detailed_health_check",
@@ -58,35 +98,20 @@ router.get("/detailed", async (req, res) => {
       uptime: process.uptime(),
       memory: process.memoryUsage(),
       environment: process.env.NODE_ENV || "development",
-      stripe: stripeStatus,
+      ready: report.ready,
+      checked_at: report.checked_at,
+      cached: report.cached,
+      checks: publicChecks(report.checks),
       services: {
-        stripe: stripeStatus.success ? "operational" : "failed",
+        stripe: serviceStatus(report.checks.stripe),
+        firestore: serviceStatus(report.checks.firestore),
+        config: serviceStatus(report.checks.config),
+        webhooks: report.checks.webhooks.status,
       },
     });
   } catch (error) {
-    res.status(500).json({
-      status: "detailed_health_check_failed",
-      timestamp: new Date().toISOString(),
-      error: error.message,
-      services: {
-        stripe: "failed",
-      },
-    });
+    next(error);
   }
 });
 
-// router.get("/test-firebase", async (req, res) => {
-//   try {
-//     await db.collection("testCollection").doc("exampleDoc").set({
-//       message: "Hello from Node.js backend!",
-//       timestamp: new Date(),
-//     });
-
-//     res.send("Data written to Firebase successfully!");
-//   } catch (error) {
-//     console.error(error);
-//     res.status(500).send("Error writing to Firebase");
-//   }
-// });
-
 module.exports = router;
@@ -1,27 +1,47 @@
 const express = require("express");
 const router = express.Router();
-const { stripe, validateStripeConfig } = require("../config/stripe");
-const { db } = require("../config/firebase");
-const { Timestamp } = require("firebase-admin").firestore;
-const admin = require("firebase-admin");
-
-// Middleware to validate Stripe configuration
-const validateStripe = (req, res, next) => {
-  try {
-    validateStripeConfig();
-    next();
-  } catch (error) {
-    res.status(500).json({
-      error: "Stripe configuration error",
-      message: error.message,
-    });
-  }
-};
+const { getStripe } = require("../config/stripe");
+const { getDb } = require("../config/firebase");
+const { addContext } = require("../config/logger");
+const {
+  authenticate,
+  requireClubAdmin,
+  requireClubMember,
+  isClubAdmin,
+} = require("../middleware/auth");
+const { validateStripe } = require("../middleware/stripe");
+const { validate, rejectFields } = require("../middleware/validate");
+const { exposeInternalMessages, sendError } = require("../middleware/errors");
+const {
+  idempotent,
+  stripeRequestOptions,
+} = require("../middleware/idempotency");
+const { requireFeature } = require("../middleware/entitlements");
+const { rateLimit } = require("../middleware/rateLimit");
+const {
+  claimEvent,
+  recordEventResult,
+  markEventFailed,
+} = require("../services/webhookEvents");
+const { processEvent } = require("../services/webhookProcessor");
+const { getPlan, resolvePriceId, listPlans } = require("../config/plans");
+const { calculateApplicationFee } = require("../services/payments");
+const { getSeatQuantity } = require("../services/seats");
+const { getOrCreateClubCustomer } = require("../services/customers");
+const { isTrialEligible } = require("../services/trials");
+const { findValidCoupon } = require("../services/coupons");
+const { TICKET_METADATA_KEYS } = require("../services/tickets");
+const schemas = require("../schemas/stripe");
+const {
+  parseAmount,
+  toMajorUnits,
+  getClubCurrencies,
+} = require("../config/currencies");
 
 // Get Stripe account information
-router.get("/account", validateStripe, async (req, res) => {
+router.get("/account", authenticate, validateStripe, async (req, res, next) => {
   try {
-    const account = await stripe.accounts.retrieve();
+    const account = await getStripe().accounts.retrieve();
     res.json({
       success: true,
       account: {
@@ -33,173 +53,399 @@ router.get("/account", validateStripe, async (req, res) => {
       },
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+    next(error);
   }
 });
 
-// Create a payment intent
-router.post("/payment-intents", validateStripe, async (req, res) => {
-  try {
-    const { amount, currency = "usd", description } = req.body;
+// Club of a checkout session: `clubId`, or `metadata.clubId` for older clients
+const getCheckoutClubId = (req) => req.body.clubId || req.body.metadata?.clubId;
+
+// Metadata sent by the client, without the keys the webhook handlers rely on
+const getClientMetadata = (req) =>
+  Object.fromEntries(
+    Object.entries(req.body.metadata || {}).filter(
+      ([key]) => !TICKET_METADATA_KEYS.includes(key)
+    )
+  );
+
+// Club admin check that only applies when the request names a club
+const optionalClubAdmin = (getClubId) => {
+  const clubAdmin = requireClubAdmin(getClubId);
+  return (req, res, next) =>
+    getClubId(req) ? clubAdmin(req, res, next) : next();
+};
 
-    if (!amount) {
-      return res.status(400).json({
-        success: false,
-        error: "Amount is required",
+// Create a payment intent.
+// With a `clubId`, the club pays Clubbix and is charged as its Stripe customer.
+router.post(
+  "/payment-intents",
+  authenticate,
+  rateLimit("payments"),
+  validate(schemas.createPaymentIntent),
+  optionalClubAdmin((req) => req.body.clubId),
+  validateStripe,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { description } = req.body;
+      const currency = (req.body.currency || "usd").toLowerCase();
+
+      // Amounts are sent in major units and converted per currency exponent
+      const amount = parseAmount(req.body.amount, currency);
+      if (amount.error) {
+        return rejectFields(res, [
+          { field: amount.field, message: amount.error },
+        ]);
+      }
+
+      const params = {
+        amount: amount.amount,
+        currency: currency,
+        description: description || "Payment for Clubbix service",
+        automatic_payment_methods: {
+          enabled: true,
+        },
+      };
+      if (req.club) {
+        params.customer = await getOrCreateClubCustomer(
+          req.club,
+          req.user.email
+        );
+        params.metadata = { clubId: req.club.id };
+      }
+
+      const paymentIntent = await getStripe().paymentIntents.create(
+        params,
+        stripeRequestOptions(req)
+      );
+
+      res.json({
+        success: true,
+        client_secret: paymentIntent.client_secret,
+        payment_intent_id: paymentIntent.id,
       });
+    } catch (error) {
+      next(error);
     }
+  }
+);
 
-    const paymentIntent = await stripe.paymentIntents.create({
-      amount: Math.round(amount * 100), // Convert to cents
-      currency: currency,
-      description: description || "Payment for Clubbix service",
-      automatic_payment_methods: {
-        enabled: true,
-      },
-    });
+// Create a payment from a club member to the club's connected account.
+// The charge is a destination charge: Clubbix keeps the application fee and
+// Stripe transfers the rest to the club.
+router.post(
+  "/clubs/:clubId/payment-intents",
+  authenticate,
+  rateLimit("payments"),
+  validate(schemas.createClubPaymentIntent),
+  requireClubMember((req) => req.params.clubId),
+  requireFeature((req) => req.params.clubId, "onlinePayments"),
+  validateStripe,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { description } = req.body;
+      const club = req.club;
+      const allowedCurrencies = getClubCurrencies(club);
+      const currency = (
+        req.body.currency || allowedCurrencies[0]
+      ).toLowerCase();
+
+      if (
+        !club.stripeAccount?.accountId ||
+        !club.stripeAccount.chargesEnabled
+      ) {
+        return sendError(
+          res,
+          409,
+          "payments_not_enabled",
+          "This club cannot receive payments yet"
+        );
+      }
 
-    res.json({
-      success: true,
-      client_secret: paymentIntent.client_secret,
-      payment_intent_id: paymentIntent.id,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+      if (!allowedCurrencies.includes(currency)) {
+        return rejectFields(res, [
+          {
+            field: "currency",
+            message: `currency must be one of: ${allowedCurrencies.join(", ")}`,
+          },
+        ]);
+      }
+
+      const amount = parseAmount(req.body.amount, currency);
+      if (amount.error) {
+        return rejectFields(res, [
+          { field: amount.field, message: amount.error },
+        ]);
+      }
+      const applicationFee = calculateApplicationFee(amount.amount);
+
+      const paymentIntent = await getStripe().paymentIntents.create(
+        {
+          amount: amount.amount,
+          currency: currency,
+          description: description || `Payment to ${club.name || "club"}`,
+          automatic_payment_methods: {
+            enabled: true,
+          },
+          application_fee_amount: applicationFee,
+          transfer_data: {
+            destination: club.stripeAccount.accountId,
+          },
+          metadata: {
+            clubId: club.id,
+            memberId: req.user.uid,
+          },
+        },
+        stripeRequestOptions(req)
+      );
+
+      res.json({
+        success: true,
+        client_secret: paymentIntent.client_secret,
+        payment_intent_id: paymentIntent.id,
+        application_fee_amount: applicationFee,
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Get payment intent status
-router.get("/payment-intents/:id", validateStripe, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const paymentIntent = await stripe.paymentIntents.retrieve(id);
+router.get(
+  "/payment-intents/:id",
+  authenticate,
+  validate(schemas.getPaymentIntent),
+  validateStripe,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const paymentIntent = await getStripe().paymentIntents.retrieve(id);
+
+      // Payments made to or for a club are only visible to that club's admins
+      // and to the member who paid
+      const { clubId, memberId } = paymentIntent.metadata || {};
+      if (clubId && !(memberId && memberId === req.user.uid)) {
+        const clubSnap = await getDb().collection("clubs").doc(clubId).get();
+        if (!isClubAdmin(clubSnap.data(), req.user.uid)) {
+          return sendError(
+            res,
+            403,
+            "not_club_admin",
+            "You are not an administrator of this club"
+          );
+        }
+      }
 
-    res.json({
-      success: true,
-      payment_intent: {
-        id: paymentIntent.id,
-        amount: paymentIntent.amount,
-        currency: paymentIntent.currency,
-        status: paymentIntent.status,
-        created: paymentIntent.created,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+      res.json({
+        success: true,
+        payment_intent: {
+          id: paymentIntent.id,
+          // `amount` is in minor units, like `amount_minor`
+          amount: paymentIntent.amount,
+          amount_minor: paymentIntent.amount,
+          amount_major: toMajorUnits(
+            paymentIntent.amount,
+            paymentIntent.currency
+          ),
+          currency: paymentIntent.currency,
+          status: paymentIntent.status,
+          created: paymentIntent.created,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
+);
+
+// List subscription plans available for checkout
+router.get("/plans", (req, res) => {
+  res.json({
+    success: true,
+    plans: listPlans(),
+  });
 });
 
 // Create Stripe Checkout session for subscriptions
-router.post("/checkout-sessions", validateStripe, async (req, res) => {
-  try {
-    const {
-      price_id,
-      success_url,
-      cancel_url,
-      customer_email,
-      mode = "subscription",
-      metadata = {},
-    } = req.body;
-
-    if (!price_id) {
-      return res.status(400).json({
-        success: false,
-        error: "Price ID is required for subscription checkout",
-      });
-    }
+router.post(
+  "/checkout-sessions",
+  authenticate,
+  rateLimit("payments"),
+  validate(schemas.createCheckoutSession),
+  requireClubAdmin(getCheckoutClubId),
+  validateStripe,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const {
+        plan,
+        billing_cycle,
+        success_url,
+        cancel_url,
+        customer_email,
+        trial,
+        allow_promotion_codes,
+        coupon,
+      } = req.body;
+
+      // The price always comes from the server-side catalog
+      const priceId = resolvePriceId(plan, billing_cycle);
+      if (!priceId) {
+        return sendError(
+          res,
+          400,
+          "plan_unavailable",
+          "This plan is not available for this billing cycle"
+        );
+      }
 
-    if (!success_url || !cancel_url) {
-      return res.status(400).json({
-        success: false,
-        error: "Success URL and Cancel URL are required",
-      });
-    }
+      // Stripe applies either a coupon chosen here or a code typed by the
+      // customer in Checkout, never both
+      if (coupon && allow_promotion_codes) {
+        return rejectFields(res, [
+          {
+            field: "coupon",
+            message: "coupon cannot be combined with allow_promotion_codes",
+          },
+        ]);
+      }
 
-    const sessionParams = {
-      mode: mode,
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price: price_id,
-          quantity: 1,
-        },
-      ],
-      success_url: success_url,
-      cancel_url: cancel_url,
-      metadata: metadata,
-    };
-
-    // Add customer email if provided
-    if (customer_email) {
-      sessionParams.customer_email = customer_email;
-    }
+      // The plan's trial is offered once per club, unless the client opts out
+      const trialDays = getPlan(plan).trialDays;
+      const trialEligible = trialDays > 0 && isTrialEligible(req.club);
+      if (trial === true && !trialEligible) {
+        return sendError(
+          res,
+          409,
+          "trial_not_available",
+          "This club is not eligible for a free trial of this plan"
+        );
+      }
+      const applyTrial = trialEligible && trial !== false;
+
+      let discounts;
+      if (coupon) {
+        const result = await findValidCoupon(coupon, plan);
+        if (result.error) {
+          return sendError(res, 400, "invalid_coupon", result.error);
+        }
+        discounts = [{ coupon: result.coupon.id }];
+      }
+
+      const metadata = {
+        ...getClientMetadata(req),
+        clubId: req.club.id,
+        plan,
+        billingCycle: billing_cycle,
+      };
+
+      // Every checkout of the club reuses the club's customer.
+      // `customer_email` only seeds the customer of a club without an email.
+      const customerId = await getOrCreateClubCustomer(
+        req.club,
+        customer_email || req.user.email
+      );
+
+      const sessionParams = {
+        mode: "subscription",
+        customer: customerId,
+        payment_method_types: ["card"],
+        line_items: [
+          {
+            price: priceId,
+            // Per-seat plans are billed for the club's members or teams
+            quantity: await getSeatQuantity(req.club, plan),
+          },
+        ],
+        success_url: success_url,
+        cancel_url: cancel_url,
+        metadata: metadata,
+      };
 
-    // Add subscription data for subscription mode
-    if (mode === "subscription") {
       sessionParams.subscription_data = {
         metadata: metadata,
       };
-    }
+      if (applyTrial) {
+        sessionParams.subscription_data.trial_period_days = trialDays;
+      }
+      if (discounts) {
+        sessionParams.discounts = discounts;
+      }
+      if (allow_promotion_codes) {
+        sessionParams.allow_promotion_codes = true;
+      }
 
-    const session = await stripe.checkout.sessions.create(sessionParams);
+      const session = await getStripe().checkout.sessions.create(
+        sessionParams,
+        stripeRequestOptions(req)
+      );
 
-    res.json({
-      success: true,
-      session_id: session.id,
-      url: session.url,
-      checkout_session: {
-        id: session.id,
+      res.json({
+        success: true,
+        session_id: session.id,
         url: session.url,
-        status: session.status,
-        mode: session.mode,
-        created: session.created,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+        trial_days: applyTrial ? trialDays : 0,
+        checkout_session: {
+          id: session.id,
+          url: session.url,
+          status: session.status,
+          mode: session.mode,
+          created: session.created,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Get checkout session status
-router.get("/checkout-sessions/:id", validateStripe, async (req, res) => {
-  try {
-    const { id } = req.params;
-    const session = await stripe.checkout.sessions.retrieve(id);
+router.get(
+  "/checkout-sessions/:id",
+  authenticate,
+  validate(schemas.getCheckoutSession),
+  validateStripe,
+  async (req, res, next) => {
+    try {
+      const { id } = req.params;
+      const session = await getStripe().checkout.sessions.retrieve(id);
+
+      // Sessions opened for a club are only visible to that club's admins
+      const clubId = session.metadata?.clubId;
+      if (clubId) {
+        const clubSnap = await getDb().collection("clubs").doc(clubId).get();
+        if (!isClubAdmin(clubSnap.data(), req.user.uid)) {
+          return sendError(
+            res,
+            403,
+            "not_club_admin",
+            "You are not an administrator of this club"
+          );
+        }
+      }
 
-    res.json({
-      success: true,
-      checkout_session: {
-        id: session.id,
-        status: session.status,
-        mode: session.mode,
-        payment_status: session.payment_status,
-        customer_email: session.customer_email,
-        customer: session.customer,
-        subscription: session.subscription,
-        created: session.created,
-        expires_at: session.expires_at,
-        metadata: session.metadata,
-      },
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
+      res.json({
+        success: true,
+        checkout_session: {
+          id: session.id,
+          status: session.status,
+          mode: session.mode,
+          payment_status: session.payment_status,
+          customer_email: session.customer_email,
+          customer: session.customer,
+          subscription: session.subscription,
+          created: session.created,
+          expires_at: session.expires_at,
+          metadata: session.metadata,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
   }
-});
+);
 
 // Handle Stripe webhook events
 router.post(
@@ -208,197 +454,112 @@ router.post(
   async (req, res) => {
     const sig = req.headers["stripe-signature"];
     const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+    // Connect events (e.g. account.updated) are sent by a separate Stripe
+    // endpoint with its own signing secret
+    const connectWebhookSecret = process.env.STRIPE_CONNECT_WEBHOOK_SECRET;
 
     if (!webhookSecret) {
-      console.error("STRIPE_WEBHOOK_SECRET not configured");
-      return res.status(500).json({
-        success: false,
-        error: "Webhook secret not configured",
-      });
+      req.log.error("STRIPE_WEBHOOK_SECRET not configured");
+      return sendError(
+        res,
+        500,
+        "webhook_secret_missing",
+        "Webhook secret not configured"
+      );
     }
 
     let event;
 
     try {
-      event = stripe.webhooks.constructEvent(req.body, sig, webhookSecret);
+      try {
+        event = getStripe().webhooks.constructEvent(
+          req.body,
+          sig,
+          webhookSecret
+        );
+      } catch (err) {
+        if (!connectWebhookSecret) throw err;
+        event = getStripe().webhooks.constructEvent(
+          req.body,
+          sig,
+          connectWebhookSecret
+        );
+      }
     } catch (err) {
-      console.error("Webhook signature verification failed:", err.message);
-      return res.status(400).json({
-        success: false,
-        error: "Webhook signature verification failed",
+      req.log.warn("Webhook signature verification failed", {
+        reason: err.message,
       });
+      return sendError(
+        res,
+        400,
+        "invalid_signature",
+        "Webhook signature verification failed"
+      );
     }
 
+    // Every log written while the event is handled carries its IDs
+    addContext({
+      event_id: event.id,
+      event_type: event.type,
+      club_id: event.data.object?.metadata?.clubId,
+    });
+
+    // Stripe may deliver the same event more than once: acknowledge
+    // duplicates without applying them again
+    let claimed;
     try {
-      let firebaseData = {
-        event_type: event.type,
-        received_at: new Date().toISOString(),
-        data: event.data.object,
-      };
+      claimed = await claimEvent(event);
+    } catch (error) {
+      req.log.error("Error claiming webhook event", { error });
+      return sendError(
+        res,
+        500,
+        "webhook_processing_failed",
+        "Error processing webhook",
+        { message: exposeInternalMessages() ? error.message : undefined }
+      );
+    }
 
-      // Helper to update club subscription data
-      // NOTE: Club documents must be created with all required fields before any subscription update.
-      async function updateClubSubscription(clubId, data) {
-        if (!clubId) return;
-        const clubRef = admin.firestore().collection("clubs").doc(clubId);
-        const clubSnap = await clubRef.get();
-        if (!clubSnap.exists) {
-          console.warn(
-            `Club document with ID ${clubId} does not exist. Subscription update skipped.`
-          );
-          return;
-        }
-        await clubRef.set(
-          {
-            subscription: data,
-            updatedAt: Timestamp.now(),
-          },
-          { merge: true }
-        );
-      }
+    if (!claimed) {
+      req.log.info("Duplicate webhook event ignored");
+      return res.status(200).json({
+        success: true,
+        duplicate: true,
+        message: "Event already processed.",
+      });
+    }
 
-      switch (event.type) {
-        case "checkout.session.completed": {
-          const session = event.data.object;
-          const metadata = session.metadata || {};
-          const clubId = metadata.clubId;
-          if (session.mode === "subscription" && clubId) {
-            // You may need to fetch the subscription for full details
-            let subscription;
-            if (session.subscription) {
-              subscription = await stripe.subscriptions.retrieve(
-                session.subscription
-              );
-            }
-            const plan =
-              metadata.plan ||
-              subscription?.items?.data?.[0]?.price?.nickname ||
-              "";
-            const billingCycle =
-              metadata.billingCycle ||
-              subscription?.items?.data?.[0]?.price?.recurring?.interval ||
-              "";
-            const status = subscription?.status || "active";
-            const currentPeriodStart = subscription?.current_period_start
-              ? Timestamp.fromMillis(subscription.current_period_start * 1000)
-              : Timestamp.now();
-            const currentPeriodEnd = subscription?.current_period_end
-              ? Timestamp.fromMillis(subscription.current_period_end * 1000)
-              : Timestamp.now();
-            const cancelAtPeriodEnd = !!subscription?.cancel_at_period_end;
-            const createdAt = subscription?.created
-              ? Timestamp.fromMillis(subscription.created * 1000)
-              : Timestamp.now();
-            const updatedAt = Timestamp.now();
-            const customerId =
-              session.customer || subscription?.customer || null;
-            const priceId =
-              metadata.price_id ||
-              subscription?.items?.data?.[0]?.price?.id ||
-              null;
-            const clubSubscriptionData = {
-              subscriptionId: subscription?.id,
-              clubId,
-              plan,
-              billingCycle,
-              status,
-              currentPeriodStart,
-              currentPeriodEnd,
-              cancelAtPeriodEnd,
-              createdAt,
-              updatedAt,
-              customerId,
-              priceId,
-            };
-            await updateClubSubscription(clubId, clubSubscriptionData);
-          }
-          firebaseData.session_id = session.id;
-          firebaseData.mode = session.mode;
-          firebaseData.customer_email = session.customer_email;
-          firebaseData.customer_id = session.customer;
-          firebaseData.metadata = session.metadata;
-          firebaseData.payment_status = session.payment_status;
-          break;
-        }
-        case "customer.subscription.created":
-        case "customer.subscription.updated":
-        case "customer.subscription.deleted": {
-          const subscription = event.data.object;
-          const metadata = subscription.metadata || {};
-          const clubId = metadata.clubId;
-          if (clubId) {
-            const plan =
-              metadata.plan ||
-              subscription.items?.data?.[0]?.price?.nickname ||
-              "";
-            const billingCycle =
-              metadata.billingCycle ||
-              subscription.items?.data?.[0]?.price?.recurring?.interval ||
-              "";
-            const status = subscription.status;
-            const currentPeriodStart = subscription.current_period_start
-              ? Timestamp.fromMillis(subscription.current_period_start * 1000)
-              : Timestamp.now();
-            const currentPeriodEnd = subscription.current_period_end
-              ? Timestamp.fromMillis(subscription.current_period_end * 1000)
-              : Timestamp.now();
-            const cancelAtPeriodEnd = !!subscription.cancel_at_period_end;
-            const createdAt = subscription.created
-              ? Timestamp.fromMillis(subscription.created * 1000)
-              : Timestamp.now();
-            const updatedAt = Timestamp.now();
-            const clubSubscriptionData = {
-              subscriptionId: subscription.id,
-              clubId,
-              plan,
-              billingCycle,
-              status,
-              currentPeriodStart,
-              currentPeriodEnd,
-              cancelAtPeriodEnd,
-              createdAt,
-              updatedAt,
-            };
-            await updateClubSubscription(clubId, clubSubscriptionData);
-          }
-          firebaseData.subscription_id = subscription.id;
-          firebaseData.customer_id = subscription.customer;
-          firebaseData.status = subscription.status;
-          firebaseData.metadata = subscription.metadata;
-          break;
-        }
-        case "invoice.payment_succeeded":
-        case "invoice.payment_failed": {
-          const invoice = event.data.object;
-          firebaseData.invoice_id = invoice.id;
-          firebaseData.subscription_id = invoice.subscription;
-          firebaseData.customer_id = invoice.customer;
-          firebaseData.amount = invoice.amount_paid || invoice.amount_due;
-          firebaseData.currency = invoice.currency;
-          firebaseData.status = invoice.status;
-          break;
-        }
-        // Add more cases as needed
-      }
+    try {
+      const firebaseData = await processEvent(event);
 
       // Save to Firestore (collection: 'stripe_webhooks', doc: event.id)
-      await admin
-        .firestore()
-        .collection("stripe_webhooks")
-        .doc(event.id)
-        .set(firebaseData);
+      await recordEventResult(event.id, firebaseData);
+      addContext({ club_id: firebaseData.club_id || undefined });
+      req.log.info("Webhook event processed", {
+        processing_status: firebaseData.processing_status,
+        processing_reason: firebaseData.processing_reason || undefined,
+      });
 
       res.status(200).json({
         success: true,
+        processing_status: firebaseData.processing_status,
         message: "Event received and saved to Firebase.",
       });
     } catch (error) {
-      console.error("❌ Error processing webhook:", error);
-      res.status(500).json({
-        success: false,
-        error: "Error processing webhook",
-        message: error.message,
-      });
+      req.log.error("Error processing webhook event", { error });
+      // Release the event so Stripe's retry processes it again
+      await markEventFailed(event.id, error).catch((markError) =>
+        req.log.error("Error marking webhook event as failed", {
+          error: markError,
+        })
+      );
+      sendError(
+        res,
+        500,
+        "webhook_processing_failed",
+        "Error processing webhook",
+        { message: exposeInternalMessages() ? error.message : undefined }
+      );
     }
   }
 );
@@ -408,10 +569,12 @@ router.get("/publishable-key", (req, res) => {
   const publishableKey = process.env.STRIPE_PUBLISHABLE_KEY;
 
   if (!publishableKey) {
-    return res.status(500).json({
-      success: false,
-      error: "Publishable key not configured",
-    });
+    return sendError(
+      res,
+      500,
+      "publishable_key_missing",
+      "Publishable key not configured"
+    );
   }
 
   res.json({
@@ -420,53 +583,44 @@ router.get("/publishable-key", (req, res) => {
   });
 });
 
-// Create Stripe Customer Portal session
-router.post("/customer-portal", validateStripe, async (req, res) => {
-  try {
-    const { customer_id, customer_email, return_url } = req.body;
-    if (!customer_id && !customer_email) {
-      return res.status(400).json({
-        success: false,
-        error: "Either customer_id or customer_email is required",
-      });
-    }
-    if (!return_url) {
-      return res.status(400).json({
-        success: false,
-        error: "return_url is required",
+// Create a Stripe Customer Portal session for the club's customer
+router.post(
+  "/customer-portal",
+  authenticate,
+  rateLimit("portal"),
+  validate(schemas.createCustomerPortal),
+  requireClubAdmin((req) => req.body.clubId),
+  validateStripe,
+  async (req, res, next) => {
+    try {
+      const { customer_id, return_url } = req.body;
+      const customerId = await getOrCreateClubCustomer(
+        req.club,
+        req.user.email
+      );
+      // Older clients still send the customer: it must be the club's one
+      if (customer_id && customer_id !== customerId) {
+        return sendError(
+          res,
+          403,
+          "customer_mismatch",
+          "Stripe customer does not belong to this club"
+        );
+      }
+      // Create the portal session
+      const session = await getStripe().billingPortal.sessions.create({
+        customer: customerId,
+        return_url,
       });
-    }
-    let customerId = customer_id;
-    if (!customerId && customer_email) {
-      // Find customer by email
-      const customers = await stripe.customers.list({
-        email: customer_email,
-        limit: 1,
+      res.json({
+        success: true,
+        url: session.url,
+        session_id: session.id,
       });
-      if (!customers.data.length) {
-        return res.status(404).json({
-          success: false,
-          error: "No Stripe customer found for the provided email",
-        });
-      }
-      customerId = customers.data[0].id;
+    } catch (error) {
+      next(error);
     }
-    // Create the portal session
-    const session = await stripe.billingPortal.sessions.create({
-      customer: customerId,
-      return_url,
-    });
-    res.json({
-      success: true,
-      url: session.url,
-      session_id: session.id,
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      error: error.message,
-    });
   }
-});
+);
 
 module.exports = router;
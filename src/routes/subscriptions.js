@@ -0,0 +1,455 @@
+const express = require("express");
+const router = express.Router();
+const { getStripe } = require("../config/stripe");
+const { authenticate, requireClubAdmin } = require("../middleware/auth");
+const { validateStripe } = require("../middleware/stripe");
+const { sendError } = require("../middleware/errors");
+const { validate } = require("../middleware/validate");
+const schemas = require("../schemas/subscriptions");
+const {
+  resolvePriceId,
+  resolvePlanFromPrice,
+  isPlanDowngrade,
+} = require("../config/plans");
+const {
+  getDefaultProrationBehavior,
+  getSeatQuantity,
+  describeSeats,
+  previewSeatChange,
+  toPhaseParams,
+  syncClubSeats,
+} = require("../services/seats");
+
+const clubAdmin = requireClubAdmin((req) => req.params.clubId);
+
+// Load the club's Stripe subscription from the IDs stored by the webhook
+const loadSubscription = async (req, res, next) => {
+  const subscriptionId = req.club.subscription?.subscriptionId;
+
+  if (!subscriptionId) {
+    return sendError(
+      res,
+      404,
+      "subscription_not_found",
+      "This club has no subscription"
+    );
+  }
+
+  try {
+    req.stripeSubscription = await getStripe().subscriptions.retrieve(
+      subscriptionId,
+      { expand: ["schedule"] }
+    );
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const getSubscriptionItem = (subscription) => subscription.items.data[0];
+
+// Plan change scheduled for the end of the period by a subscription schedule
+const getScheduledChange = (subscription) => {
+  const schedule = subscription.schedule;
+  if (!schedule || typeof schedule === "string") return null;
+
+  const nextPhase = schedule.phases?.find(
+    (phase) => phase.start_date >= subscription.current_period_end
+  );
+  if (!nextPhase) return null;
+
+  const price = nextPhase.items?.[0]?.price;
+  const { plan, billingCycle } = resolvePlanFromPrice(
+    typeof price === "string" ? { id: price } : price
+  );
+  return {
+    schedule_id: schedule.id,
+    plan,
+    billing_cycle: billingCycle,
+    effective_at: nextPhase.start_date,
+  };
+};
+
+const formatSubscription = (subscription) => {
+  const item = getSubscriptionItem(subscription);
+  const { plan, billingCycle } = resolvePlanFromPrice(item?.price);
+
+  return {
+    id: subscription.id,
+    status: subscription.status,
+    plan,
+    billing_cycle: billingCycle,
+    current_period_start: subscription.current_period_start,
+    current_period_end: subscription.current_period_end,
+    cancel_at_period_end: subscription.cancel_at_period_end,
+    scheduled_change: getScheduledChange(subscription),
+  };
+};
+
+// Release a pending schedule so the subscription can be modified directly
+const releaseSchedule = async (subscription) => {
+  if (subscription.schedule) {
+    const scheduleId =
+      typeof subscription.schedule === "string"
+        ? subscription.schedule
+        : subscription.schedule.id;
+    await getStripe().subscriptionSchedules.release(scheduleId);
+  }
+};
+
+// Validate the requested plan and work out whether it is a downgrade
+const resolvePlanChange = (req, res) => {
+  const { plan, billing_cycle } = req.body;
+  const priceId = resolvePriceId(plan, billing_cycle);
+
+  if (!priceId) {
+    sendError(
+      res,
+      400,
+      "plan_unavailable",
+      "This plan is not available for this billing cycle"
+    );
+    return null;
+  }
+
+  const item = getSubscriptionItem(req.stripeSubscription);
+  if (item.price.id === priceId) {
+    sendError(res, 409, "plan_unchanged", "The club is already on this plan");
+    return null;
+  }
+
+  const isDowngrade = isPlanDowngrade(resolvePlanFromPrice(item.price), {
+    plan,
+    billingCycle: billing_cycle,
+  });
+
+  return { plan, billingCycle: billing_cycle, priceId, item, isDowngrade };
+};
+
+// Quantity of the item on the new plan when it differs from the one billed:
+// the seats of a per-seat plan, or 1 when leaving one
+const getChangeQuantity = async (req, change) => {
+  const quantity = await getSeatQuantity(req.club, change.plan);
+  return quantity !== (change.item.quantity || 1) ? { quantity } : {};
+};
+
+// Get the club's live subscription, including a scheduled plan change
+router.get(
+  "/:clubId",
+  authenticate,
+  validate(schemas.getSubscription),
+  clubAdmin,
+  validateStripe,
+  loadSubscription,
+  (req, res) => {
+    res.json({
+      success: true,
+      subscription: formatSubscription(req.stripeSubscription),
+    });
+  }
+);
+
+// Preview the invoice for a plan change, including prorations
+router.post(
+  "/:clubId/preview",
+  authenticate,
+  validate(schemas.previewPlanChange),
+  clubAdmin,
+  validateStripe,
+  loadSubscription,
+  async (req, res, next) => {
+    try {
+      const change = resolvePlanChange(req, res);
+      if (!change) return;
+
+      const subscription = req.stripeSubscription;
+      const prorationDate = Math.floor(Date.now() / 1000);
+      // A downgrade is not prorated: the upcoming invoice is the renewal at the
+      // new price
+      const invoice = await getStripe().invoices.retrieveUpcoming({
+        customer: req.club.subscription.customerId || subscription.customer,
+        subscription: subscription.id,
+        subscription_items: [
+          {
+            id: change.item.id,
+            price: change.priceId,
+            ...(await getChangeQuantity(req, change)),
+          },
+        ],
+        ...(change.isDowngrade
+          ? { subscription_proration_behavior: "none" }
+          : { subscription_proration_date: prorationDate }),
+      });
+
+      const prorationAmount = invoice.lines.data
+        .filter((line) => line.proration)
+        .reduce((total, line) => total + line.amount, 0);
+
+      res.json({
+        success: true,
+        preview: {
+          plan: change.plan,
+          billing_cycle: change.billingCycle,
+          // Downgrades are applied at period end, without proration
+          applies_at: change.isDowngrade
+            ? subscription.current_period_end
+            : prorationDate,
+          proration_date: prorationDate,
+          proration_amount: change.isDowngrade ? 0 : prorationAmount,
+          amount_due: invoice.amount_due,
+          currency: invoice.currency,
+          next_payment_attempt: invoice.next_payment_attempt,
+        },
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Change the club's plan.
+// Upgrades apply immediately with prorations; downgrades are scheduled for the
+// end of the current period. Pass the `proration_date` from the preview to be
+// charged exactly the previewed amount.
+router.post(
+  "/:clubId/change-plan",
+  authenticate,
+  validate(schemas.changePlan),
+  clubAdmin,
+  validateStripe,
+  loadSubscription,
+  async (req, res, next) => {
+    try {
+      const change = resolvePlanChange(req, res);
+      if (!change) return;
+
+      const subscription = req.stripeSubscription;
+      if (subscription.cancel_at_period_end) {
+        return sendError(
+          res,
+          409,
+          "subscription_canceling",
+          "Resume the subscription before changing plan"
+        );
+      }
+
+      await releaseSchedule(subscription);
+
+      if (change.isDowngrade) {
+        const schedule = await getStripe().subscriptionSchedules.create({
+          from_subscription: subscription.id,
+        });
+        // The next phase keeps the settings of the current one (discounts,
+        // tax rates...) with the new price, but not its dates, trial and
+        // one-off invoice items
+        const current = toPhaseParams(schedule.phases[0]);
+        const {
+          start_date,
+          end_date,
+          trial_end,
+          add_invoice_items,
+          items,
+          ...settings
+        } = current;
+        await getStripe().subscriptionSchedules.update(schedule.id, {
+          end_behavior: "release",
+          phases: [
+            { ...current, end_date: subscription.current_period_end },
+            {
+              ...settings,
+              items: [
+                {
+                  ...items[0],
+                  price: change.priceId,
+                  quantity: await getSeatQuantity(req.club, change.plan),
+                },
+              ],
+              metadata: subscription.metadata,
+            },
+          ],
+        });
+      } else {
+        await getStripe().subscriptions.update(subscription.id, {
+          items: [
+            {
+              id: change.item.id,
+              price: change.priceId,
+              ...(await getChangeQuantity(req, change)),
+            },
+          ],
+          proration_behavior: "create_prorations",
+          proration_date: req.body.proration_date,
+        });
+      }
+
+      const updated = await getStripe().subscriptions.retrieve(
+        subscription.id,
+        {
+          expand: ["schedule"],
+        }
+      );
+      res.json({
+        success: true,
+        scheduled: change.isDowngrade,
+        subscription: formatSubscription(updated),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Cancel the subscription at the end of the current period.
+// A scheduled plan change is dropped.
+router.post(
+  "/:clubId/cancel",
+  authenticate,
+  validate(schemas.updateCancellation),
+  clubAdmin,
+  validateStripe,
+  loadSubscription,
+  async (req, res, next) => {
+    try {
+      const subscription = req.stripeSubscription;
+      if (subscription.cancel_at_period_end) {
+        return sendError(
+          res,
+          409,
+          "already_canceling",
+          "The subscription is already canceled at period end"
+        );
+      }
+
+      await releaseSchedule(subscription);
+      const updated = await getStripe().subscriptions.update(subscription.id, {
+        cancel_at_period_end: true,
+      });
+
+      res.json({
+        success: true,
+        subscription: formatSubscription(updated),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Resume a subscription whose cancellation at period end is pending
+router.post(
+  "/:clubId/resume",
+  authenticate,
+  validate(schemas.updateCancellation),
+  clubAdmin,
+  validateStripe,
+  loadSubscription,
+  async (req, res, next) => {
+    try {
+      const subscription = req.stripeSubscription;
+      if (!subscription.cancel_at_period_end) {
+        return sendError(
+          res,
+          409,
+          "no_pending_cancellation",
+          "The subscription has no pending cancellation"
+        );
+      }
+
+      const updated = await getStripe().subscriptions.update(subscription.id, {
+        cancel_at_period_end: false,
+      });
+
+      res.json({
+        success: true,
+        subscription: formatSubscription(updated),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Seats billed by a per-seat plan: the member (or team) count, the plan cap and
+// the quantity billed today. When the count changed, `preview` is the next
+// invoice once the quantity follows it.
+router.get(
+  "/:clubId/seats",
+  authenticate,
+  validate(schemas.getSeats),
+  clubAdmin,
+  validateStripe,
+  loadSubscription,
+  async (req, res, next) => {
+    try {
+      const subscription = req.stripeSubscription;
+      const seats = await describeSeats(req.club, subscription);
+      if (!seats) {
+        return sendError(
+          res,
+          409,
+          "plan_not_per_seat",
+          "This plan is not billed per seat"
+        );
+      }
+
+      const preview =
+        seats.quantity !== seats.billed_quantity
+          ? await previewSeatChange(
+              subscription,
+              seats.quantity,
+              req.query.proration_behavior || getDefaultProrationBehavior()
+            )
+          : null;
+
+      res.json({
+        success: true,
+        seats,
+        preview,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Set the subscription quantity to the club's seats. Pass the `proration_date`
+// of the preview to be charged exactly the previewed amount.
+router.post(
+  "/:clubId/seats/sync",
+  authenticate,
+  validate(schemas.syncSeats),
+  clubAdmin,
+  validateStripe,
+  loadSubscription,
+  async (req, res, next) => {
+    try {
+      const result = await syncClubSeats(req.club, {
+        subscription: req.stripeSubscription,
+        prorationBehavior:
+          req.body.proration_behavior || getDefaultProrationBehavior(),
+        prorationDate: req.body.proration_date,
+      });
+
+      if (result.status === "skipped") {
+        return sendError(
+          res,
+          409,
+          result.reason,
+          result.reason === "plan_not_per_seat"
+            ? "This plan is not billed per seat"
+            : "The subscription is not active"
+        );
+      }
+
+      res.json({
+        success: true,
+        updated: result.status === "updated",
+        seats: result.seats,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,336 @@
+const express = require("express");
+const router = express.Router();
+const { getStripe } = require("../config/stripe");
+const {
+  authenticate,
+  requireClubAdmin,
+  requireClubMember,
+  isClubAdmin,
+} = require("../middleware/auth");
+const { validateStripe } = require("../middleware/stripe");
+const { sendError } = require("../middleware/errors");
+const { validate, rejectFields } = require("../middleware/validate");
+const {
+  idempotent,
+  stripeRequestOptions,
+} = require("../middleware/idempotency");
+const { requireFeature } = require("../middleware/entitlements");
+const { rateLimit } = require("../middleware/rateLimit");
+const { calculateApplicationFee } = require("../services/payments");
+const {
+  MAX_TICKETS_PER_ORDER,
+  getClubEvent,
+  createTicketType,
+  listTicketTypes,
+  reserveTickets,
+  attachCheckoutSession,
+  releaseReservation,
+  listTickets,
+} = require("../services/tickets");
+const {
+  parseAmount,
+  toMajorUnits,
+  getClubCurrencies,
+} = require("../config/currencies");
+const schemas = require("../schemas/tickets");
+
+const getClubId = (req) => req.params.clubId;
+
+// HTTP status of the reasons a reservation is refused
+const RESERVATION_ERRORS = {
+  ticket_type_unavailable: 404,
+  tickets_sold_out: 409,
+  mixed_currencies: 400,
+};
+
+// Respond 404 when the event does not exist, else keep it in req.clubEvent
+const requireClubEvent = async (req, res, next) => {
+  try {
+    req.clubEvent = await getClubEvent(req.params.clubId, req.params.eventId);
+    if (!req.clubEvent) {
+      return sendError(res, 404, "event_not_found", "Event not found");
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Checks the `items` of a checkout. Returns { items } with camelCase keys, or
+// { errors } in the format of rejectFields().
+const parseCheckoutItems = (body) => {
+  const errors = [];
+  const items = [];
+
+  body.items.forEach((item, index) => {
+    const field = `items[${index}]`;
+    if (!item || typeof item !== "object") {
+      errors.push({ field, message: `${field} must be an object` });
+      return;
+    }
+    const { ticket_type_id: ticketTypeId, quantity } = item;
+    if (typeof ticketTypeId !== "string" || !ticketTypeId) {
+      errors.push({
+        field: `${field}.ticket_type_id`,
+        message: `${field}.ticket_type_id is required`,
+      });
+    } else if (items.some((other) => other.ticketTypeId === ticketTypeId)) {
+      errors.push({
+        field: `${field}.ticket_type_id`,
+        message: `${field}.ticket_type_id is already in the order`,
+      });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      errors.push({
+        field: `${field}.quantity`,
+        message: `${field}.quantity must be an integer of at least 1`,
+      });
+    }
+    items.push({ ticketTypeId, quantity });
+  });
+
+  if (!items.length) {
+    errors.push({ field: "items", message: "items must not be empty" });
+  } else if (
+    !errors.length &&
+    items.reduce((sum, item) => sum + item.quantity, 0) > MAX_TICKETS_PER_ORDER
+  ) {
+    errors.push({
+      field: "items",
+      message: `items must not add up to more than ${MAX_TICKETS_PER_ORDER} tickets`,
+    });
+  }
+
+  return errors.length ? { errors } : { items };
+};
+
+// List the ticket types of a club event, with the tickets left
+router.get(
+  "/:clubId/events/:eventId/ticket-types",
+  authenticate,
+  validate(schemas.listEventItems),
+  requireClubMember(getClubId),
+  requireClubEvent,
+  async (req, res, next) => {
+    try {
+      res.json({
+        success: true,
+        club_id: req.club.id,
+        event_id: req.clubEvent.id,
+        ticket_types: await listTicketTypes(req.club.id, req.clubEvent.id),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Create a ticket type for a club event, with its price and capacity
+router.post(
+  "/:clubId/events/:eventId/ticket-types",
+  authenticate,
+  validate(schemas.createTicketType),
+  requireClubAdmin(getClubId),
+  requireFeature(getClubId, "eventTicketing"),
+  requireClubEvent,
+  async (req, res, next) => {
+    try {
+      const { name, description, capacity } = req.body;
+      const allowedCurrencies = getClubCurrencies(req.club);
+      const currency = (
+        req.body.currency || allowedCurrencies[0]
+      ).toLowerCase();
+
+      if (!allowedCurrencies.includes(currency)) {
+        return rejectFields(res, [
+          {
+            field: "currency",
+            message: `currency must be one of: ${allowedCurrencies.join(", ")}`,
+          },
+        ]);
+      }
+
+      const amount = parseAmount(req.body.amount, currency);
+      if (amount.error) {
+        return rejectFields(res, [
+          { field: amount.field, message: amount.error },
+        ]);
+      }
+
+      const ticketType = await createTicketType(req.club.id, req.clubEvent.id, {
+        name,
+        description,
+        unitAmount: amount.amount,
+        currency,
+        capacity,
+        createdBy: req.user.uid,
+      });
+
+      res.status(201).json({
+        success: true,
+        ticket_type: ticketType,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Open a Checkout session to buy tickets of a club event.
+// The tickets are reserved until the session expires; they are issued by the
+// checkout.session.completed webhook. The payment is a destination charge to
+// the club's connected account, like member payments.
+router.post(
+  "/:clubId/events/:eventId/checkout-sessions",
+  authenticate,
+  rateLimit("payments"),
+  validate(schemas.createTicketCheckout),
+  requireClubMember(getClubId),
+  requireFeature(getClubId, "eventTicketing"),
+  requireClubEvent,
+  validateStripe,
+  idempotent,
+  async (req, res, next) => {
+    try {
+      const { success_url, cancel_url } = req.body;
+      const club = req.club;
+      const clubEvent = req.clubEvent;
+
+      const parsed = parseCheckoutItems(req.body);
+      if (parsed.errors) {
+        return rejectFields(res, parsed.errors);
+      }
+
+      if (
+        !club.stripeAccount?.accountId ||
+        !club.stripeAccount.chargesEnabled
+      ) {
+        return sendError(
+          res,
+          409,
+          "payments_not_enabled",
+          "This club cannot receive payments yet"
+        );
+      }
+
+      // A retry with the same Idempotency-Key finds the reservation of the
+      // first attempt instead of holding the tickets twice
+      const reservation = await reserveTickets({
+        clubId: club.id,
+        eventId: clubEvent.id,
+        memberId: req.user.uid,
+        items: parsed.items,
+        reservationId: req.idempotencyKey,
+      });
+      if (reservation.error) {
+        return sendError(
+          res,
+          RESERVATION_ERRORS[reservation.code],
+          reservation.code,
+          reservation.error
+        );
+      }
+
+      const metadata = {
+        kind: "event_tickets",
+        clubId: club.id,
+        eventId: clubEvent.id,
+        reservationId: reservation.id,
+        memberId: req.user.uid,
+      };
+      const eventName = clubEvent.name || clubEvent.title || "Event";
+
+      let session;
+      try {
+        session = await getStripe().checkout.sessions.create(
+          {
+            mode: "payment",
+            payment_method_types: ["card"],
+            line_items: reservation.items.map((item) => ({
+              quantity: item.quantity,
+              price_data: {
+                currency: reservation.currency,
+                unit_amount: item.unitAmount,
+                product_data: { name: `${eventName} - ${item.name}` },
+              },
+            })),
+            payment_intent_data: {
+              application_fee_amount: calculateApplicationFee(
+                reservation.amount
+              ),
+              transfer_data: { destination: club.stripeAccount.accountId },
+              metadata,
+            },
+            customer_email: req.user.email || undefined,
+            expires_at: reservation.expiresAt.seconds,
+            success_url,
+            cancel_url,
+            metadata,
+          },
+          // A reservation held again after a failed attempt has another
+          // expiry, so it gets a session of its own
+          stripeRequestOptions(req, reservation.expiresAt.seconds)
+        );
+      } catch (error) {
+        // No session will expire to release the tickets
+        await releaseReservation(
+          club.id,
+          clubEvent.id,
+          reservation.id,
+          "canceled"
+        );
+        throw error;
+      }
+
+      await attachCheckoutSession(
+        club.id,
+        clubEvent.id,
+        reservation.id,
+        session
+      );
+
+      res.json({
+        success: true,
+        session_id: session.id,
+        url: session.url,
+        reservation_id: reservation.id,
+        amount: reservation.amount,
+        amount_major: toMajorUnits(reservation.amount, reservation.currency),
+        currency: reservation.currency,
+        expires_at: new Date(session.expires_at * 1000).toISOString(),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// List the tickets issued for a club event: all of them for club admins, the
+// caller's own for members
+router.get(
+  "/:clubId/events/:eventId/tickets",
+  authenticate,
+  validate(schemas.listEventItems),
+  requireClubMember(getClubId),
+  requireClubEvent,
+  async (req, res, next) => {
+    try {
+      const holderId = isClubAdmin(req.club, req.user.uid)
+        ? undefined
+        : req.user.uid;
+
+      res.json({
+        success: true,
+        club_id: req.club.id,
+        event_id: req.clubEvent.id,
+        tickets: await listTickets(req.club.id, req.clubEvent.id, {
+          holderId,
+        }),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,67 @@
+// Request schemas of routes/admin.js
+const common = require("./common");
+const { EVENT_STATUS } = require("../services/webhookEvents");
+const { ANALYTICS_TABLES } = require("../services/analytics");
+const { PRORATION_BEHAVIORS } = require("../services/seats");
+
+const eventStatus = { type: "string", enum: Object.values(EVENT_STATUS) };
+
+module.exports = {
+  listWebhooks: {
+    query: {
+      type: { type: "string" },
+      club_id: { type: "string" },
+      status: eventStatus,
+      from: { type: "string", format: "date" },
+      to: { type: "string", format: "date" },
+      limit: { type: "integer", min: 1, max: 200 },
+      starting_after: { type: "string" },
+    },
+  },
+  replayRange: {
+    body: {
+      from: { type: "string", required: true, format: "date" },
+      to: { type: "string", required: true, format: "date" },
+      type: { type: "string" },
+      club_id: { type: "string" },
+      status: eventStatus,
+      starting_after: { type: "string" },
+      refetch: { type: "boolean" },
+    },
+  },
+  replayEvent: {
+    body: {
+      refetch: { type: "boolean" },
+    },
+  },
+  refundPayment: {
+    params: { id: { ...common.stripeId("pi"), required: true } },
+    body: {
+      // Full refund when omitted
+      amount: { type: "number", min: 0 },
+      reason: {
+        type: "string",
+        required: true,
+        enum: ["duplicate", "fraudulent", "requested_by_customer"],
+      },
+    },
+  },
+  reconcileSubscriptions: {
+    body: {
+      repair: { type: "boolean" },
+    },
+  },
+  syncSeats: {
+    body: {
+      proration_behavior: { type: "string", enum: PRORATION_BEHAVIORS },
+    },
+  },
+  billingAnalytics: {
+    query: {
+      from: { type: "string", format: "date" },
+      to: { type: "string", format: "date" },
+      format: { type: "string", enum: ["json", "csv"] },
+      table: { type: "string", enum: ANALYTICS_TABLES },
+    },
+  },
+};
@@ -0,0 +1,38 @@
+// Request schemas of routes/clubs.js
+const common = require("./common");
+const { NOTIFICATION_TYPES, LOCALES } = require("../config/notifications");
+
+module.exports = {
+  getClub: {
+    params: { clubId: common.clubId },
+  },
+  updateProfile: {
+    params: { clubId: common.clubId },
+    body: {
+      name: { type: "string", minLength: 1, maxLength: 200 },
+      email: common.email,
+    },
+  },
+  updateNotificationPreferences: {
+    params: { clubId: common.clubId },
+    body: {
+      locale: { type: "string", enum: LOCALES },
+      ...Object.fromEntries(
+        NOTIFICATION_TYPES.map((type) => [type, { type: "boolean" }])
+      ),
+    },
+  },
+  listLedger: {
+    params: { clubId: common.clubId },
+    query: {
+      limit: { type: "integer", min: 1, max: 200 },
+      starting_after: { type: "string" },
+    },
+  },
+  updateCurrencies: {
+    params: { clubId: common.clubId },
+    body: {
+      currencies: { type: "array", required: true },
+    },
+  },
+};
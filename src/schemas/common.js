@@ -0,0 +1,26 @@
+// Field rules shared by the request schemas (see middleware/validate.js)
+const { PLANS, BILLING_CYCLES } = require("../config/plans");
+
+const stripeId = (prefix) => ({
+  type: "string",
+  pattern: new RegExp(`^${prefix}_[A-Za-z0-9_]+$`),
+  patternMessage: `must be a Stripe ID starting with ${prefix}_`,
+});
+
+module.exports = {
+  stripeId,
+  clubId: { type: "string", required: true, maxLength: 128 },
+  url: { type: "string", format: "url" },
+  email: { type: "string", format: "email" },
+  currency: {
+    type: "string",
+    pattern: /^[a-zA-Z]{3}$/,
+    patternMessage: "must be a 3-letter ISO currency code",
+  },
+  plan: { type: "string", required: true, enum: Object.keys(PLANS) },
+  billingCycle: {
+    type: "string",
+    required: true,
+    enum: Object.keys(BILLING_CYCLES),
+  },
+};
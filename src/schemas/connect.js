@@ -0,0 +1,26 @@
+// Request schemas of routes/connect.js
+const common = require("./common");
+
+module.exports = {
+  createAccount: {
+    body: {
+      clubId: common.clubId,
+      country: {
+        type: "string",
+        pattern: /^[A-Z]{2}$/,
+        patternMessage: "must be a 2-letter ISO country code",
+      },
+      email: common.email,
+    },
+  },
+  createAccountLink: {
+    body: {
+      clubId: common.clubId,
+      refresh_url: { ...common.url, required: true },
+      return_url: { ...common.url, required: true },
+    },
+  },
+  getAccount: {
+    params: { clubId: common.clubId },
+  },
+};
@@ -0,0 +1,52 @@
+// Request schemas of routes/stripe.js
+const common = require("./common");
+
+const paymentIntentBody = {
+  // Minimum, maximum and decimals depend on the currency (config/currencies.js)
+  amount: { type: "number", required: true, min: 0 },
+  currency: common.currency,
+  description: { type: "string", maxLength: 500 },
+};
+
+module.exports = {
+  createPaymentIntent: {
+    body: {
+      ...paymentIntentBody,
+      clubId: { ...common.clubId, required: false },
+    },
+  },
+  createClubPaymentIntent: {
+    params: { clubId: common.clubId },
+    body: paymentIntentBody,
+  },
+  getPaymentIntent: {
+    params: { id: { ...common.stripeId("pi"), required: true } },
+  },
+  createCheckoutSession: {
+    body: {
+      plan: common.plan,
+      billing_cycle: common.billingCycle,
+      success_url: { ...common.url, required: true },
+      cancel_url: { ...common.url, required: true },
+      customer_email: common.email,
+      clubId: { ...common.clubId, required: false },
+      trial: { type: "boolean" },
+      allow_promotion_codes: { type: "boolean" },
+      coupon: { type: "string", maxLength: 255 },
+      metadata: {
+        type: "object",
+        fields: { clubId: { ...common.clubId, required: false } },
+      },
+    },
+  },
+  getCheckoutSession: {
+    params: { id: { ...common.stripeId("cs"), required: true } },
+  },
+  createCustomerPortal: {
+    body: {
+      clubId: common.clubId,
+      customer_id: common.stripeId("cus"),
+      return_url: { ...common.url, required: true },
+    },
+  },
+};
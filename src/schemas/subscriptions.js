@@ -0,0 +1,42 @@
+// Request schemas of routes/subscriptions.js
+const common = require("./common");
+const { PRORATION_BEHAVIORS } = require("../services/seats");
+
+const clubParams = { clubId: common.clubId };
+
+module.exports = {
+  getSubscription: {
+    params: clubParams,
+  },
+  previewPlanChange: {
+    params: clubParams,
+    body: {
+      plan: common.plan,
+      billing_cycle: common.billingCycle,
+    },
+  },
+  changePlan: {
+    params: clubParams,
+    body: {
+      plan: common.plan,
+      billing_cycle: common.billingCycle,
+      proration_date: { type: "integer", min: 0 },
+    },
+  },
+  updateCancellation: {
+    params: clubParams,
+  },
+  getSeats: {
+    params: clubParams,
+    query: {
+      proration_behavior: { type: "string", enum: PRORATION_BEHAVIORS },
+    },
+  },
+  syncSeats: {
+    params: clubParams,
+    body: {
+      proration_behavior: { type: "string", enum: PRORATION_BEHAVIORS },
+      proration_date: { type: "integer", min: 0 },
+    },
+  },
+};
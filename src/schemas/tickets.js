@@ -0,0 +1,33 @@
+// Request schemas of routes/tickets.js
+const common = require("./common");
+
+const eventParams = {
+  clubId: common.clubId,
+  eventId: { type: "string", required: true, maxLength: 128 },
+};
+
+module.exports = {
+  listEventItems: {
+    params: eventParams,
+  },
+  createTicketType: {
+    params: eventParams,
+    body: {
+      name: { type: "string", required: true, minLength: 1, maxLength: 100 },
+      description: { type: "string", maxLength: 500 },
+      // Unit price in major units, checked per currency like payments
+      amount: { type: "number", required: true, min: 0 },
+      currency: common.currency,
+      capacity: { type: "integer", required: true, min: 1, max: 100000 },
+    },
+  },
+  createTicketCheckout: {
+    params: eventParams,
+    body: {
+      // [{ ticket_type_id, quantity }], checked by the route
+      items: { type: "array", required: true },
+      success_url: { ...common.url, required: true },
+      cancel_url: { ...common.url, required: true },
+    },
+  },
+};
@@ -1,65 +1,18 @@
-const express = require("express");
-const cors = require("cors");
-const helmet = require("helmet");
-const morgan = require("morgan");
 require("dotenv").config();
 
-const stripeRoutes = require("./routes/stripe");
-const healthRoutes = require("./routes/health");
+const { createApp } = require("./app");
+const { logger } = require("./config/logger");
 
-const app = express();
+const app = createApp();
 const PORT = process.env.PORT || 3000;
 
-// Middleware
-app.use(helmet()); // Security headers
-app.use(cors()); // Enable CORS
-app.use(morgan("combined")); // Logging
-
-// Special handling for Stripe webhooks - must be before JSON body parser
-app.use("/api/stripe/webhook", express.raw({ type: "application/json" }));
-
-// Regular body parsing for other routes
-app.use(express.json()); // Parse JSON bodies
-app.use(express.urlencoded({ extended: true })); // Parse URL-encoded bodies
-
-// Routes
-app.use("/api/stripe", stripeRoutes);
-app.use("/api/health", healthRoutes);
-
-// Root route
-app.get("/", (req, res) => {
-  res.json({
-    message: "Welcome to Clubbix Backend API",
-    version: "1.0.0",
-    status: "running",
-  });
-});
-
-// 404 handler
-app.use("*", (req, res) => {
-  res.status(404).json({
-    error: "Route not found",
-    message: `Cannot ${req.method} ${req.originalUrl}`,
-  });
-});
-
-// Error handler
-app.use((err, req, res, next) => {
-  console.error(err.stack);
-  res.status(500).json({
-    error: "Internal Server Error",
-    message:
-      process.env.NODE_ENV === "development"
-        ? err.message
-        : "Something went wrong",
-  });
-});
-
 // Start server
 app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📊 Environment: ${process.env.NODE_ENV || "development"}`);
-  console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
+  logger.info("Server running", {
+    port: Number(PORT),
+    environment: process.env.NODE_ENV || "development",
+    health_check: `http://localhost:${PORT}/api/health`,
+  });
 });
 
 module.exports = app;
@@ -0,0 +1,312 @@
+const { getDb } = require("../config/firebase");
+const { getPlan } = require("../config/plans");
+const { toMajorUnits } = require("../config/currencies");
+const { WEBHOOK_COLLECTION, EVENT_STATUS } = require("./webhookEvents");
+
+// Billing analytics for Clubbix staff.
+// Current figures (MRR, statuses, plan mix) come from clubs/{id}.subscription;
+// monthly figures come from the webhook events stored in stripe_webhooks.
+// MRR is the catalog price of each plan times the billed quantity (seats of
+// per-seat plans), yearly prices divided by 12: discounts from coupons are not
+// taken into account.
+
+// Statuses still billed each period
+const PAYING_STATUSES = ["active", "past_due"];
+// Statuses counted in the plan mix
+const LIVE_STATUSES = ["active", "trialing", "past_due"];
+
+const MONTHS_PER_CYCLE = { monthly: 1, yearly: 12 };
+
+const MONTHLY_EVENT_TYPES = [
+  "customer.subscription.created",
+  "customer.subscription.deleted",
+  "invoice.payment_failed",
+  "invoice.payment_succeeded",
+];
+
+const ANALYTICS_TABLES = ["summary", "plans", "months"];
+
+// "2030-01" for a time in epoch seconds, in UTC
+const toMonth = (seconds) => new Date(seconds * 1000).toISOString().slice(0, 7);
+
+// Months from the one of `from` to the one before `to` (exclusive)
+const listMonths = (from, to) => {
+  const months = [];
+  const cursor = new Date(from);
+  cursor.setUTCDate(1);
+  cursor.setUTCHours(0, 0, 0, 0);
+  while (cursor < to) {
+    months.push(cursor.toISOString().slice(0, 7));
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return months;
+};
+
+// Default window: the current month and the 11 before it
+const getDefaultFrom = (now) =>
+  new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - 11, 1));
+
+// Quantity billed for a club. Subscriptions stored before the quantity was
+// recorded fall back to the synced seats.
+const getBilledQuantity = (club) =>
+  club.subscription.quantity || club.seats?.quantity || 1;
+
+// Monthly amount of a subscription in minor units, or null when its plan or
+// cycle is not in the catalog
+const getMonthlyAmount = (subscription, quantity = 1) => {
+  const price = getPlan(subscription.plan)?.prices[subscription.billingCycle];
+  if (!price) return null;
+  return {
+    amount:
+      (price.amount * quantity) / MONTHS_PER_CYCLE[subscription.billingCycle],
+    currency: price.currency,
+  };
+};
+
+const summarizeClubs = (clubs) => {
+  const statuses = Object.fromEntries(
+    LIVE_STATUSES.map((status) => [status, 0])
+  );
+  const revenue = {};
+  const plans = {};
+
+  clubs.forEach((club) => {
+    const { subscription } = club;
+    if (!subscription?.status) return;
+    statuses[subscription.status] = (statuses[subscription.status] || 0) + 1;
+    if (!LIVE_STATUSES.includes(subscription.status)) return;
+
+    const planKey = getPlan(subscription.plan) ? subscription.plan : "unknown";
+    const plan = (plans[planKey] = plans[planKey] || {
+      plan: planKey,
+      name: getPlan(planKey)?.name || null,
+      clubs: 0,
+      monthly: 0,
+      yearly: 0,
+      mrr: {},
+    });
+    plan.clubs += 1;
+    if (MONTHS_PER_CYCLE[subscription.billingCycle]) {
+      plan[subscription.billingCycle] += 1;
+    }
+
+    const monthly = getMonthlyAmount(subscription, getBilledQuantity(club));
+    if (!monthly || !PAYING_STATUSES.includes(subscription.status)) return;
+    revenue[monthly.currency] =
+      (revenue[monthly.currency] || 0) + monthly.amount;
+    plan.mrr[monthly.currency] =
+      (plan.mrr[monthly.currency] || 0) + monthly.amount;
+  });
+
+  return { statuses, revenue, plans: Object.values(plans) };
+};
+
+const describeRevenue = (revenue) =>
+  Object.entries(revenue).map(([currency, amount]) => {
+    const mrr = Math.round(amount);
+    const arr = Math.round(amount * 12);
+    return {
+      currency,
+      mrr,
+      arr,
+      mrr_major: toMajorUnits(mrr, currency),
+      arr_major: toMajorUnits(arr, currency),
+    };
+  });
+
+// Events of the monthly figures created from `from` on. Events skipped as
+// stale still happened (e.g. subscription.created after the checkout).
+// Payment successes after `to` still count as recoveries of earlier failures.
+const loadEvents = async (from) => {
+  const snapshot = await getDb()
+    .collection(WEBHOOK_COLLECTION)
+    .where("event_type", "in", MONTHLY_EVENT_TYPES)
+    .where("event_created", ">=", Math.floor(from.getTime() / 1000))
+    .get();
+  return snapshot.docs
+    .map((doc) => doc.data())
+    .filter(
+      (event) =>
+        event.processing_status === EVENT_STATUS.APPLIED ||
+        (event.processing_status === EVENT_STATUS.SKIPPED &&
+          event.processing_reason === "stale_event")
+    )
+    .sort((a, b) => a.event_created - b.event_created);
+};
+
+// New and churned clubs per month, and failed invoices with how many were
+// paid afterwards, counted in the month of their first failure
+const summarizeMonths = (events, months, to) => {
+  const toSeconds = to.getTime() / 1000;
+  const buckets = Object.fromEntries(
+    months.map((month) => [
+      month,
+      { new: new Set(), churned: new Set(), failed: new Set() },
+    ])
+  );
+  const firstFailures = new Map();
+  const paid = new Map();
+
+  events.forEach((event) => {
+    if (event.event_type === "invoice.payment_succeeded") {
+      if (event.invoice_id && !paid.has(event.invoice_id)) {
+        paid.set(event.invoice_id, event.event_created);
+      }
+      return;
+    }
+    const bucket =
+      event.event_created < toSeconds && buckets[toMonth(event.event_created)];
+    if (!bucket) return;
+
+    switch (event.event_type) {
+      case "customer.subscription.created":
+        if (event.club_id) bucket.new.add(event.club_id);
+        break;
+      case "customer.subscription.deleted":
+        if (event.club_id) bucket.churned.add(event.club_id);
+        break;
+      case "invoice.payment_failed":
+        if (event.invoice_id && !firstFailures.has(event.invoice_id)) {
+          firstFailures.set(event.invoice_id, event.event_created);
+          bucket.failed.add(event.invoice_id);
+        }
+        break;
+    }
+  });
+
+  const isRecovered = (invoiceId) =>
+    paid.has(invoiceId) && paid.get(invoiceId) >= firstFailures.get(invoiceId);
+
+  return months.map((month) => {
+    const bucket = buckets[month];
+    const failed = [...bucket.failed];
+    return {
+      month,
+      new_clubs: bucket.new.size,
+      churned_clubs: bucket.churned.size,
+      net_clubs: bucket.new.size - bucket.churned.size,
+      failed_payments: failed.length,
+      recovered_payments: failed.filter(isRecovered).length,
+    };
+  });
+};
+
+const getRecoveryRate = (recovered, failed) =>
+  failed ? Number((recovered / failed).toFixed(4)) : null;
+
+// Billing analytics between `from` (inclusive) and `to` (exclusive)
+const computeBillingAnalytics = async ({ from, to } = {}) => {
+  const now = new Date();
+  const end = to || now;
+  const start = from || getDefaultFrom(end);
+
+  const [clubsSnap, events] = await Promise.all([
+    getDb().collection("clubs").get(),
+    loadEvents(start),
+  ]);
+  const { statuses, revenue, plans } = summarizeClubs(
+    clubsSnap.docs.map((doc) => doc.data())
+  );
+  const months = summarizeMonths(events, listMonths(start, end), end);
+
+  const failed = months.reduce((sum, month) => sum + month.failed_payments, 0);
+  const recovered = months.reduce(
+    (sum, month) => sum + month.recovered_payments,
+    0
+  );
+
+  return {
+    generated_at: now.toISOString(),
+    from: start.toISOString(),
+    to: end.toISOString(),
+    paying_clubs: PAYING_STATUSES.reduce(
+      (sum, status) => sum + statuses[status],
+      0
+    ),
+    subscriptions: statuses,
+    revenue: describeRevenue(revenue),
+    plans: plans
+      .sort((a, b) => b.clubs - a.clubs || a.plan.localeCompare(b.plan))
+      .map(({ mrr, ...plan }) => ({
+        ...plan,
+        revenue: describeRevenue(mrr),
+      })),
+    months,
+    failed_payments: {
+      failed,
+      recovered,
+      recovery_rate: getRecoveryRate(recovered, failed),
+    },
+  };
+};
+
+const escapeCsv = (value) => {
+  const text = value === null || value === undefined ? "" : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (columns, rows) =>
+  [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+    .map((line) => line.map(escapeCsv).join(","))
+    .join("\r\n") + "\r\n";
+
+// One table of a report as CSV: `summary` (metric, value), `plans` or `months`
+const formatAnalyticsCsv = (report, table) => {
+  switch (table) {
+    case "plans":
+      return toCsv(
+        ["plan", "name", "clubs", "monthly", "yearly", "currency", "mrr"],
+        report.plans.flatMap((plan) =>
+          (plan.revenue.length ? plan.revenue : [{}]).map((revenue) => ({
+            ...plan,
+            currency: revenue.currency,
+            mrr: revenue.mrr_major,
+          }))
+        )
+      );
+    case "months":
+      return toCsv(
+        [
+          "month",
+          "new_clubs",
+          "churned_clubs",
+          "net_clubs",
+          "failed_payments",
+          "recovered_payments",
+        ],
+        report.months
+      );
+    default:
+      return toCsv(
+        ["metric", "value"],
+        [
+          { metric: "from", value: report.from },
+          { metric: "to", value: report.to },
+          { metric: "paying_clubs", value: report.paying_clubs },
+          ...Object.entries(report.subscriptions).map(([status, count]) => ({
+            metric: `subscriptions_${status}`,
+            value: count,
+          })),
+          ...report.revenue.flatMap((revenue) => [
+            { metric: `mrr_${revenue.currency}`, value: revenue.mrr_major },
+            { metric: `arr_${revenue.currency}`, value: revenue.arr_major },
+          ]),
+          { metric: "failed_payments", value: report.failed_payments.failed },
+          {
+            metric: "recovered_payments",
+            value: report.failed_payments.recovered,
+          },
+          {
+            metric: "recovery_rate",
+            value: report.failed_payments.recovery_rate,
+          },
+        ]
+      );
+  }
+};
+
+module.exports = {
+  ANALYTICS_TABLES,
+  computeBillingAnalytics,
+  formatAnalyticsCsv,
+};
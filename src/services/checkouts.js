@@ -0,0 +1,52 @@
+const { getDb } = require("../config/firebase");
+const { Timestamp } = require("firebase-admin").firestore;
+const { EVENT_STATUS } = require("./webhookEvents");
+const { logger } = require("../config/logger");
+
+// Outcome of the club's latest subscription checkout, in clubs/{id}.lastCheckout,
+// so the frontend can offer to resume an expired one
+const recordClubCheckout = async (session, event) => {
+  const clubId = session.metadata?.clubId;
+  if (!clubId) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const clubRef = getDb().collection("clubs").doc(clubId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn("Club document does not exist. Checkout record skipped.", {
+        club_id: clubId,
+      });
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found" };
+    }
+
+    const current = clubSnap.data().lastCheckout;
+    if (current?.lastEventCreated && event.created < current.lastEventCreated) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event" };
+    }
+
+    transaction.set(
+      clubRef,
+      {
+        lastCheckout: {
+          sessionId: session.id,
+          status: session.status,
+          paymentStatus: session.payment_status || null,
+          // Set when the session was created with recovery enabled
+          recoveryUrl: session.after_expiration?.recovery?.url || null,
+          updatedAt: Timestamp.now(),
+          lastEventId: event.id,
+          lastEventCreated: event.created,
+        },
+      },
+      { merge: true }
+    );
+    return { status: EVENT_STATUS.APPLIED, clubId };
+  });
+};
+
+module.exports = {
+  recordClubCheckout,
+};
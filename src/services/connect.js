@@ -0,0 +1,97 @@
+const { getDb } = require("../config/firebase");
+const { Timestamp } = require("firebase-admin").firestore;
+const { EVENT_STATUS } = require("./webhookEvents");
+const { logger } = require("../config/logger");
+
+// Shape stored in clubs/{id}.stripeAccount for a connected account
+const buildStripeAccountData = (account) => {
+  const requirements = account.requirements || {};
+
+  return {
+    accountId: account.id,
+    type: account.type || null,
+    country: account.country || null,
+    defaultCurrency: account.default_currency || null,
+    chargesEnabled: !!account.charges_enabled,
+    payoutsEnabled: !!account.payouts_enabled,
+    detailsSubmitted: !!account.details_submitted,
+    capabilities: account.capabilities || {},
+    requirements: {
+      currentlyDue: requirements.currently_due || [],
+      eventuallyDue: requirements.eventually_due || [],
+      pastDue: requirements.past_due || [],
+      pendingVerification: requirements.pending_verification || [],
+      disabledReason: requirements.disabled_reason || null,
+      currentDeadline: requirements.current_deadline
+        ? Timestamp.fromMillis(requirements.current_deadline * 1000)
+        : null,
+    },
+  };
+};
+
+// Onboarding is complete once Stripe lets the account take charges and receive payouts
+const getOnboardingStatus = (stripeAccount) => {
+  if (!stripeAccount) return "not_started";
+  if (stripeAccount.requirements?.disabledReason) return "restricted";
+  if (stripeAccount.chargesEnabled && stripeAccount.payoutsEnabled) {
+    return "complete";
+  }
+  return stripeAccount.detailsSubmitted ? "pending_verification" : "incomplete";
+};
+
+// Save the connected account state on the club document.
+// When called from a webhook, older events than the last applied one are skipped.
+const updateClubStripeAccount = async (clubId, account, event = null) => {
+  if (!clubId) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const clubRef = getDb().collection("clubs").doc(clubId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn(
+        "Club document does not exist. Stripe account update skipped.",
+        {
+          club_id: clubId,
+        }
+      );
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found" };
+    }
+
+    const current = clubSnap.data().stripeAccount;
+    if (current?.accountId && current.accountId !== account.id) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "account_mismatch" };
+    }
+    if (
+      event &&
+      current?.lastEventCreated &&
+      event.created < current.lastEventCreated
+    ) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event" };
+    }
+
+    const stripeAccount = {
+      ...buildStripeAccountData(account),
+      updatedAt: Timestamp.now(),
+    };
+    if (event) {
+      stripeAccount.lastEventId = event.id;
+      stripeAccount.lastEventCreated = event.created;
+    }
+
+    transaction.set(
+      clubRef,
+      { stripeAccount, updatedAt: Timestamp.now() },
+      { merge: true }
+    );
+    return { status: EVENT_STATUS.APPLIED };
+  });
+};
+
+module.exports = {
+  buildStripeAccountData,
+  getOnboardingStatus,
+  updateClubStripeAccount,
+};
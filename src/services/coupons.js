@@ -0,0 +1,38 @@
+const { getStripe } = require("../config/stripe");
+
+// Check a coupon before applying it to a subscription checkout.
+// Coupons can be restricted to some plans with a `plans` metadata entry
+// listing plan keys ("pro,premium").
+// Returns { coupon } or { error } with a message for the client.
+const findValidCoupon = async (couponId, planKey) => {
+  let coupon;
+  try {
+    coupon = await getStripe().coupons.retrieve(couponId);
+  } catch (error) {
+    if (error.code === "resource_missing") {
+      return { error: "This coupon does not exist" };
+    }
+    throw error;
+  }
+
+  if (!coupon.valid) {
+    return { error: "This coupon is no longer valid" };
+  }
+
+  const plans = coupon.metadata?.plans;
+  if (
+    plans &&
+    !plans
+      .split(",")
+      .map((plan) => plan.trim())
+      .includes(planKey)
+  ) {
+    return { error: "This coupon does not apply to this plan" };
+  }
+
+  return { coupon };
+};
+
+module.exports = {
+  findValidCoupon,
+};
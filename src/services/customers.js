@@ -0,0 +1,105 @@
+const crypto = require("crypto");
+const { getDb } = require("../config/firebase");
+const { getStripe } = require("../config/stripe");
+const { Timestamp } = require("firebase-admin").firestore;
+
+// Each club is billed through a single Stripe customer, stored in
+// clubs/{id}.stripeCustomer together with the name and email last sent to Stripe.
+
+// Name and email the club's customer should carry
+const getCustomerDetails = (club, fallbackEmail = null) => ({
+  name: club.name || null,
+  email: club.email || club.stripeCustomer?.email || fallbackEmail || null,
+});
+
+const saveClubCustomer = async (clubId, customerId, details) => {
+  const clubRef = getDb().collection("clubs").doc(clubId);
+
+  // A concurrent request may have stored a customer in the meantime:
+  // the first one stored wins
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    const current = clubSnap.data()?.stripeCustomer;
+    if (current?.customerId) {
+      return current.customerId;
+    }
+
+    transaction.set(
+      clubRef,
+      {
+        stripeCustomer: {
+          customerId,
+          ...details,
+          syncedAt: Timestamp.now(),
+        },
+      },
+      { merge: true }
+    );
+    return customerId;
+  });
+};
+
+// Push the club's name and email to its customer when they changed since the
+// last sync
+const syncClubCustomer = async (club, fallbackEmail = null) => {
+  const stored = club.stripeCustomer;
+  if (!stored?.customerId) return null;
+
+  const details = getCustomerDetails(club, fallbackEmail);
+  if (stored.name === details.name && stored.email === details.email) {
+    return stored.customerId;
+  }
+
+  await getStripe().customers.update(stored.customerId, {
+    name: details.name || undefined,
+    email: details.email || undefined,
+  });
+  await getDb().collection("clubs").doc(club.id).update({
+    "stripeCustomer.name": details.name,
+    "stripeCustomer.email": details.email,
+    "stripeCustomer.syncedAt": Timestamp.now(),
+  });
+  return stored.customerId;
+};
+
+// Stripe customer ID of a club ({ id, ...data }), created on first use.
+// Clubs that subscribed before customers were stored keep the customer of
+// their subscription. `fallbackEmail` is used when the club has no email.
+const getOrCreateClubCustomer = async (club, fallbackEmail = null) => {
+  if (club.stripeCustomer?.customerId) {
+    return syncClubCustomer(club, fallbackEmail);
+  }
+
+  const details = getCustomerDetails(club, fallbackEmail);
+  const params = {
+    name: details.name || undefined,
+    email: details.email || undefined,
+    metadata: { clubId: club.id },
+  };
+  let customerId = club.subscription?.customerId;
+
+  if (customerId) {
+    await getStripe().customers.update(customerId, params);
+  } else {
+    // The idempotency key makes concurrent first uses share one customer.
+    // It covers the params too: Stripe rejects a key reused within 24h with
+    // other params, e.g. after the club's email changed.
+    const paramsHash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(params))
+      .digest("hex")
+      .slice(0, 16);
+    const customer = await getStripe().customers.create(params, {
+      idempotencyKey: `club-customer-${club.id}-${paramsHash}`,
+    });
+    customerId = customer.id;
+  }
+
+  return saveClubCustomer(club.id, customerId, details);
+};
+
+module.exports = {
+  getCustomerDetails,
+  syncClubCustomer,
+  getOrCreateClubCustomer,
+};
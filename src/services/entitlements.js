@@ -0,0 +1,82 @@
+const { FREE_PLAN, getPlan } = require("../config/plans");
+
+// Subscription statuses that give access to the plan
+const ACTIVE_STATUSES = ["active", "trialing"];
+
+const toMillis = (value) => {
+  if (!value) return null;
+  if (typeof value.toMillis === "function") return value.toMillis();
+  return new Date(value).getTime();
+};
+
+const toISOString = (value) => {
+  const millis = toMillis(value);
+  return millis ? new Date(millis).toISOString() : null;
+};
+
+// Work out how much of its plan a club may use right now.
+// - active / trialing: full access (until the period ends when canceled at period end)
+// - past_due: full access until billingHealth.graceEndsAt, then restricted
+// - anything else (canceled, unpaid, incomplete, no subscription): free tier
+const getAccessLevel = (subscription, billingHealth, now = Date.now()) => {
+  if (!subscription || !getPlan(subscription.plan)) return "none";
+
+  const periodEnd = toMillis(subscription.currentPeriodEnd);
+  const periodOver = periodEnd !== null && periodEnd <= now;
+
+  if (ACTIVE_STATUSES.includes(subscription.status)) {
+    // The subscription.deleted webhook may lag behind the period end
+    if (subscription.cancelAtPeriodEnd && periodOver) return "none";
+    return "full";
+  }
+
+  if (subscription.status === "past_due") {
+    const graceEndsAt = toMillis(billingHealth?.graceEndsAt);
+    return graceEndsAt && now < graceEndsAt ? "grace" : "restricted";
+  }
+
+  return "none";
+};
+
+// Feature flags and limits for a club document
+const computeEntitlements = (club, now = Date.now()) => {
+  const subscription = club?.subscription || null;
+  const billingHealth = club?.billingHealth || null;
+  const access = getAccessLevel(subscription, billingHealth, now);
+  const plan =
+    access === "full" || access === "grace"
+      ? getPlan(subscription.plan)
+      : FREE_PLAN;
+
+  return {
+    plan: plan === FREE_PLAN ? "free" : subscription.plan,
+    subscriptionStatus: subscription?.status || null,
+    access,
+    trialing: access === "full" && subscription.status === "trialing",
+    // Stripe's trial_end, which follows a trial extended or ended early
+    trialEndsAt:
+      subscription?.status === "trialing"
+        ? toISOString(subscription.trialEnd)
+        : null,
+    graceEndsAt:
+      access === "grace" ? toISOString(billingHealth.graceEndsAt) : null,
+    cancelsAt:
+      access === "full" && subscription.cancelAtPeriodEnd
+        ? toISOString(subscription.currentPeriodEnd)
+        : null,
+    features: { ...plan.features },
+    limits: { ...plan.limits },
+  };
+};
+
+// A null limit means unlimited
+const isWithinLimit = (entitlements, limit, usage) => {
+  const max = entitlements.limits[limit];
+  return max === null || max === undefined || usage < max;
+};
+
+module.exports = {
+  getAccessLevel,
+  computeEntitlements,
+  isWithinLimit,
+};
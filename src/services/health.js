@@ -0,0 +1,157 @@
+const os = require("os");
+const { getDb } = require("../config/firebase");
+const { testStripeConnection } = require("../config/stripe");
+const { listEvents } = require("./webhookEvents");
+
+// Dependency checks behind the readiness and detailed health endpoints.
+// Results are cached for HEALTH_CACHE_SECONDS so frequent probes do not call
+// Stripe and Firestore every time.
+
+const HEALTH_COLLECTION = "health_checks";
+
+// Settings the server cannot work without
+const REQUIRED_CONFIG = [
+  "STRIPE_SECRET_KEY",
+  "STRIPE_WEBHOOK_SECRET",
+  "STRIPE_PUBLISHABLE_KEY",
+];
+
+const readNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return process.env[name] !== undefined && Number.isFinite(value)
+    ? value
+    : fallback;
+};
+
+const getCacheSeconds = () => readNumber("HEALTH_CACHE_SECONDS", 10);
+const getCheckTimeoutMs = () => readNumber("HEALTH_CHECK_TIMEOUT_MS", 3000);
+const getWebhookMaxAgeHours = () =>
+  readNumber("HEALTH_WEBHOOK_MAX_AGE_HOURS", 24);
+
+// Reject when `promise` takes longer than the check timeout, so a hung
+// dependency fails the probe instead of blocking it
+const withTimeout = (promise) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out after ${getCheckTimeoutMs()}ms`)),
+      getCheckTimeoutMs()
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+// Run `check` and time it. Returns { status: "ok" | "failed", latency_ms, ... }
+const timed = async (check) => {
+  const startedAt = Date.now();
+  try {
+    const details = await withTimeout(check());
+    return { status: "ok", latency_ms: Date.now() - startedAt, ...details };
+  } catch (error) {
+    return {
+      status: "failed",
+      latency_ms: Date.now() - startedAt,
+      error: error.message,
+    };
+  }
+};
+
+const checkStripe = () =>
+  timed(async () => {
+    const result = await testStripeConnection();
+    if (!result.success) throw new Error(result.error);
+    return {};
+  });
+
+// Write a document of this instance and read it back
+const checkFirestore = () =>
+  timed(async () => {
+    const probeRef = getDb()
+      .collection(HEALTH_COLLECTION)
+      .doc(`${os.hostname()}-${process.pid}`);
+    const checkedAt = new Date().toISOString();
+    await probeRef.set({ checked_at: checkedAt });
+    const probeSnap = await probeRef.get();
+    if (probeSnap.get("checked_at") !== checkedAt) {
+      throw new Error("Probe document read back with another value");
+    }
+    return {};
+  });
+
+const checkConfig = () => {
+  const missing = REQUIRED_CONFIG.filter((name) => !process.env[name]);
+  return { status: missing.length ? "failed" : "ok", missing };
+};
+
+// Age of the last webhook received. A webhook endpoint that stopped receiving
+// events (wrong URL, rotated secret) shows up as "stale"; it does not make the
+// server unready.
+const checkWebhooks = async () => {
+  try {
+    const [last] = await withTimeout(listEvents({ limit: 1 }));
+    if (!last?.received_at) {
+      return { status: "none", last_received_at: null, age_seconds: null };
+    }
+
+    const ageSeconds = Math.floor(
+      (Date.now() - Date.parse(last.received_at)) / 1000
+    );
+    return {
+      status: ageSeconds > getWebhookMaxAgeHours() * 3600 ? "stale" : "ok",
+      last_received_at: last.received_at,
+      last_event_type: last.event_type,
+      age_seconds: ageSeconds,
+    };
+  } catch (error) {
+    return { status: "failed", error: error.message };
+  }
+};
+
+const runChecks = async () => {
+  const [stripe, firestore, webhooks] = await Promise.all([
+    checkStripe(),
+    checkFirestore(),
+    checkWebhooks(),
+  ]);
+  const checks = { stripe, firestore, config: checkConfig(), webhooks };
+  return {
+    ready: ["stripe", "firestore", "config"].every(
+      (name) => checks[name].status === "ok"
+    ),
+    checked_at: new Date().toISOString(),
+    checks,
+  };
+};
+
+let cached = null;
+let pending = null;
+
+// Result of the dependency checks, from the cache when recent enough.
+// Concurrent callers share one run.
+const getHealthReport = async () => {
+  if (cached && Date.now() - cached.at < getCacheSeconds() * 1000) {
+    return { ...cached.report, cached: true };
+  }
+
+  if (!pending) {
+    pending = runChecks()
+      .then((report) => {
+        cached = { at: Date.now(), report };
+        return report;
+      })
+      .finally(() => {
+        pending = null;
+      });
+  }
+  return { ...(await pending), cached: false };
+};
+
+// Forget cached results (e.g. between tests)
+const clearHealthCache = () => {
+  cached = null;
+};
+
+module.exports = {
+  getHealthReport,
+  clearHealthCache,
+};
@@ -0,0 +1,117 @@
+const crypto = require("crypto");
+const { Timestamp } = require("firebase-admin").firestore;
+const { getDb } = require("../config/firebase");
+
+const IDEMPOTENCY_COLLECTION = "idempotency_keys";
+
+// Stored responses are replayed for this long; Stripe keeps its own keys for 24h.
+// `expiresAt` can also drive a Firestore TTL policy that deletes old documents.
+const getTtlMs = () =>
+  (parseFloat(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// A request still "processing" after this long (e.g. the process crashed) no
+// longer blocks the key
+const PROCESSING_TIMEOUT_MS = 60 * 1000;
+
+const KEY_STATUS = {
+  PROCESSING: "processing",
+  COMPLETED: "completed",
+};
+
+const sha256 = (value) =>
+  crypto.createHash("sha256").update(value).digest("hex");
+
+// JSON with sorted object keys, so the same payload always hashes the same
+const stableStringify = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value !== null && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+// Keys are scoped to the user who sent them
+const getKeyId = (userId, key) => sha256(`${userId}:${key}`);
+
+const getRequestFingerprint = ({ method, path, body }) =>
+  sha256(stableStringify({ method, path, body: body || {} }));
+
+// Claim `key` for a request.
+// Returns { state: "claimed" } when the request should run, { state: "replay",
+// response } when it already completed, { state: "mismatch" } when the key was
+// used with another payload and { state: "in_progress" } when the first
+// request is still running.
+const claimKey = async ({ userId, key, fingerprint }) => {
+  const keyRef = getDb()
+    .collection(IDEMPOTENCY_COLLECTION)
+    .doc(getKeyId(userId, key));
+
+  return getDb().runTransaction(async (transaction) => {
+    const keySnap = await transaction.get(keyRef);
+    const stored = keySnap.exists ? keySnap.data() : null;
+    const now = Date.now();
+
+    if (stored && stored.expiresAt.toMillis() > now) {
+      if (stored.fingerprint !== fingerprint) {
+        return { state: "mismatch" };
+      }
+      if (stored.status === KEY_STATUS.COMPLETED) {
+        return {
+          state: "replay",
+          response: {
+            status: stored.responseStatus,
+            body: stored.responseBody,
+          },
+        };
+      }
+      if (now - stored.claimedAt.toMillis() < PROCESSING_TIMEOUT_MS) {
+        return { state: "in_progress" };
+      }
+    }
+
+    transaction.set(keyRef, {
+      key,
+      userId,
+      fingerprint,
+      status: KEY_STATUS.PROCESSING,
+      claimedAt: Timestamp.fromMillis(now),
+      expiresAt: Timestamp.fromMillis(now + getTtlMs()),
+    });
+    return { state: "claimed" };
+  });
+};
+
+// Store the response of a claimed request so retries get the same body
+const saveResponse = async ({ userId, key }, status, body) => {
+  await getDb()
+    .collection(IDEMPOTENCY_COLLECTION)
+    .doc(getKeyId(userId, key))
+    .update({
+      status: KEY_STATUS.COMPLETED,
+      responseStatus: status,
+      responseBody: body,
+      completedAt: Timestamp.now(),
+    });
+};
+
+// Free the key after a failure the client may retry (5xx, rate limits)
+const releaseKey = async ({ userId, key }) => {
+  await getDb()
+    .collection(IDEMPOTENCY_COLLECTION)
+    .doc(getKeyId(userId, key))
+    .delete();
+};
+
+module.exports = {
+  IDEMPOTENCY_COLLECTION,
+  getKeyId,
+  getRequestFingerprint,
+  claimKey,
+  saveResponse,
+  releaseKey,
+};
@@ -0,0 +1,207 @@
+const { getDb } = require("../config/firebase");
+const { Timestamp } = require("firebase-admin").firestore;
+const { EVENT_STATUS } = require("./webhookEvents");
+const { logger } = require("../config/logger");
+
+// Days a club keeps full access after its first failed payment
+const BILLING_GRACE_PERIOD_DAYS = parseInt(
+  process.env.BILLING_GRACE_PERIOD_DAYS || "7",
+  10
+);
+
+const toTimestamp = (seconds) =>
+  seconds ? Timestamp.fromMillis(seconds * 1000) : null;
+
+// Find the club an invoice belongs to: from the subscription metadata copied on
+// the invoice, or from the subscription/customer stored on the club document
+const findClubIdForInvoice = async (invoice) => {
+  const clubId =
+    invoice.subscription_details?.metadata?.clubId || invoice.metadata?.clubId;
+  if (clubId) return clubId;
+
+  const lookups = [
+    ["subscription.subscriptionId", invoice.subscription],
+    ["subscription.customerId", invoice.customer],
+  ];
+  for (const [field, value] of lookups) {
+    if (!value) continue;
+    const snapshot = await getDb()
+      .collection("clubs")
+      .where(field, "==", value)
+      .limit(1)
+      .get();
+    if (!snapshot.empty) return snapshot.docs[0].id;
+  }
+  return null;
+};
+
+const buildInvoiceData = (invoice) => ({
+  invoiceId: invoice.id,
+  number: invoice.number || null,
+  subscriptionId: invoice.subscription || null,
+  customerId: invoice.customer || null,
+  status: invoice.status || null,
+  billingReason: invoice.billing_reason || null,
+  amountDue: invoice.amount_due || 0,
+  amountPaid: invoice.amount_paid || 0,
+  amountRemaining: invoice.amount_remaining || 0,
+  currency: invoice.currency,
+  attemptCount: invoice.attempt_count || 0,
+  nextPaymentAttempt: toTimestamp(invoice.next_payment_attempt),
+  periodStart: toTimestamp(invoice.period_start),
+  periodEnd: toTimestamp(invoice.period_end),
+  dueDate: toTimestamp(invoice.due_date),
+  hostedInvoiceUrl: invoice.hosted_invoice_url || null,
+  invoicePdf: invoice.invoice_pdf || null,
+  createdAt: toTimestamp(invoice.created),
+});
+
+// New billingHealth block for a club after an invoice event
+const buildBillingHealth = (eventType, invoice, current = {}) => {
+  const now = Timestamp.now();
+
+  switch (eventType) {
+    case "invoice.payment_succeeded":
+      return {
+        ...current,
+        status: "healthy",
+        failedAttempts: 0,
+        nextRetryAt: null,
+        graceEndsAt: null,
+        actionRequired: false,
+        actionUrl: null,
+        lastSuccessfulPaymentAt: now,
+        lastSuccessfulInvoiceId: invoice.id,
+      };
+    case "invoice.payment_failed":
+      return {
+        ...current,
+        status: "past_due",
+        failedAttempts:
+          invoice.attempt_count || (current.failedAttempts || 0) + 1,
+        nextRetryAt: toTimestamp(invoice.next_payment_attempt),
+        // The grace period starts at the first failure and is not extended by retries
+        graceEndsAt:
+          current.graceEndsAt ||
+          Timestamp.fromMillis(
+            now.toMillis() + BILLING_GRACE_PERIOD_DAYS * 24 * 60 * 60 * 1000
+          ),
+        lastFailedInvoiceId: invoice.id,
+        lastFailureAt: now,
+      };
+    case "invoice.payment_action_required":
+      return {
+        ...current,
+        status: "action_required",
+        actionRequired: true,
+        actionUrl: invoice.hosted_invoice_url || null,
+        nextRetryAt: toTimestamp(invoice.next_payment_attempt),
+      };
+    case "invoice.upcoming":
+      return {
+        ...current,
+        upcomingInvoice: {
+          amountDue: invoice.amount_due || 0,
+          currency: invoice.currency,
+          nextPaymentAt: toTimestamp(
+            invoice.next_payment_attempt || invoice.period_end
+          ),
+        },
+      };
+    default:
+      return current;
+  }
+};
+
+// Whether `event` is older than the last event applied to `record`
+const isStaleEvent = (record, event) =>
+  !!record?.lastEventCreated && event.created < record.lastEventCreated;
+
+// Persist an invoice under clubs/{id}/invoices and update the club billingHealth.
+// `invoice.upcoming` has no invoice ID yet, so it only updates billingHealth.
+// Each invoice document is guarded by its own last event, so a late event of
+// one invoice is still recorded when another invoice moved on. The billing
+// status is guarded by the last payment event of any invoice; the upcoming
+// invoice is guarded separately and does not advance it.
+const recordClubInvoice = async (invoice, event) => {
+  const clubId = await findClubIdForInvoice(invoice);
+  if (!clubId) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const clubRef = getDb().collection("clubs").doc(clubId);
+  const invoiceRef = invoice.id
+    ? clubRef.collection("invoices").doc(invoice.id)
+    : null;
+  const upcoming = event.type === "invoice.upcoming";
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn("Club document does not exist. Invoice update skipped.", {
+        club_id: clubId,
+      });
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found" };
+    }
+
+    const invoiceSnap = invoiceRef ? await transaction.get(invoiceRef) : null;
+    const storedInvoice = invoiceSnap?.exists ? invoiceSnap.data() : null;
+    const billingHealth = clubSnap.data().billingHealth || {};
+
+    const writeInvoice = !!invoiceRef && !isStaleEvent(storedInvoice, event);
+    const writeHealth = !isStaleEvent(
+      upcoming ? billingHealth.upcomingInvoice : billingHealth,
+      event
+    );
+    if (!writeInvoice && !writeHealth) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event" };
+    }
+
+    if (writeInvoice) {
+      transaction.set(
+        invoiceRef,
+        {
+          ...buildInvoiceData(invoice),
+          createdAt: storedInvoice?.createdAt || toTimestamp(invoice.created),
+          updatedAt: Timestamp.now(),
+          lastEventType: event.type,
+          lastEventId: event.id,
+          lastEventCreated: event.created,
+        },
+        { merge: true }
+      );
+    }
+
+    if (writeHealth) {
+      const health = buildBillingHealth(event.type, invoice, billingHealth);
+      transaction.set(
+        clubRef,
+        {
+          billingHealth: upcoming
+            ? {
+                ...health,
+                upcomingInvoice: {
+                  ...health.upcomingInvoice,
+                  lastEventCreated: event.created,
+                },
+              }
+            : {
+                ...health,
+                lastEventId: event.id,
+                lastEventCreated: event.created,
+              },
+          updatedAt: Timestamp.now(),
+        },
+        { merge: true }
+      );
+    }
+    return { status: EVENT_STATUS.APPLIED, clubId };
+  });
+};
+
+module.exports = {
+  BILLING_GRACE_PERIOD_DAYS,
+  findClubIdForInvoice,
+  buildBillingHealth,
+  recordClubInvoice,
+};
@@ -0,0 +1,192 @@
+const { getDb } = require("../config/firebase");
+const { Timestamp } = require("firebase-admin").firestore;
+const { toMajorUnits } = require("../config/currencies");
+
+// Append-only history of the money collected for a club on its connected
+// account, in clubs/{id}/ledger. Amounts are in minor units, positive when the
+// club's balance grows. Each entry has a deterministic ID built from the Stripe
+// object it records, so a replayed event never adds it twice. The running
+// balance per currency and the last sequence number are kept in clubs/{id}.ledger.
+
+// Read step of an append, to run with the other reads of `transaction`.
+// Returns a function that writes the entries not recorded yet and returns how
+// many were appended. `club` is the data of the club read in the transaction.
+const prepareLedgerEntries = async (transaction, clubRef, club, entries) => {
+  const ledgerRef = clubRef.collection("ledger");
+  const snaps = await Promise.all(
+    entries.map((entry) => transaction.get(ledgerRef.doc(entry.id)))
+  );
+  const pending = entries.filter(
+    (entry, index) => entry.amount !== 0 && !snaps[index].exists
+  );
+
+  return () => {
+    if (!pending.length) return 0;
+
+    let sequence = club.ledger?.sequence || 0;
+    const balances = { ...club.ledger?.balances };
+    pending.forEach(({ id, occurredAt, ...entry }) => {
+      sequence += 1;
+      balances[entry.currency] = (balances[entry.currency] || 0) + entry.amount;
+      transaction.create(ledgerRef.doc(id), {
+        ...entry,
+        sequence,
+        balanceAfter: balances[entry.currency],
+        occurredAt: Timestamp.fromMillis(occurredAt * 1000),
+        recordedAt: Timestamp.now(),
+      });
+    });
+    transaction.set(
+      clubRef,
+      { ledger: { sequence, balances, updatedAt: Timestamp.now() } },
+      { merge: true }
+    );
+    return pending.length;
+  };
+};
+
+// Ledger entries of a payment once it succeeded: the amount collected and the
+// Clubbix application fee
+const buildPaymentEntries = (paymentIntent, event) => {
+  const base = {
+    currency: paymentIntent.currency,
+    paymentIntentId: paymentIntent.id,
+    eventId: event.id,
+    occurredAt: event.created,
+  };
+  return [
+    {
+      ...base,
+      id: `payment_${paymentIntent.id}`,
+      type: "payment",
+      amount: paymentIntent.amount_received || paymentIntent.amount,
+      sourceId: paymentIntent.id,
+    },
+    {
+      ...base,
+      id: `application_fee_${paymentIntent.id}`,
+      type: "application_fee",
+      amount: -(paymentIntent.application_fee_amount || 0),
+      sourceId: paymentIntent.id,
+    },
+  ];
+};
+
+// Ledger entries of the refunds of a charge. Refunds of member payments
+// reverse the transfer to the club and give back the matching share of the
+// application fee.
+const buildRefundEntries = (charge, refunds, event) =>
+  refunds.flatMap((refund) => {
+    const base = {
+      currency: refund.currency,
+      paymentIntentId: charge.payment_intent || null,
+      chargeId: charge.id,
+      sourceId: refund.id,
+      eventId: event.id,
+      occurredAt: refund.created || event.created,
+    };
+    const feeRefund = charge.amount
+      ? Math.round(
+          ((charge.application_fee_amount || 0) * refund.amount) / charge.amount
+        )
+      : 0;
+    return [
+      {
+        ...base,
+        id: `refund_${refund.id}`,
+        type: "refund",
+        amount: -refund.amount,
+      },
+      {
+        ...base,
+        id: `application_fee_refund_${refund.id}`,
+        type: "application_fee_refund",
+        amount: feeRefund,
+      },
+    ];
+  });
+
+// Ledger entries of the funds a dispute withdrew or reinstated, and of its
+// fees, from the balance transactions of the dispute
+const buildDisputeEntries = (dispute, event) =>
+  (dispute.balance_transactions || []).flatMap((transaction) => {
+    const base = {
+      currency: transaction.currency,
+      paymentIntentId: dispute.payment_intent || null,
+      chargeId: dispute.charge,
+      sourceId: dispute.id,
+      eventId: event.id,
+      occurredAt: transaction.created || event.created,
+    };
+    return [
+      {
+        ...base,
+        id: `dispute_${transaction.id}`,
+        type: transaction.amount < 0 ? "dispute" : "dispute_reversal",
+        amount: transaction.amount,
+      },
+      {
+        ...base,
+        id: `dispute_fee_${transaction.id}`,
+        type: "dispute_fee",
+        amount: -(transaction.fee || 0),
+      },
+    ];
+  });
+
+const toIsoString = (timestamp) =>
+  timestamp ? timestamp.toDate().toISOString() : null;
+
+// Shape of a ledger entry in API responses
+const describeLedgerEntry = (id, entry) => ({
+  id,
+  type: entry.type,
+  amount: entry.amount,
+  amount_major: toMajorUnits(entry.amount, entry.currency),
+  currency: entry.currency,
+  balance_after: entry.balanceAfter,
+  payment_intent_id: entry.paymentIntentId || null,
+  charge_id: entry.chargeId || null,
+  source_id: entry.sourceId,
+  sequence: entry.sequence,
+  occurred_at: toIsoString(entry.occurredAt),
+  recorded_at: toIsoString(entry.recordedAt),
+});
+
+// Current balance of a club per currency
+const describeLedgerBalances = (club) =>
+  Object.entries(club.ledger?.balances || {}).map(([currency, amount]) => ({
+    currency,
+    amount,
+    amount_major: toMajorUnits(amount, currency),
+  }));
+
+// Latest entries of a club's ledger first. `startingAfter` is the ID of the
+// last entry of the previous page.
+const listLedgerEntries = async (
+  clubId,
+  { limit = 50, startingAfter } = {}
+) => {
+  const ledgerRef = getDb()
+    .collection("clubs")
+    .doc(clubId)
+    .collection("ledger");
+  let query = ledgerRef.orderBy("sequence", "desc");
+
+  if (startingAfter) {
+    const cursor = await ledgerRef.doc(startingAfter).get();
+    if (cursor.exists) query = query.startAfter(cursor);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  return snapshot.docs.map((doc) => describeLedgerEntry(doc.id, doc.data()));
+};
+
+module.exports = {
+  prepareLedgerEntries,
+  buildPaymentEntries,
+  buildRefundEntries,
+  buildDisputeEntries,
+  describeLedgerBalances,
+  listLedgerEntries,
+};
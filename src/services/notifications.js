@@ -0,0 +1,167 @@
+const { getAuth, getDb } = require("../config/firebase");
+const { Timestamp } = require("firebase-admin").firestore;
+const { getPlan, resolvePlanFromPrice } = require("../config/plans");
+const { toMajorUnits } = require("../config/currencies");
+const {
+  NOTIFICATION_TYPES,
+  LOCALES,
+  getDefaultLocale,
+  renderNotification,
+} = require("../config/notifications");
+const { isClubAdmin } = require("../middleware/auth");
+const { logger } = require("../config/logger");
+
+// Billing notifications are queued in the outbox collection read by the
+// Firebase Trigger Email extension, one document per event and admin.
+
+const getMailCollection = () => process.env.MAIL_COLLECTION || "mail";
+
+// Stripe events that notify the club's admins
+const EVENT_NOTIFICATIONS = {
+  "invoice.payment_failed": "payment_failed",
+  "customer.subscription.trial_will_end": "trial_will_end",
+  "customer.subscription.deleted": "subscription_canceled",
+};
+
+// Preferences of an admin, stored in clubs/{id}.notificationPreferences.{uid}.
+// Every notification is on until the admin turns it off.
+const getNotificationPreferences = (club, uid) => {
+  const stored = club.notificationPreferences?.[uid] || {};
+  const clubLocale = LOCALES.includes(club.locale) ? club.locale : null;
+  return {
+    locale: LOCALES.includes(stored.locale)
+      ? stored.locale
+      : clubLocale || getDefaultLocale(),
+    ...Object.fromEntries(
+      NOTIFICATION_TYPES.map((type) => [type, stored[type] !== false])
+    ),
+  };
+};
+
+const getClubAdminIds = (club) =>
+  [...new Set([club.ownerId, ...Object.keys(club.roles || {})])].filter(
+    (uid) => uid && isClubAdmin(club, uid)
+  );
+
+const formatDate = (seconds, locale) =>
+  seconds
+    ? new Intl.DateTimeFormat(locale, {
+        dateStyle: "long",
+        timeZone: "UTC",
+      }).format(new Date(seconds * 1000))
+    : null;
+
+const formatAmount = (amount, currency, locale) =>
+  new Intl.NumberFormat(locale, {
+    style: "currency",
+    currency: currency.toUpperCase(),
+  }).format(toMajorUnits(amount, currency));
+
+const getPlanName = (planKey) => getPlan(planKey)?.name || planKey || "";
+
+// Values shown in the template of a notification
+const buildTemplateData = (type, object, event, club, locale) => {
+  const data = { clubName: club.name || "" };
+
+  switch (type) {
+    case "payment_failed":
+      return {
+        ...data,
+        planName: getPlanName(club.subscription?.plan),
+        amount: formatAmount(object.amount_due || 0, object.currency, locale),
+        nextAttemptAt: formatDate(object.next_payment_attempt, locale),
+        invoiceUrl: object.hosted_invoice_url || null,
+      };
+    case "trial_will_end":
+      return {
+        ...data,
+        planName: getPlanName(
+          resolvePlanFromPrice(object.items?.data?.[0]?.price).plan
+        ),
+        trialEndsAt: formatDate(object.trial_end, locale),
+        hasPaymentMethod: !!club.trial?.hasPaymentMethod,
+      };
+    case "subscription_canceled":
+      return {
+        ...data,
+        planName: getPlanName(
+          resolvePlanFromPrice(object.items?.data?.[0]?.price).plan
+        ),
+        endedAt: formatDate(
+          object.ended_at || object.canceled_at || event.created,
+          locale
+        ),
+      };
+    default:
+      return data;
+  }
+};
+
+const getUserEmail = async (uid) => {
+  try {
+    return (await getAuth().getUser(uid)).email || null;
+  } catch (error) {
+    logger.warn("Notification recipient not found", { user_id: uid, error });
+    return null;
+  }
+};
+
+// Queue one mail document, unless the admin was already notified of the event
+// (e.g. when the event is replayed)
+const queueMail = async (mailId, mail) => {
+  const mailRef = getDb().collection(getMailCollection()).doc(mailId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const mailSnap = await transaction.get(mailRef);
+    if (mailSnap.exists) return false;
+
+    transaction.create(mailRef, mail);
+    return true;
+  });
+};
+
+// Notify the admins of a club about a Stripe event, according to their
+// preferences. Returns the number of notifications queued.
+const notifyClubAdmins = async (event, clubId) => {
+  const type = EVENT_NOTIFICATIONS[event.type];
+  if (!type || !clubId) return 0;
+
+  const clubSnap = await getDb().collection("clubs").doc(clubId).get();
+  if (!clubSnap.exists) return 0;
+  const club = clubSnap.data();
+
+  let queued = 0;
+  for (const uid of getClubAdminIds(club)) {
+    const preferences = getNotificationPreferences(club, uid);
+    if (!preferences[type]) continue;
+
+    const email = await getUserEmail(uid);
+    if (!email) continue;
+
+    const { locale } = preferences;
+    const message = renderNotification(
+      type,
+      locale,
+      buildTemplateData(type, event.data.object, event, club, locale)
+    );
+    const created = await queueMail(`${event.id}_${uid}`, {
+      to: [email],
+      message,
+      clubId,
+      userId: uid,
+      type,
+      locale,
+      eventId: event.id,
+      eventType: event.type,
+      createdAt: Timestamp.now(),
+    });
+    if (created) queued += 1;
+  }
+  return queued;
+};
+
+module.exports = {
+  EVENT_NOTIFICATIONS,
+  getNotificationPreferences,
+  notifyClubAdmins,
+};
@@ -0,0 +1,253 @@
+const { getDb } = require("../config/firebase");
+const { getStripe } = require("../config/stripe");
+const { Timestamp } = require("firebase-admin").firestore;
+const { EVENT_STATUS } = require("./webhookEvents");
+const { logger } = require("../config/logger");
+const {
+  prepareLedgerEntries,
+  buildPaymentEntries,
+  buildRefundEntries,
+  buildDisputeEntries,
+} = require("./ledger");
+
+// Clubbix fee taken on member payments, in percent of the amount plus a fixed
+// part in the smallest currency unit
+const PLATFORM_FEE_PERCENT = parseFloat(
+  process.env.PLATFORM_FEE_PERCENT || "0"
+);
+const PLATFORM_FEE_FIXED = parseInt(process.env.PLATFORM_FEE_FIXED || "0", 10);
+
+// Application fee for an amount in the smallest currency unit.
+// The fee can never exceed the amount itself.
+const calculateApplicationFee = (amount) => {
+  const fee =
+    Math.round((amount * PLATFORM_FEE_PERCENT) / 100) + PLATFORM_FEE_FIXED;
+  return Math.min(Math.max(fee, 0), amount);
+};
+
+// Only member payments, collected for the club on its connected account, go
+// into the club's ledger. Payments of the club to Clubbix do not.
+const isMemberPayment = (object) => !!object.transfer_data?.destination;
+
+// Record a member payment under clubs/{id}/payments/{paymentIntentId}.
+// A late event never overwrites the result of a newer one.
+const recordClubPayment = async (paymentIntent, event) => {
+  const metadata = paymentIntent.metadata || {};
+  const clubId = metadata.clubId;
+
+  if (!clubId) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const clubRef = getDb().collection("clubs").doc(clubId);
+  const paymentRef = clubRef.collection("payments").doc(paymentIntent.id);
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn("Club document does not exist. Payment record skipped.", {
+        club_id: clubId,
+      });
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found" };
+    }
+
+    const paymentSnap = await transaction.get(paymentRef);
+    const current = paymentSnap.exists ? paymentSnap.data() : null;
+    const appendLedgerEntries = await prepareLedgerEntries(
+      transaction,
+      clubRef,
+      clubSnap.data(),
+      paymentIntent.status === "succeeded" && isMemberPayment(paymentIntent)
+        ? buildPaymentEntries(paymentIntent, event)
+        : []
+    );
+
+    // The money was collected even if a newer event was already applied
+    appendLedgerEntries();
+    if (current?.lastEventCreated && event.created < current.lastEventCreated) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event" };
+    }
+
+    const lastError = paymentIntent.last_payment_error;
+    transaction.set(
+      paymentRef,
+      {
+        paymentIntentId: paymentIntent.id,
+        clubId,
+        memberId: metadata.memberId || null,
+        amount: paymentIntent.amount,
+        amountReceived: paymentIntent.amount_received || 0,
+        currency: paymentIntent.currency,
+        applicationFeeAmount: paymentIntent.application_fee_amount || 0,
+        destination: paymentIntent.transfer_data?.destination || null,
+        description: paymentIntent.description || null,
+        status: paymentIntent.status,
+        failureCode: lastError?.code || null,
+        failureMessage: lastError?.message || null,
+        createdAt:
+          current?.createdAt ||
+          Timestamp.fromMillis(paymentIntent.created * 1000),
+        updatedAt: Timestamp.now(),
+        lastEventId: event.id,
+        lastEventCreated: event.created,
+      },
+      { merge: true }
+    );
+    return { status: EVENT_STATUS.APPLIED };
+  });
+};
+
+const getPaymentRefs = (clubId, paymentIntentId) => {
+  const clubRef = getDb().collection("clubs").doc(clubId);
+  return {
+    clubRef,
+    paymentRef: clubRef.collection("payments").doc(paymentIntentId),
+  };
+};
+
+// Every refund of a charge. Events only embed the first refunds, if any.
+const listChargeRefunds = async (charge) => {
+  if (charge.refunds?.data && !charge.refunds.has_more) {
+    return charge.refunds.data;
+  }
+
+  const refunds = [];
+  let startingAfter = null;
+  do {
+    const page = await getStripe().refunds.list({
+      charge: charge.id,
+      limit: 100,
+      ...(startingAfter && { starting_after: startingAfter }),
+    });
+    refunds.push(...page.data);
+    startingAfter = page.has_more ? page.data[page.data.length - 1]?.id : null;
+  } while (startingAfter);
+  return refunds;
+};
+
+// Record the refunds of a club payment (charge.refunded): the refunded total
+// on the payment and one ledger entry per refund. Failed and canceled refunds
+// never moved any money.
+const recordChargeRefunds = async (charge, event) => {
+  const clubId = charge.metadata?.clubId;
+  if (!clubId || !charge.payment_intent) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const refunds = isMemberPayment(charge)
+    ? (await listChargeRefunds(charge)).filter(
+        (refund) => !["failed", "canceled"].includes(refund.status)
+      )
+    : [];
+  const { clubRef, paymentRef } = getPaymentRefs(clubId, charge.payment_intent);
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn("Club document does not exist. Refund record skipped.", {
+        club_id: clubId,
+      });
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found", clubId };
+    }
+
+    const paymentSnap = await transaction.get(paymentRef);
+    const appendLedgerEntries = await prepareLedgerEntries(
+      transaction,
+      clubRef,
+      clubSnap.data(),
+      buildRefundEntries(charge, refunds, event)
+    );
+
+    const current = paymentSnap.exists ? paymentSnap.data() : null;
+    appendLedgerEntries();
+    if (
+      current?.refundEventCreated &&
+      event.created < current.refundEventCreated
+    ) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event", clubId };
+    }
+
+    transaction.set(
+      paymentRef,
+      {
+        paymentIntentId: charge.payment_intent,
+        clubId,
+        chargeId: charge.id,
+        amountRefunded: charge.amount_refunded || 0,
+        refunded: !!charge.refunded,
+        updatedAt: Timestamp.now(),
+        refundEventCreated: event.created,
+      },
+      { merge: true }
+    );
+    return { status: EVENT_STATUS.APPLIED, clubId };
+  });
+};
+
+// Record a dispute on a club payment (charge.dispute.*): its state on the
+// payment and the funds it withdrew or reinstated in the ledger
+const recordChargeDispute = async (dispute, event) => {
+  // Disputes do not carry the metadata of the payment
+  const paymentIntent = dispute.payment_intent
+    ? await getStripe().paymentIntents.retrieve(dispute.payment_intent)
+    : null;
+  const clubId = paymentIntent?.metadata?.clubId;
+  if (!clubId) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const { clubRef, paymentRef } = getPaymentRefs(clubId, paymentIntent.id);
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn("Club document does not exist. Dispute record skipped.", {
+        club_id: clubId,
+      });
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found", clubId };
+    }
+
+    const paymentSnap = await transaction.get(paymentRef);
+    const appendLedgerEntries = await prepareLedgerEntries(
+      transaction,
+      clubRef,
+      clubSnap.data(),
+      isMemberPayment(paymentIntent) ? buildDisputeEntries(dispute, event) : []
+    );
+
+    const current = paymentSnap.exists ? paymentSnap.data() : null;
+    appendLedgerEntries();
+    if (
+      current?.disputeEventCreated &&
+      event.created < current.disputeEventCreated
+    ) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event", clubId };
+    }
+
+    transaction.set(
+      paymentRef,
+      {
+        paymentIntentId: paymentIntent.id,
+        clubId,
+        dispute: {
+          id: dispute.id,
+          amount: dispute.amount,
+          currency: dispute.currency,
+          reason: dispute.reason,
+          status: dispute.status,
+        },
+        updatedAt: Timestamp.now(),
+        disputeEventCreated: event.created,
+      },
+      { merge: true }
+    );
+    return { status: EVENT_STATUS.APPLIED, clubId };
+  });
+};
+
+module.exports = {
+  calculateApplicationFee,
+  recordClubPayment,
+  recordChargeRefunds,
+  recordChargeDispute,
+};
@@ -0,0 +1,41 @@
+// Counters behind the rate limits.
+// A store is any object with
+//   increment(key, windowMs) => Promise<{ count, resetAt }>
+// that counts hits of `key` in fixed windows of `windowMs` and returns the
+// count of the current window and when it ends (epoch milliseconds).
+// The memory store only counts hits of one server process: use a shared store
+// (e.g. Redis or Firestore) when several instances serve the API.
+
+// Expired windows are dropped at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const createMemoryStore = () => {
+  const windows = new Map();
+  let nextSweep = Date.now() + SWEEP_INTERVAL_MS;
+
+  const sweep = (now) => {
+    windows.forEach((window, key) => {
+      if (window.resetAt <= now) windows.delete(key);
+    });
+    nextSweep = now + SWEEP_INTERVAL_MS;
+  };
+
+  return {
+    increment: async (key, windowMs) => {
+      const now = Date.now();
+      if (now >= nextSweep) sweep(now);
+
+      let window = windows.get(key);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowMs };
+        windows.set(key, window);
+      }
+      window.count += 1;
+      return { count: window.count, resetAt: window.resetAt };
+    },
+  };
+};
+
+module.exports = {
+  createMemoryStore,
+};
@@ -0,0 +1,269 @@
+const { getDb } = require("../config/firebase");
+const { getStripe } = require("../config/stripe");
+const { Timestamp } = require("firebase-admin").firestore;
+const { buildClubSubscriptionData } = require("./subscriptions");
+const { buildTrialUpdate } = require("./trials");
+const { logger } = require("../config/logger");
+
+// Compares the subscriptions known to Stripe with clubs/{id}.subscription and
+// reports (or repairs) the clubs that drifted, e.g. after a missed webhook.
+
+// Subscriptions fetched per Stripe API call (Stripe's maximum)
+const PAGE_SIZE = 100;
+
+// Statuses that still bill or grant access. When a club has several
+// subscriptions in Stripe, the newest of these is the one the club should carry.
+const LIVE_STATUSES = [
+  "active",
+  "trialing",
+  "past_due",
+  "unpaid",
+  "incomplete",
+  "paused",
+];
+
+const toISOString = (value) => (value ? new Date(value).toISOString() : null);
+
+const toMillis = (timestamp) => (timestamp ? timestamp.toMillis() : null);
+
+// Fields compared between Stripe and the club document
+const COMPARED_FIELDS = [
+  {
+    field: "subscriptionId",
+    stored: (stored) => stored.subscriptionId || null,
+    stripe: (subscription) => subscription.id,
+  },
+  {
+    field: "status",
+    stored: (stored) => stored.status || null,
+    stripe: (subscription) => subscription.status,
+  },
+  {
+    field: "currentPeriodEnd",
+    stored: (stored) => toISOString(toMillis(stored.currentPeriodEnd)),
+    stripe: (subscription) =>
+      toISOString(subscription.current_period_end * 1000),
+  },
+  {
+    field: "priceId",
+    stored: (stored) => stored.priceId || null,
+    stripe: (subscription) => subscription.items?.data?.[0]?.price?.id || null,
+  },
+  {
+    field: "cancelAtPeriodEnd",
+    stored: (stored) => !!stored.cancelAtPeriodEnd,
+    stripe: (subscription) => !!subscription.cancel_at_period_end,
+  },
+];
+
+const compareSubscription = (club, subscription) => {
+  const stored = club.subscription || {};
+  return COMPARED_FIELDS.map(({ field, stored: storedValue, stripe }) => ({
+    field,
+    stored: storedValue(stored),
+    stripe: stripe(subscription),
+  })).filter(({ stored, stripe }) => stored !== stripe);
+};
+
+// Every subscription of the Stripe account, canceled ones included
+const listStripeSubscriptions = async () => {
+  const subscriptions = [];
+  let startingAfter;
+  do {
+    const page = await getStripe().subscriptions.list({
+      status: "all",
+      limit: PAGE_SIZE,
+      ...(startingAfter && { starting_after: startingAfter }),
+    });
+    subscriptions.push(...page.data);
+    startingAfter = page.has_more ? page.data[page.data.length - 1]?.id : null;
+  } while (startingAfter);
+  return subscriptions;
+};
+
+const findClub = async (field, value) => {
+  if (!value) return null;
+  const snapshot = await getDb()
+    .collection("clubs")
+    .where(field, "==", value)
+    .limit(1)
+    .get();
+  return snapshot.empty ? null : snapshot.docs[0];
+};
+
+// Club of a Stripe subscription: from its clubId metadata, else from the
+// subscription or customer stored on a club document
+const resolveClub = async (subscription) => {
+  const clubId = subscription.metadata?.clubId;
+  if (clubId) {
+    const clubSnap = await getDb().collection("clubs").doc(clubId).get();
+    return clubSnap.exists ? { clubSnap, matchedBy: "metadata" } : null;
+  }
+
+  const bySubscription = await findClub(
+    "subscription.subscriptionId",
+    subscription.id
+  );
+  if (bySubscription) {
+    return { clubSnap: bySubscription, matchedBy: "subscription_id" };
+  }
+
+  const byCustomer =
+    (await findClub("stripeCustomer.customerId", subscription.customer)) ||
+    (await findClub("subscription.customerId", subscription.customer));
+  return byCustomer ? { clubSnap: byCustomer, matchedBy: "customer" } : null;
+};
+
+// Live subscriptions first, then the newest
+const rankSubscriptions = (a, b) => {
+  const aLive = LIVE_STATUSES.includes(a.status);
+  const bLive = LIVE_STATUSES.includes(b.status);
+  if (aLive !== bLive) return aLive ? -1 : 1;
+  return (b.created || 0) - (a.created || 0);
+};
+
+// Overwrite the club's subscription with Stripe's state. `syncedUpTo` becomes
+// the ordering guard: events created before the reconciliation started are
+// already reflected in the subscription read from Stripe.
+// Returns false, without writing, when a webhook created after the job started
+// was applied in the meantime: the club is then newer than `subscription`.
+const repairClubSubscription = async (clubId, subscription, syncedUpTo) => {
+  const clubRef = getDb().collection("clubs").doc(clubId);
+  const data = buildClubSubscriptionData(subscription, clubId);
+
+  const repaired = await getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    const club = clubSnap.data();
+    const current = club.subscription;
+    if ((current?.lastEventCreated || 0) > syncedUpTo) {
+      return false;
+    }
+
+    const update = {
+      subscription: {
+        ...data,
+        lastEventId: current?.lastEventId || null,
+        lastEventCreated: Math.max(current?.lastEventCreated || 0, syncedUpTo),
+        reconciledAt: Timestamp.now(),
+      },
+      updatedAt: Timestamp.now(),
+    };
+    const trial = buildTrialUpdate(club, data);
+    if (trial) {
+      update.trial = trial;
+    }
+    transaction.set(clubRef, update, { merge: true });
+    return true;
+  });
+  if (!repaired) return false;
+
+  // Tag the subscription so its future webhooks reach the club
+  if (subscription.metadata?.clubId !== clubId) {
+    await getStripe().subscriptions.update(subscription.id, {
+      metadata: { clubId },
+    });
+  }
+  return true;
+};
+
+// Compare every Stripe subscription with the club documents.
+// With `repair`, drifted clubs are overwritten with Stripe's state and
+// subscriptions without clubId metadata are tagged with their club.
+const reconcileSubscriptions = async ({ repair = false } = {}) => {
+  const startedAt = new Date();
+  const syncedUpTo = Math.floor(startedAt.getTime() / 1000);
+  const subscriptions = await listStripeSubscriptions();
+
+  const unmatched = [];
+  const byClub = new Map();
+  for (const subscription of subscriptions) {
+    const resolved = await resolveClub(subscription);
+    if (!resolved) {
+      unmatched.push({
+        subscription_id: subscription.id,
+        customer_id: subscription.customer || null,
+        status: subscription.status,
+        club_id: subscription.metadata?.clubId || null,
+        reason: subscription.metadata?.clubId
+          ? "club_not_found"
+          : "missing_club_id",
+      });
+      continue;
+    }
+
+    const { clubSnap, matchedBy } = resolved;
+    if (!byClub.has(clubSnap.id)) {
+      byClub.set(clubSnap.id, { club: clubSnap.data(), candidates: [] });
+    }
+    byClub.get(clubSnap.id).candidates.push({ subscription, matchedBy });
+  }
+
+  const drifted = [];
+  for (const [clubId, { club, candidates }] of byClub) {
+    candidates.sort((a, b) =>
+      rankSubscriptions(a.subscription, b.subscription)
+    );
+    const { subscription, matchedBy } = candidates[0];
+    const differences = compareSubscription(club, subscription);
+    const missingClubId = subscription.metadata?.clubId !== clubId;
+    if (!differences.length && !missingClubId) continue;
+
+    const entry = {
+      club_id: clubId,
+      subscription_id: subscription.id,
+      customer_id: subscription.customer || null,
+      matched_by: matchedBy,
+      missing_club_id: missingClubId,
+      differences,
+      repaired: false,
+    };
+    if (repair) {
+      try {
+        entry.repaired = await repairClubSubscription(
+          clubId,
+          subscription,
+          syncedUpTo
+        );
+        if (!entry.repaired) {
+          entry.repair_skipped = "newer_event";
+        }
+      } catch (error) {
+        logger.error("Error repairing club subscription", {
+          club_id: clubId,
+          subscription_id: subscription.id,
+          error,
+        });
+        entry.repair_error = error.message;
+      }
+    }
+    drifted.push(entry);
+  }
+
+  // Clubs pointing at a subscription Stripe does not know
+  const clubsWithSubscription = await getDb()
+    .collection("clubs")
+    .where("subscription.subscriptionId", "!=", null)
+    .get();
+  const missingInStripe = clubsWithSubscription.docs
+    .filter((clubSnap) => !byClub.has(clubSnap.id))
+    .map((clubSnap) => ({
+      club_id: clubSnap.id,
+      subscription_id: clubSnap.get("subscription.subscriptionId"),
+      status: clubSnap.get("subscription.status") || null,
+    }));
+
+  return {
+    repair,
+    started_at: startedAt.toISOString(),
+    finished_at: new Date().toISOString(),
+    checked: subscriptions.length,
+    clubs_checked: byClub.size,
+    drifted,
+    unmatched,
+    missing_in_stripe: missingInStripe,
+  };
+};
+
+module.exports = {
+  reconcileSubscriptions,
+};
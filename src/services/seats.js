@@ -0,0 +1,296 @@
+const { getDb } = require("../config/firebase");
+const { getStripe } = require("../config/stripe");
+const { Timestamp } = require("firebase-admin").firestore;
+const {
+  SEAT_UNITS,
+  getPlan,
+  resolvePlanFromPrice,
+} = require("../config/plans");
+const { logger } = require("../config/logger");
+
+// Per-seat billing: the subscription item of a per-seat plan is billed once per
+// member (or team) of the club, capped at the plan limit for that unit. The
+// quantity is kept in sync from the club's member count by syncClubSeats(),
+// called from the seats endpoint and from the sync routine for every club.
+// A subscription with a pending downgrade is synced through its schedule, whose
+// phases would otherwise restore the quantities they were created with.
+
+const PRORATION_BEHAVIORS = ["create_prorations", "always_invoice", "none"];
+
+// How quantity changes are prorated unless the request chooses otherwise
+const getDefaultProrationBehavior = () =>
+  PRORATION_BEHAVIORS.includes(process.env.SEAT_PRORATION_BEHAVIOR)
+    ? process.env.SEAT_PRORATION_BEHAVIOR
+    : "create_prorations";
+
+// Subscription statuses whose quantity is kept in sync
+const SYNCED_STATUSES = ["active", "trialing", "past_due"];
+
+// The owner and every user with a role in the club
+const countClubMembers = (club) =>
+  new Set(
+    [
+      club.ownerId,
+      ...Object.keys(club.roles || {}).filter((uid) => club.roles[uid]),
+    ].filter(Boolean)
+  ).size;
+
+const countClubTeams = async (clubId) => {
+  const snapshot = await getDb()
+    .collection("clubs")
+    .doc(clubId)
+    .collection("teams")
+    .get();
+  return snapshot.size;
+};
+
+// Seats of a club on `planKey`, or null when the plan is not billed per seat.
+// `quantity` is the count capped at the plan limit, and at least 1.
+const computeSeats = async (club, planKey) => {
+  const plan = getPlan(planKey);
+  if (!plan?.seatUnit) return null;
+
+  const unit = plan.seatUnit;
+  const count =
+    unit === "team" ? await countClubTeams(club.id) : countClubMembers(club);
+  const max = plan.limits[SEAT_UNITS[unit].limit];
+  const capped = max !== null && max !== undefined && count > max;
+  return {
+    unit,
+    count,
+    max: max ?? null,
+    capped,
+    quantity: Math.max(capped ? max : count, 1),
+  };
+};
+
+// Quantity to bill for `planKey`: the seats of per-seat plans, else 1
+const getSeatQuantity = async (club, planKey) =>
+  (await computeSeats(club, planKey))?.quantity || 1;
+
+const getSubscriptionItem = (subscription) => subscription.items.data[0];
+
+const getScheduleId = (subscription) =>
+  typeof subscription.schedule === "string"
+    ? subscription.schedule
+    : subscription.schedule?.id || null;
+
+// Stripe values as update params: expanded objects become their ID and unset
+// fields are left out
+const toParams = (value) => {
+  if (Array.isArray(value)) return value.map(toParams);
+  if (value === null || typeof value !== "object") return value;
+  if (value.object && value.id) return value.id;
+  return Object.fromEntries(
+    Object.entries(value)
+      .filter(([, field]) => field !== null && field !== undefined)
+      .map(([key, field]) => [key, toParams(field)])
+  );
+};
+
+// A schedule phase read from Stripe as update params. Its settings (discounts,
+// trial, tax rates...) are kept: a phase sent without them loses them.
+const toPhaseParams = (phase) => {
+  const { coupon, discounts, items, ...settings } = toParams(phase);
+  return {
+    ...settings,
+    // `coupon` is also listed in `discounts`, and Stripe accepts only one
+    ...(discounts?.length ? { discounts } : coupon && { coupon }),
+    items: items.map(({ plan, ...item }) => item),
+  };
+};
+
+// Current and future phases of a subscription schedule, the current one billed
+// for `quantity` and each later one for the seats of its own plan. `changed`
+// tells whether any quantity differs from the schedule.
+const buildSeatPhases = async (club, schedule, quantity) => {
+  const now = Math.floor(Date.now() / 1000);
+  const phases = [];
+  let changed = false;
+
+  for (const phase of schedule.phases) {
+    if (phase.end_date && phase.end_date <= now) continue;
+    const params = toPhaseParams(phase);
+    for (const item of params.items) {
+      const itemQuantity = phases.length
+        ? await getSeatQuantity(
+            club,
+            resolvePlanFromPrice({ id: item.price }).plan
+          )
+        : quantity;
+      changed = changed || itemQuantity !== (item.quantity || 1);
+      item.quantity = itemQuantity;
+    }
+    phases.push(params);
+  }
+  return { phases, changed };
+};
+
+// Upcoming invoice of the subscription if its quantity became `quantity`
+const previewSeatChange = async (subscription, quantity, prorationBehavior) => {
+  const item = getSubscriptionItem(subscription);
+  const prorationDate = Math.floor(Date.now() / 1000);
+  const invoice = await getStripe().invoices.retrieveUpcoming({
+    customer: subscription.customer,
+    subscription: subscription.id,
+    subscription_items: [{ id: item.id, quantity }],
+    subscription_proration_behavior: prorationBehavior,
+    subscription_proration_date: prorationDate,
+  });
+
+  return {
+    quantity,
+    proration_behavior: prorationBehavior,
+    proration_date: prorationDate,
+    proration_amount: invoice.lines.data
+      .filter((line) => line.proration)
+      .reduce((total, line) => total + line.amount, 0),
+    amount_due: invoice.amount_due,
+    currency: invoice.currency,
+    next_payment_attempt: invoice.next_payment_attempt,
+  };
+};
+
+// Seats of the club on the plan of its Stripe subscription, with the quantity
+// billed today, or null when that plan is not billed per seat
+const describeSeats = async (club, subscription) => {
+  const item = getSubscriptionItem(subscription);
+  const seats = await computeSeats(club, resolvePlanFromPrice(item.price).plan);
+  return seats && { ...seats, billed_quantity: item.quantity || 1 };
+};
+
+// Set the quantity of the club's subscription to its seats. `subscription` is
+// the club's Stripe subscription when the caller already retrieved it. With a
+// schedule attached, the schedule phases are updated instead.
+// Returns { status: "updated" | "unchanged" | "skipped", reason, seats }.
+const syncClubSeats = async (
+  club,
+  {
+    subscription,
+    prorationBehavior = getDefaultProrationBehavior(),
+    prorationDate,
+  } = {}
+) => {
+  const subscriptionId = club.subscription?.subscriptionId;
+  if (!subscription && !subscriptionId) {
+    return { status: "skipped", reason: "no_subscription", seats: null };
+  }
+  const current =
+    subscription || (await getStripe().subscriptions.retrieve(subscriptionId));
+
+  const seats = await describeSeats(club, current);
+  if (!seats) {
+    return { status: "skipped", reason: "plan_not_per_seat", seats: null };
+  }
+  if (!SYNCED_STATUSES.includes(current.status)) {
+    return { status: "skipped", reason: "subscription_inactive", seats };
+  }
+
+  const scheduleId = getScheduleId(current);
+  let changed = seats.billed_quantity !== seats.quantity;
+  if (scheduleId) {
+    const schedule = await getStripe().subscriptionSchedules.retrieve(
+      scheduleId
+    );
+    const { phases, changed: phasesChanged } = await buildSeatPhases(
+      club,
+      schedule,
+      seats.quantity
+    );
+    changed = changed || phasesChanged;
+    if (changed) {
+      await getStripe().subscriptionSchedules.update(scheduleId, {
+        phases,
+        proration_behavior: prorationBehavior,
+      });
+    }
+  } else if (changed) {
+    await getStripe().subscriptions.update(current.id, {
+      items: [
+        { id: getSubscriptionItem(current).id, quantity: seats.quantity },
+      ],
+      proration_behavior: prorationBehavior,
+      proration_date: prorationDate,
+    });
+  }
+
+  if (changed) {
+    logger.info("Subscription seats updated", {
+      club_id: club.id,
+      subscription_id: current.id,
+      schedule_id: scheduleId,
+      previous_quantity: seats.billed_quantity,
+      quantity: seats.quantity,
+    });
+  }
+
+  await getDb()
+    .collection("clubs")
+    .doc(club.id)
+    .set(
+      {
+        seats: {
+          unit: seats.unit,
+          count: seats.count,
+          quantity: seats.quantity,
+          capped: seats.capped,
+          prorationBehavior: changed ? prorationBehavior : null,
+          syncedAt: Timestamp.now(),
+        },
+      },
+      { merge: true }
+    );
+
+  return {
+    status: changed ? "updated" : "unchanged",
+    seats: { ...seats, billed_quantity: seats.quantity },
+  };
+};
+
+// Sync the seats of every club subscribed to a per-seat plan. A club that
+// fails is reported and the run goes on with the next one.
+const syncAllClubSeats = async ({ prorationBehavior } = {}) => {
+  const snapshot = await getDb().collection("clubs").get();
+  const report = { checked: 0, updated: [], skipped: 0, failed: [] };
+
+  for (const doc of snapshot.docs) {
+    const club = { id: doc.id, ...doc.data() };
+    if (
+      !club.subscription?.subscriptionId ||
+      !getPlan(club.subscription.plan)?.seatUnit
+    ) {
+      continue;
+    }
+
+    report.checked += 1;
+    try {
+      const result = await syncClubSeats(club, { prorationBehavior });
+      if (result.status === "updated") {
+        report.updated.push({
+          club_id: club.id,
+          quantity: result.seats.quantity,
+          capped: result.seats.capped,
+        });
+      } else if (result.status === "skipped") {
+        report.skipped += 1;
+      }
+    } catch (error) {
+      logger.error("Seat sync failed", { club_id: club.id, error });
+      report.failed.push({ club_id: club.id, error: error.message });
+    }
+  }
+
+  return report;
+};
+
+module.exports = {
+  PRORATION_BEHAVIORS,
+  getDefaultProrationBehavior,
+  computeSeats,
+  getSeatQuantity,
+  describeSeats,
+  previewSeatChange,
+  toPhaseParams,
+  syncClubSeats,
+  syncAllClubSeats,
+};
@@ -0,0 +1,89 @@
+const { getDb } = require("../config/firebase");
+const { Timestamp } = require("firebase-admin").firestore;
+const { resolvePlanFromPrice } = require("../config/plans");
+const { EVENT_STATUS } = require("./webhookEvents");
+const { buildTrialUpdate } = require("./trials");
+const { logger } = require("../config/logger");
+
+const toTimestamp = (seconds) =>
+  seconds ? Timestamp.fromMillis(seconds * 1000) : Timestamp.now();
+
+// Subscription block of a club built from a Stripe subscription.
+// Plan and cycle come from the price actually billed, never from metadata.
+const buildClubSubscriptionData = (subscription, clubId) => {
+  const item = subscription.items?.data?.[0];
+  const price = item?.price;
+  const { plan, billingCycle } = resolvePlanFromPrice(price);
+  return {
+    subscriptionId: subscription.id,
+    clubId,
+    plan,
+    billingCycle,
+    status: subscription.status,
+    currentPeriodStart: toTimestamp(subscription.current_period_start),
+    currentPeriodEnd: toTimestamp(subscription.current_period_end),
+    cancelAtPeriodEnd: !!subscription.cancel_at_period_end,
+    createdAt: toTimestamp(subscription.created),
+    updatedAt: Timestamp.now(),
+    customerId: subscription.customer || null,
+    priceId: price?.id || null,
+    // Seats of per-seat plans, else 1
+    quantity: item?.quantity || 1,
+    trialEnd: subscription.trial_end
+      ? Timestamp.fromMillis(subscription.trial_end * 1000)
+      : null,
+  };
+};
+
+// Update the subscription block of a club from a Stripe event.
+// Events older than the one that last wrote the subscription are skipped so a
+// late delivery can never roll back the club's status.
+// NOTE: Club documents must be created with all required fields before any subscription update.
+const updateClubSubscription = async (clubId, data, event) => {
+  if (!clubId) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const clubRef = getDb().collection("clubs").doc(clubId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn(
+        "Club document does not exist. Subscription update skipped.",
+        {
+          club_id: clubId,
+        }
+      );
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found" };
+    }
+
+    const club = clubSnap.data();
+    const current = club.subscription;
+    if (current?.lastEventCreated && event.created < current.lastEventCreated) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event" };
+    }
+
+    const update = {
+      subscription: {
+        ...data,
+        lastEventId: event.id,
+        lastEventCreated: event.created,
+      },
+      updatedAt: Timestamp.now(),
+    };
+    // Remember the trial so the club can never start another one
+    const trial = buildTrialUpdate(club, data);
+    if (trial) {
+      update.trial = trial;
+    }
+
+    transaction.set(clubRef, update, { merge: true });
+    return { status: EVENT_STATUS.APPLIED };
+  });
+};
+
+module.exports = {
+  buildClubSubscriptionData,
+  updateClubSubscription,
+};
@@ -0,0 +1,446 @@
+const crypto = require("crypto");
+const { getDb } = require("../config/firebase");
+const { Timestamp } = require("firebase-admin").firestore;
+const { toMajorUnits } = require("../config/currencies");
+const { EVENT_STATUS } = require("./webhookEvents");
+const { logger } = require("../config/logger");
+
+// Ticketing for club events (clubs/{id}/events/{eventId}):
+//   ticketTypes/{id}   - unit price and capacity, with the `reserved` and `sold` counts
+//   reservations/{id}  - tickets held for an open checkout session
+//   tickets/{code}     - tickets issued once the checkout is paid
+// Tickets are available while capacity - reserved - sold is positive.
+
+// Largest number of tickets bought in one checkout
+const MAX_TICKETS_PER_ORDER = 20;
+
+// Minutes tickets are held for an open checkout, which expires at the same
+// time. Stripe wants 30 minutes to 24 hours from the moment it creates the
+// session: the extra minute covers the time the request takes to reach it.
+const MIN_RESERVATION_MINUTES = 31;
+
+const getReservationMinutes = () =>
+  Math.min(
+    Math.max(
+      parseInt(process.env.TICKET_RESERVATION_MINUTES, 10) ||
+        MIN_RESERVATION_MINUTES,
+      MIN_RESERVATION_MINUTES
+    ),
+    24 * 60
+  );
+
+// Expiry of a checkout opened now, in whole seconds like Stripe's expires_at
+const getCheckoutExpiry = () =>
+  Math.floor(Date.now() / 1000) + getReservationMinutes() * 60;
+
+// Reservations still holding tickets
+const HOLDING_STATUSES = ["pending", "open"];
+
+// Checkout metadata that identifies a ticket checkout and its reservation,
+// next to the clubId
+const TICKET_METADATA_KEYS = ["kind", "eventId", "reservationId", "memberId"];
+
+// Ticket codes avoid characters that are easy to misread (0/O, 1/I)
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+const CODE_LENGTH = 10;
+
+const generateTicketCode = () =>
+  Array.from(
+    crypto.randomBytes(CODE_LENGTH),
+    (byte) => CODE_ALPHABET[byte % CODE_ALPHABET.length]
+  ).join("");
+
+const getEventRef = (clubId, eventId) =>
+  getDb().collection("clubs").doc(clubId).collection("events").doc(eventId);
+
+// The club event, or null when it does not exist
+const getClubEvent = async (clubId, eventId) => {
+  const eventSnap = await getEventRef(clubId, eventId).get();
+  return eventSnap.exists ? { id: eventSnap.id, ...eventSnap.data() } : null;
+};
+
+const getAvailable = (ticketType) =>
+  Math.max(
+    ticketType.capacity - (ticketType.reserved || 0) - (ticketType.sold || 0),
+    0
+  );
+
+// Shape of a ticket type in API responses
+const describeTicketType = (id, ticketType) => ({
+  id,
+  name: ticketType.name,
+  description: ticketType.description || null,
+  amount: ticketType.unitAmount,
+  amount_major: toMajorUnits(ticketType.unitAmount, ticketType.currency),
+  currency: ticketType.currency,
+  capacity: ticketType.capacity,
+  available: getAvailable(ticketType),
+  sold: ticketType.sold || 0,
+  active: ticketType.active !== false,
+});
+
+const createTicketType = async (
+  clubId,
+  eventId,
+  { name, description, unitAmount, currency, capacity, createdBy }
+) => {
+  const ticketType = {
+    name,
+    description: description || null,
+    unitAmount,
+    currency,
+    capacity,
+    reserved: 0,
+    sold: 0,
+    active: true,
+    createdBy,
+    createdAt: Timestamp.now(),
+  };
+  const ref = await getEventRef(clubId, eventId)
+    .collection("ticketTypes")
+    .add(ticketType);
+  return describeTicketType(ref.id, ticketType);
+};
+
+const listTicketTypes = async (clubId, eventId) => {
+  const snapshot = await getEventRef(clubId, eventId)
+    .collection("ticketTypes")
+    .get();
+  return snapshot.docs.map((doc) => describeTicketType(doc.id, doc.data()));
+};
+
+// Hold tickets for a checkout. `items` are { ticketTypeId, quantity } with
+// distinct ticket types. Returns the reservation, or { error, code } when a
+// ticket type cannot be sold.
+// With `reservationId`, a retried request finds the reservation of the first
+// attempt: one still holding tickets is returned as is, one released is held
+// again.
+const reserveTickets = async ({
+  clubId,
+  eventId,
+  memberId,
+  items,
+  reservationId,
+}) => {
+  const eventRef = getEventRef(clubId, eventId);
+  const reservations = eventRef.collection("reservations");
+
+  return getDb().runTransaction(async (transaction) => {
+    let reservationRef = reservationId
+      ? reservations.doc(reservationId)
+      : reservations.doc();
+    if (reservationId) {
+      const existingSnap = await transaction.get(reservationRef);
+      const existing = existingSnap.exists ? existingSnap.data() : null;
+      if (existing && HOLDING_STATUSES.includes(existing.status)) {
+        return { id: reservationRef.id, ...existing };
+      }
+      // Already paid: the ID is not reused for a new purchase
+      if (existing?.status === "completed") {
+        reservationRef = reservations.doc();
+      }
+    }
+
+    const typeRefs = items.map(({ ticketTypeId }) =>
+      eventRef.collection("ticketTypes").doc(ticketTypeId)
+    );
+    const typeSnaps = await Promise.all(
+      typeRefs.map((ref) => transaction.get(ref))
+    );
+
+    const lines = [];
+    for (const [index, { ticketTypeId, quantity }] of items.entries()) {
+      const ticketType = typeSnaps[index].exists
+        ? typeSnaps[index].data()
+        : null;
+      if (!ticketType || ticketType.active === false) {
+        return {
+          error: `Ticket type ${ticketTypeId} is not on sale`,
+          code: "ticket_type_unavailable",
+        };
+      }
+      if (getAvailable(ticketType) < quantity) {
+        return {
+          error: `Only ${getAvailable(ticketType)} tickets left for ${
+            ticketType.name
+          }`,
+          code: "tickets_sold_out",
+        };
+      }
+      lines.push({
+        ticketTypeId,
+        name: ticketType.name,
+        quantity,
+        unitAmount: ticketType.unitAmount,
+        currency: ticketType.currency,
+      });
+    }
+
+    const currencies = [...new Set(lines.map((line) => line.currency))];
+    if (currencies.length > 1) {
+      return {
+        error: "Tickets of one checkout must share the same currency",
+        code: "mixed_currencies",
+      };
+    }
+
+    lines.forEach((line, index) => {
+      const ticketType = typeSnaps[index].data();
+      transaction.update(typeRefs[index], {
+        reserved: (ticketType.reserved || 0) + line.quantity,
+      });
+    });
+
+    const reservation = {
+      clubId,
+      eventId,
+      memberId,
+      items: lines.map(({ currency, ...line }) => line),
+      currency: currencies[0],
+      amount: lines.reduce(
+        (sum, line) => sum + line.unitAmount * line.quantity,
+        0
+      ),
+      status: "pending",
+      sessionId: null,
+      expiresAt: Timestamp.fromMillis(getCheckoutExpiry() * 1000),
+      createdAt: Timestamp.now(),
+    };
+    transaction.set(reservationRef, reservation);
+    return { id: reservationRef.id, ...reservation };
+  });
+};
+
+// Link a reservation to the checkout session opened for it
+const attachCheckoutSession = async (
+  clubId,
+  eventId,
+  reservationId,
+  session
+) => {
+  await getEventRef(clubId, eventId)
+    .collection("reservations")
+    .doc(reservationId)
+    .update({ sessionId: session.id, status: "open" });
+};
+
+// Give the tickets of a reservation back to the inventory, once. With
+// `sessionId`, a reservation attached to another checkout session is left
+// alone; one never attached (the attach failed) is released.
+// Returns { released }, and the reason when nothing was released.
+const releaseReservation = async (
+  clubId,
+  eventId,
+  reservationId,
+  status,
+  { sessionId } = {}
+) => {
+  const eventRef = getEventRef(clubId, eventId);
+  const reservationRef = eventRef.collection("reservations").doc(reservationId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const reservationSnap = await transaction.get(reservationRef);
+    const reservation = reservationSnap.exists ? reservationSnap.data() : null;
+    if (
+      reservation?.sessionId &&
+      sessionId &&
+      reservation.sessionId !== sessionId
+    ) {
+      return { released: false, reason: "session_mismatch" };
+    }
+    if (!reservation || !HOLDING_STATUSES.includes(reservation.status)) {
+      return { released: false, reason: "reservation_closed" };
+    }
+
+    const typeRefs = reservation.items.map(({ ticketTypeId }) =>
+      eventRef.collection("ticketTypes").doc(ticketTypeId)
+    );
+    const typeSnaps = await Promise.all(
+      typeRefs.map((ref) => transaction.get(ref))
+    );
+
+    reservation.items.forEach((item, index) => {
+      if (!typeSnaps[index].exists) return;
+      transaction.update(typeRefs[index], {
+        reserved: Math.max(
+          (typeSnaps[index].data().reserved || 0) - item.quantity,
+          0
+        ),
+      });
+    });
+    transaction.update(reservationRef, {
+      status,
+      releasedAt: Timestamp.now(),
+    });
+    return { released: true };
+  });
+};
+
+const getSessionReservation = (session) => {
+  const { clubId, eventId, reservationId } = session.metadata || {};
+  return clubId && eventId && reservationId
+    ? { clubId, eventId, reservationId }
+    : null;
+};
+
+// Release the tickets of an expired ticket checkout
+const releaseExpiredCheckout = async (session) => {
+  const reservation = getSessionReservation(session);
+  if (!reservation) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_reservation" };
+  }
+
+  const { released, reason } = await releaseReservation(
+    reservation.clubId,
+    reservation.eventId,
+    reservation.reservationId,
+    "expired",
+    { sessionId: session.id }
+  );
+  return released
+    ? { status: EVENT_STATUS.APPLIED, clubId: reservation.clubId }
+    : { status: EVENT_STATUS.SKIPPED, reason, clubId: reservation.clubId };
+};
+
+// Issue the tickets of a paid ticket checkout, once per reservation. The
+// reserved tickets become sold.
+const issueTickets = async (session, event) => {
+  const ids = getSessionReservation(session);
+  if (!ids) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_reservation" };
+  }
+
+  const { clubId, eventId, reservationId } = ids;
+  const eventRef = getEventRef(clubId, eventId);
+  const reservationRef = eventRef.collection("reservations").doc(reservationId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const reservationSnap = await transaction.get(reservationRef);
+    if (!reservationSnap.exists) {
+      return {
+        status: EVENT_STATUS.SKIPPED,
+        reason: "reservation_not_found",
+        clubId,
+      };
+    }
+    const reservation = reservationSnap.data();
+    // Only the checkout opened for the reservation pays for it. A reservation
+    // whose attach failed is matched on the session's metadata.
+    if (reservation.sessionId && reservation.sessionId !== session.id) {
+      return {
+        status: EVENT_STATUS.SKIPPED,
+        reason: "session_mismatch",
+        clubId,
+      };
+    }
+    if (reservation.status === "completed") {
+      return { status: EVENT_STATUS.SKIPPED, reason: "already_issued", clubId };
+    }
+
+    const typeRefs = reservation.items.map(({ ticketTypeId }) =>
+      eventRef.collection("ticketTypes").doc(ticketTypeId)
+    );
+    const typeSnaps = await Promise.all(
+      typeRefs.map((ref) => transaction.get(ref))
+    );
+
+    // Draw a code for each ticket, again on the rare clash with an issued one
+    const ticketsRef = eventRef.collection("tickets");
+    const codes = [];
+    const count = reservation.items.reduce(
+      (sum, item) => sum + item.quantity,
+      0
+    );
+    while (codes.length < count) {
+      const code = generateTicketCode();
+      if (codes.includes(code)) continue;
+      const existing = await transaction.get(ticketsRef.doc(code));
+      if (!existing.exists) codes.push(code);
+    }
+
+    // Paid after the reservation was released: the tickets are sold anyway
+    const holding = HOLDING_STATUSES.includes(reservation.status);
+    if (!holding) {
+      logger.warn("Tickets issued for a released reservation", {
+        club_id: clubId,
+        reservation_id: reservationId,
+      });
+    }
+
+    const issuedAt = Timestamp.now();
+    reservation.items.forEach((item, index) => {
+      const ticketType = typeSnaps[index].exists
+        ? typeSnaps[index].data()
+        : null;
+      if (ticketType) {
+        transaction.update(typeRefs[index], {
+          reserved: holding
+            ? Math.max((ticketType.reserved || 0) - item.quantity, 0)
+            : ticketType.reserved || 0,
+          sold: (ticketType.sold || 0) + item.quantity,
+        });
+      }
+      codes.splice(0, item.quantity).forEach((code) => {
+        transaction.create(ticketsRef.doc(code), {
+          code,
+          clubId,
+          eventId,
+          ticketTypeId: item.ticketTypeId,
+          ticketTypeName: item.name,
+          holderId: reservation.memberId,
+          email:
+            session.customer_details?.email || session.customer_email || null,
+          unitAmount: item.unitAmount,
+          currency: reservation.currency,
+          reservationId,
+          sessionId: session.id,
+          paymentIntentId: session.payment_intent || null,
+          status: "valid",
+          issuedAt,
+          stripeEventId: event.id,
+        });
+      });
+    });
+
+    transaction.update(reservationRef, {
+      status: "completed",
+      sessionId: session.id,
+      paymentIntentId: session.payment_intent || null,
+      completedAt: issuedAt,
+    });
+    return { status: EVENT_STATUS.APPLIED, clubId };
+  });
+};
+
+// Shape of a ticket in API responses
+const describeTicket = (ticket) => ({
+  code: ticket.code,
+  event_id: ticket.eventId,
+  ticket_type_id: ticket.ticketTypeId,
+  ticket_type_name: ticket.ticketTypeName,
+  holder_id: ticket.holderId,
+  status: ticket.status,
+  issued_at: ticket.issuedAt?.toDate().toISOString() || null,
+});
+
+// Tickets of an event, only those of `holderId` when given
+const listTickets = async (clubId, eventId, { holderId } = {}) => {
+  let query = getEventRef(clubId, eventId).collection("tickets");
+  if (holderId) query = query.where("holderId", "==", holderId);
+  const snapshot = await query.get();
+  return snapshot.docs.map((doc) => describeTicket(doc.data()));
+};
+
+module.exports = {
+  MAX_TICKETS_PER_ORDER,
+  TICKET_METADATA_KEYS,
+  getClubEvent,
+  createTicketType,
+  listTicketTypes,
+  reserveTickets,
+  attachCheckoutSession,
+  releaseReservation,
+  releaseExpiredCheckout,
+  issueTickets,
+  listTickets,
+};
@@ -0,0 +1,107 @@
+const { getDb } = require("../config/firebase");
+const { getStripe } = require("../config/stripe");
+const { Timestamp } = require("firebase-admin").firestore;
+const { EVENT_STATUS } = require("./webhookEvents");
+const { logger } = require("../config/logger");
+
+// A club gets one free trial, on its first subscription. The trial is
+// recorded in clubs/{id}.trial as soon as a trialing subscription reaches the
+// webhook, so canceling and subscribing again never starts a new one.
+const isTrialEligible = (club) =>
+  !club.trial?.usedAt && !club.subscription?.subscriptionId;
+
+const toISOString = (timestamp) =>
+  timestamp ? timestamp.toDate().toISOString() : null;
+
+// Trial state shown to the club's frontend
+const describeTrial = (club) => ({
+  eligible: isTrialEligible(club),
+  used_at: toISOString(club.trial?.usedAt),
+  ends_at: toISOString(club.trial?.endsAt),
+  has_payment_method: club.trial?.hasPaymentMethod ?? null,
+});
+
+// Trial block to merge into the club document for a subscription update, or
+// null when the update does not concern the club's trial
+const buildTrialUpdate = (club, subscriptionData) => {
+  if (!subscriptionData.trialEnd) return null;
+  if (
+    club.trial?.subscriptionId &&
+    club.trial.subscriptionId !== subscriptionData.subscriptionId
+  ) {
+    return null;
+  }
+
+  return {
+    usedAt: club.trial?.usedAt || Timestamp.now(),
+    plan: subscriptionData.plan,
+    subscriptionId: subscriptionData.subscriptionId,
+    endsAt: subscriptionData.trialEnd,
+  };
+};
+
+// Whether the subscription can be charged when the trial ends
+const hasPaymentMethod = async (subscription) => {
+  if (subscription.default_payment_method || subscription.default_source) {
+    return true;
+  }
+  if (!subscription.customer) return false;
+
+  const customer = await getStripe().customers.retrieve(subscription.customer);
+  return !!(
+    customer.invoice_settings?.default_payment_method || customer.default_source
+  );
+};
+
+// Record a customer.subscription.trial_will_end event on the club: the trial
+// end date and whether a payment method is on file
+const recordTrialWillEnd = async (subscription, event) => {
+  const clubId = subscription.metadata?.clubId;
+  if (!clubId) {
+    return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+  }
+
+  const paymentMethodOnFile = await hasPaymentMethod(subscription);
+  const clubRef = getDb().collection("clubs").doc(clubId);
+
+  return getDb().runTransaction(async (transaction) => {
+    const clubSnap = await transaction.get(clubRef);
+    if (!clubSnap.exists) {
+      logger.warn("Club document does not exist. Trial update skipped.", {
+        club_id: clubId,
+      });
+      return { status: EVENT_STATUS.SKIPPED, reason: "club_not_found" };
+    }
+
+    const current = clubSnap.data().trial;
+    if (current?.lastEventCreated && event.created < current.lastEventCreated) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "stale_event" };
+    }
+
+    transaction.set(
+      clubRef,
+      {
+        trial: {
+          usedAt: current?.usedAt || Timestamp.now(),
+          subscriptionId: subscription.id,
+          endsAt: subscription.trial_end
+            ? Timestamp.fromMillis(subscription.trial_end * 1000)
+            : null,
+          hasPaymentMethod: paymentMethodOnFile,
+          willEndNotifiedAt: Timestamp.now(),
+          lastEventId: event.id,
+          lastEventCreated: event.created,
+        },
+      },
+      { merge: true }
+    );
+    return { status: EVENT_STATUS.APPLIED, clubId };
+  });
+};
+
+module.exports = {
+  isTrialEligible,
+  describeTrial,
+  buildTrialUpdate,
+  recordTrialWillEnd,
+};
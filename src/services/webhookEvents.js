@@ -0,0 +1,117 @@
+const { getDb } = require("../config/firebase");
+
+const WEBHOOK_COLLECTION = "stripe_webhooks";
+
+// Processing outcome stored on each stripe_webhooks document
+const EVENT_STATUS = {
+  PROCESSING: "processing",
+  APPLIED: "applied",
+  SKIPPED: "skipped",
+  FAILED: "failed",
+  // No handler is registered for the event type
+  UNHANDLED: "unhandled",
+};
+
+// A delivery stuck in "processing" longer than this (e.g. the process crashed
+// mid-handler) can be claimed again by a Stripe retry
+const PROCESSING_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Claim an event before handling it.
+// Returns false when a previous delivery already handled the event or is still handling it.
+const claimEvent = async (event) => {
+  const eventRef = getDb().collection(WEBHOOK_COLLECTION).doc(event.id);
+
+  return getDb().runTransaction(async (transaction) => {
+    const eventSnap = await transaction.get(eventRef);
+    const stored = eventSnap.exists ? eventSnap.data() : null;
+
+    if (stored) {
+      const claimedAt = stored.claimed_at ? Date.parse(stored.claimed_at) : 0;
+      const processingExpired =
+        stored.processing_status === EVENT_STATUS.PROCESSING &&
+        Date.now() - claimedAt > PROCESSING_TIMEOUT_MS;
+
+      if (
+        stored.processing_status !== EVENT_STATUS.FAILED &&
+        !processingExpired
+      ) {
+        return false;
+      }
+    }
+
+    transaction.set(
+      eventRef,
+      {
+        event_type: event.type,
+        event_created: event.created,
+        processing_status: EVENT_STATUS.PROCESSING,
+        claimed_at: new Date().toISOString(),
+        attempts: (stored?.attempts || 0) + 1,
+      },
+      { merge: true }
+    );
+    return true;
+  });
+};
+
+// Store the handled event together with its processing outcome
+const recordEventResult = async (eventId, data) => {
+  await getDb()
+    .collection(WEBHOOK_COLLECTION)
+    .doc(eventId)
+    .set({ ...data, processed_at: new Date().toISOString() }, { merge: true });
+};
+
+// Mark an event as failed so the next Stripe retry can process it again
+const markEventFailed = async (eventId, error) => {
+  await getDb().collection(WEBHOOK_COLLECTION).doc(eventId).set(
+    {
+      processing_status: EVENT_STATUS.FAILED,
+      processing_error: error.message,
+      failed_at: new Date().toISOString(),
+    },
+    { merge: true }
+  );
+};
+
+// List stored events, newest first.
+// Filters: type, clubId, status (processing outcome), from/to (ISO receive dates).
+// `startingAfter` is the ID of the last event of the previous page.
+const listEvents = async ({
+  type,
+  clubId,
+  status,
+  from,
+  to,
+  limit = 50,
+  startingAfter,
+  order = "desc",
+} = {}) => {
+  const collection = getDb().collection(WEBHOOK_COLLECTION);
+  let query = collection;
+
+  if (type) query = query.where("event_type", "==", type);
+  if (clubId) query = query.where("club_id", "==", clubId);
+  if (status) query = query.where("processing_status", "==", status);
+  if (from) query = query.where("received_at", ">=", from);
+  if (to) query = query.where("received_at", "<=", to);
+
+  query = query.orderBy("received_at", order);
+
+  if (startingAfter) {
+    const cursor = await collection.doc(startingAfter).get();
+    if (cursor.exists) query = query.startAfter(cursor);
+  }
+
+  const snapshot = await query.limit(limit).get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+module.exports = {
+  WEBHOOK_COLLECTION,
+  EVENT_STATUS,
+  claimEvent,
+  recordEventResult,
+  markEventFailed,
+  listEvents,
+};
@@ -0,0 +1,19 @@
+const { updateClubStripeAccount } = require("../connect");
+
+// Keep the club's connected account state in sync (Connect endpoint)
+module.exports = [
+  {
+    name: "club_account",
+    events: ["account.updated"],
+    describe: (account) => ({
+      account_id: account.id,
+      charges_enabled: account.charges_enabled,
+      payouts_enabled: account.payouts_enabled,
+      metadata: account.metadata,
+    }),
+    handle: (event) => {
+      const account = event.data.object;
+      return updateClubStripeAccount(account.metadata?.clubId, account, event);
+    },
+  },
+];
@@ -0,0 +1,60 @@
+const { getStripe } = require("../../config/stripe");
+const { EVENT_STATUS } = require("../webhookEvents");
+const {
+  buildClubSubscriptionData,
+  updateClubSubscription,
+} = require("../subscriptions");
+const { recordClubCheckout } = require("../checkouts");
+
+const describeSession = (session) => ({
+  session_id: session.id,
+  mode: session.mode,
+  customer_email: session.customer_email,
+  customer_id: session.customer,
+  metadata: session.metadata,
+  payment_status: session.payment_status,
+});
+
+// Store the subscription of a completed subscription checkout on the club.
+// Other checkout modes are left to their own handlers.
+const checkoutSubscription = {
+  name: "checkout_subscription",
+  events: ["checkout.session.completed"],
+  describe: describeSession,
+  handle: async (event) => {
+    const session = event.data.object;
+    const clubId = session.metadata?.clubId;
+    if (session.mode !== "subscription") {
+      return { status: EVENT_STATUS.SKIPPED, reason: "not_subscription_mode" };
+    }
+    if (!clubId) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+    }
+
+    const subscription = session.subscription
+      ? await getStripe().subscriptions.retrieve(session.subscription)
+      : { id: null, status: "active" };
+    const data = buildClubSubscriptionData(subscription, clubId);
+    return updateClubSubscription(
+      clubId,
+      { ...data, customerId: session.customer || data.customerId },
+      event
+    );
+  },
+};
+
+// Record how the club's latest subscription checkout ended
+const clubCheckout = {
+  name: "club_checkout",
+  events: ["checkout.session.completed", "checkout.session.expired"],
+  describe: describeSession,
+  handle: async (event) => {
+    const session = event.data.object;
+    if (session.mode !== "subscription") {
+      return { status: EVENT_STATUS.SKIPPED, reason: "not_subscription_mode" };
+    }
+    return recordClubCheckout(session, event);
+  },
+};
+
+module.exports = [checkoutSubscription, clubCheckout];
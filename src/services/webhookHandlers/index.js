@@ -0,0 +1,62 @@
+// Registry of the handlers applied to each Stripe event type.
+// A handler is an object with
+//   name      - stable identifier, stored with its outcome
+//   events    - Stripe event types it handles
+//   describe  - optional (object, event) => fields of the event stored on
+//               stripe_webhooks/{id}
+//   handle    - async (event, { results, clubId }) => outcome
+//               ({ status, reason, clubId, fields }), where `results` holds
+//               the outcomes of the handlers run before it for this event
+// Handlers of an event run one after the other, in registration order. A
+// handler that throws fails the whole event, so Stripe retries it: handlers
+// must be safe to run again.
+
+const handlersByType = new Map();
+
+// Add a handler. Returns a function that removes it.
+const registerWebhookHandler = (handler) => {
+  if (
+    !handler?.name ||
+    !Array.isArray(handler.events) ||
+    typeof handler.handle !== "function"
+  ) {
+    throw new Error("A webhook handler needs a name, events and handle()");
+  }
+
+  handler.events.forEach((type) => {
+    const handlers = handlersByType.get(type) || [];
+    if (handlers.some(({ name }) => name === handler.name)) {
+      throw new Error(
+        `Webhook handler ${handler.name} is already registered for ${type}`
+      );
+    }
+    handlersByType.set(type, [...handlers, handler]);
+  });
+
+  return () => {
+    handler.events.forEach((type) => {
+      handlersByType.set(
+        type,
+        (handlersByType.get(type) || []).filter((item) => item !== handler)
+      );
+    });
+  };
+};
+
+const getWebhookHandlers = (type) => handlersByType.get(type) || [];
+
+[
+  ...require("./checkoutSessions"),
+  ...require("./tickets"),
+  ...require("./subscriptions"),
+  ...require("./invoices"),
+  ...require("./payments"),
+  ...require("./accounts"),
+  // After the handlers whose outcome decides whether admins are notified
+  ...require("./notifications"),
+].forEach(registerWebhookHandler);
+
+module.exports = {
+  registerWebhookHandler,
+  getWebhookHandlers,
+};
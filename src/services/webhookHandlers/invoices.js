@@ -0,0 +1,23 @@
+const { recordClubInvoice } = require("../invoices");
+
+// Record club invoices and the billing health of the club
+module.exports = [
+  {
+    name: "club_invoice",
+    events: [
+      "invoice.payment_succeeded",
+      "invoice.payment_failed",
+      "invoice.payment_action_required",
+      "invoice.upcoming",
+    ],
+    describe: (invoice) => ({
+      invoice_id: invoice.id || null,
+      subscription_id: invoice.subscription || null,
+      customer_id: invoice.customer,
+      amount: invoice.amount_paid || invoice.amount_due,
+      currency: invoice.currency,
+      status: invoice.status,
+    }),
+    handle: (event) => recordClubInvoice(event.data.object, event),
+  },
+];
@@ -0,0 +1,23 @@
+const { EVENT_STATUS } = require("../webhookEvents");
+const { EVENT_NOTIFICATIONS, notifyClubAdmins } = require("../notifications");
+
+// Tell the club's admins about billing events once another handler applied
+// them. Registered after the handlers of these events.
+module.exports = [
+  {
+    name: "admin_notifications",
+    events: Object.keys(EVENT_NOTIFICATIONS),
+    handle: async (event, { results, clubId }) => {
+      if (!results.some((result) => result.status === EVENT_STATUS.APPLIED)) {
+        return { status: EVENT_STATUS.SKIPPED, reason: "event_not_applied" };
+      }
+
+      const queued = await notifyClubAdmins(event, clubId);
+      return {
+        status: EVENT_STATUS.APPLIED,
+        clubId,
+        fields: { notifications_queued: queued },
+      };
+    },
+  },
+];
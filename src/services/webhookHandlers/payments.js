@@ -0,0 +1,56 @@
+const {
+  recordClubPayment,
+  recordChargeRefunds,
+  recordChargeDispute,
+} = require("../payments");
+
+// Member payments to clubs, their refunds and disputes
+const clubPayment = {
+  name: "club_payment",
+  events: ["payment_intent.succeeded", "payment_intent.payment_failed"],
+  describe: (paymentIntent) => ({
+    payment_intent_id: paymentIntent.id,
+    amount: paymentIntent.amount,
+    currency: paymentIntent.currency,
+    status: paymentIntent.status,
+    metadata: paymentIntent.metadata,
+  }),
+  handle: (event) => recordClubPayment(event.data.object, event),
+};
+
+const chargeRefund = {
+  name: "charge_refund",
+  events: ["charge.refunded"],
+  describe: (charge) => ({
+    charge_id: charge.id,
+    payment_intent_id: charge.payment_intent || null,
+    amount: charge.amount,
+    amount_refunded: charge.amount_refunded,
+    currency: charge.currency,
+    metadata: charge.metadata,
+  }),
+  handle: (event) => recordChargeRefunds(event.data.object, event),
+};
+
+const chargeDispute = {
+  name: "charge_dispute",
+  events: [
+    "charge.dispute.created",
+    "charge.dispute.updated",
+    "charge.dispute.closed",
+    "charge.dispute.funds_withdrawn",
+    "charge.dispute.funds_reinstated",
+  ],
+  describe: (dispute) => ({
+    dispute_id: dispute.id,
+    charge_id: dispute.charge,
+    payment_intent_id: dispute.payment_intent || null,
+    amount: dispute.amount,
+    currency: dispute.currency,
+    status: dispute.status,
+    reason: dispute.reason,
+  }),
+  handle: (event) => recordChargeDispute(event.data.object, event),
+};
+
+module.exports = [clubPayment, chargeRefund, chargeDispute];
@@ -0,0 +1,49 @@
+const { EVENT_STATUS } = require("../webhookEvents");
+const {
+  buildClubSubscriptionData,
+  updateClubSubscription,
+} = require("../subscriptions");
+const { recordTrialWillEnd } = require("../trials");
+
+const describeSubscription = (subscription) => ({
+  subscription_id: subscription.id,
+  customer_id: subscription.customer,
+  status: subscription.status,
+  metadata: subscription.metadata,
+});
+
+// Keep clubs/{id}.subscription in sync with the Stripe subscription
+const clubSubscription = {
+  name: "club_subscription",
+  events: [
+    "customer.subscription.created",
+    "customer.subscription.updated",
+    "customer.subscription.deleted",
+  ],
+  describe: describeSubscription,
+  handle: async (event) => {
+    const subscription = event.data.object;
+    const clubId = subscription.metadata?.clubId;
+    if (!clubId) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "missing_club_id" };
+    }
+    return updateClubSubscription(
+      clubId,
+      buildClubSubscriptionData(subscription, clubId),
+      event
+    );
+  },
+};
+
+// Record the end of a trial, three days before it
+const trialWillEnd = {
+  name: "trial_will_end",
+  events: ["customer.subscription.trial_will_end"],
+  describe: (subscription) => ({
+    ...describeSubscription(subscription),
+    trial_end: subscription.trial_end,
+  }),
+  handle: (event) => recordTrialWillEnd(event.data.object, event),
+};
+
+module.exports = [clubSubscription, trialWillEnd];
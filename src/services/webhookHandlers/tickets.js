@@ -0,0 +1,41 @@
+const { EVENT_STATUS } = require("../webhookEvents");
+const { issueTickets, releaseExpiredCheckout } = require("../tickets");
+
+// Ticket checkouts are opened by routes/tickets.js with this metadata kind
+const isTicketCheckout = (session) =>
+  session.metadata?.kind === "event_tickets";
+
+// Issue the tickets of a paid ticket checkout, or give its reserved tickets
+// back when it expires
+const eventTickets = {
+  name: "event_tickets",
+  events: ["checkout.session.completed", "checkout.session.expired"],
+  handle: async (event) => {
+    const session = event.data.object;
+    if (!isTicketCheckout(session)) {
+      return { status: EVENT_STATUS.SKIPPED, reason: "not_ticket_checkout" };
+    }
+    // Tickets are only sold by one-off payments
+    if (session.mode !== "payment") {
+      return {
+        status: EVENT_STATUS.SKIPPED,
+        reason: "not_payment_mode",
+        clubId: session.metadata.clubId,
+      };
+    }
+    if (event.type === "checkout.session.expired") {
+      return releaseExpiredCheckout(session);
+    }
+    // Delayed payment methods complete the checkout before paying
+    if (session.payment_status === "unpaid") {
+      return {
+        status: EVENT_STATUS.SKIPPED,
+        reason: "payment_pending",
+        clubId: session.metadata.clubId,
+      };
+    }
+    return issueTickets(session, event);
+  },
+};
+
+module.exports = [eventTickets];
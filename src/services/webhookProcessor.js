@@ -0,0 +1,60 @@
+const { EVENT_STATUS } = require("./webhookEvents");
+const { getWebhookHandlers } = require("./webhookHandlers");
+
+// Overall outcome of an event from the outcomes of its handlers: applied when
+// one of them applied it, else the first reason it was skipped
+const combineResults = (results) => {
+  if (!results.length) {
+    return { status: EVENT_STATUS.UNHANDLED, reason: null };
+  }
+  if (results.some((result) => result.status === EVENT_STATUS.APPLIED)) {
+    return { status: EVENT_STATUS.APPLIED, reason: null };
+  }
+  return { status: EVENT_STATUS.SKIPPED, reason: results[0].reason || null };
+};
+
+// Apply a verified Stripe event and build the document stored in
+// stripe_webhooks/{event.id}, including the outcome of each handler.
+// Used by the webhook endpoint and by admin replays.
+const processEvent = async (event) => {
+  const handlers = getWebhookHandlers(event.type);
+  const firebaseData = {
+    event_type: event.type,
+    event_created: event.created,
+    received_at: new Date().toISOString(),
+    data: event.data.object,
+  };
+  handlers.forEach((handler) => {
+    if (handler.describe) {
+      Object.assign(firebaseData, handler.describe(event.data.object, event));
+    }
+  });
+
+  const results = [];
+  const context = {
+    results,
+    clubId: firebaseData.metadata?.clubId || null,
+  };
+  for (const handler of handlers) {
+    const { fields, ...outcome } = await handler.handle(event, context);
+    results.push({
+      handler: handler.name,
+      status: outcome.status,
+      reason: outcome.reason || null,
+    });
+    if (outcome.clubId) context.clubId = outcome.clubId;
+    Object.assign(firebaseData, fields);
+  }
+
+  const { status, reason } = combineResults(results);
+  firebaseData.club_id = context.clubId;
+  firebaseData.processing_status = status;
+  firebaseData.processing_reason = reason;
+  firebaseData.handlers = results;
+
+  return firebaseData;
+};
+
+module.exports = {
+  processEvent,
+};
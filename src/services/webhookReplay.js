@@ -0,0 +1,122 @@
+const { getDb } = require("../config/firebase");
+const { getStripe } = require("../config/stripe");
+const {
+  WEBHOOK_COLLECTION,
+  EVENT_STATUS,
+  recordEventResult,
+  markEventFailed,
+  listEvents,
+} = require("./webhookEvents");
+const { processEvent } = require("./webhookProcessor");
+const { logger } = require("../config/logger");
+
+// Largest number of events replayed by a single range request
+const MAX_REPLAY_BATCH = 100;
+
+// Rebuild a Stripe event from its stored stripe_webhooks document.
+// Documents stored before event_created was recorded fall back to the receive date.
+const buildEventFromStored = (eventId, stored) => ({
+  id: eventId,
+  object: "event",
+  type: stored.event_type,
+  created:
+    stored.event_created || Math.floor(Date.parse(stored.received_at) / 1000),
+  data: { object: stored.data },
+});
+
+// Run a stored event through the webhook handler logic again.
+// With `refetch`, the event is retrieved fresh from Stripe instead.
+// Each attempt is recorded in stripe_webhooks/{eventId}/replays.
+// Returns null when the event was never received.
+const replayEvent = async (
+  eventId,
+  { refetch = false, requestedBy = null } = {}
+) => {
+  const eventRef = getDb().collection(WEBHOOK_COLLECTION).doc(eventId);
+  const eventSnap = await eventRef.get();
+  if (!eventSnap.exists) return null;
+
+  const stored = eventSnap.data();
+  const attempt = {
+    requested_by: requestedBy,
+    refetched: refetch,
+    replayed_at: new Date().toISOString(),
+  };
+
+  try {
+    const event = refetch
+      ? await getStripe().events.retrieve(eventId)
+      : buildEventFromStored(eventId, stored);
+
+    const result = await processEvent(event);
+    // Keep the date Stripe first delivered the event
+    delete result.received_at;
+    await recordEventResult(eventId, {
+      ...result,
+      replay_count: (stored.replay_count || 0) + 1,
+      last_replayed_at: attempt.replayed_at,
+    });
+
+    attempt.processing_status = result.processing_status;
+    attempt.processing_reason = result.processing_reason;
+  } catch (error) {
+    logger.error("Error replaying webhook", { event_id: eventId, error });
+    await markEventFailed(eventId, error);
+    attempt.processing_status = EVENT_STATUS.FAILED;
+    attempt.processing_error = error.message;
+  }
+
+  await eventRef.collection("replays").add(attempt);
+  return { event_id: eventId, ...attempt };
+};
+
+// Replay every stored event received between `from` and `to`, oldest first so
+// the ordering guards see them in the order Stripe sent them. A range larger
+// than one batch is continued with `startingAfter`, the last event replayed.
+const replayRange = async ({
+  from,
+  to,
+  type,
+  clubId,
+  status,
+  startingAfter,
+  refetch = false,
+  requestedBy = null,
+  limit = MAX_REPLAY_BATCH,
+}) => {
+  const events = await listEvents({
+    from,
+    to,
+    type,
+    clubId,
+    status,
+    limit: Math.min(limit, MAX_REPLAY_BATCH),
+    startingAfter,
+    order: "asc",
+  });
+
+  const results = [];
+  for (const event of events) {
+    results.push(await replayEvent(event.id, { refetch, requestedBy }));
+  }
+  return results;
+};
+
+// Replay attempts of an event, newest first
+const listReplays = async (eventId) => {
+  const snapshot = await getDb()
+    .collection(WEBHOOK_COLLECTION)
+    .doc(eventId)
+    .collection("replays")
+    .orderBy("replayed_at", "desc")
+    .get();
+  return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+};
+
+module.exports = {
+  MAX_REPLAY_BATCH,
+  buildEventFromStored,
+  replayEvent,
+  replayRange,
+  listReplays,
+};
@@ -0,0 +1,31 @@
+// Firestore documents shared by the tests
+
+const USERS = {
+  owner: { uid: "user_owner", email: "owner@club.test" },
+  admin: { uid: "user_admin", email: "admin@club.test" },
+  member: { uid: "user_member", email: "member@club.test" },
+  outsider: { uid: "user_outsider", email: "outsider@other.test" },
+  // Clubbix staff, with the `admin` custom claim
+  staff: { uid: "user_staff", email: "staff@clubbix.test", admin: true },
+};
+
+// ID token accepted by the fake Auth for each user
+const TOKENS = Object.fromEntries(
+  Object.entries(USERS).map(([name, user]) => [`token-${name}`, user])
+);
+
+const club = (overrides = {}) => ({
+  name: "FC Clubbix",
+  ownerId: USERS.owner.uid,
+  roles: {
+    [USERS.admin.uid]: "admin",
+    [USERS.member.uid]: "member",
+  },
+  ...overrides,
+});
+
+module.exports = {
+  USERS,
+  TOKENS,
+  club,
+};
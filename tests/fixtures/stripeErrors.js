@@ -0,0 +1,51 @@
+// Errors thrown by the Stripe client, built the way stripe-node builds them
+// from API responses
+const { StripeError, StripeConnectionError } = require("stripe").errors;
+
+const stripeError = (raw) => StripeError.generate(raw);
+
+const cardDeclined = (declineCode = "insufficient_funds") =>
+  stripeError({
+    type: "card_error",
+    code: "card_declined",
+    decline_code: declineCode,
+    message: "Your card was declined.",
+  });
+
+const resourceMissing = (id = "pi_missing") =>
+  stripeError({
+    type: "invalid_request_error",
+    code: "resource_missing",
+    param: "intent",
+    message: `No such payment_intent: '${id}'`,
+  });
+
+const invalidRequest = (param = "currency") =>
+  stripeError({
+    type: "invalid_request_error",
+    code: "parameter_invalid_empty",
+    param,
+    message: `Invalid ${param}: secret internal detail`,
+  });
+
+const rateLimited = () =>
+  stripeError({ type: "rate_limit_error", message: "Too many requests" });
+
+const authenticationFailed = () =>
+  stripeError({
+    type: "authentication_error",
+    message: "Invalid API Key provided: sk_test_****",
+  });
+
+// Network failures never reach the API, so they are not built from a response
+const connectionFailed = () =>
+  new StripeConnectionError({ message: "ECONNRESET" });
+
+module.exports = {
+  cardDeclined,
+  resourceMissing,
+  invalidRequest,
+  rateLimited,
+  authenticationFailed,
+  connectionFailed,
+};
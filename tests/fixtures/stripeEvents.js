@@ -0,0 +1,88 @@
+const Stripe = require("stripe");
+const objects = require("./stripeObjects");
+
+const { webhooks } = Stripe("sk_test_clubbix");
+
+let eventCounter = 0;
+
+// Stripe event envelope around `object`
+const buildEvent = (type, object, overrides = {}) => {
+  eventCounter += 1;
+  return {
+    id: `evt_test_${eventCounter}`,
+    object: "event",
+    api_version: "2023-10-16",
+    type,
+    created: objects.NOW,
+    livemode: false,
+    data: { object },
+    ...overrides,
+  };
+};
+
+// Serialize and sign an event the way Stripe does
+const signEvent = (event, secret = process.env.STRIPE_WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  const signature = webhooks.generateTestHeaderString({ payload, secret });
+  return { payload, signature };
+};
+
+const checkoutSessionCompleted = (session = {}, event = {}) =>
+  buildEvent(
+    "checkout.session.completed",
+    objects.checkoutSession(session),
+    event
+  );
+
+const checkoutSessionExpired = (session = {}, event = {}) =>
+  buildEvent(
+    "checkout.session.expired",
+    objects.checkoutSession({
+      status: "expired",
+      payment_status: "unpaid",
+      ...session,
+    }),
+    event
+  );
+
+const subscriptionEvent = (type, subscription = {}, event = {}) =>
+  buildEvent(
+    `customer.subscription.${type}`,
+    objects.subscription(subscription),
+    event
+  );
+
+const invoiceEvent = (type, invoice = {}, event = {}) =>
+  buildEvent(`invoice.${type}`, objects.invoice(invoice), event);
+
+const paymentIntentEvent = (type, paymentIntent = {}, event = {}) =>
+  buildEvent(
+    `payment_intent.${type}`,
+    objects.paymentIntent(paymentIntent),
+    event
+  );
+
+const chargeRefunded = (charge = {}, event = {}) =>
+  buildEvent("charge.refunded", objects.charge(charge), event);
+
+const disputeEvent = (type, dispute = {}, event = {}) =>
+  buildEvent(`charge.dispute.${type}`, objects.dispute(dispute), event);
+
+const accountUpdated = (account = {}, event = {}) =>
+  buildEvent("account.updated", objects.connectedAccount(account), {
+    account: account.id || "acct_club_1",
+    ...event,
+  });
+
+module.exports = {
+  buildEvent,
+  signEvent,
+  checkoutSessionCompleted,
+  checkoutSessionExpired,
+  subscriptionEvent,
+  invoiceEvent,
+  paymentIntentEvent,
+  chargeRefunded,
+  disputeEvent,
+  accountUpdated,
+};
@@ -0,0 +1,290 @@
+// Builders for the Stripe API objects used by the app.
+// Every builder accepts overrides merged over sensible test defaults.
+
+const NOW = Math.floor(Date.now() / 1000);
+const DAY = 24 * 60 * 60;
+
+const PRICE_INTERVALS = {
+  price_starter_monthly: ["month", 900],
+  price_starter_yearly: ["year", 9000],
+  price_pro_monthly: ["month", 2900],
+  price_pro_yearly: ["year", 29000],
+  price_premium_monthly: ["month", 7900],
+  price_premium_yearly: ["year", 79000],
+};
+
+const price = (id = "price_pro_monthly", overrides = {}) => {
+  const [interval, unitAmount] = PRICE_INTERVALS[id] || ["month", 1000];
+  return {
+    id,
+    object: "price",
+    currency: "eur",
+    unit_amount: unitAmount,
+    recurring: { interval, interval_count: 1 },
+    ...overrides,
+  };
+};
+
+const platformAccount = (overrides = {}) => ({
+  id: "acct_platform",
+  object: "account",
+  business_type: "company",
+  country: "FR",
+  created: NOW - 365 * DAY,
+  default_currency: "eur",
+  ...overrides,
+});
+
+const connectedAccount = (overrides = {}) => ({
+  id: "acct_club_1",
+  object: "account",
+  type: "express",
+  country: "FR",
+  default_currency: "eur",
+  charges_enabled: true,
+  payouts_enabled: true,
+  details_submitted: true,
+  capabilities: { card_payments: "active", transfers: "active" },
+  requirements: {
+    currently_due: [],
+    eventually_due: [],
+    past_due: [],
+    pending_verification: [],
+    disabled_reason: null,
+    current_deadline: null,
+  },
+  metadata: { clubId: "club_1" },
+  ...overrides,
+});
+
+const accountLink = (overrides = {}) => ({
+  object: "account_link",
+  url: "https://connect.stripe.com/setup/e/acct_club_1/link",
+  created: NOW,
+  expires_at: NOW + 300,
+  ...overrides,
+});
+
+const paymentIntent = (overrides = {}) => {
+  const id = overrides.id || "pi_1";
+  return {
+    id,
+    object: "payment_intent",
+    amount: 2999,
+    amount_received: 0,
+    currency: "eur",
+    status: "requires_payment_method",
+    client_secret: `${id}_secret_test`,
+    description: null,
+    application_fee_amount: null,
+    transfer_data: null,
+    last_payment_error: null,
+    created: NOW,
+    metadata: {},
+    ...overrides,
+  };
+};
+
+const refund = (overrides = {}) => ({
+  id: "re_1",
+  object: "refund",
+  amount: 2999,
+  currency: "eur",
+  charge: "ch_1",
+  payment_intent: "pi_1",
+  reason: "requested_by_customer",
+  status: "succeeded",
+  created: NOW,
+  metadata: {},
+  ...overrides,
+});
+
+// Charge of a member payment of 29.99 EUR with a 1.05 EUR application fee
+const charge = (overrides = {}) => ({
+  id: "ch_1",
+  object: "charge",
+  amount: 2999,
+  amount_refunded: 0,
+  currency: "eur",
+  payment_intent: "pi_1",
+  application_fee_amount: 105,
+  transfer_data: { destination: "acct_club_1" },
+  refunded: false,
+  refunds: { object: "list", data: [], has_more: false },
+  created: NOW,
+  metadata: { clubId: "club_1", memberId: "user_member" },
+  ...overrides,
+});
+
+const dispute = (overrides = {}) => ({
+  id: "dp_1",
+  object: "dispute",
+  amount: 2999,
+  currency: "eur",
+  charge: "ch_1",
+  payment_intent: "pi_1",
+  reason: "fraudulent",
+  status: "needs_response",
+  balance_transactions: [],
+  created: NOW,
+  ...overrides,
+});
+
+// Balance transaction of a dispute: funds withdrawn with a 15 EUR fee
+const disputeTransaction = (overrides = {}) => ({
+  id: "txn_dispute_1",
+  object: "balance_transaction",
+  amount: -2999,
+  fee: 1500,
+  currency: "eur",
+  created: NOW,
+  ...overrides,
+});
+
+const checkoutSession = (overrides = {}) => {
+  const id = overrides.id || "cs_1";
+  return {
+    id,
+    object: "checkout.session",
+    url: `https://checkout.stripe.com/c/pay/${id}`,
+    mode: "subscription",
+    status: "complete",
+    payment_status: "paid",
+    customer: "cus_1",
+    customer_email: "owner@club.test",
+    subscription: "sub_1",
+    created: NOW,
+    expires_at: NOW + DAY,
+    metadata: { clubId: "club_1" },
+    ...overrides,
+  };
+};
+
+const subscription = (overrides = {}) => {
+  const { priceId = "price_pro_monthly", ...rest } = overrides;
+  return {
+    id: "sub_1",
+    object: "subscription",
+    customer: "cus_1",
+    status: "active",
+    current_period_start: NOW - DAY,
+    current_period_end: NOW + 29 * DAY,
+    cancel_at_period_end: false,
+    created: NOW - DAY,
+    schedule: null,
+    metadata: { clubId: "club_1" },
+    items: {
+      object: "list",
+      data: [
+        {
+          id: "si_1",
+          object: "subscription_item",
+          price: price(priceId),
+          quantity: 1,
+        },
+      ],
+    },
+    ...rest,
+  };
+};
+
+const subscriptionSchedule = (overrides = {}) => ({
+  id: "sub_sched_1",
+  object: "subscription_schedule",
+  subscription: "sub_1",
+  phases: [
+    {
+      start_date: NOW - DAY,
+      end_date: NOW + 29 * DAY,
+      items: [{ price: "price_pro_monthly", quantity: 1 }],
+    },
+  ],
+  ...overrides,
+});
+
+const invoice = (overrides = {}) => ({
+  id: "in_1",
+  object: "invoice",
+  number: "CLUB-0001",
+  customer: "cus_1",
+  subscription: "sub_1",
+  status: "paid",
+  billing_reason: "subscription_cycle",
+  amount_due: 2900,
+  amount_paid: 2900,
+  amount_remaining: 0,
+  currency: "eur",
+  attempt_count: 1,
+  next_payment_attempt: null,
+  period_start: NOW - 30 * DAY,
+  period_end: NOW,
+  due_date: null,
+  hosted_invoice_url: "https://invoice.stripe.com/i/in_1",
+  invoice_pdf: "https://invoice.stripe.com/i/in_1/pdf",
+  subscription_details: { metadata: { clubId: "club_1" } },
+  metadata: {},
+  created: NOW,
+  ...overrides,
+});
+
+const upcomingInvoice = (overrides = {}) => ({
+  object: "invoice",
+  amount_due: 12350,
+  currency: "eur",
+  next_payment_attempt: NOW + 29 * DAY,
+  lines: {
+    object: "list",
+    data: [
+      { amount: -2803, proration: true },
+      { amount: 7253, proration: true },
+      { amount: 7900, proration: false },
+    ],
+  },
+  ...overrides,
+});
+
+const customer = (overrides = {}) => ({
+  id: "cus_1",
+  object: "customer",
+  email: "owner@club.test",
+  ...overrides,
+});
+
+const coupon = (overrides = {}) => ({
+  id: "CLUB20",
+  object: "coupon",
+  percent_off: 20,
+  duration: "once",
+  valid: true,
+  metadata: {},
+  ...overrides,
+});
+
+const portalSession = (overrides = {}) => ({
+  id: "bps_1",
+  object: "billing_portal.session",
+  url: "https://billing.stripe.com/p/session/bps_1",
+  ...overrides,
+});
+
+module.exports = {
+  NOW,
+  DAY,
+  price,
+  platformAccount,
+  connectedAccount,
+  accountLink,
+  paymentIntent,
+  refund,
+  charge,
+  dispute,
+  disputeTransaction,
+  checkoutSession,
+  subscription,
+  subscriptionSchedule,
+  invoice,
+  upcomingInvoice,
+  customer,
+  coupon,
+  portalSession,
+};
@@ -0,0 +1,932 @@
+const request = require("supertest");
+const { Timestamp } = require("firebase-admin").firestore;
+const {
+  createTestContext,
+  bearer,
+  sendWebhook,
+} = require("../support/testApp");
+const events = require("../fixtures/stripeEvents");
+const fixtures = require("../fixtures/stripeObjects");
+const { club } = require("../fixtures/firestore");
+
+describe("/api/admin webhook routes", () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext({ "clubs/club_1": club() });
+  });
+
+  const asStaff = (req) => req.set("Authorization", bearer("staff"));
+
+  // Store an event as if Stripe had delivered it at `receivedAt`
+  const storeEvent = async (event, receivedAt) => {
+    await sendWebhook(ctx.app, event);
+    await ctx.db
+      .doc(`stripe_webhooks/${event.id}`)
+      .set({ received_at: receivedAt }, { merge: true });
+  };
+
+  it("is reserved to platform administrators", async () => {
+    const res = await request(ctx.app)
+      .get("/api/admin/webhooks")
+      .set("Authorization", bearer("owner"));
+
+    expect(res.status).toBe(403);
+  });
+
+  describe("GET /webhooks", () => {
+    it("filters stored events by outcome, type and club", async () => {
+      const applied = events.subscriptionEvent("updated");
+      const skipped = events.subscriptionEvent("updated", {
+        metadata: { clubId: "club_2" },
+      });
+      await storeEvent(applied, "2024-01-01T10:00:00.000Z");
+      await storeEvent(skipped, "2024-01-01T11:00:00.000Z");
+
+      const bySkipped = await asStaff(
+        request(ctx.app).get("/api/admin/webhooks?status=skipped")
+      );
+      expect(bySkipped.status).toBe(200);
+      expect(bySkipped.body.events.map((event) => event.id)).toEqual([
+        skipped.id,
+      ]);
+      expect(bySkipped.body.events[0].processing_reason).toBe("club_not_found");
+      expect(bySkipped.body.events[0].data).toBeUndefined();
+
+      const byClub = await asStaff(
+        request(ctx.app).get("/api/admin/webhooks?club_id=club_1")
+      );
+      expect(byClub.body.events.map((event) => event.id)).toEqual([applied.id]);
+
+      const byType = await asStaff(
+        request(ctx.app).get(
+          "/api/admin/webhooks?type=customer.subscription.updated"
+        )
+      );
+      expect(byType.body.events.map((event) => event.id)).toEqual([
+        skipped.id,
+        applied.id,
+      ]);
+    });
+
+    it("paginates with starting_after", async () => {
+      const first = events.subscriptionEvent("updated");
+      const second = events.subscriptionEvent("updated");
+      await storeEvent(first, "2024-01-01T10:00:00.000Z");
+      await storeEvent(second, "2024-01-01T11:00:00.000Z");
+
+      const page = await asStaff(
+        request(ctx.app).get(
+          `/api/admin/webhooks?limit=1&starting_after=${second.id}`
+        )
+      );
+
+      expect(page.body.events.map((event) => event.id)).toEqual([first.id]);
+    });
+
+    it("filters on dates like the replay does", async () => {
+      const first = events.subscriptionEvent("updated");
+      const second = events.subscriptionEvent("updated");
+      await storeEvent(first, "2024-01-01T10:00:00.000Z");
+      await storeEvent(second, "2024-01-01T11:00:00.000Z");
+      const range = { from: "2024-01-01", to: "2024-01-01T11:30:00+01:00" };
+
+      const list = await asStaff(
+        request(ctx.app).get("/api/admin/webhooks").query(range)
+      );
+      const replay = await asStaff(
+        request(ctx.app).post("/api/admin/webhooks/replay").send(range)
+      );
+
+      expect(list.body.events.map((event) => event.id)).toEqual([first.id]);
+      expect(replay.body.results.map((result) => result.event_id)).toEqual([
+        first.id,
+      ]);
+    });
+
+    it("rejects an invalid date", async () => {
+      const res = await asStaff(
+        request(ctx.app).get("/api/admin/webhooks?from=yesterday")
+      );
+
+      expect(res.status).toBe(400);
+    });
+
+    it("rejects an unknown status", async () => {
+      const res = await asStaff(
+        request(ctx.app).get("/api/admin/webhooks?status=lost")
+      );
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("POST /webhooks/:eventId/replay", () => {
+    it("applies an event skipped because the club did not exist yet", async () => {
+      const event = events.subscriptionEvent("updated", {
+        metadata: { clubId: "club_2" },
+      });
+      await storeEvent(event, "2024-01-01T10:00:00.000Z");
+      await ctx.db.doc("clubs/club_2").set(club());
+
+      const res = await asStaff(
+        request(ctx.app).post(`/api/admin/webhooks/${event.id}/replay`)
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.result).toMatchObject({
+        event_id: event.id,
+        processing_status: "applied",
+        refetched: false,
+        requested_by: "user_staff",
+      });
+      expect(ctx.db.getData("clubs/club_2").subscription.subscriptionId).toBe(
+        "sub_1"
+      );
+      const stored = ctx.db.getData(`stripe_webhooks/${event.id}`);
+      expect(stored).toMatchObject({
+        processing_status: "applied",
+        replay_count: 1,
+        received_at: "2024-01-01T10:00:00.000Z",
+      });
+
+      const detail = await asStaff(
+        request(ctx.app).get(`/api/admin/webhooks/${event.id}`)
+      );
+      expect(detail.body.replays).toHaveLength(1);
+      expect(detail.body.replays[0].processing_status).toBe("applied");
+    });
+
+    it("can re-fetch the event from Stripe", async () => {
+      const event = events.subscriptionEvent("updated");
+      await storeEvent(event, "2024-01-01T10:00:00.000Z");
+
+      await asStaff(
+        request(ctx.app)
+          .post(`/api/admin/webhooks/${event.id}/replay`)
+          .send({ refetch: true })
+      );
+
+      expect(ctx.stripe.events.retrieve).toHaveBeenCalledWith(event.id);
+    });
+
+    it("records a failed replay", async () => {
+      const event = events.subscriptionEvent("updated");
+      await storeEvent(event, "2024-01-01T10:00:00.000Z");
+      ctx.stripe.events.retrieve.mockRejectedValueOnce(
+        new Error("No such event")
+      );
+
+      const res = await asStaff(
+        request(ctx.app)
+          .post(`/api/admin/webhooks/${event.id}/replay`)
+          .send({ refetch: true })
+      );
+
+      expect(res.body.result).toMatchObject({
+        processing_status: "failed",
+        processing_error: "No such event",
+      });
+      expect(
+        ctx.db.getData(`stripe_webhooks/${event.id}`).processing_status
+      ).toBe("failed");
+    });
+
+    it("returns 404 for an unknown event", async () => {
+      const res = await asStaff(
+        request(ctx.app).post("/api/admin/webhooks/evt_unknown/replay")
+      );
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("POST /webhooks/replay", () => {
+    it("replays the events of a time range, oldest first", async () => {
+      const before = events.subscriptionEvent("updated");
+      const first = events.subscriptionEvent("updated", {
+        metadata: { clubId: "club_2" },
+      });
+      const second = events.invoiceEvent("payment_failed", {
+        subscription_details: { metadata: { clubId: "club_2" } },
+      });
+      await storeEvent(before, "2024-01-01T08:00:00.000Z");
+      await storeEvent(first, "2024-01-01T10:00:00.000Z");
+      await storeEvent(second, "2024-01-01T11:00:00.000Z");
+      await ctx.db.doc("clubs/club_2").set(club());
+
+      const res = await asStaff(
+        request(ctx.app).post("/api/admin/webhooks/replay").send({
+          from: "2024-01-01T09:00:00.000Z",
+          to: "2024-01-01T12:00:00.000Z",
+          status: "skipped",
+        })
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.replayed).toBe(2);
+      expect(res.body.results.map((result) => result.event_id)).toEqual([
+        first.id,
+        second.id,
+      ]);
+      expect(ctx.db.getData("clubs/club_2").billingHealth.status).toBe(
+        "past_due"
+      );
+    });
+
+    it("continues a range larger than one batch from the last event", async () => {
+      const stored = [];
+      for (let minute = 0; minute <= 100; minute += 1) {
+        const event = events.subscriptionEvent("updated", { metadata: {} });
+        const receivedAt = new Date(
+          Date.UTC(2024, 0, 1, 10, minute)
+        ).toISOString();
+        await storeEvent(event, receivedAt);
+        stored.push(event.id);
+      }
+      const range = {
+        from: "2024-01-01T09:00:00.000Z",
+        to: "2024-01-01T12:00:00.000Z",
+      };
+
+      const first = await asStaff(
+        request(ctx.app).post("/api/admin/webhooks/replay").send(range)
+      );
+      const second = await asStaff(
+        request(ctx.app)
+          .post("/api/admin/webhooks/replay")
+          .send({ ...range, starting_after: first.body.last_event_id })
+      );
+
+      expect(first.body).toMatchObject({
+        replayed: 100,
+        has_more: true,
+        last_event_id: stored[99],
+      });
+      expect(second.body).toMatchObject({
+        replayed: 1,
+        has_more: false,
+        last_event_id: stored[100],
+      });
+    });
+
+    it("requires a valid range", async () => {
+      const res = await asStaff(
+        request(ctx.app)
+          .post("/api/admin/webhooks/replay")
+          .send({ from: "yesterday" })
+      );
+
+      expect(res.status).toBe(400);
+    });
+  });
+});
+
+describe("/api/admin reconciliation", () => {
+  let ctx;
+
+  // Club whose stored subscription matches fixtures.subscription()
+  const subscribedClub = (overrides = {}) => {
+    const subscription = fixtures.subscription();
+    return club({
+      subscription: {
+        subscriptionId: subscription.id,
+        clubId: "club_1",
+        status: "active",
+        currentPeriodEnd: Timestamp.fromMillis(
+          subscription.current_period_end * 1000
+        ),
+        priceId: "price_pro_monthly",
+        cancelAtPeriodEnd: false,
+        customerId: "cus_1",
+        lastEventCreated: 100,
+        ...overrides,
+      },
+    });
+  };
+
+  const reconcile = (body = {}) =>
+    request(ctx.app)
+      .post("/api/admin/reconciliation/subscriptions")
+      .set("Authorization", bearer("staff"))
+      .send(body);
+
+  const listSubscriptions = (...pages) => {
+    pages.forEach((data, index) =>
+      ctx.stripe.subscriptions.list.mockResolvedValueOnce({
+        object: "list",
+        data,
+        has_more: index < pages.length - 1,
+      })
+    );
+  };
+
+  it("is reserved to platform administrators", async () => {
+    ctx = createTestContext({ "clubs/club_1": subscribedClub() });
+
+    const res = await request(ctx.app)
+      .post("/api/admin/reconciliation/subscriptions")
+      .set("Authorization", bearer("owner"));
+
+    expect(res.status).toBe(403);
+  });
+
+  it("reports nothing when clubs match Stripe", async () => {
+    ctx = createTestContext({ "clubs/club_1": subscribedClub() });
+
+    const res = await reconcile();
+
+    expect(res.status).toBe(200);
+    expect(res.body.report).toMatchObject({
+      repair: false,
+      checked: 1,
+      clubs_checked: 1,
+      drifted: [],
+      unmatched: [],
+      missing_in_stripe: [],
+    });
+    expect(ctx.stripe.subscriptions.list).toHaveBeenCalledWith({
+      status: "all",
+      limit: 100,
+    });
+  });
+
+  it("reports drift without writing unless asked to repair", async () => {
+    ctx = createTestContext({
+      "clubs/club_1": subscribedClub({ status: "past_due" }),
+    });
+    listSubscriptions([fixtures.subscription({ cancel_at_period_end: true })]);
+
+    const res = await reconcile();
+
+    expect(res.body.report.drifted).toEqual([
+      {
+        club_id: "club_1",
+        subscription_id: "sub_1",
+        customer_id: "cus_1",
+        matched_by: "metadata",
+        missing_club_id: false,
+        differences: [
+          { field: "status", stored: "past_due", stripe: "active" },
+          { field: "cancelAtPeriodEnd", stored: false, stripe: true },
+        ],
+        repaired: false,
+      },
+    ]);
+    expect(ctx.db.getData("clubs/club_1").subscription.status).toBe("past_due");
+  });
+
+  it("pages through every Stripe subscription", async () => {
+    ctx = createTestContext({
+      "clubs/club_1": subscribedClub(),
+      "clubs/club_2": club(),
+    });
+    listSubscriptions(
+      [fixtures.subscription()],
+      [fixtures.subscription({ id: "sub_2", metadata: { clubId: "club_2" } })]
+    );
+
+    const res = await reconcile();
+
+    expect(ctx.stripe.subscriptions.list).toHaveBeenLastCalledWith({
+      status: "all",
+      limit: 100,
+      starting_after: "sub_1",
+    });
+    expect(res.body.report.checked).toBe(2);
+    expect(res.body.report.drifted.map((entry) => entry.club_id)).toEqual([
+      "club_2",
+    ]);
+  });
+
+  it("repairs drifted clubs from Stripe", async () => {
+    ctx = createTestContext({
+      "clubs/club_1": subscribedClub({ status: "past_due" }),
+    });
+    listSubscriptions([
+      fixtures.subscription({ priceId: "price_premium_yearly" }),
+    ]);
+
+    const res = await reconcile({ repair: true });
+
+    expect(res.body.report.drifted[0].repaired).toBe(true);
+    const { subscription } = ctx.db.getData("clubs/club_1");
+    expect(subscription).toMatchObject({
+      subscriptionId: "sub_1",
+      status: "active",
+      plan: "premium",
+      billingCycle: "yearly",
+      priceId: "price_premium_yearly",
+    });
+    expect(subscription.reconciledAt).toBeInstanceOf(Timestamp);
+    // Events sent before the reconciliation can no longer roll it back
+    expect(subscription.lastEventCreated).toBeGreaterThan(100);
+    expect(ctx.stripe.subscriptions.update).not.toHaveBeenCalled();
+  });
+
+  it("keeps a webhook applied while the job was running", async () => {
+    ctx = createTestContext({
+      "clubs/club_1": subscribedClub({ status: "past_due" }),
+    });
+    // A newer event lands between the listing and the repair
+    const newerEvent = Math.floor(Date.now() / 1000) + 60;
+    ctx.stripe.subscriptions.list.mockImplementationOnce(async () => {
+      await ctx.db.collection("clubs").doc("club_1").update({
+        "subscription.status": "canceled",
+        "subscription.lastEventId": "evt_newer",
+        "subscription.lastEventCreated": newerEvent,
+      });
+      return {
+        object: "list",
+        data: [fixtures.subscription({ metadata: {} })],
+        has_more: false,
+      };
+    });
+
+    const res = await reconcile({ repair: true });
+
+    expect(res.body.report.drifted[0]).toMatchObject({
+      club_id: "club_1",
+      repaired: false,
+      repair_skipped: "newer_event",
+    });
+    expect(ctx.db.getData("clubs/club_1").subscription).toMatchObject({
+      status: "canceled",
+      lastEventId: "evt_newer",
+      lastEventCreated: newerEvent,
+    });
+    expect(ctx.stripe.subscriptions.update).not.toHaveBeenCalled();
+  });
+
+  it("finds the club of a subscription without clubId metadata and tags it", async () => {
+    ctx = createTestContext({
+      "clubs/club_1": club({ stripeCustomer: { customerId: "cus_1" } }),
+    });
+    listSubscriptions([fixtures.subscription({ metadata: {} })]);
+
+    const res = await reconcile({ repair: true });
+
+    expect(res.body.report.drifted[0]).toMatchObject({
+      club_id: "club_1",
+      matched_by: "customer",
+      missing_club_id: true,
+      repaired: true,
+    });
+    expect(ctx.db.getData("clubs/club_1").subscription).toMatchObject({
+      subscriptionId: "sub_1",
+      clubId: "club_1",
+      status: "active",
+    });
+    expect(ctx.stripe.subscriptions.update).toHaveBeenCalledWith("sub_1", {
+      metadata: { clubId: "club_1" },
+    });
+  });
+
+  it("checks the live subscription when a club has several", async () => {
+    ctx = createTestContext({ "clubs/club_1": subscribedClub() });
+    listSubscriptions([
+      fixtures.subscription({ id: "sub_old", status: "canceled", created: 1 }),
+      fixtures.subscription(),
+    ]);
+
+    const res = await reconcile();
+
+    expect(res.body.report.drifted).toEqual([]);
+  });
+
+  it("lists subscriptions without a club and clubs unknown to Stripe", async () => {
+    ctx = createTestContext({
+      "clubs/club_1": subscribedClub({ subscriptionId: "sub_gone" }),
+    });
+    listSubscriptions([
+      fixtures.subscription({ id: "sub_2", metadata: { clubId: "club_9" } }),
+      fixtures.subscription({ id: "sub_3", customer: "cus_9", metadata: {} }),
+    ]);
+
+    const res = await reconcile();
+
+    expect(res.body.report.unmatched).toEqual([
+      {
+        subscription_id: "sub_2",
+        customer_id: "cus_1",
+        status: "active",
+        club_id: "club_9",
+        reason: "club_not_found",
+      },
+      {
+        subscription_id: "sub_3",
+        customer_id: "cus_9",
+        status: "active",
+        club_id: null,
+        reason: "missing_club_id",
+      },
+    ]);
+    expect(res.body.report.missing_in_stripe).toEqual([
+      { club_id: "club_1", subscription_id: "sub_gone", status: "active" },
+    ]);
+  });
+});
+
+describe("POST /api/admin/payments/:id/refunds", () => {
+  let ctx;
+
+  const memberPayment = fixtures.paymentIntent({
+    status: "succeeded",
+    amount_received: 2999,
+    application_fee_amount: 105,
+    transfer_data: { destination: "acct_club_1" },
+    metadata: { clubId: "club_1", memberId: "user_member" },
+  });
+
+  const refund = (body, user = "staff") =>
+    request(ctx.app)
+      .post("/api/admin/payments/pi_1/refunds")
+      .set("Authorization", bearer(user))
+      .send(body);
+
+  beforeEach(() => {
+    ctx = createTestContext({ "clubs/club_1": club() });
+  });
+
+  it("refunds part of a member payment from the club's account", async () => {
+    ctx.stripe.paymentIntents.retrieve.mockResolvedValue(memberPayment);
+
+    const res = await refund({ amount: 10, reason: "requested_by_customer" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.refund).toEqual({
+      id: "re_1",
+      payment_intent_id: "pi_1",
+      amount: 1000,
+      amount_major: 10,
+      currency: "eur",
+      reason: "requested_by_customer",
+      status: "succeeded",
+    });
+    expect(ctx.stripe.refunds.create).toHaveBeenCalledWith(
+      {
+        payment_intent: "pi_1",
+        amount: 1000,
+        reason: "requested_by_customer",
+        reverse_transfer: true,
+        refund_application_fee: true,
+        metadata: { refundedBy: "user_staff", clubId: "club_1" },
+      },
+      {}
+    );
+  });
+
+  it("refunds a whole payment to Clubbix", async () => {
+    ctx.stripe.paymentIntents.retrieve.mockResolvedValue(
+      fixtures.paymentIntent({ status: "succeeded", amount_received: 2999 })
+    );
+
+    const res = await refund({ reason: "duplicate" });
+
+    expect(res.status).toBe(200);
+    expect(ctx.stripe.refunds.create).toHaveBeenCalledWith(
+      {
+        payment_intent: "pi_1",
+        reason: "duplicate",
+        metadata: { refundedBy: "user_staff" },
+      },
+      {}
+    );
+  });
+
+  it("rejects amounts above the amount received", async () => {
+    ctx.stripe.paymentIntents.retrieve.mockResolvedValue(memberPayment);
+
+    const tooLarge = await refund({ amount: 30, reason: "duplicate" });
+    const tooPrecise = await refund({ amount: 1.005, reason: "duplicate" });
+
+    expect(tooLarge.status).toBe(400);
+    expect(tooLarge.body.fields).toEqual([
+      {
+        field: "amount",
+        message: "amount must be greater than 0 and at most 29.99 EUR",
+      },
+    ]);
+    expect(tooPrecise.status).toBe(400);
+    expect(ctx.stripe.refunds.create).not.toHaveBeenCalled();
+  });
+
+  it("limits a second partial refund to what is left", async () => {
+    ctx.stripe.paymentIntents.retrieve.mockResolvedValue({
+      ...memberPayment,
+      latest_charge: fixtures.charge({ amount_refunded: 1000 }),
+    });
+
+    const tooLarge = await refund({ amount: 20, reason: "duplicate" });
+    const rest = await refund({ amount: 19.99, reason: "duplicate" });
+
+    expect(ctx.stripe.paymentIntents.retrieve).toHaveBeenCalledWith("pi_1", {
+      expand: ["latest_charge"],
+    });
+    expect(tooLarge.status).toBe(400);
+    expect(tooLarge.body.fields[0].message).toBe(
+      "amount must be greater than 0 and at most 19.99 EUR"
+    );
+    expect(rest.status).toBe(200);
+    expect(ctx.stripe.refunds.create).toHaveBeenCalledTimes(1);
+    expect(ctx.stripe.refunds.create.mock.calls[0][0].amount).toBe(1999);
+  });
+
+  it("refuses a payment already refunded in full", async () => {
+    ctx.stripe.paymentIntents.retrieve.mockResolvedValue({
+      ...memberPayment,
+      latest_charge: fixtures.charge({ amount_refunded: 2999, refunded: true }),
+    });
+
+    const res = await refund({ reason: "duplicate" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("payment_already_refunded");
+    expect(ctx.stripe.refunds.create).not.toHaveBeenCalled();
+  });
+
+  it("requires a known reason", async () => {
+    const res = await refund({ reason: "changed_mind" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.fields[0].field).toBe("reason");
+  });
+
+  it("only refunds succeeded payments", async () => {
+    const res = await refund({ reason: "duplicate" });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("payment_not_refundable");
+  });
+
+  it("is reserved to platform administrators", async () => {
+    const res = await refund({ reason: "duplicate" }, "owner");
+
+    expect(res.status).toBe(403);
+    expect(ctx.stripe.refunds.create).not.toHaveBeenCalled();
+  });
+});
+
+describe("GET /api/admin/analytics/billing", () => {
+  let ctx;
+
+  const at = (month, day) => Date.UTC(2030, month, day) / 1000;
+
+  const subscribed = (plan, billingCycle, status, quantity) =>
+    club({ subscription: { plan, billingCycle, status, quantity } });
+
+  const stored = (type, created, fields = {}) => ({
+    event_type: type,
+    event_created: created,
+    processing_status: "applied",
+    processing_reason: null,
+    ...fields,
+  });
+
+  const getAnalytics = (query = "", user = "staff") =>
+    request(ctx.app)
+      .get(`/api/admin/analytics/billing?from=2030-01-01&to=2030-03-01${query}`)
+      .set("Authorization", bearer(user));
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": subscribed("pro", "monthly", "active"),
+      // Per-seat plan billed for the club's 3 members
+      "clubs/club_2": subscribed("starter", "yearly", "active", 3),
+      "clubs/club_3": subscribed("premium", "monthly", "past_due"),
+      "clubs/club_4": subscribed("pro", "monthly", "trialing"),
+      "clubs/club_5": subscribed("pro", "yearly", "canceled"),
+      "clubs/club_6": subscribed(null, null, "active"),
+      "clubs/club_7": club(),
+      "stripe_webhooks/evt_1": stored(
+        "customer.subscription.created",
+        at(0, 10),
+        { club_id: "club_a" }
+      ),
+      // Applied through checkout.session.completed first
+      "stripe_webhooks/evt_2": stored(
+        "customer.subscription.created",
+        at(0, 20),
+        {
+          club_id: "club_b",
+          processing_status: "skipped",
+          processing_reason: "stale_event",
+        }
+      ),
+      "stripe_webhooks/evt_3": stored(
+        "customer.subscription.created",
+        at(1, 5),
+        {
+          club_id: "club_c",
+          processing_status: "skipped",
+          processing_reason: "club_not_found",
+        }
+      ),
+      "stripe_webhooks/evt_4": stored(
+        "customer.subscription.deleted",
+        at(1, 10),
+        { club_id: "club_d" }
+      ),
+      "stripe_webhooks/evt_5": stored("invoice.payment_failed", at(0, 15), {
+        invoice_id: "in_1",
+      }),
+      "stripe_webhooks/evt_6": stored("invoice.payment_failed", at(0, 18), {
+        invoice_id: "in_1",
+      }),
+      "stripe_webhooks/evt_7": stored("invoice.payment_succeeded", at(0, 25), {
+        invoice_id: "in_1",
+      }),
+      "stripe_webhooks/evt_8": stored("invoice.payment_failed", at(1, 2), {
+        invoice_id: "in_2",
+      }),
+      "stripe_webhooks/evt_9": stored("invoice.payment_failed", at(1, 20), {
+        invoice_id: "in_3",
+      }),
+      // Paid after the window: still a recovery
+      "stripe_webhooks/evt_10": stored("invoice.payment_succeeded", at(2, 5), {
+        invoice_id: "in_3",
+      }),
+      "stripe_webhooks/evt_11": stored(
+        "customer.subscription.created",
+        at(2, 2),
+        { club_id: "club_e" }
+      ),
+    });
+  });
+
+  it("reports MRR, statuses and the plan mix", async () => {
+    const res = await getAnalytics();
+
+    expect(res.status).toBe(200);
+    expect(res.body.report).toMatchObject({
+      from: "2030-01-01T00:00:00.000Z",
+      to: "2030-03-01T00:00:00.000Z",
+      paying_clubs: 4,
+      subscriptions: { active: 3, trialing: 1, past_due: 1, canceled: 1 },
+      revenue: [
+        {
+          currency: "eur",
+          mrr: 13050,
+          arr: 156600,
+          mrr_major: 130.5,
+          arr_major: 1566,
+        },
+      ],
+    });
+    expect(res.body.report.plans).toEqual([
+      {
+        plan: "pro",
+        name: "Pro",
+        clubs: 2,
+        monthly: 2,
+        yearly: 0,
+        revenue: [
+          {
+            currency: "eur",
+            mrr: 2900,
+            arr: 34800,
+            mrr_major: 29,
+            arr_major: 348,
+          },
+        ],
+      },
+      expect.objectContaining({ plan: "premium", clubs: 1 }),
+      expect.objectContaining({
+        plan: "starter",
+        clubs: 1,
+        yearly: 1,
+        revenue: [expect.objectContaining({ currency: "eur", mrr: 2250 })],
+      }),
+      expect.objectContaining({ plan: "unknown", name: null, revenue: [] }),
+    ]);
+  });
+
+  it("counts new and churned clubs and payment recovery per month", async () => {
+    const res = await getAnalytics();
+
+    expect(res.body.report.months).toEqual([
+      {
+        month: "2030-01",
+        new_clubs: 2,
+        churned_clubs: 0,
+        net_clubs: 2,
+        failed_payments: 1,
+        recovered_payments: 1,
+      },
+      {
+        month: "2030-02",
+        new_clubs: 0,
+        churned_clubs: 1,
+        net_clubs: -1,
+        failed_payments: 2,
+        recovered_payments: 1,
+      },
+    ]);
+    expect(res.body.report.failed_payments).toEqual({
+      failed: 3,
+      recovered: 2,
+      recovery_rate: 0.6667,
+    });
+  });
+
+  it("exports a table as CSV", async () => {
+    const months = await getAnalytics("&format=csv&table=months");
+    const summary = await getAnalytics("&format=csv");
+
+    expect(months.status).toBe(200);
+    expect(months.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(months.headers["content-disposition"]).toMatch(
+      /^attachment; filename="billing-months-\d{4}-\d{2}-\d{2}\.csv"$/
+    );
+    expect(months.text).toBe(
+      [
+        "month,new_clubs,churned_clubs,net_clubs,failed_payments,recovered_payments",
+        "2030-01,2,0,2,1,1",
+        "2030-02,0,1,-1,2,1",
+        "",
+      ].join("\r\n")
+    );
+    expect(summary.text).toContain("mrr_eur,130.5\r\n");
+    expect(summary.text).toContain("recovery_rate,0.6667\r\n");
+  });
+
+  it("rejects unknown tables and formats", async () => {
+    const res = await getAnalytics("&format=xlsx&table=clubs");
+
+    expect(res.status).toBe(400);
+    expect(res.body.fields.map((field) => field.field).sort()).toEqual([
+      "query.format",
+      "query.table",
+    ]);
+  });
+
+  it("is reserved to platform administrators", async () => {
+    const res = await getAnalytics("", "owner");
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("POST /api/admin/seats/sync", () => {
+  let ctx;
+
+  // Starter is billed per member; club() has an owner, an admin and a member
+  const starterSubscription = (id, quantity) => {
+    const subscription = fixtures.subscription({
+      id,
+      priceId: "price_starter_monthly",
+    });
+    subscription.items.data[0].quantity = quantity;
+    return subscription;
+  };
+
+  const subscribedClub = (plan, subscriptionId) =>
+    club({ subscription: { subscriptionId, plan, status: "active" } });
+
+  const syncSeats = (body = {}, user = "staff") =>
+    request(ctx.app)
+      .post("/api/admin/seats/sync")
+      .set("Authorization", bearer(user))
+      .send(body);
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": subscribedClub("starter", "sub_1"),
+      "clubs/club_2": subscribedClub("pro", "sub_2"),
+      "clubs/club_3": subscribedClub("starter", "sub_3"),
+      "clubs/club_4": subscribedClub("starter", "sub_4"),
+    });
+    ctx.stripe.subscriptions.retrieve.mockImplementation(async (id) => {
+      if (id === "sub_4") throw new Error("Stripe is unavailable");
+      return starterSubscription(id, id === "sub_3" ? 3 : 1);
+    });
+  });
+
+  it("is reserved to platform administrators", async () => {
+    const res = await syncSeats({}, "owner");
+
+    expect(res.status).toBe(403);
+  });
+
+  it("syncs every club on a per-seat plan", async () => {
+    const res = await syncSeats({ proration_behavior: "none" });
+
+    expect(res.status).toBe(200);
+    expect(res.body.report).toEqual({
+      checked: 3,
+      updated: [{ club_id: "club_1", quantity: 3, capped: false }],
+      skipped: 0,
+      failed: [{ club_id: "club_4", error: "Stripe is unavailable" }],
+    });
+    expect(ctx.stripe.subscriptions.update).toHaveBeenCalledTimes(1);
+    expect(ctx.stripe.subscriptions.update).toHaveBeenCalledWith(
+      "sub_1",
+      expect.objectContaining({
+        items: [{ id: "si_1", quantity: 3 }],
+        proration_behavior: "none",
+      })
+    );
+    expect(ctx.db.getData("clubs/club_3").seats.quantity).toBe(3);
+    expect(ctx.db.getData("clubs/club_2").seats).toBeUndefined();
+  });
+});
@@ -0,0 +1,427 @@
+const request = require("supertest");
+const { Timestamp } = require("firebase-admin").firestore;
+const { createTestContext, bearer } = require("../support/testApp");
+const { club } = require("../fixtures/firestore");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const fromNow = (ms) => Timestamp.fromMillis(Date.now() + ms);
+
+describe("GET /api/clubs/:clubId/entitlements", () => {
+  const getEntitlements = async (clubData, user = "member") => {
+    const ctx = createTestContext({ "clubs/club_1": club(clubData) });
+    const res = await request(ctx.app)
+      .get("/api/clubs/club_1/entitlements")
+      .set("Authorization", bearer(user));
+    return res;
+  };
+
+  it("gives the plan to an active subscription", async () => {
+    const res = await getEntitlements({
+      subscription: { plan: "pro", status: "active" },
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.entitlements).toMatchObject({
+      plan: "pro",
+      access: "full",
+      features: { eventTicketing: true, customBranding: false },
+      limits: { maxMembers: 250, maxTeams: 10 },
+    });
+  });
+
+  it("gives the plan during a trial", async () => {
+    const trialEnd = fromNow(3 * DAY_MS);
+    const res = await getEntitlements({
+      subscription: {
+        plan: "starter",
+        status: "trialing",
+        currentPeriodEnd: fromNow(5 * DAY_MS),
+        trialEnd,
+      },
+    });
+
+    expect(res.body.entitlements).toMatchObject({
+      access: "full",
+      trialing: true,
+      trialEndsAt: trialEnd.toDate().toISOString(),
+    });
+  });
+
+  it("keeps the plan while past_due within the grace period", async () => {
+    const res = await getEntitlements({
+      subscription: { plan: "pro", status: "past_due" },
+      billingHealth: { graceEndsAt: fromNow(2 * DAY_MS) },
+    });
+
+    expect(res.body.entitlements).toMatchObject({
+      plan: "pro",
+      access: "grace",
+    });
+  });
+
+  it("falls back to the free tier after the grace period", async () => {
+    const res = await getEntitlements({
+      subscription: { plan: "pro", status: "past_due" },
+      billingHealth: { graceEndsAt: fromNow(-DAY_MS) },
+    });
+
+    expect(res.body.entitlements).toMatchObject({
+      plan: "free",
+      access: "restricted",
+      limits: { maxMembers: 15 },
+    });
+  });
+
+  it("keeps access until the end of a canceled period", async () => {
+    const res = await getEntitlements({
+      subscription: {
+        plan: "premium",
+        status: "active",
+        cancelAtPeriodEnd: true,
+        currentPeriodEnd: fromNow(DAY_MS),
+      },
+    });
+
+    expect(res.body.entitlements.access).toBe("full");
+    expect(res.body.entitlements.cancelsAt).not.toBeNull();
+  });
+
+  it("ends access once a canceled period is over", async () => {
+    const res = await getEntitlements({
+      subscription: {
+        plan: "premium",
+        status: "active",
+        cancelAtPeriodEnd: true,
+        currentPeriodEnd: fromNow(-DAY_MS),
+      },
+    });
+
+    expect(res.body.entitlements).toMatchObject({
+      plan: "free",
+      access: "none",
+    });
+  });
+
+  it("gives the free tier without a subscription", async () => {
+    const res = await getEntitlements({});
+
+    expect(res.body.entitlements).toMatchObject({
+      plan: "free",
+      access: "none",
+      features: { onlinePayments: false },
+    });
+  });
+
+  it("tells whether the club can still start a trial", async () => {
+    const fresh = await getEntitlements({});
+    expect(fresh.body.trial).toEqual({
+      eligible: true,
+      used_at: null,
+      ends_at: null,
+      has_payment_method: null,
+    });
+
+    const endsAt = fromNow(2 * DAY_MS);
+    const used = await getEntitlements({
+      trial: {
+        usedAt: fromNow(-12 * DAY_MS),
+        endsAt,
+        hasPaymentMethod: false,
+      },
+    });
+    expect(used.body.trial).toMatchObject({
+      eligible: false,
+      ends_at: endsAt.toDate().toISOString(),
+      has_payment_method: false,
+    });
+  });
+
+  it("is visible to club members only", async () => {
+    const res = await getEntitlements({}, "outsider");
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("/api/clubs/:clubId/currencies", () => {
+  it("defaults to the connected account currency", async () => {
+    const ctx = createTestContext({
+      "clubs/club_1": club({ stripeAccount: { defaultCurrency: "chf" } }),
+    });
+
+    const res = await request(ctx.app)
+      .get("/api/clubs/club_1/currencies")
+      .set("Authorization", bearer("member"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.currencies).toEqual(["chf"]);
+  });
+
+  it("lets club admins set the accepted currencies", async () => {
+    const ctx = createTestContext({ "clubs/club_1": club() });
+
+    const res = await request(ctx.app)
+      .put("/api/clubs/club_1/currencies")
+      .set("Authorization", bearer("admin"))
+      .send({ currencies: ["EUR", "chf", "eur"] });
+
+    expect(res.status).toBe(200);
+    expect(res.body.currencies).toEqual(["eur", "chf"]);
+    expect(ctx.db.getData("clubs/club_1").allowedCurrencies).toEqual([
+      "eur",
+      "chf",
+    ]);
+  });
+
+  it("rejects unsupported currencies", async () => {
+    const ctx = createTestContext({ "clubs/club_1": club() });
+
+    const res = await request(ctx.app)
+      .put("/api/clubs/club_1/currencies")
+      .set("Authorization", bearer("admin"))
+      .send({ currencies: ["eur", "xyz"] });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe("currencies not supported: xyz");
+  });
+
+  it("is reserved to club admins", async () => {
+    const ctx = createTestContext({ "clubs/club_1": club() });
+
+    const res = await request(ctx.app)
+      .put("/api/clubs/club_1/currencies")
+      .set("Authorization", bearer("member"))
+      .send({ currencies: ["eur"] });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("PATCH /api/clubs/:clubId", () => {
+  it("updates the club and its Stripe customer", async () => {
+    const ctx = createTestContext({
+      "clubs/club_1": club({
+        email: "board@club.test",
+        stripeCustomer: {
+          customerId: "cus_1",
+          name: "FC Clubbix",
+          email: "board@club.test",
+        },
+      }),
+    });
+
+    const res = await request(ctx.app)
+      .patch("/api/clubs/club_1")
+      .set("Authorization", bearer("admin"))
+      .send({ name: "FC Clubbix United" });
+
+    expect(res.status).toBe(200);
+    expect(ctx.db.getData("clubs/club_1")).toMatchObject({
+      name: "FC Clubbix United",
+      stripeCustomer: { name: "FC Clubbix United" },
+    });
+    expect(ctx.stripe.customers.update).toHaveBeenCalledWith("cus_1", {
+      name: "FC Clubbix United",
+      email: "board@club.test",
+    });
+  });
+
+  it("does not create a customer", async () => {
+    const ctx = createTestContext({ "clubs/club_1": club() });
+
+    const res = await request(ctx.app)
+      .patch("/api/clubs/club_1")
+      .set("Authorization", bearer("admin"))
+      .send({ email: "board@club.test" });
+
+    expect(res.status).toBe(200);
+    expect(ctx.db.getData("clubs/club_1").email).toBe("board@club.test");
+    expect(ctx.stripe.customers.create).not.toHaveBeenCalled();
+    expect(ctx.stripe.customers.update).not.toHaveBeenCalled();
+  });
+
+  it("requires a field to update", async () => {
+    const ctx = createTestContext({ "clubs/club_1": club() });
+
+    const res = await request(ctx.app)
+      .patch("/api/clubs/club_1")
+      .set("Authorization", bearer("admin"))
+      .send({ email: "not an email" });
+
+    expect(res.status).toBe(400);
+    expect(res.body.fields[0].field).toBe("email");
+  });
+
+  it("is reserved to club admins", async () => {
+    const ctx = createTestContext({ "clubs/club_1": club() });
+
+    const res = await request(ctx.app)
+      .patch("/api/clubs/club_1")
+      .set("Authorization", bearer("member"))
+      .send({ name: "Hijacked" });
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("/api/clubs/:clubId/notification-preferences", () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext({ "clubs/club_1": club() });
+  });
+
+  const getPreferences = (user = "admin") =>
+    request(ctx.app)
+      .get("/api/clubs/club_1/notification-preferences")
+      .set("Authorization", bearer(user));
+
+  const updatePreferences = (body, user = "admin") =>
+    request(ctx.app)
+      .put("/api/clubs/club_1/notification-preferences")
+      .set("Authorization", bearer(user))
+      .send(body);
+
+  it("turns every notification on by default", async () => {
+    const res = await getPreferences();
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({
+      success: true,
+      club_id: "club_1",
+      user_id: "user_admin",
+      preferences: {
+        locale: "fr",
+        payment_failed: true,
+        trial_will_end: true,
+        subscription_canceled: true,
+      },
+    });
+  });
+
+  it("stores the preferences of the signed-in admin only", async () => {
+    const res = await updatePreferences({
+      locale: "en",
+      trial_will_end: false,
+    });
+
+    expect(res.status).toBe(200);
+    expect(res.body.preferences).toEqual({
+      locale: "en",
+      payment_failed: true,
+      trial_will_end: false,
+      subscription_canceled: true,
+    });
+    expect(ctx.db.getData("clubs/club_1").notificationPreferences).toEqual({
+      user_admin: { locale: "en", trial_will_end: false },
+    });
+    expect((await getPreferences("owner")).body.preferences.locale).toBe("fr");
+  });
+
+  it("uses the club's locale for admins who chose none", async () => {
+    await ctx.db.doc("clubs/club_1").set({ locale: "en" }, { merge: true });
+
+    const res = await getPreferences();
+
+    expect(res.body.preferences.locale).toBe("en");
+  });
+
+  it("rejects unknown locales and empty updates", async () => {
+    const unknown = await updatePreferences({ locale: "de" });
+    const empty = await updatePreferences({});
+
+    expect(unknown.status).toBe(400);
+    expect(unknown.body.fields[0].field).toBe("locale");
+    expect(empty.status).toBe(400);
+  });
+
+  it("is reserved to club admins", async () => {
+    const res = await getPreferences("member");
+
+    expect(res.status).toBe(403);
+  });
+});
+
+describe("GET /api/clubs/:clubId/ledger", () => {
+  let ctx;
+
+  const entry = (sequence, type, amount, balanceAfter) => ({
+    type,
+    amount,
+    currency: "eur",
+    balanceAfter,
+    paymentIntentId: "pi_1",
+    sourceId: "pi_1",
+    sequence,
+    occurredAt: Timestamp.fromMillis(Date.UTC(2030, 0, 1)),
+    recordedAt: Timestamp.fromMillis(Date.UTC(2030, 0, 1)),
+  });
+
+  const getLedger = (query = "", user = "admin") =>
+    request(ctx.app)
+      .get(`/api/clubs/club_1/ledger${query}`)
+      .set("Authorization", bearer(user));
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": club({
+        ledger: { sequence: 3, balances: { eur: 1894 } },
+      }),
+      "clubs/club_1/ledger/payment_pi_1": entry(1, "payment", 2999, 2999),
+      "clubs/club_1/ledger/application_fee_pi_1": entry(
+        2,
+        "application_fee",
+        -105,
+        2894
+      ),
+      "clubs/club_1/ledger/refund_re_1": entry(3, "refund", -1000, 1894),
+    });
+  });
+
+  it("lists the latest entries first with the balance", async () => {
+    const res = await getLedger();
+
+    expect(res.status).toBe(200);
+    expect(res.body.balances).toEqual([
+      { currency: "eur", amount: 1894, amount_major: 18.94 },
+    ]);
+    expect(res.body.entries.map((item) => item.id)).toEqual([
+      "refund_re_1",
+      "application_fee_pi_1",
+      "payment_pi_1",
+    ]);
+    expect(res.body.entries[0]).toEqual({
+      id: "refund_re_1",
+      type: "refund",
+      amount: -1000,
+      amount_major: -10,
+      currency: "eur",
+      balance_after: 1894,
+      payment_intent_id: "pi_1",
+      charge_id: null,
+      source_id: "pi_1",
+      sequence: 3,
+      occurred_at: "2030-01-01T00:00:00.000Z",
+      recorded_at: "2030-01-01T00:00:00.000Z",
+    });
+    expect(res.body.has_more).toBe(false);
+  });
+
+  it("paginates with starting_after", async () => {
+    const first = await getLedger("?limit=2");
+    const second = await getLedger(
+      "?limit=2&starting_after=application_fee_pi_1"
+    );
+
+    expect(first.body.has_more).toBe(true);
+    expect(second.body.entries.map((item) => item.id)).toEqual([
+      "payment_pi_1",
+    ]);
+  });
+
+  it("is reserved to club admins", async () => {
+    const res = await getLedger("", "member");
+
+    expect(res.status).toBe(403);
+  });
+});
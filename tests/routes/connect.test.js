@@ -0,0 +1,131 @@
+const request = require("supertest");
+const { createTestContext, bearer } = require("../support/testApp");
+const objects = require("../fixtures/stripeObjects");
+const { club } = require("../fixtures/firestore");
+
+describe("/api/stripe/connect routes", () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": club(),
+      "clubs/club_2": club({
+        stripeAccount: { accountId: "acct_club_1", chargesEnabled: false },
+      }),
+    });
+  });
+
+  describe("POST /accounts", () => {
+    it("creates an Express account for the club", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/connect/accounts")
+        .set("Authorization", bearer("owner"))
+        .send({ clubId: "club_1" });
+
+      expect(res.status).toBe(201);
+      expect(res.body.account).toMatchObject({
+        account_id: "acct_club_1",
+        onboarding_status: "incomplete",
+      });
+      expect(ctx.stripe.accounts.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          type: "express",
+          country: "FR",
+          email: "owner@club.test",
+          metadata: { clubId: "club_1" },
+        })
+      );
+      expect(ctx.db.getData("clubs/club_1").stripeAccount.accountId).toBe(
+        "acct_club_1"
+      );
+    });
+
+    it("refuses to create a second account", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/connect/accounts")
+        .set("Authorization", bearer("owner"))
+        .send({ clubId: "club_2" });
+
+      expect(res.status).toBe(409);
+      expect(ctx.stripe.accounts.create).not.toHaveBeenCalled();
+    });
+
+    it("is reserved to club admins", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/connect/accounts")
+        .set("Authorization", bearer("member"))
+        .send({ clubId: "club_1" });
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("POST /account-links", () => {
+    const urls = {
+      refresh_url: "https://app.clubbix.test/connect/refresh",
+      return_url: "https://app.clubbix.test/connect/done",
+    };
+
+    it("returns an onboarding link", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/connect/account-links")
+        .set("Authorization", bearer("admin"))
+        .send({ clubId: "club_2", ...urls });
+
+      expect(res.status).toBe(200);
+      expect(res.body.url).toBe(objects.accountLink().url);
+      expect(ctx.stripe.accountLinks.create).toHaveBeenCalledWith({
+        account: "acct_club_1",
+        type: "account_onboarding",
+        ...urls,
+      });
+    });
+
+    it("requires an existing account", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/connect/account-links")
+        .set("Authorization", bearer("admin"))
+        .send({ clubId: "club_1", ...urls });
+
+      expect(res.status).toBe(404);
+    });
+
+    it("requires both URLs", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/connect/account-links")
+        .set("Authorization", bearer("admin"))
+        .send({ clubId: "club_2", return_url: urls.return_url });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("GET /accounts/:clubId", () => {
+    it("reports the live account status and stores it", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/connect/accounts/club_2")
+        .set("Authorization", bearer("admin"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.account).toMatchObject({
+        onboarding_status: "complete",
+        charges_enabled: true,
+        payouts_enabled: true,
+      });
+      expect(ctx.db.getData("clubs/club_2").stripeAccount.chargesEnabled).toBe(
+        true
+      );
+    });
+
+    it("reports clubs that have not started onboarding", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/connect/accounts/club_1")
+        .set("Authorization", bearer("admin"));
+
+      expect(res.body).toMatchObject({
+        account: null,
+        onboarding_status: "not_started",
+      });
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const request = require("supertest");
+const { createTestContext, bearer } = require("../support/testApp");
+const { club } = require("../fixtures/firestore");
+const stripeErrors = require("../fixtures/stripeErrors");
+
+describe("request validation and error mapping", () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": club({
+        subscription: { subscriptionId: "sub_1", customerId: "cus_1" },
+      }),
+      "clubs/club_2": club(),
+    });
+  });
+
+  describe("validation", () => {
+    it("reports every invalid field", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({
+          plan: "platinum",
+          billing_cycle: "monthly",
+          success_url: "not a url",
+          metadata: { clubId: "club_1" },
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        success: false,
+        code: "validation_error",
+        error: "plan must be one of: starter, pro, premium",
+      });
+      expect(res.body.fields).toEqual([
+        {
+          field: "plan",
+          message: "plan must be one of: starter, pro, premium",
+        },
+        {
+          field: "success_url",
+          message: "success_url must be a valid http(s) URL",
+        },
+        { field: "cancel_url", message: "cancel_url is required" },
+      ]);
+      expect(ctx.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("validates nested fields", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({
+          plan: "pro",
+          billing_cycle: "monthly",
+          success_url: "https://app.clubbix.test/success",
+          cancel_url: "https://app.clubbix.test/cancel",
+          metadata: { clubId: 42 },
+        });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual([
+        {
+          field: "metadata.clubId",
+          message: "metadata.clubId must be a string",
+        },
+      ]);
+    });
+
+    it("checks types", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: "12", currency: "euro" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields.map((field) => field.field)).toEqual([
+        "amount",
+        "currency",
+      ]);
+    });
+
+    it("validates path parameters", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/cs_1")
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields[0].field).toBe("params.id");
+      expect(ctx.stripe.paymentIntents.retrieve).not.toHaveBeenCalled();
+    });
+
+    it("coerces and checks query parameters", async () => {
+      const res = await request(ctx.app)
+        .get("/api/admin/webhooks?limit=500")
+        .set("Authorization", bearer("staff"));
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual([
+        { field: "query.limit", message: "query.limit must be at most 200" },
+      ]);
+    });
+
+    it("rejects malformed JSON bodies", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .set("Content-Type", "application/json")
+        .send("{amount:");
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("invalid_json");
+    });
+  });
+
+  describe("Stripe errors", () => {
+    it("returns card declines as 402 with the decline code", async () => {
+      ctx.stripe.paymentIntents.create.mockRejectedValueOnce(
+        stripeErrors.cardDeclined()
+      );
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 10 });
+
+      expect(res.status).toBe(402);
+      expect(res.body).toEqual({
+        success: false,
+        error: "Your card was declined.",
+        code: "card_declined",
+        decline_code: "insufficient_funds",
+      });
+    });
+
+    it("returns an unknown payment intent as 404", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockRejectedValueOnce(
+        stripeErrors.resourceMissing("pi_missing")
+      );
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_missing")
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("resource_missing");
+      expect(res.body.error).not.toContain("pi_missing");
+    });
+
+    it("returns other invalid requests as 400 without Stripe's message", async () => {
+      ctx.stripe.paymentIntents.create.mockRejectedValueOnce(
+        stripeErrors.invalidRequest("currency")
+      );
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 10, currency: "usd" });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toEqual({
+        success: false,
+        error: "The request was rejected by the payment provider",
+        code: "parameter_invalid_empty",
+        param: "currency",
+      });
+    });
+
+    it.each([
+      ["rate limits", stripeErrors.rateLimited, 429, "rate_limited"],
+      [
+        "authentication failures",
+        stripeErrors.authenticationFailed,
+        502,
+        "payment_provider_auth_error",
+      ],
+      [
+        "connection failures",
+        stripeErrors.connectionFailed,
+        503,
+        "payment_provider_unavailable",
+      ],
+    ])("maps %s", async (label, buildError, status, code) => {
+      ctx.stripe.accounts.retrieve.mockRejectedValueOnce(buildError());
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/account")
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(status);
+      expect(res.body.code).toBe(code);
+      expect(res.body.error).not.toMatch(/sk_test|ECONNRESET/);
+    });
+
+    it("maps errors raised in middleware", async () => {
+      ctx.stripe.subscriptions.retrieve.mockRejectedValueOnce(
+        stripeErrors.connectionFailed()
+      );
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/subscriptions/club_1")
+        .set("Authorization", bearer("admin"));
+
+      expect(res.status).toBe(503);
+      expect(res.body.code).toBe("payment_provider_unavailable");
+    });
+
+    it("shows internal messages in development only", async () => {
+      process.env.NODE_ENV = "development";
+      ctx.stripe.accounts.retrieve.mockRejectedValueOnce(
+        stripeErrors.connectionFailed()
+      );
+
+      try {
+        const res = await request(ctx.app)
+          .get("/api/stripe/account")
+          .set("Authorization", bearer("member"));
+
+        expect(res.body.error).toBe("ECONNRESET");
+      } finally {
+        process.env.NODE_ENV = "test";
+      }
+    });
+  });
+
+  describe("request errors", () => {
+    it.each([
+      ["without a token", undefined, 401, "authentication_required"],
+      ["with a forged token", "Bearer token-forged", 401, "invalid_token"],
+      ["from a member", bearer("member"), 403, "not_club_admin"],
+    ])("answers a request %s with a code", async (_, header, status, code) => {
+      const req = request(ctx.app).get("/api/stripe/subscriptions/club_1");
+      const res = await (header ? req.set("Authorization", header) : req);
+
+      expect(res.status).toBe(status);
+      expect(res.body).toEqual({
+        success: false,
+        error: expect.any(String),
+        code,
+      });
+    });
+
+    it("answers an unknown club and subscription with a code", async () => {
+      const unknown = await request(ctx.app)
+        .get("/api/stripe/subscriptions/club_unknown")
+        .set("Authorization", bearer("admin"));
+      const unsubscribed = await request(ctx.app)
+        .get("/api/stripe/subscriptions/club_2")
+        .set("Authorization", bearer("admin"));
+
+      expect(unknown.status).toBe(404);
+      expect(unknown.body.code).toBe("club_not_found");
+      expect(unsubscribed.status).toBe(404);
+      expect(unsubscribed.body.code).toBe("subscription_not_found");
+    });
+
+    it("hides the Stripe configuration error outside development", async () => {
+      const secretKey = process.env.STRIPE_SECRET_KEY;
+      delete process.env.STRIPE_SECRET_KEY;
+
+      try {
+        const res = await request(ctx.app)
+          .get("/api/stripe/account")
+          .set("Authorization", bearer("member"));
+
+        expect(res.status).toBe(500);
+        expect(res.body).toEqual({
+          success: false,
+          error: "Stripe configuration error",
+          code: "stripe_not_configured",
+        });
+      } finally {
+        process.env.STRIPE_SECRET_KEY = secretKey;
+      }
+    });
+  });
+});
@@ -0,0 +1,183 @@
+const request = require("supertest");
+const { createTestContext, sendWebhook } = require("../support/testApp");
+const events = require("../fixtures/stripeEvents");
+const { clearHealthCache } = require("../../src/services/health");
+
+describe("/api/health routes", () => {
+  let ctx;
+
+  beforeEach(() => {
+    clearHealthCache();
+    ctx = createTestContext();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("GET / reports the server as healthy", async () => {
+    const res = await request(ctx.app).get("/api/health");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("healthy");
+  });
+
+  it("GET /stripe checks the Stripe connection", async () => {
+    const res = await request(ctx.app).get("/api/health/stripe");
+
+    expect(res.status).toBe(200);
+    expect(res.body.stripe).toMatchObject({
+      success: true,
+      accountId: "acct_platform",
+    });
+  });
+
+  it("GET /detailed reports a failed Stripe connection", async () => {
+    ctx.stripe.accounts.retrieve.mockRejectedValueOnce(
+      new Error("Invalid API Key")
+    );
+
+    const res = await request(ctx.app).get("/api/health/detailed");
+
+    expect(res.status).toBe(200);
+    expect(res.body.services.stripe).toBe("failed");
+  });
+
+  it("GET /detailed reports Firestore and webhook state", async () => {
+    const res = await request(ctx.app).get("/api/health/detailed");
+
+    expect(res.body.services).toEqual({
+      stripe: "operational",
+      firestore: "operational",
+      config: "operational",
+      webhooks: "none",
+    });
+  });
+
+  it("GET /live answers without checking dependencies", async () => {
+    const res = await request(ctx.app).get("/api/health/live");
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe("alive");
+    expect(ctx.stripe.accounts.retrieve).not.toHaveBeenCalled();
+  });
+
+  describe("GET /ready", () => {
+    it("checks Stripe, Firestore and the configuration", async () => {
+      const res = await request(ctx.app).get("/api/health/ready");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        status: "ready",
+        cached: false,
+        checks: {
+          stripe: { status: "ok" },
+          firestore: { status: "ok" },
+          config: { status: "ok", missing: [] },
+        },
+      });
+      expect(ctx.db.listPaths("health_checks/")).toHaveLength(1);
+    });
+
+    it("is not ready when Stripe cannot be reached", async () => {
+      ctx.stripe.accounts.retrieve.mockRejectedValueOnce(
+        new Error("Invalid API Key provided: sk_test_***")
+      );
+
+      const res = await request(ctx.app).get("/api/health/ready");
+
+      expect(res.status).toBe(503);
+      expect(res.body.status).toBe("not_ready");
+      expect(res.body.checks.stripe).toEqual({
+        status: "failed",
+        latency_ms: expect.any(Number),
+      });
+    });
+
+    it("is not ready when Firestore cannot be written", async () => {
+      const collection = ctx.db.collection.bind(ctx.db);
+      jest.spyOn(ctx.db, "collection").mockImplementation((name) => {
+        if (name === "health_checks") throw new Error("PERMISSION_DENIED");
+        return collection(name);
+      });
+
+      const res = await request(ctx.app).get("/api/health/ready");
+
+      expect(res.status).toBe(503);
+      expect(res.body.checks.firestore.status).toBe("failed");
+    });
+
+    it("is not ready when the webhook secret is missing", async () => {
+      const secret = process.env.STRIPE_WEBHOOK_SECRET;
+      delete process.env.STRIPE_WEBHOOK_SECRET;
+
+      try {
+        const res = await request(ctx.app).get("/api/health/ready");
+
+        expect(res.status).toBe(503);
+        expect(res.body.checks.config).toEqual({
+          status: "failed",
+          missing: ["STRIPE_WEBHOOK_SECRET"],
+        });
+      } finally {
+        process.env.STRIPE_WEBHOOK_SECRET = secret;
+      }
+    });
+
+    it("reports the age of the last webhook received", async () => {
+      const event = events.subscriptionEvent("updated");
+      await sendWebhook(ctx.app, event);
+
+      const res = await request(ctx.app).get("/api/health/ready");
+
+      expect(res.body.checks.webhooks).toMatchObject({
+        status: "ok",
+        last_event_type: "customer.subscription.updated",
+        age_seconds: expect.any(Number),
+      });
+    });
+
+    it("flags a webhook endpoint that stopped receiving events", async () => {
+      const event = events.subscriptionEvent("updated");
+      await sendWebhook(ctx.app, event);
+      await ctx.db.doc(`stripe_webhooks/${event.id}`).set(
+        {
+          received_at: new Date(Date.now() - 48 * 3600 * 1000).toISOString(),
+        },
+        { merge: true }
+      );
+
+      const res = await request(ctx.app).get("/api/health/ready");
+
+      // A quiet webhook endpoint does not take the server out of rotation
+      expect(res.status).toBe(200);
+      expect(res.body.checks.webhooks.status).toBe("stale");
+      expect(res.body.checks.webhooks.age_seconds).toBeGreaterThanOrEqual(
+        48 * 3600
+      );
+    });
+
+    it("serves recent results from the cache", async () => {
+      process.env.HEALTH_CACHE_SECONDS = "30";
+
+      try {
+        const first = await request(ctx.app).get("/api/health/ready");
+        const second = await request(ctx.app).get("/api/health/ready");
+
+        expect(first.body.cached).toBe(false);
+        expect(second.body.cached).toBe(true);
+        expect(second.body.checked_at).toBe(first.body.checked_at);
+        expect(ctx.stripe.accounts.retrieve).toHaveBeenCalledTimes(1);
+      } finally {
+        process.env.HEALTH_CACHE_SECONDS = "0";
+      }
+    });
+  });
+
+  it("returns 404 for unknown routes", async () => {
+    const res = await request(ctx.app).get("/api/unknown");
+
+    expect(res.status).toBe(404);
+    expect(res.body.error).toBe("Route not found");
+  });
+});
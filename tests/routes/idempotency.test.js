@@ -0,0 +1,214 @@
+const request = require("supertest");
+const { Timestamp } = require("firebase-admin").firestore;
+const { createTestContext, bearer } = require("../support/testApp");
+const { club } = require("../fixtures/firestore");
+const fixtures = require("../fixtures/stripeObjects");
+const stripeErrors = require("../fixtures/stripeErrors");
+const {
+  IDEMPOTENCY_COLLECTION,
+  getKeyId,
+  getRequestFingerprint,
+} = require("../../src/services/idempotency");
+
+describe("Idempotency-Key", () => {
+  let ctx;
+
+  const createPaymentIntent = (body, key = "key_1", user = "member") =>
+    request(ctx.app)
+      .post("/api/stripe/payment-intents")
+      .set("Authorization", bearer(user))
+      .set("Idempotency-Key", key)
+      .send(body);
+
+  const storedKey = (key = "key_1", uid = "user_member") =>
+    ctx.db.getData(`${IDEMPOTENCY_COLLECTION}/${getKeyId(uid, key)}`);
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": club({
+        subscription: { subscriptionId: "sub_1", customerId: "cus_1" },
+      }),
+    });
+    let count = 0;
+    ctx.stripe.paymentIntents.create.mockImplementation(async (params) => {
+      count += 1;
+      return fixtures.paymentIntent({
+        ...params,
+        id: `pi_${count}`,
+        client_secret: `pi_${count}_secret`,
+      });
+    });
+  });
+
+  it("forwards a per-user key to Stripe", async () => {
+    const res = await createPaymentIntent({ amount: 10 });
+
+    expect(res.status).toBe(200);
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledWith(
+      expect.any(Object),
+      { idempotencyKey: getKeyId("user_member", "key_1") }
+    );
+    expect(storedKey()).toMatchObject({
+      key: "key_1",
+      userId: "user_member",
+      status: "completed",
+      responseStatus: 200,
+    });
+  });
+
+  it("replays the first response for a retried key", async () => {
+    const first = await createPaymentIntent({ amount: 10 });
+    const retry = await createPaymentIntent({ amount: 10 });
+
+    expect(retry.status).toBe(200);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.body.payment_intent_id).toBe("pi_1");
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects the same key with a different payload", async () => {
+    await createPaymentIntent({ amount: 10 });
+    const res = await createPaymentIntent({ amount: 20 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("idempotency_key_reused");
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("rejects the same key on another endpoint", async () => {
+    await createPaymentIntent({ amount: 10 }, "key_1", "admin");
+    const res = await request(ctx.app)
+      .post("/api/stripe/checkout-sessions")
+      .set("Authorization", bearer("admin"))
+      .set("Idempotency-Key", "key_1")
+      .send({
+        plan: "pro",
+        billing_cycle: "monthly",
+        success_url: "https://app.clubbix.test/success",
+        cancel_url: "https://app.clubbix.test/cancel",
+        metadata: { clubId: "club_1" },
+      });
+
+    expect(res.status).toBe(409);
+    expect(ctx.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+  });
+
+  it("keeps keys of different users apart", async () => {
+    await createPaymentIntent({ amount: 10 }, "shared", "member");
+    const res = await createPaymentIntent({ amount: 10 }, "shared", "admin");
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment_intent_id).toBe("pi_2");
+  });
+
+  it("replays checkout sessions", async () => {
+    const send = () =>
+      request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .set("Idempotency-Key", "checkout_1")
+        .send({
+          plan: "pro",
+          billing_cycle: "monthly",
+          success_url: "https://app.clubbix.test/success",
+          cancel_url: "https://app.clubbix.test/cancel",
+          metadata: { clubId: "club_1" },
+        });
+
+    const first = await send();
+    const retry = await send();
+
+    expect(retry.body).toEqual(first.body);
+    expect(ctx.stripe.checkout.sessions.create).toHaveBeenCalledTimes(1);
+    expect(ctx.stripe.checkout.sessions.create.mock.calls[0][1]).toEqual({
+      idempotencyKey: getKeyId("user_admin", "checkout_1"),
+    });
+  });
+
+  it("replays definitive errors such as card declines", async () => {
+    ctx.stripe.paymentIntents.create.mockRejectedValueOnce(
+      stripeErrors.cardDeclined()
+    );
+
+    const first = await createPaymentIntent({ amount: 10 });
+    const retry = await createPaymentIntent({ amount: 10 });
+
+    expect(first.status).toBe(402);
+    expect(retry.status).toBe(402);
+    expect(retry.body).toEqual(first.body);
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledTimes(1);
+  });
+
+  it("releases the key after a retryable failure", async () => {
+    ctx.stripe.paymentIntents.create.mockRejectedValueOnce(
+      stripeErrors.connectionFailed()
+    );
+
+    const first = await createPaymentIntent({ amount: 10 });
+    expect(first.status).toBe(503);
+    expect(storedKey()).toBeUndefined();
+
+    const retry = await createPaymentIntent({ amount: 10 });
+    expect(retry.status).toBe(200);
+    expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledTimes(2);
+  });
+
+  it("rejects a retry while the first request is in progress", async () => {
+    ctx.db.documents.set(
+      `${IDEMPOTENCY_COLLECTION}/${getKeyId("user_member", "key_1")}`,
+      {
+        key: "key_1",
+        userId: "user_member",
+        fingerprint: getRequestFingerprint({
+          method: "POST",
+          path: "/api/stripe/payment-intents",
+          body: { amount: 10 },
+        }),
+        status: "processing",
+        claimedAt: Timestamp.now(),
+        expiresAt: Timestamp.fromMillis(Date.now() + 60 * 60 * 1000),
+      }
+    );
+
+    const res = await createPaymentIntent({ amount: 10 });
+
+    expect(res.status).toBe(409);
+    expect(res.body.code).toBe("idempotency_key_in_use");
+    expect(ctx.stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  it("runs the request again once the stored key expired", async () => {
+    await createPaymentIntent({ amount: 10 });
+    const path = `${IDEMPOTENCY_COLLECTION}/${getKeyId(
+      "user_member",
+      "key_1"
+    )}`;
+    ctx.db.documents.get(path).expiresAt = Timestamp.fromMillis(
+      Date.now() - 1000
+    );
+
+    const res = await createPaymentIntent({ amount: 20 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.payment_intent_id).toBe("pi_2");
+  });
+
+  it("rejects keys longer than 255 characters", async () => {
+    const res = await createPaymentIntent({ amount: 10 }, "k".repeat(256));
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("validation_error");
+    expect(ctx.stripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  it("does not store anything without the header", async () => {
+    const res = await request(ctx.app)
+      .post("/api/stripe/payment-intents")
+      .set("Authorization", bearer("member"))
+      .send({ amount: 10 });
+
+    expect(res.status).toBe(200);
+    expect(ctx.db.listPaths(IDEMPOTENCY_COLLECTION)).toEqual([]);
+  });
+});
@@ -0,0 +1,175 @@
+const request = require("supertest");
+const {
+  createTestContext,
+  bearer,
+  sendWebhook,
+} = require("../support/testApp");
+const events = require("../fixtures/stripeEvents");
+const { club } = require("../fixtures/firestore");
+const { redact } = require("../../src/config/logger");
+
+// Request IDs and structured logs across routers
+describe("logging", () => {
+  let ctx;
+  let lines;
+
+  const capture = (stream) =>
+    jest.spyOn(stream, "write").mockImplementation((chunk) => {
+      lines.push(JSON.parse(chunk));
+      return true;
+    });
+
+  const findLine = (message) => lines.find((line) => line.message === message);
+
+  beforeEach(() => {
+    process.env.LOG_LEVEL = "debug";
+    lines = [];
+    capture(process.stdout);
+    capture(process.stderr);
+    ctx = createTestContext({ "clubs/club_1": club() });
+  });
+
+  afterEach(() => {
+    process.env.LOG_LEVEL = "silent";
+    jest.restoreAllMocks();
+  });
+
+  describe("request IDs", () => {
+    it("returns a generated ID in X-Request-Id and logs the request with it", async () => {
+      const res = await request(ctx.app).get("/api/health");
+
+      const requestId = res.headers["x-request-id"];
+      expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+      expect(findLine("Request completed")).toMatchObject({
+        level: "info",
+        request_id: requestId,
+        method: "GET",
+        path: "/api/health",
+        status: 200,
+      });
+    });
+
+    it("keeps the ID sent by the caller", async () => {
+      const res = await request(ctx.app)
+        .get("/api/health")
+        .set("X-Request-Id", "lb-1234.abc");
+
+      expect(res.headers["x-request-id"]).toBe("lb-1234.abc");
+    });
+
+    it("replaces an ID that does not look like one", async () => {
+      const res = await request(ctx.app)
+        .get("/api/health")
+        .set("X-Request-Id", "<script>");
+
+      expect(res.headers["x-request-id"]).not.toBe("<script>");
+    });
+
+    it("logs client errors as warnings with the signed-in user", async () => {
+      await request(ctx.app)
+        .get("/api/clubs/club_1/entitlements")
+        .set("Authorization", bearer("outsider"));
+
+      expect(findLine("Request completed")).toMatchObject({
+        level: "warn",
+        status: 403,
+        user_id: "user_outsider",
+      });
+    });
+  });
+
+  describe("webhooks", () => {
+    it("tags every log of an event with its event and club IDs", async () => {
+      const event = events.subscriptionEvent("updated");
+
+      const res = await sendWebhook(ctx.app, event);
+
+      expect(findLine("Webhook event processed")).toMatchObject({
+        level: "info",
+        request_id: res.headers["x-request-id"],
+        event_id: event.id,
+        event_type: "customer.subscription.updated",
+        club_id: "club_1",
+        processing_status: "applied",
+      });
+    });
+
+    it("carries the event ID into service logs", async () => {
+      const event = events.subscriptionEvent("updated", {
+        metadata: { clubId: "club_2" },
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(
+        findLine("Club document does not exist. Subscription update skipped.")
+      ).toMatchObject({
+        level: "warn",
+        event_id: event.id,
+        club_id: "club_2",
+      });
+    });
+  });
+
+  describe("redaction", () => {
+    it("removes emails and client secrets from logged errors", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockRejectedValueOnce(
+        new Error("Lookup failed for owner@club.test with pi_1_secret_abc123")
+      );
+
+      await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_1")
+        .set("Authorization", bearer("owner"));
+
+      const output = JSON.stringify(lines);
+      expect(findLine("Request failed").error.message).toBe(
+        "Lookup failed for [REDACTED] with [REDACTED]"
+      );
+      expect(output).not.toContain("owner@club.test");
+      expect(output).not.toContain("pi_1_secret_abc123");
+    });
+
+    it("redacts sensitive fields and secrets inside strings", () => {
+      expect(
+        redact({
+          customer_email: "member@club.test",
+          client_secret: "pi_1_secret_abc",
+          headers: { authorization: "Bearer token-owner" },
+          note: "key sk_live_abc123, webhook whsec_xyz, user a.b@c.fr",
+          amount: 2500,
+        })
+      ).toEqual({
+        customer_email: "[REDACTED]",
+        client_secret: "[REDACTED]",
+        headers: { authorization: "[REDACTED]" },
+        note: "key [REDACTED], webhook [REDACTED], user [REDACTED]",
+        amount: 2500,
+      });
+    });
+
+    it("logs only the useful fields of Stripe errors", () => {
+      const error = Object.assign(new Error("Your card was declined."), {
+        type: "StripeCardError",
+        code: "card_declined",
+        raw: { billing_details: { email: "member@club.test" } },
+      });
+
+      const logged = redact({ error });
+
+      expect(logged.error).toMatchObject({
+        message: "Your card was declined.",
+        type: "StripeCardError",
+        code: "card_declined",
+      });
+      expect(logged.error.raw).toBeUndefined();
+    });
+  });
+
+  it("writes nothing when the level is silent", async () => {
+    process.env.LOG_LEVEL = "silent";
+
+    await request(ctx.app).get("/api/health");
+
+    expect(lines).toEqual([]);
+  });
+});
@@ -0,0 +1,222 @@
+const request = require("supertest");
+const {
+  createTestContext,
+  bearer,
+  sendWebhook,
+} = require("../support/testApp");
+const events = require("../fixtures/stripeEvents");
+const { club } = require("../fixtures/firestore");
+
+// Rate limits and CORS across routers
+describe("rate limits and CORS", () => {
+  let ctx;
+  const env = {};
+
+  const setEnv = (values) => {
+    Object.entries(values).forEach(([name, value]) => {
+      if (!(name in env)) env[name] = process.env[name];
+      process.env[name] = value;
+    });
+  };
+
+  const createPayment = (user) =>
+    request(ctx.app)
+      .post("/api/stripe/payment-intents")
+      .set("Authorization", bearer(user))
+      .send({ amount: 10, currency: "eur" });
+
+  beforeEach(() => {
+    ctx = createTestContext({ "clubs/club_1": club() });
+  });
+
+  afterEach(() => {
+    Object.entries(env).forEach(([name, value]) => {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+      delete env[name];
+    });
+    jest.restoreAllMocks();
+  });
+
+  describe("rate limits", () => {
+    it("limits payment creation per user", async () => {
+      setEnv({ RATE_LIMIT_PAYMENTS_PER_USER: "2" });
+
+      await createPayment("member");
+      const second = await createPayment("member");
+      const third = await createPayment("member");
+
+      expect(second.status).toBe(200);
+      expect(second.headers["ratelimit-limit"]).toBe("2");
+      expect(second.headers["ratelimit-remaining"]).toBe("0");
+      expect(third.status).toBe(429);
+      expect(third.body).toEqual({
+        success: false,
+        error: "Too many requests, please retry later",
+        code: "rate_limited",
+      });
+      expect(Number(third.headers["retry-after"])).toBeGreaterThan(0);
+      expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledTimes(2);
+
+      // Other users keep their own budget
+      expect((await createPayment("owner")).status).toBe(200);
+    });
+
+    it("limits payment creation per IP across users", async () => {
+      setEnv({ RATE_LIMIT_PAYMENTS_PER_IP: "2" });
+
+      await createPayment("member");
+      await createPayment("owner");
+      const res = await createPayment("admin");
+
+      expect(res.status).toBe(429);
+    });
+
+    it("gives each route group its own budget", async () => {
+      setEnv({ RATE_LIMIT_PORTAL_PER_USER: "1" });
+      const openPortal = () =>
+        request(ctx.app)
+          .post("/api/stripe/customer-portal")
+          .set("Authorization", bearer("owner"))
+          .send({ clubId: "club_1", return_url: "https://app.clubbix.test" });
+
+      await openPortal();
+      const limited = await openPortal();
+
+      expect(limited.status).toBe(429);
+      expect((await createPayment("owner")).status).toBe(200);
+    });
+
+    it("limits every API route per IP", async () => {
+      setEnv({ RATE_LIMIT_API_PER_IP: "2" });
+
+      await request(ctx.app).get("/api/health");
+      await request(ctx.app).get("/api/stripe/plans");
+      const res = await request(ctx.app).get("/api/health");
+
+      expect(res.status).toBe(429);
+    });
+
+    it("never limits the webhook", async () => {
+      setEnv({ RATE_LIMIT_API_PER_IP: "1" });
+
+      const first = await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("updated")
+      );
+      const second = await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("updated")
+      );
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(second.headers["ratelimit-limit"]).toBeUndefined();
+    });
+
+    it("counts hits in the store given to the app", async () => {
+      const store = {
+        increment: jest.fn(async () => ({
+          count: 1,
+          resetAt: Date.now() + 60000,
+        })),
+      };
+      ctx = createTestContext(
+        { "clubs/club_1": club() },
+        { rateLimitStore: store }
+      );
+
+      await createPayment("member");
+
+      expect(store.increment).toHaveBeenCalledWith(
+        expect.stringMatching(/^api:ip:/),
+        60000
+      );
+      expect(store.increment).toHaveBeenCalledWith(
+        "payments:user:user_member",
+        60000
+      );
+    });
+
+    it("lets requests through when the store fails", async () => {
+      ctx = createTestContext(
+        { "clubs/club_1": club() },
+        {
+          rateLimitStore: {
+            increment: async () => {
+              throw new Error("Store unavailable");
+            },
+          },
+        }
+      );
+
+      expect((await createPayment("member")).status).toBe(200);
+    });
+  });
+
+  describe("CORS", () => {
+    const ALLOWED = "https://app.clubbix.test";
+
+    it("allows the origins of CORS_ORIGINS", async () => {
+      setEnv({ CORS_ORIGINS: `${ALLOWED}, https://admin.clubbix.test` });
+
+      const res = await request(ctx.app)
+        .options("/api/stripe/payment-intents")
+        .set("Origin", ALLOWED)
+        .set("Access-Control-Request-Method", "POST");
+
+      expect(res.status).toBe(204);
+      expect(res.headers["access-control-allow-origin"]).toBe(ALLOWED);
+    });
+
+    it("sends no CORS headers to other origins", async () => {
+      setEnv({ CORS_ORIGINS: ALLOWED });
+
+      const res = await request(ctx.app)
+        .get("/api/health")
+        .set("Origin", "https://evil.test");
+
+      expect(res.headers["access-control-allow-origin"]).toBeUndefined();
+    });
+
+    it("allows no origin when CORS_ORIGINS is not set outside development", async () => {
+      const res = await request(ctx.app)
+        .get("/api/health")
+        .set("Origin", ALLOWED);
+
+      expect(res.headers["access-control-allow-origin"]).toBeUndefined();
+    });
+
+    it("exposes the request ID and rate limit headers", async () => {
+      setEnv({ CORS_ORIGINS: ALLOWED });
+
+      const res = await request(ctx.app)
+        .get("/api/health")
+        .set("Origin", ALLOWED);
+
+      expect(res.headers["access-control-expose-headers"]).toContain(
+        "X-Request-Id"
+      );
+      expect(res.headers["access-control-expose-headers"]).toContain(
+        "RateLimit-Remaining"
+      );
+    });
+
+    it("never adds CORS headers to the webhook", async () => {
+      setEnv({ CORS_ORIGINS: "*" });
+
+      const { payload, signature } = events.signEvent(
+        events.subscriptionEvent("updated")
+      );
+      const res = await request(ctx.app)
+        .post("/api/stripe/webhook")
+        .set("Origin", ALLOWED)
+        .set("Content-Type", "application/json")
+        .set("Stripe-Signature", signature)
+        .send(payload);
+
+      expect(res.status).toBe(200);
+      expect(res.headers["access-control-allow-origin"]).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,826 @@
+const request = require("supertest");
+const { createTestContext, bearer } = require("../support/testApp");
+const { club } = require("../fixtures/firestore");
+const fixtures = require("../fixtures/stripeObjects");
+const stripeErrors = require("../fixtures/stripeErrors");
+
+describe("/api/stripe routes", () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": club({
+        subscription: { subscriptionId: "sub_1", customerId: "cus_1" },
+      }),
+    });
+  });
+
+  describe("authentication", () => {
+    it("rejects requests without a token", async () => {
+      const res = await request(ctx.app).get("/api/stripe/account");
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Authentication required");
+    });
+
+    it("rejects an invalid token", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/account")
+        .set("Authorization", "Bearer token-forged");
+
+      expect(res.status).toBe(401);
+      expect(res.body.error).toBe("Invalid or expired authentication token");
+    });
+  });
+
+  describe("GET /account", () => {
+    it("returns the platform account", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/account")
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.account).toMatchObject({
+        id: "acct_platform",
+        country: "FR",
+      });
+    });
+  });
+
+  describe("GET /publishable-key", () => {
+    it("is public", async () => {
+      const res = await request(ctx.app).get("/api/stripe/publishable-key");
+
+      expect(res.status).toBe(200);
+      expect(res.body.publishable_key).toBe("pk_test_clubbix");
+    });
+  });
+
+  describe("GET /plans", () => {
+    it("lists the catalog without Stripe price IDs", async () => {
+      const res = await request(ctx.app).get("/api/stripe/plans");
+
+      expect(res.status).toBe(200);
+      expect(res.body.plans.map((plan) => plan.key)).toEqual([
+        "starter",
+        "pro",
+        "premium",
+      ]);
+      expect(res.body.plans[1].prices).toEqual([
+        { billing_cycle: "monthly", amount: 2900, currency: "eur" },
+        { billing_cycle: "yearly", amount: 29000, currency: "eur" },
+      ]);
+      expect(JSON.stringify(res.body)).not.toContain("price_pro_monthly");
+    });
+  });
+
+  describe("POST /payment-intents", () => {
+    it("creates a payment intent in cents", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 29.99, currency: "eur" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.client_secret).toBe("pi_1_secret_test");
+      expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledWith(
+        expect.objectContaining({ amount: 2999, currency: "eur" }),
+        {}
+      );
+    });
+
+    it("requires an amount", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({});
+
+      expect(res.status).toBe(400);
+    });
+
+    it.each([
+      [1500, "jpy", 1500],
+      [1.25, "kwd", 1250],
+      [0.5, "EUR", 50],
+    ])(
+      "converts %p %s to minor units",
+      async (amount, currency, minorAmount) => {
+        const res = await request(ctx.app)
+          .post("/api/stripe/payment-intents")
+          .set("Authorization", bearer("member"))
+          .send({ amount, currency });
+
+        expect(res.status).toBe(200);
+        expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledWith(
+          expect.objectContaining({
+            amount: minorAmount,
+            currency: currency.toLowerCase(),
+          }),
+          {}
+        );
+      }
+    );
+
+    it.each([
+      [{ amount: -5 }, "amount", "amount must be at least 0"],
+      [
+        { amount: 0.3, currency: "eur" },
+        "amount",
+        "amount must be at least 0.50 EUR",
+      ],
+      [
+        { amount: 10.5, currency: "jpy" },
+        "amount",
+        "amount must have at most 0 decimals in JPY",
+      ],
+      [
+        { amount: 1.255, currency: "kwd" },
+        "amount",
+        "amount must have at most 2 decimals in KWD",
+      ],
+      [
+        { amount: 1000000, currency: "eur" },
+        "amount",
+        "amount must be at most 999999.99 EUR",
+      ],
+      [
+        { amount: 10, currency: "xyz" },
+        "currency",
+        "currency xyz is not supported",
+      ],
+    ])("rejects %p", async (body, field, message) => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send(body);
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual([{ field, message }]);
+      expect(ctx.stripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /payment-intents/:id", () => {
+    it("returns the payment intent status", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_1")
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.payment_intent).toMatchObject({
+        id: "pi_1",
+        amount: 2999,
+        amount_minor: 2999,
+        amount_major: 29.99,
+      });
+    });
+
+    it("returns a member payment to the member who paid", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+        fixtures.paymentIntent({
+          metadata: { clubId: "club_1", memberId: "user_member" },
+        })
+      );
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_1")
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.payment_intent.id).toBe("pi_1");
+    });
+
+    it("returns a club payment to the club admins", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+        fixtures.paymentIntent({
+          metadata: { clubId: "club_1", memberId: "user_member" },
+        })
+      );
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_1")
+        .set("Authorization", bearer("admin"));
+
+      expect(res.status).toBe(200);
+    });
+
+    it("refuses a club payment to users outside the club", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+        fixtures.paymentIntent({
+          metadata: { clubId: "club_1", memberId: "user_member" },
+        })
+      );
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_1")
+        .set("Authorization", bearer("outsider"));
+
+      expect(res.status).toBe(403);
+      expect(res.body.error).toBe("You are not an administrator of this club");
+    });
+
+    it("refuses a club's own payment to its members", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+        fixtures.paymentIntent({ metadata: { clubId: "club_1" } })
+      );
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_1")
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(403);
+    });
+
+    it("returns zero-decimal amounts in both units", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockResolvedValueOnce(
+        fixtures.paymentIntent({ id: "pi_1", amount: 1500, currency: "jpy" })
+      );
+
+      const res = await request(ctx.app)
+        .get("/api/stripe/payment-intents/pi_1")
+        .set("Authorization", bearer("member"));
+
+      expect(res.body.payment_intent).toMatchObject({
+        amount_minor: 1500,
+        amount_major: 1500,
+        currency: "jpy",
+      });
+    });
+  });
+
+  describe("POST /clubs/:clubId/payment-intents", () => {
+    const payableClub = (overrides = {}) =>
+      club({
+        subscription: { plan: "pro", status: "active" },
+        stripeAccount: {
+          accountId: "acct_club_1",
+          chargesEnabled: true,
+          defaultCurrency: "eur",
+        },
+        ...overrides,
+      });
+
+    it("creates a destination charge with the platform fee", async () => {
+      ctx = createTestContext({ "clubs/club_1": payableClub() });
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/clubs/club_1/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 30 });
+
+      expect(res.status).toBe(200);
+      // 2.5% of 3000 + 30 fixed
+      expect(res.body.application_fee_amount).toBe(105);
+      expect(ctx.stripe.paymentIntents.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          amount: 3000,
+          currency: "eur",
+          application_fee_amount: 105,
+          transfer_data: { destination: "acct_club_1" },
+          metadata: { clubId: "club_1", memberId: "user_member" },
+        }),
+        {}
+      );
+    });
+
+    it("rejects users outside the club", async () => {
+      ctx = createTestContext({ "clubs/club_1": payableClub() });
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/clubs/club_1/payment-intents")
+        .set("Authorization", bearer("outsider"))
+        .send({ amount: 30 });
+
+      expect(res.status).toBe(403);
+    });
+
+    it("requires the onlinePayments feature", async () => {
+      ctx = createTestContext({
+        "clubs/club_1": payableClub({ subscription: null }),
+      });
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/clubs/club_1/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 30 });
+
+      expect(res.status).toBe(403);
+      expect(res.body.feature).toBe("onlinePayments");
+    });
+
+    it("charges the club's default currency", async () => {
+      ctx = createTestContext({
+        "clubs/club_1": payableClub({ allowedCurrencies: ["chf", "eur"] }),
+      });
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/clubs/club_1/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 30 });
+
+      expect(res.status).toBe(200);
+      expect(ctx.stripe.paymentIntents.create.mock.calls[0][0]).toMatchObject({
+        amount: 3000,
+        currency: "chf",
+      });
+    });
+
+    it("rejects currencies the club does not accept", async () => {
+      ctx = createTestContext({ "clubs/club_1": payableClub() });
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/clubs/club_1/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 30, currency: "usd" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields).toEqual([
+        { field: "currency", message: "currency must be one of: eur" },
+      ]);
+      expect(ctx.stripe.paymentIntents.create).not.toHaveBeenCalled();
+    });
+
+    it("requires a connected account that can take charges", async () => {
+      ctx = createTestContext({
+        "clubs/club_1": payableClub({
+          stripeAccount: { accountId: "acct_club_1", chargesEnabled: false },
+        }),
+      });
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/clubs/club_1/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 30 });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe("POST /checkout-sessions", () => {
+    const body = {
+      plan: "pro",
+      billing_cycle: "yearly",
+      success_url: "https://app.clubbix.test/success",
+      cancel_url: "https://app.clubbix.test/cancel",
+      metadata: { clubId: "club_1" },
+    };
+
+    it("creates a subscription checkout from the plan catalog", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, price_id: "price_cheap" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.session_id).toBe("cs_1");
+      const params = ctx.stripe.checkout.sessions.create.mock.calls[0][0];
+      expect(params.mode).toBe("subscription");
+      expect(params.line_items).toEqual([
+        { price: "price_pro_yearly", quantity: 1 },
+      ]);
+      expect(params.subscription_data.metadata).toMatchObject({
+        clubId: "club_1",
+        plan: "pro",
+        billingCycle: "yearly",
+      });
+    });
+
+    it("drops the ticket checkout keys from client metadata", async () => {
+      await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({
+          ...body,
+          metadata: {
+            clubId: "club_1",
+            source: "pricing_page",
+            kind: "event_tickets",
+            eventId: "event_1",
+            reservationId: "res_1",
+            memberId: "user_member",
+          },
+        });
+
+      const params = ctx.stripe.checkout.sessions.create.mock.calls[0][0];
+      for (const metadata of [
+        params.metadata,
+        params.subscription_data.metadata,
+      ]) {
+        expect(metadata).toEqual({
+          clubId: "club_1",
+          source: "pricing_page",
+          plan: "pro",
+          billingCycle: "yearly",
+        });
+      }
+    });
+
+    it("bills a per-seat plan for the club's members", async () => {
+      await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, plan: "starter" });
+
+      const params = ctx.stripe.checkout.sessions.create.mock.calls[0][0];
+      expect(params.line_items).toEqual([
+        { price: "price_starter_yearly", quantity: 3 },
+      ]);
+    });
+
+    it("rejects an unknown plan", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, plan: "platinum" });
+
+      expect(res.status).toBe(400);
+    });
+
+    it("requires the success and cancel URLs", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, success_url: undefined });
+
+      expect(res.status).toBe(400);
+    });
+
+    it("is reserved to club admins", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("member"))
+        .send(body);
+
+      expect(res.status).toBe(403);
+      expect(ctx.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("requires a clubId", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, metadata: {} });
+
+      expect(res.status).toBe(400);
+    });
+
+    it("returns 404 for an unknown club", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, metadata: { clubId: "club_missing" } });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe("GET /checkout-sessions/:id", () => {
+    it("returns a club session to its admins", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/checkout-sessions/cs_1")
+        .set("Authorization", bearer("owner"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.checkout_session).toMatchObject({
+        id: "cs_1",
+        subscription: "sub_1",
+      });
+    });
+
+    it("hides a club session from other users", async () => {
+      const res = await request(ctx.app)
+        .get("/api/stripe/checkout-sessions/cs_1")
+        .set("Authorization", bearer("outsider"));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("checkout trials and discounts", () => {
+    const body = {
+      clubId: "club_2",
+      plan: "pro",
+      billing_cycle: "monthly",
+      success_url: "https://app.clubbix.test/success",
+      cancel_url: "https://app.clubbix.test/cancel",
+    };
+
+    const createCheckout = (overrides = {}) =>
+      request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, ...overrides });
+
+    const sessionParams = () =>
+      ctx.stripe.checkout.sessions.create.mock.calls[0][0];
+
+    beforeEach(() => {
+      ctx = createTestContext({ "clubs/club_2": club() });
+    });
+
+    it("offers the plan's trial to a new club", async () => {
+      const res = await createCheckout();
+
+      expect(res.status).toBe(200);
+      expect(res.body.trial_days).toBe(14);
+      expect(sessionParams().subscription_data.trial_period_days).toBe(14);
+    });
+
+    it("lets the client skip the trial", async () => {
+      const res = await createCheckout({ trial: false });
+
+      expect(res.body.trial_days).toBe(0);
+      expect(sessionParams().subscription_data.trial_period_days).toBe(
+        undefined
+      );
+    });
+
+    it("does not offer a trial to plans without one", async () => {
+      const res = await createCheckout({ plan: "premium" });
+
+      expect(res.body.trial_days).toBe(0);
+    });
+
+    it.each([
+      ["already used its trial", { trial: { usedAt: "2024-01-01" } }],
+      ["subscribed before", { subscription: { subscriptionId: "sub_old" } }],
+    ])("refuses a trial to a club that %s", async (label, clubData) => {
+      ctx = createTestContext({ "clubs/club_2": club(clubData) });
+
+      const implicit = await createCheckout();
+      expect(implicit.status).toBe(200);
+      expect(implicit.body.trial_days).toBe(0);
+
+      const explicit = await createCheckout({ trial: true });
+      expect(explicit.status).toBe(409);
+      expect(explicit.body.code).toBe("trial_not_available");
+    });
+
+    it("allows promotion codes", async () => {
+      await createCheckout({ allow_promotion_codes: true });
+
+      expect(sessionParams().allow_promotion_codes).toBe(true);
+    });
+
+    it("applies a valid coupon", async () => {
+      const res = await createCheckout({ coupon: "CLUB20" });
+
+      expect(res.status).toBe(200);
+      expect(ctx.stripe.coupons.retrieve).toHaveBeenCalledWith("CLUB20");
+      expect(sessionParams().discounts).toEqual([{ coupon: "CLUB20" }]);
+    });
+
+    it.each([
+      [
+        "unknown",
+        () => Promise.reject(stripeErrors.resourceMissing("NOPE")),
+        "This coupon does not exist",
+      ],
+      [
+        "expired",
+        async () => fixtures.coupon({ valid: false }),
+        "This coupon is no longer valid",
+      ],
+      [
+        "restricted to other plans",
+        async () =>
+          fixtures.coupon({ metadata: { plans: "starter, premium" } }),
+        "This coupon does not apply to this plan",
+      ],
+    ])("rejects %s coupons", async (label, retrieve, message) => {
+      ctx.stripe.coupons.retrieve.mockImplementationOnce(retrieve);
+
+      const res = await createCheckout({ coupon: "CLUB20" });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toMatchObject({
+        code: "invalid_coupon",
+        error: message,
+      });
+      expect(ctx.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("refuses a coupon together with promotion codes", async () => {
+      const res = await createCheckout({
+        coupon: "CLUB20",
+        allow_promotion_codes: true,
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields[0].field).toBe("coupon");
+    });
+  });
+
+  describe("club customer", () => {
+    const checkoutBody = {
+      clubId: "club_2",
+      plan: "pro",
+      billing_cycle: "monthly",
+      success_url: "https://app.clubbix.test/success",
+      cancel_url: "https://app.clubbix.test/cancel",
+    };
+
+    beforeEach(() => {
+      ctx = createTestContext({
+        "clubs/club_2": club({ name: "AS Clubbix", email: "board@as.test" }),
+      });
+    });
+
+    it("keys the customer creation on the details sent", async () => {
+      ctx.stripe.customers.create.mockRejectedValueOnce(
+        new Error("ECONNRESET")
+      );
+      await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send(checkoutBody);
+      await ctx.db
+        .collection("clubs")
+        .doc("club_2")
+        .update({ email: "contact@as.test" });
+      const retry = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send(checkoutBody);
+
+      expect(retry.status).toBe(200);
+      const [first, second] = ctx.stripe.customers.create.mock.calls;
+      expect(second[0].email).toBe("contact@as.test");
+      expect(second[1].idempotencyKey).not.toBe(first[1].idempotencyKey);
+    });
+
+    it("creates one customer per club and reuses it", async () => {
+      const first = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send(checkoutBody);
+      const second = await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("owner"))
+        .send(checkoutBody);
+
+      expect(first.status).toBe(200);
+      expect(second.status).toBe(200);
+      expect(ctx.stripe.customers.create).toHaveBeenCalledTimes(1);
+      expect(ctx.stripe.customers.create).toHaveBeenCalledWith(
+        {
+          name: "AS Clubbix",
+          email: "board@as.test",
+          metadata: { clubId: "club_2" },
+        },
+        { idempotencyKey: expect.stringMatching(/^club-customer-club_2-/) }
+      );
+      const calls = ctx.stripe.checkout.sessions.create.mock.calls;
+      expect(calls.map(([params]) => params.customer)).toEqual([
+        "cus_new",
+        "cus_new",
+      ]);
+      expect(calls[0][0].customer_email).toBeUndefined();
+      expect(ctx.db.getData("clubs/club_2").stripeCustomer.customerId).toBe(
+        "cus_new"
+      );
+    });
+
+    it("syncs the club's name and email before reusing the customer", async () => {
+      await request(ctx.app)
+        .post("/api/stripe/checkout-sessions")
+        .set("Authorization", bearer("admin"))
+        .send(checkoutBody);
+      await ctx.db
+        .collection("clubs")
+        .doc("club_2")
+        .update({ email: "treasurer@as.test" });
+
+      await request(ctx.app)
+        .post("/api/stripe/customer-portal")
+        .set("Authorization", bearer("admin"))
+        .send({ clubId: "club_2", return_url: "https://app.clubbix.test" });
+
+      expect(ctx.stripe.customers.update).toHaveBeenCalledWith("cus_new", {
+        name: "AS Clubbix",
+        email: "treasurer@as.test",
+      });
+      expect(ctx.stripe.billingPortal.sessions.create).toHaveBeenCalledWith({
+        customer: "cus_new",
+        return_url: "https://app.clubbix.test",
+      });
+      expect(ctx.db.getData("clubs/club_2").stripeCustomer.email).toBe(
+        "treasurer@as.test"
+      );
+    });
+
+    it("charges the club's customer for platform payments", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("admin"))
+        .send({ amount: 49, currency: "eur", clubId: "club_2" });
+
+      expect(res.status).toBe(200);
+      expect(ctx.stripe.paymentIntents.create.mock.calls[0][0]).toMatchObject({
+        customer: "cus_new",
+        metadata: { clubId: "club_2" },
+      });
+    });
+
+    it("only lets club admins pay for the club", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/payment-intents")
+        .set("Authorization", bearer("member"))
+        .send({ amount: 49, currency: "eur", clubId: "club_2" });
+
+      expect(res.status).toBe(403);
+      expect(ctx.stripe.customers.create).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /customer-portal", () => {
+    const body = {
+      clubId: "club_1",
+      customer_id: "cus_1",
+      return_url: "https://app.clubbix.test/billing",
+    };
+
+    it("opens the portal for the club's customer", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/customer-portal")
+        .set("Authorization", bearer("admin"))
+        .send(body);
+
+      expect(res.status).toBe(200);
+      expect(res.body.url).toBe("https://billing.stripe.com/p/session/bps_1");
+      expect(ctx.stripe.billingPortal.sessions.create).toHaveBeenCalledWith({
+        customer: "cus_1",
+        return_url: body.return_url,
+      });
+    });
+
+    it("refuses a customer of another club", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/customer-portal")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, customer_id: "cus_other" });
+
+      expect(res.status).toBe(403);
+      expect(ctx.stripe.billingPortal.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("opens the portal without naming the customer", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/customer-portal")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, customer_id: undefined });
+
+      expect(res.status).toBe(200);
+      expect(ctx.stripe.billingPortal.sessions.create).toHaveBeenCalledWith({
+        customer: "cus_1",
+        return_url: body.return_url,
+      });
+      expect(ctx.stripe.customers.list).not.toHaveBeenCalled();
+    });
+
+    it("adopts the customer of an existing subscription", async () => {
+      await request(ctx.app)
+        .post("/api/stripe/customer-portal")
+        .set("Authorization", bearer("admin"))
+        .send(body);
+
+      expect(ctx.stripe.customers.create).not.toHaveBeenCalled();
+      expect(ctx.stripe.customers.update).toHaveBeenCalledWith("cus_1", {
+        name: "FC Clubbix",
+        email: "admin@club.test",
+        metadata: { clubId: "club_1" },
+      });
+      expect(ctx.db.getData("clubs/club_1").stripeCustomer).toMatchObject({
+        customerId: "cus_1",
+        name: "FC Clubbix",
+        email: "admin@club.test",
+      });
+    });
+
+    it("requires a return_url", async () => {
+      const res = await request(ctx.app)
+        .post("/api/stripe/customer-portal")
+        .set("Authorization", bearer("admin"))
+        .send({ ...body, return_url: undefined });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  it("hides unexpected errors behind a generic 500", async () => {
+    ctx.stripe.accounts.retrieve.mockRejectedValueOnce(
+      new Error("Stripe down")
+    );
+
+    const res = await request(ctx.app)
+      .get("/api/stripe/account")
+      .set("Authorization", bearer("member"));
+
+    expect(res.status).toBe(500);
+    expect(res.body).toEqual({
+      success: false,
+      error: "Something went wrong",
+      code: "internal_error",
+    });
+  });
+});
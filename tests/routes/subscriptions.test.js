@@ -0,0 +1,572 @@
+const request = require("supertest");
+const { createTestContext, bearer } = require("../support/testApp");
+const objects = require("../fixtures/stripeObjects");
+const { club } = require("../fixtures/firestore");
+
+describe("/api/stripe/subscriptions routes", () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext({
+      "clubs/club_1": club({
+        subscription: { subscriptionId: "sub_1", customerId: "cus_1" },
+      }),
+      "clubs/club_2": club(),
+    });
+  });
+
+  const post = (path, body = {}) =>
+    request(ctx.app)
+      .post(`/api/stripe/subscriptions/club_1${path}`)
+      .set("Authorization", bearer("admin"))
+      .send(body);
+
+  // Current schedule phase of a discounted, taxed subscription, as Stripe
+  // returns it
+  const discountedPhase = (price, quantity) => ({
+    start_date: objects.NOW - objects.DAY,
+    end_date: objects.NOW + 29 * objects.DAY,
+    items: [
+      {
+        price,
+        plan: { id: price, object: "plan" },
+        quantity,
+        tax_rates: [],
+        billing_thresholds: null,
+        metadata: {},
+      },
+    ],
+    coupon: "club_discount",
+    discounts: [
+      { coupon: "club_discount", discount: null, promotion_code: null },
+    ],
+    default_tax_rates: [{ id: "txr_vat", object: "tax_rate", percentage: 20 }],
+    trial_end: null,
+    billing_thresholds: null,
+    collection_method: "charge_automatically",
+    metadata: {},
+  });
+
+  // The same phase sent back to Stripe
+  const discountedPhaseParams = (price, quantity) => ({
+    start_date: objects.NOW - objects.DAY,
+    end_date: objects.NOW + 29 * objects.DAY,
+    items: [{ price, quantity, tax_rates: [], metadata: {} }],
+    discounts: [{ coupon: "club_discount" }],
+    default_tax_rates: ["txr_vat"],
+    collection_method: "charge_automatically",
+    metadata: {},
+  });
+
+  it("returns the live subscription", async () => {
+    const res = await request(ctx.app)
+      .get("/api/stripe/subscriptions/club_1")
+      .set("Authorization", bearer("owner"));
+
+    expect(res.status).toBe(200);
+    expect(res.body.subscription).toMatchObject({
+      id: "sub_1",
+      plan: "pro",
+      billing_cycle: "monthly",
+      scheduled_change: null,
+    });
+  });
+
+  it("returns 404 when the club has no subscription", async () => {
+    const res = await request(ctx.app)
+      .get("/api/stripe/subscriptions/club_2")
+      .set("Authorization", bearer("owner"));
+
+    expect(res.status).toBe(404);
+  });
+
+  it("is reserved to club admins", async () => {
+    const res = await request(ctx.app)
+      .get("/api/stripe/subscriptions/club_1")
+      .set("Authorization", bearer("member"));
+
+    expect(res.status).toBe(403);
+  });
+
+  describe("POST /preview", () => {
+    it("previews the prorations of an upgrade", async () => {
+      const res = await post("/preview", {
+        plan: "premium",
+        billing_cycle: "monthly",
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.preview).toMatchObject({
+        plan: "premium",
+        proration_amount: 4450,
+        amount_due: 12350,
+      });
+      expect(ctx.stripe.invoices.retrieveUpcoming).toHaveBeenCalledWith(
+        expect.objectContaining({
+          customer: "cus_1",
+          subscription: "sub_1",
+          subscription_items: [{ id: "si_1", price: "price_premium_monthly" }],
+        })
+      );
+    });
+
+    it("applies a downgrade at period end without proration", async () => {
+      ctx.stripe.invoices.retrieveUpcoming.mockResolvedValueOnce(
+        objects.upcomingInvoice({
+          amount_due: 2700,
+          lines: { object: "list", data: [{ amount: 2700, proration: false }] },
+        })
+      );
+
+      const res = await post("/preview", {
+        plan: "starter",
+        billing_cycle: "monthly",
+      });
+
+      expect(res.body.preview).toMatchObject({
+        proration_amount: 0,
+        amount_due: 2700,
+        applies_at: objects.subscription().current_period_end,
+      });
+      const params = ctx.stripe.invoices.retrieveUpcoming.mock.calls[0][0];
+      expect(params).toMatchObject({
+        subscription: "sub_1",
+        subscription_items: [
+          { id: "si_1", price: "price_starter_monthly", quantity: 3 },
+        ],
+        subscription_proration_behavior: "none",
+      });
+      expect(params).not.toHaveProperty("subscription_proration_date");
+    });
+
+    it("rejects the current plan", async () => {
+      const res = await post("/preview", {
+        plan: "pro",
+        billing_cycle: "monthly",
+      });
+
+      expect(res.status).toBe(409);
+    });
+
+    it("rejects an unknown plan", async () => {
+      const res = await post("/preview", { plan: "gold" });
+
+      expect(res.status).toBe(400);
+    });
+  });
+
+  describe("POST /change-plan", () => {
+    it("upgrades immediately with prorations", async () => {
+      const res = await post("/change-plan", {
+        plan: "pro",
+        billing_cycle: "yearly",
+        proration_date: objects.NOW,
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.scheduled).toBe(false);
+      expect(ctx.stripe.subscriptions.update).toHaveBeenCalledWith("sub_1", {
+        items: [{ id: "si_1", price: "price_pro_yearly" }],
+        proration_behavior: "create_prorations",
+        proration_date: objects.NOW,
+      });
+    });
+
+    it("schedules a downgrade for the end of the period", async () => {
+      const res = await post("/change-plan", {
+        plan: "starter",
+        billing_cycle: "monthly",
+      });
+
+      expect(res.status).toBe(200);
+      expect(res.body.scheduled).toBe(true);
+      expect(ctx.stripe.subscriptionSchedules.create).toHaveBeenCalledWith({
+        from_subscription: "sub_1",
+      });
+      const [, params] = ctx.stripe.subscriptionSchedules.update.mock.calls[0];
+      expect(params.phases).toHaveLength(2);
+      expect(params.phases[0].end_date).toBe(
+        objects.subscription().current_period_end
+      );
+      // Starter is billed per member: owner, admin and member
+      expect(params.phases[1].items).toEqual([
+        { price: "price_starter_monthly", quantity: 3 },
+      ]);
+      expect(ctx.stripe.subscriptions.update).not.toHaveBeenCalled();
+    });
+
+    it("keeps the discount and taxes of the subscription in the downgrade", async () => {
+      ctx.stripe.subscriptionSchedules.create.mockResolvedValueOnce(
+        objects.subscriptionSchedule({
+          phases: [discountedPhase("price_pro_monthly", 1)],
+        })
+      );
+
+      await post("/change-plan", { plan: "starter", billing_cycle: "monthly" });
+
+      const [, params] = ctx.stripe.subscriptionSchedules.update.mock.calls[0];
+      expect(params.phases[0]).toEqual({
+        ...discountedPhaseParams("price_pro_monthly", 1),
+        end_date: objects.subscription().current_period_end,
+      });
+      const { start_date, end_date, ...settings } = discountedPhaseParams(
+        "price_starter_monthly",
+        3
+      );
+      expect(params.phases[1]).toEqual({
+        ...settings,
+        metadata: { clubId: "club_1" },
+      });
+    });
+
+    it("treats going from yearly to monthly billing as a downgrade", async () => {
+      ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+        objects.subscription({ priceId: "price_pro_yearly" })
+      );
+
+      const res = await post("/change-plan", {
+        plan: "pro",
+        billing_cycle: "monthly",
+      });
+
+      expect(res.body.scheduled).toBe(true);
+    });
+
+    it("releases a pending schedule before changing again", async () => {
+      ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+        objects.subscription({ schedule: objects.subscriptionSchedule() })
+      );
+
+      await post("/change-plan", { plan: "premium", billing_cycle: "monthly" });
+
+      expect(ctx.stripe.subscriptionSchedules.release).toHaveBeenCalledWith(
+        "sub_sched_1"
+      );
+    });
+
+    it("refuses to change a subscription that is being canceled", async () => {
+      ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+        objects.subscription({ cancel_at_period_end: true })
+      );
+
+      const res = await post("/change-plan", {
+        plan: "premium",
+        billing_cycle: "monthly",
+      });
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe("POST /cancel", () => {
+    it("cancels at period end", async () => {
+      const res = await post("/cancel");
+
+      expect(res.status).toBe(200);
+      expect(res.body.subscription.cancel_at_period_end).toBe(true);
+      expect(ctx.stripe.subscriptions.update).toHaveBeenCalledWith("sub_1", {
+        cancel_at_period_end: true,
+      });
+    });
+
+    it("refuses a subscription already being canceled", async () => {
+      ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+        objects.subscription({ cancel_at_period_end: true })
+      );
+
+      const res = await post("/cancel");
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe("POST /resume", () => {
+    it("resumes a pending cancellation", async () => {
+      ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+        objects.subscription({ cancel_at_period_end: true })
+      );
+
+      const res = await post("/resume");
+
+      expect(res.status).toBe(200);
+      expect(ctx.stripe.subscriptions.update).toHaveBeenCalledWith("sub_1", {
+        cancel_at_period_end: false,
+      });
+    });
+
+    it("refuses when nothing is pending", async () => {
+      const res = await post("/resume");
+
+      expect(res.status).toBe(409);
+    });
+  });
+
+  describe("seats", () => {
+    // Starter is billed per member; the club has an owner, an admin and a member
+    const starterSubscription = (quantity = 1, overrides = {}) => {
+      const subscription = objects.subscription({
+        priceId: "price_starter_monthly",
+        ...overrides,
+      });
+      subscription.items.data[0].quantity = quantity;
+      return subscription;
+    };
+
+    const getSeats = (query = "") =>
+      request(ctx.app)
+        .get(`/api/stripe/subscriptions/club_1/seats${query}`)
+        .set("Authorization", bearer("admin"));
+
+    describe("GET /seats", () => {
+      it("previews the next invoice when the member count changed", async () => {
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(1)
+        );
+
+        const res = await getSeats();
+
+        expect(res.status).toBe(200);
+        expect(res.body.seats).toEqual({
+          unit: "member",
+          count: 3,
+          max: 50,
+          capped: false,
+          quantity: 3,
+          billed_quantity: 1,
+        });
+        expect(res.body.preview).toMatchObject({
+          quantity: 3,
+          proration_behavior: "create_prorations",
+          proration_amount: 4450,
+          amount_due: 12350,
+        });
+        expect(ctx.stripe.invoices.retrieveUpcoming).toHaveBeenCalledWith(
+          expect.objectContaining({
+            subscription: "sub_1",
+            subscription_items: [{ id: "si_1", quantity: 3 }],
+            subscription_proration_behavior: "create_prorations",
+          })
+        );
+      });
+
+      it("has no preview when the quantity is up to date", async () => {
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(3)
+        );
+
+        const res = await getSeats();
+
+        expect(res.body.preview).toBeNull();
+        expect(ctx.stripe.invoices.retrieveUpcoming).not.toHaveBeenCalled();
+      });
+
+      it("caps the seats at the plan's member limit", async () => {
+        const roles = Object.fromEntries(
+          Array.from({ length: 60 }, (_, index) => [`user_${index}`, "member"])
+        );
+        ctx = createTestContext({
+          "clubs/club_1": club({
+            subscription: { subscriptionId: "sub_1", customerId: "cus_1" },
+            roles: { ...roles, user_admin: "admin" },
+          }),
+        });
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(40)
+        );
+
+        const res = await getSeats();
+
+        expect(res.body.seats).toMatchObject({
+          count: 62,
+          max: 50,
+          capped: true,
+          quantity: 50,
+        });
+      });
+
+      it("uses the requested proration behavior", async () => {
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(1)
+        );
+
+        const res = await getSeats("?proration_behavior=none");
+
+        expect(res.body.preview.proration_behavior).toBe("none");
+        expect(ctx.stripe.invoices.retrieveUpcoming).toHaveBeenCalledWith(
+          expect.objectContaining({ subscription_proration_behavior: "none" })
+        );
+      });
+
+      it("rejects plans billed at a flat price", async () => {
+        const res = await getSeats();
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe("plan_not_per_seat");
+      });
+    });
+
+    describe("POST /seats/sync", () => {
+      it("updates the subscription quantity", async () => {
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(1)
+        );
+
+        const res = await post("/seats/sync", {
+          proration_behavior: "always_invoice",
+          proration_date: objects.NOW,
+        });
+
+        expect(res.status).toBe(200);
+        expect(res.body.updated).toBe(true);
+        expect(res.body.seats).toMatchObject({
+          quantity: 3,
+          billed_quantity: 3,
+        });
+        expect(ctx.stripe.subscriptions.update).toHaveBeenCalledWith("sub_1", {
+          items: [{ id: "si_1", quantity: 3 }],
+          proration_behavior: "always_invoice",
+          proration_date: objects.NOW,
+        });
+        expect(ctx.db.getData("clubs/club_1").seats).toMatchObject({
+          unit: "member",
+          count: 3,
+          quantity: 3,
+          capped: false,
+          prorationBehavior: "always_invoice",
+        });
+      });
+
+      it("leaves an up-to-date subscription alone", async () => {
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(3)
+        );
+
+        const res = await post("/seats/sync");
+
+        expect(res.body.updated).toBe(false);
+        expect(ctx.stripe.subscriptions.update).not.toHaveBeenCalled();
+      });
+
+      it("keeps the seats of a scheduled downgrade", async () => {
+        const schedule = objects.subscriptionSchedule({
+          phases: [
+            {
+              start_date: objects.NOW - objects.DAY,
+              end_date: objects.NOW + 29 * objects.DAY,
+              items: [{ price: "price_starter_yearly", quantity: 1 }],
+            },
+            {
+              start_date: objects.NOW + 29 * objects.DAY,
+              end_date: objects.NOW + 59 * objects.DAY,
+              items: [{ price: "price_starter_monthly", quantity: 1 }],
+              metadata: { clubId: "club_1" },
+            },
+          ],
+        });
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(1, {
+            priceId: "price_starter_yearly",
+            schedule: schedule.id,
+          })
+        );
+        ctx.stripe.subscriptionSchedules.retrieve.mockResolvedValueOnce(
+          schedule
+        );
+
+        const res = await post("/seats/sync");
+
+        expect(res.body.updated).toBe(true);
+        expect(ctx.stripe.subscriptions.update).not.toHaveBeenCalled();
+        expect(ctx.stripe.subscriptionSchedules.update).toHaveBeenCalledWith(
+          "sub_sched_1",
+          {
+            phases: [
+              {
+                items: [{ price: "price_starter_yearly", quantity: 3 }],
+                start_date: objects.NOW - objects.DAY,
+                end_date: objects.NOW + 29 * objects.DAY,
+                metadata: undefined,
+              },
+              {
+                items: [{ price: "price_starter_monthly", quantity: 3 }],
+                start_date: objects.NOW + 29 * objects.DAY,
+                end_date: objects.NOW + 59 * objects.DAY,
+                metadata: { clubId: "club_1" },
+              },
+            ],
+            proration_behavior: "create_prorations",
+          }
+        );
+      });
+
+      it("keeps the discount and taxes of the schedule phases", async () => {
+        const schedule = objects.subscriptionSchedule({
+          phases: [discountedPhase("price_starter_yearly", 1)],
+        });
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(1, {
+            priceId: "price_starter_yearly",
+            schedule: schedule.id,
+          })
+        );
+        ctx.stripe.subscriptionSchedules.retrieve.mockResolvedValueOnce(
+          schedule
+        );
+
+        await post("/seats/sync");
+
+        const [, params] =
+          ctx.stripe.subscriptionSchedules.update.mock.calls[0];
+        expect(params.phases).toEqual([
+          discountedPhaseParams("price_starter_yearly", 3),
+        ]);
+      });
+
+      it("refuses a subscription that is not active", async () => {
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(1, { status: "canceled" })
+        );
+
+        const res = await post("/seats/sync");
+
+        expect(res.status).toBe(409);
+        expect(res.body.code).toBe("subscription_inactive");
+      });
+
+      it("validates the proration behavior", async () => {
+        const res = await post("/seats/sync", { proration_behavior: "later" });
+
+        expect(res.status).toBe(400);
+      });
+    });
+
+    describe("plan changes", () => {
+      it("bills the seats when moving to a per-seat plan", async () => {
+        await post("/preview", { plan: "starter", billing_cycle: "yearly" });
+
+        expect(ctx.stripe.invoices.retrieveUpcoming).toHaveBeenCalledWith(
+          expect.objectContaining({
+            subscription_items: [
+              { id: "si_1", price: "price_starter_yearly", quantity: 3 },
+            ],
+          })
+        );
+      });
+
+      it("goes back to a quantity of 1 when leaving a per-seat plan", async () => {
+        ctx.stripe.subscriptions.retrieve.mockResolvedValueOnce(
+          starterSubscription(3)
+        );
+
+        await post("/change-plan", { plan: "pro", billing_cycle: "monthly" });
+
+        expect(ctx.stripe.subscriptions.update).toHaveBeenCalledWith(
+          "sub_1",
+          expect.objectContaining({
+            items: [{ id: "si_1", price: "price_pro_monthly", quantity: 1 }],
+          })
+        );
+      });
+    });
+  });
+});
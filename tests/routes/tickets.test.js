@@ -0,0 +1,732 @@
+const request = require("supertest");
+const {
+  createTestContext,
+  bearer,
+  sendWebhook,
+} = require("../support/testApp");
+const events = require("../fixtures/stripeEvents");
+const stripeErrors = require("../fixtures/stripeErrors");
+const { club } = require("../fixtures/firestore");
+
+const EVENT_PATH = "clubs/club_1/events/event_1";
+const BASE = "/api/clubs/club_1/events/event_1";
+
+describe("event ticketing", () => {
+  let ctx;
+
+  const ticketingClub = (overrides = {}) =>
+    club({
+      subscription: { plan: "pro", status: "active" },
+      stripeAccount: {
+        accountId: "acct_club_1",
+        chargesEnabled: true,
+        defaultCurrency: "eur",
+      },
+      ...overrides,
+    });
+
+  const seed = (overrides = {}) => ({
+    "clubs/club_1": ticketingClub(),
+    [EVENT_PATH]: { name: "Summer gala" },
+    [`${EVENT_PATH}/ticketTypes/tt_adult`]: {
+      name: "Adult",
+      unitAmount: 1500,
+      currency: "eur",
+      capacity: 10,
+      reserved: 0,
+      sold: 6,
+      active: true,
+    },
+    [`${EVENT_PATH}/ticketTypes/tt_child`]: {
+      name: "Child",
+      unitAmount: 500,
+      currency: "eur",
+      capacity: 50,
+      reserved: 0,
+      sold: 0,
+      active: true,
+    },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    ctx = createTestContext(seed());
+  });
+
+  const ticketType = (id) => ctx.db.getData(`${EVENT_PATH}/ticketTypes/${id}`);
+  const reservation = (id) =>
+    ctx.db.getData(`${EVENT_PATH}/reservations/${id}`);
+  const issuedTickets = () =>
+    ctx.db
+      .listPaths(`${EVENT_PATH}/tickets/`)
+      .map((path) => ctx.db.getData(path));
+
+  const openCheckout = (items, user = "member", headers = {}) =>
+    request(ctx.app)
+      .post(`${BASE}/checkout-sessions`)
+      .set("Authorization", bearer(user))
+      .set(headers)
+      .send({
+        items,
+        success_url: "https://app.clubbix.test/tickets/success",
+        cancel_url: "https://app.clubbix.test/tickets/cancel",
+      });
+
+  // Make the next link of a reservation to its session fail
+  const failAttach = () => {
+    const update = ctx.db.updateDocument.bind(ctx.db);
+    let failed = false;
+    jest.spyOn(ctx.db, "updateDocument").mockImplementation((ref, data) => {
+      if (data.sessionId && !failed) {
+        failed = true;
+        throw new Error("DEADLINE_EXCEEDED");
+      }
+      return update(ref, data);
+    });
+  };
+
+  // Checkout event of the session opened by openCheckout()
+  const checkoutEvent = (build, res, session = {}, event = {}) =>
+    build(
+      {
+        id: res.body.session_id,
+        mode: "payment",
+        subscription: null,
+        customer: null,
+        payment_intent: "pi_tickets",
+        customer_email: "member@club.test",
+        metadata:
+          ctx.stripe.checkout.sessions.create.mock.calls.at(-1)[0].metadata,
+        ...session,
+      },
+      event
+    );
+
+  describe("POST /ticket-types", () => {
+    const createType = (body, user = "admin") =>
+      request(ctx.app)
+        .post(`${BASE}/ticket-types`)
+        .set("Authorization", bearer(user))
+        .send(body);
+
+    it("creates a ticket type with its price and capacity", async () => {
+      const res = await createType({
+        name: "Early bird",
+        amount: 12.5,
+        capacity: 40,
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.ticket_type).toMatchObject({
+        name: "Early bird",
+        amount: 1250,
+        amount_major: 12.5,
+        currency: "eur",
+        capacity: 40,
+        available: 40,
+        sold: 0,
+      });
+      expect(ticketType(res.body.ticket_type.id)).toMatchObject({
+        unitAmount: 1250,
+        reserved: 0,
+        sold: 0,
+        createdBy: "user_admin",
+      });
+    });
+
+    it("is reserved to club admins", async () => {
+      const res = await createType(
+        { name: "Adult", amount: 10, capacity: 5 },
+        "member"
+      );
+
+      expect(res.status).toBe(403);
+    });
+
+    it("requires the eventTicketing feature", async () => {
+      ctx = createTestContext(
+        seed({
+          "clubs/club_1": ticketingClub({
+            subscription: { plan: "starter", status: "active" },
+          }),
+        })
+      );
+
+      const res = await createType({ name: "Adult", amount: 10, capacity: 5 });
+
+      expect(res.status).toBe(403);
+      expect(res.body.feature).toBe("eventTicketing");
+    });
+
+    it("rejects an unknown event", async () => {
+      const res = await request(ctx.app)
+        .post("/api/clubs/club_1/events/event_missing/ticket-types")
+        .set("Authorization", bearer("admin"))
+        .send({ name: "Adult", amount: 10, capacity: 5 });
+
+      expect(res.status).toBe(404);
+      expect(res.body.error).toBe("Event not found");
+    });
+
+    it("rejects a currency the club does not accept", async () => {
+      const res = await createType({
+        name: "Adult",
+        amount: 10,
+        currency: "usd",
+        capacity: 5,
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields[0].field).toBe("currency");
+    });
+
+    it("validates the capacity", async () => {
+      const res = await createType({ name: "Adult", amount: 10, capacity: 0 });
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields[0].field).toBe("capacity");
+    });
+  });
+
+  describe("GET /ticket-types", () => {
+    it("lists the tickets left to members", async () => {
+      ctx = createTestContext(
+        seed({
+          [`${EVENT_PATH}/ticketTypes/tt_adult`]: {
+            name: "Adult",
+            unitAmount: 1500,
+            currency: "eur",
+            capacity: 10,
+            reserved: 3,
+            sold: 6,
+            active: true,
+          },
+        })
+      );
+
+      const res = await request(ctx.app)
+        .get(`${BASE}/ticket-types`)
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.ticket_types).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({ id: "tt_adult", available: 1, sold: 6 }),
+          expect.objectContaining({ id: "tt_child", available: 50 }),
+        ])
+      );
+    });
+
+    it("rejects users outside the club", async () => {
+      const res = await request(ctx.app)
+        .get(`${BASE}/ticket-types`)
+        .set("Authorization", bearer("outsider"));
+
+      expect(res.status).toBe(403);
+    });
+  });
+
+  describe("POST /checkout-sessions", () => {
+    it("reserves the tickets and opens a payment-mode checkout", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 2 },
+        { ticket_type_id: "tt_child", quantity: 3 },
+      ]);
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        session_id: "cs_1",
+        amount: 4500,
+        amount_major: 45,
+        currency: "eur",
+      });
+      const params = ctx.stripe.checkout.sessions.create.mock.calls[0][0];
+      expect(params).toMatchObject({
+        mode: "payment",
+        customer_email: "member@club.test",
+        line_items: [
+          {
+            quantity: 2,
+            price_data: {
+              currency: "eur",
+              unit_amount: 1500,
+              product_data: { name: "Summer gala - Adult" },
+            },
+          },
+          {
+            quantity: 3,
+            price_data: { currency: "eur", unit_amount: 500 },
+          },
+        ],
+        // 2.5% of 4500 + 30 fixed
+        payment_intent_data: {
+          application_fee_amount: 143,
+          transfer_data: { destination: "acct_club_1" },
+        },
+        metadata: {
+          kind: "event_tickets",
+          clubId: "club_1",
+          eventId: "event_1",
+          reservationId: res.body.reservation_id,
+          memberId: "user_member",
+        },
+      });
+      // Checkout closes when the reservation ends
+      expect(params.expires_at * 1000).toBe(
+        new Date(res.body.expires_at).getTime()
+      );
+      expect(params.expires_at - Date.now() / 1000).toBeGreaterThanOrEqual(
+        30 * 60
+      );
+      expect(reservation(res.body.reservation_id).expiresAt.toMillis()).toBe(
+        params.expires_at * 1000
+      );
+
+      expect(ticketType("tt_adult")).toMatchObject({ reserved: 2, sold: 6 });
+      expect(ticketType("tt_child")).toMatchObject({ reserved: 3, sold: 0 });
+      expect(reservation(res.body.reservation_id)).toMatchObject({
+        status: "open",
+        sessionId: "cs_1",
+        memberId: "user_member",
+        amount: 4500,
+      });
+    });
+
+    it("gives Stripe at least 30 minutes from the session creation", async () => {
+      process.env.TICKET_RESERVATION_MINUTES = "30";
+      const { create } = ctx.stripe.checkout.sessions;
+      const createSession = create.getMockImplementation();
+      let createdAt;
+      create.mockImplementationOnce(async (params) => {
+        createdAt = Date.now() / 1000;
+        return createSession(params);
+      });
+
+      try {
+        await openCheckout([{ ticket_type_id: "tt_adult", quantity: 1 }]);
+      } finally {
+        delete process.env.TICKET_RESERVATION_MINUTES;
+      }
+
+      const params = create.mock.calls[0][0];
+      expect(params.expires_at - createdAt).toBeGreaterThanOrEqual(30 * 60);
+    });
+
+    it("refuses more tickets than are left", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_child", quantity: 1 },
+        { ticket_type_id: "tt_adult", quantity: 5 },
+      ]);
+
+      expect(res.status).toBe(409);
+      expect(res.body).toMatchObject({
+        code: "tickets_sold_out",
+        error: "Only 4 tickets left for Adult",
+      });
+      expect(ticketType("tt_child").reserved).toBe(0);
+      expect(ctx.db.listPaths(`${EVENT_PATH}/reservations/`)).toEqual([]);
+      expect(ctx.stripe.checkout.sessions.create).not.toHaveBeenCalled();
+    });
+
+    it("counts the tickets held by open checkouts", async () => {
+      await openCheckout([{ ticket_type_id: "tt_adult", quantity: 3 }]);
+
+      const res = await openCheckout(
+        [{ ticket_type_id: "tt_adult", quantity: 2 }],
+        "admin"
+      );
+
+      expect(res.status).toBe(409);
+      expect(ticketType("tt_adult").reserved).toBe(3);
+    });
+
+    it("refuses a ticket type that is not on sale", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_missing", quantity: 1 },
+      ]);
+
+      expect(res.status).toBe(404);
+      expect(res.body.code).toBe("ticket_type_unavailable");
+    });
+
+    it("validates the items", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 0 },
+        { ticket_type_id: "tt_adult", quantity: 1 },
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields.map((detail) => detail.field)).toEqual([
+        "items[0].quantity",
+        "items[1].ticket_type_id",
+      ]);
+    });
+
+    it("limits the tickets of one order", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_child", quantity: 21 },
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.fields[0]).toMatchObject({ field: "items" });
+    });
+
+    it("requires a club that can receive payments", async () => {
+      ctx = createTestContext(
+        seed({ "clubs/club_1": ticketingClub({ stripeAccount: null }) })
+      );
+
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 1 },
+      ]);
+
+      expect(res.status).toBe(409);
+      expect(ticketType("tt_adult").reserved).toBe(0);
+    });
+
+    it("releases the reservation when Stripe refuses the session", async () => {
+      ctx.stripe.checkout.sessions.create.mockRejectedValueOnce(
+        stripeErrors.invalidRequest("line_items")
+      );
+
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 2 },
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(ticketType("tt_adult").reserved).toBe(0);
+      const [path] = ctx.db.listPaths(`${EVENT_PATH}/reservations/`);
+      expect(ctx.db.getData(path).status).toBe("canceled");
+    });
+
+    it("holds the tickets once for a retried checkout", async () => {
+      const headers = { "Idempotency-Key": "tickets-1" };
+      failAttach();
+
+      const failed = await openCheckout(
+        [{ ticket_type_id: "tt_adult", quantity: 2 }],
+        "member",
+        headers
+      );
+      const retried = await openCheckout(
+        [{ ticket_type_id: "tt_adult", quantity: 2 }],
+        "member",
+        headers
+      );
+
+      expect(failed.status).toBe(500);
+      expect(retried.status).toBe(200);
+      expect(ctx.db.listPaths(`${EVENT_PATH}/reservations/`)).toEqual([
+        `${EVENT_PATH}/reservations/${retried.body.reservation_id}`,
+      ]);
+      expect(ticketType("tt_adult").reserved).toBe(2);
+      expect(reservation(retried.body.reservation_id)).toMatchObject({
+        status: "open",
+        sessionId: "cs_1",
+      });
+      // Same params and key: Stripe returns the session of the first attempt
+      const [first, second] = ctx.stripe.checkout.sessions.create.mock.calls;
+      expect(second).toEqual(first);
+    });
+
+    it("holds the tickets again for a retry after a refused session", async () => {
+      const headers = { "Idempotency-Key": "tickets-1" };
+      ctx.stripe.checkout.sessions.create.mockRejectedValueOnce(
+        stripeErrors.connectionFailed()
+      );
+
+      const failed = await openCheckout(
+        [{ ticket_type_id: "tt_adult", quantity: 2 }],
+        "member",
+        headers
+      );
+      const retried = await openCheckout(
+        [{ ticket_type_id: "tt_adult", quantity: 2 }],
+        "member",
+        headers
+      );
+
+      expect(failed.status).toBe(503);
+      expect(retried.status).toBe(200);
+      expect(ctx.db.listPaths(`${EVENT_PATH}/reservations/`)).toHaveLength(1);
+      expect(ticketType("tt_adult").reserved).toBe(2);
+      expect(reservation(retried.body.reservation_id).status).toBe("open");
+      const [first, second] = ctx.stripe.checkout.sessions.create.mock.calls;
+      expect(second[0].metadata).toEqual(first[0].metadata);
+    });
+  });
+
+  describe("checkout webhooks", () => {
+    it("issues tickets with unique codes once the checkout is paid", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 2 },
+        { ticket_type_id: "tt_child", quantity: 1 },
+      ]);
+      const event = checkoutEvent(events.checkoutSessionCompleted, res);
+
+      const hook = await sendWebhook(ctx.app, event);
+
+      expect(hook.body.processing_status).toBe("applied");
+      const tickets = issuedTickets();
+      expect(tickets).toHaveLength(3);
+      expect(new Set(tickets.map((ticket) => ticket.code)).size).toBe(3);
+      tickets.forEach((ticket) =>
+        expect(ticket.code).toMatch(/^[A-HJ-NP-Z2-9]{10}$/)
+      );
+      expect(tickets).toEqual(
+        expect.arrayContaining([
+          expect.objectContaining({
+            ticketTypeId: "tt_adult",
+            holderId: "user_member",
+            email: "member@club.test",
+            unitAmount: 1500,
+            currency: "eur",
+            sessionId: "cs_1",
+            paymentIntentId: "pi_tickets",
+            status: "valid",
+          }),
+          expect.objectContaining({ ticketTypeId: "tt_child" }),
+        ])
+      );
+      expect(ticketType("tt_adult")).toMatchObject({ reserved: 0, sold: 8 });
+      expect(ticketType("tt_child")).toMatchObject({ reserved: 0, sold: 1 });
+      expect(reservation(res.body.reservation_id)).toMatchObject({
+        status: "completed",
+        paymentIntentId: "pi_tickets",
+      });
+      expect(ctx.db.getData(`stripe_webhooks/${event.id}`)).toMatchObject({
+        club_id: "club_1",
+        handlers: expect.arrayContaining([
+          { handler: "event_tickets", status: "applied", reason: null },
+        ]),
+      });
+    });
+
+    it("issues the tickets of a reservation only once", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 2 },
+      ]);
+      await sendWebhook(
+        ctx.app,
+        checkoutEvent(events.checkoutSessionCompleted, res)
+      );
+      const resent = checkoutEvent(
+        events.checkoutSessionCompleted,
+        res,
+        {},
+        {
+          id: "evt_resent",
+        }
+      );
+
+      await sendWebhook(ctx.app, resent);
+
+      expect(issuedTickets()).toHaveLength(2);
+      expect(ticketType("tt_adult").sold).toBe(8);
+      expect(ctx.db.getData("stripe_webhooks/evt_resent")).toMatchObject({
+        processing_status: "skipped",
+        handlers: expect.arrayContaining([
+          {
+            handler: "event_tickets",
+            status: "skipped",
+            reason: "already_issued",
+          },
+        ]),
+      });
+    });
+
+    it("waits for delayed payments", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 1 },
+      ]);
+
+      await sendWebhook(
+        ctx.app,
+        checkoutEvent(events.checkoutSessionCompleted, res, {
+          payment_status: "unpaid",
+        })
+      );
+
+      expect(issuedTickets()).toHaveLength(0);
+      expect(ticketType("tt_adult").reserved).toBe(1);
+    });
+
+    it("releases the reserved tickets when the checkout expires", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 3 },
+      ]);
+      const event = checkoutEvent(events.checkoutSessionExpired, res, {
+        status: "expired",
+        payment_status: "unpaid",
+      });
+
+      const hook = await sendWebhook(ctx.app, event);
+
+      expect(hook.body.processing_status).toBe("applied");
+      expect(ticketType("tt_adult")).toMatchObject({ reserved: 0, sold: 6 });
+      expect(reservation(res.body.reservation_id).status).toBe("expired");
+      expect(issuedTickets()).toHaveLength(0);
+    });
+
+    it("releases a reservation only once", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 3 },
+      ]);
+      const expired = checkoutEvent(events.checkoutSessionExpired, res);
+      const resent = { ...expired, id: "evt_resent" };
+      await sendWebhook(ctx.app, expired);
+      await openCheckout([{ ticket_type_id: "tt_adult", quantity: 2 }]);
+
+      await sendWebhook(ctx.app, resent);
+
+      expect(ticketType("tt_adult").reserved).toBe(2);
+      expect(
+        ctx.db.getData("stripe_webhooks/evt_resent").processing_status
+      ).toBe("skipped");
+    });
+
+    it("releases a reservation never linked to its session", async () => {
+      failAttach();
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 3 },
+      ]);
+      const [path] = ctx.db.listPaths(`${EVENT_PATH}/reservations/`);
+      const event = checkoutEvent(events.checkoutSessionExpired, res, {
+        id: "cs_1",
+        status: "expired",
+        payment_status: "unpaid",
+      });
+
+      const hook = await sendWebhook(ctx.app, event);
+
+      expect(res.status).toBe(500);
+      expect(hook.body.processing_status).toBe("applied");
+      expect(ticketType("tt_adult").reserved).toBe(0);
+      expect(ctx.db.getData(path)).toMatchObject({
+        status: "expired",
+        sessionId: null,
+      });
+    });
+
+    it("ignores a checkout that was not opened for the reservation", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 2 },
+      ]);
+      const completed = checkoutEvent(events.checkoutSessionCompleted, res, {
+        id: "cs_other",
+      });
+      const expired = checkoutEvent(events.checkoutSessionExpired, res, {
+        id: "cs_other",
+      });
+
+      await sendWebhook(ctx.app, completed);
+      await sendWebhook(ctx.app, expired);
+
+      for (const event of [completed, expired]) {
+        expect(
+          ctx.db.getData(`stripe_webhooks/${event.id}`).handlers
+        ).toContainEqual({
+          handler: "event_tickets",
+          status: "skipped",
+          reason: "session_mismatch",
+        });
+      }
+      expect(issuedTickets()).toHaveLength(0);
+      expect(ticketType("tt_adult")).toMatchObject({ reserved: 2, sold: 6 });
+      expect(reservation(res.body.reservation_id).status).toBe("open");
+    });
+
+    it("ignores ticket metadata on a subscription checkout", async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 2 },
+      ]);
+      const event = checkoutEvent(events.checkoutSessionCompleted, res, {
+        mode: "subscription",
+        subscription: "sub_1",
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(
+        ctx.db.getData(`stripe_webhooks/${event.id}`).handlers
+      ).toContainEqual({
+        handler: "event_tickets",
+        status: "skipped",
+        reason: "not_payment_mode",
+      });
+      expect(issuedTickets()).toHaveLength(0);
+      expect(ticketType("tt_adult").reserved).toBe(2);
+    });
+
+    it("leaves other payment-mode checkouts alone", async () => {
+      const event = events.checkoutSessionCompleted({
+        mode: "payment",
+        subscription: null,
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(ctx.db.getData(`stripe_webhooks/${event.id}`)).toMatchObject({
+        processing_status: "skipped",
+        handlers: expect.arrayContaining([
+          {
+            handler: "event_tickets",
+            status: "skipped",
+            reason: "not_ticket_checkout",
+          },
+        ]),
+      });
+    });
+  });
+
+  describe("GET /tickets", () => {
+    beforeEach(async () => {
+      const res = await openCheckout([
+        { ticket_type_id: "tt_adult", quantity: 1 },
+      ]);
+      await sendWebhook(
+        ctx.app,
+        checkoutEvent(events.checkoutSessionCompleted, res)
+      );
+      const adminRes = await openCheckout(
+        [{ ticket_type_id: "tt_child", quantity: 2 }],
+        "admin"
+      );
+      await sendWebhook(
+        ctx.app,
+        checkoutEvent(
+          events.checkoutSessionCompleted,
+          adminRes,
+          {},
+          {
+            id: "evt_admin",
+          }
+        )
+      );
+    });
+
+    it("lists the member's own tickets", async () => {
+      const res = await request(ctx.app)
+        .get(`${BASE}/tickets`)
+        .set("Authorization", bearer("member"));
+
+      expect(res.status).toBe(200);
+      expect(res.body.tickets).toEqual([
+        expect.objectContaining({
+          ticket_type_id: "tt_adult",
+          ticket_type_name: "Adult",
+          holder_id: "user_member",
+          status: "valid",
+        }),
+      ]);
+    });
+
+    it("lists every ticket to club admins", async () => {
+      const res = await request(ctx.app)
+        .get(`${BASE}/tickets`)
+        .set("Authorization", bearer("admin"));
+
+      expect(res.body.tickets).toHaveLength(3);
+    });
+  });
+});
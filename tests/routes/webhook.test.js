@@ -0,0 +1,1135 @@
+const request = require("supertest");
+const { createTestContext, sendWebhook } = require("../support/testApp");
+const events = require("../fixtures/stripeEvents");
+const objects = require("../fixtures/stripeObjects");
+const { club } = require("../fixtures/firestore");
+const {
+  registerWebhookHandler,
+} = require("../../src/services/webhookHandlers");
+
+describe("POST /api/stripe/webhook", () => {
+  let ctx;
+
+  beforeEach(() => {
+    ctx = createTestContext({ "clubs/club_1": club() });
+  });
+
+  const storedEvent = (event) => ctx.db.getData(`stripe_webhooks/${event.id}`);
+
+  describe("signature verification", () => {
+    it("rejects a request without a valid signature", async () => {
+      const event = events.checkoutSessionCompleted();
+
+      const res = await request(ctx.app)
+        .post("/api/stripe/webhook")
+        .set("Content-Type", "application/json")
+        .set("Stripe-Signature", "t=1,v1=invalid")
+        .send(JSON.stringify(event));
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe("Webhook signature verification failed");
+      expect(storedEvent(event)).toBeUndefined();
+    });
+
+    it("rejects an event signed with another secret", async () => {
+      const res = await sendWebhook(
+        ctx.app,
+        events.checkoutSessionCompleted(),
+        "whsec_someone_else"
+      );
+
+      expect(res.status).toBe(400);
+    });
+
+    it("accepts events signed with the Connect webhook secret", async () => {
+      const event = events.accountUpdated();
+
+      const res = await sendWebhook(
+        ctx.app,
+        event,
+        process.env.STRIPE_CONNECT_WEBHOOK_SECRET
+      );
+
+      expect(res.status).toBe(200);
+      expect(storedEvent(event).processing_status).toBe("applied");
+    });
+
+    it("fails when the webhook secret is not configured", async () => {
+      const secret = process.env.STRIPE_WEBHOOK_SECRET;
+      delete process.env.STRIPE_WEBHOOK_SECRET;
+
+      try {
+        const res = await sendWebhook(
+          ctx.app,
+          events.checkoutSessionCompleted(),
+          secret
+        );
+        expect(res.status).toBe(500);
+        expect(res.body.error).toBe("Webhook secret not configured");
+      } finally {
+        process.env.STRIPE_WEBHOOK_SECRET = secret;
+      }
+    });
+  });
+
+  describe("idempotency", () => {
+    it("acknowledges a duplicate delivery without applying it again", async () => {
+      const event = events.subscriptionEvent("updated");
+
+      await sendWebhook(ctx.app, event);
+      await ctx.db
+        .doc("clubs/club_1")
+        .set({ subscription: { status: "edited" } }, { merge: true });
+      const res = await sendWebhook(ctx.app, event);
+
+      expect(res.status).toBe(200);
+      expect(res.body.duplicate).toBe(true);
+      expect(ctx.db.getData("clubs/club_1").subscription.status).toBe("edited");
+      expect(storedEvent(event).attempts).toBe(1);
+    });
+
+    it("processes an event again when the previous attempt failed", async () => {
+      const event = events.checkoutSessionCompleted();
+      ctx.stripe.subscriptions.retrieve.mockRejectedValueOnce(
+        new Error("Stripe unavailable")
+      );
+
+      const failed = await sendWebhook(ctx.app, event);
+      expect(failed.status).toBe(500);
+      expect(storedEvent(event).processing_status).toBe("failed");
+      expect(storedEvent(event).processing_error).toBe("Stripe unavailable");
+
+      const retried = await sendWebhook(ctx.app, event);
+      expect(retried.status).toBe(200);
+      expect(storedEvent(event).processing_status).toBe("applied");
+      expect(storedEvent(event).attempts).toBe(2);
+    });
+
+    it("reclaims an event stuck in processing", async () => {
+      const event = events.subscriptionEvent("updated");
+      await ctx.db.doc(`stripe_webhooks/${event.id}`).set({
+        processing_status: "processing",
+        claimed_at: new Date(Date.now() - 10 * 60 * 1000).toISOString(),
+        attempts: 1,
+      });
+
+      const res = await sendWebhook(ctx.app, event);
+
+      expect(res.body.duplicate).toBeUndefined();
+      expect(storedEvent(event).processing_status).toBe("applied");
+    });
+  });
+
+  describe("checkout.session.completed", () => {
+    it("stores the subscription on the club", async () => {
+      const event = events.checkoutSessionCompleted();
+
+      const res = await sendWebhook(ctx.app, event);
+
+      expect(res.status).toBe(200);
+      expect(res.body.processing_status).toBe("applied");
+      expect(ctx.stripe.subscriptions.retrieve).toHaveBeenCalledWith("sub_1");
+      const { subscription } = ctx.db.getData("clubs/club_1");
+      expect(subscription).toMatchObject({
+        subscriptionId: "sub_1",
+        clubId: "club_1",
+        plan: "pro",
+        billingCycle: "monthly",
+        status: "active",
+        customerId: "cus_1",
+        priceId: "price_pro_monthly",
+        cancelAtPeriodEnd: false,
+        lastEventId: event.id,
+      });
+      expect(storedEvent(event)).toMatchObject({
+        event_type: "checkout.session.completed",
+        session_id: "cs_1",
+        customer_id: "cus_1",
+      });
+    });
+
+    it("ignores plan and billing cycle sent in metadata", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.checkoutSessionCompleted({
+          metadata: {
+            clubId: "club_1",
+            plan: "premium",
+            billingCycle: "yearly",
+          },
+        })
+      );
+
+      const { subscription } = ctx.db.getData("clubs/club_1");
+      expect(subscription.plan).toBe("pro");
+      expect(subscription.billingCycle).toBe("monthly");
+    });
+
+    it("skips a subscription checkout without clubId", async () => {
+      const event = events.checkoutSessionCompleted({ metadata: {} });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event)).toMatchObject({
+        processing_status: "skipped",
+        processing_reason: "missing_club_id",
+      });
+    });
+
+    it("skips a club that does not exist", async () => {
+      const event = events.checkoutSessionCompleted({
+        metadata: { clubId: "club_missing" },
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_reason).toBe("club_not_found");
+      expect(ctx.db.getData("clubs/club_missing")).toBeUndefined();
+    });
+
+    it("skips a payment-mode checkout without touching clubs", async () => {
+      const event = events.checkoutSessionCompleted({
+        mode: "payment",
+        subscription: null,
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event)).toMatchObject({
+        processing_status: "skipped",
+        processing_reason: "not_subscription_mode",
+      });
+      expect(ctx.db.getData("clubs/club_1").subscription).toBeUndefined();
+      expect(ctx.db.getData("clubs/club_1").lastCheckout).toBeUndefined();
+    });
+
+    it("records the completed checkout on the club", async () => {
+      const event = events.checkoutSessionCompleted();
+
+      await sendWebhook(ctx.app, event);
+
+      expect(ctx.db.getData("clubs/club_1").lastCheckout).toMatchObject({
+        sessionId: "cs_1",
+        status: "complete",
+        paymentStatus: "paid",
+        lastEventId: event.id,
+      });
+    });
+  });
+
+  describe("checkout.session.expired", () => {
+    it("records the expired checkout with its recovery link", async () => {
+      const event = events.checkoutSessionExpired({
+        subscription: null,
+        after_expiration: {
+          recovery: { url: "https://checkout.stripe.com/c/pay/recover" },
+        },
+      });
+
+      const res = await sendWebhook(ctx.app, event);
+
+      expect(res.body.processing_status).toBe("applied");
+      expect(ctx.db.getData("clubs/club_1").lastCheckout).toMatchObject({
+        sessionId: "cs_1",
+        status: "expired",
+        paymentStatus: "unpaid",
+        recoveryUrl: "https://checkout.stripe.com/c/pay/recover",
+      });
+      expect(ctx.db.getData("clubs/club_1").subscription).toBeUndefined();
+      expect(storedEvent(event)).toMatchObject({
+        session_id: "cs_1",
+        club_id: "club_1",
+        handlers: [
+          { handler: "club_checkout", status: "applied" },
+          {
+            handler: "event_tickets",
+            status: "skipped",
+            reason: "not_ticket_checkout",
+          },
+        ],
+      });
+    });
+
+    it("does not let a late expiry overwrite a newer checkout", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.checkoutSessionCompleted(
+          { id: "cs_2" },
+          { created: objects.NOW + 60 }
+        )
+      );
+      const late = events.checkoutSessionExpired({ subscription: null });
+
+      await sendWebhook(ctx.app, late);
+
+      expect(storedEvent(late).processing_reason).toBe("stale_event");
+      expect(ctx.db.getData("clubs/club_1").lastCheckout.sessionId).toBe(
+        "cs_2"
+      );
+    });
+
+    it("skips payment-mode checkouts", async () => {
+      const event = events.checkoutSessionExpired({
+        mode: "payment",
+        subscription: null,
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event)).toMatchObject({
+        processing_status: "skipped",
+        processing_reason: "not_subscription_mode",
+      });
+    });
+  });
+
+  describe.each(["created", "updated", "deleted"])(
+    "customer.subscription.%s",
+    (type) => {
+      it("updates the club subscription", async () => {
+        const status = type === "deleted" ? "canceled" : "active";
+        const event = events.subscriptionEvent(type, {
+          status,
+          priceId: "price_starter_yearly",
+        });
+
+        await sendWebhook(ctx.app, event);
+
+        expect(ctx.db.getData("clubs/club_1").subscription).toMatchObject({
+          subscriptionId: "sub_1",
+          status,
+          plan: "starter",
+          billingCycle: "yearly",
+          priceId: "price_starter_yearly",
+        });
+        expect(storedEvent(event).processing_status).toBe("applied");
+      });
+    }
+  );
+
+  describe("customer.subscription ordering", () => {
+    it("never lets an older event overwrite a newer one", async () => {
+      const newer = events.subscriptionEvent(
+        "updated",
+        { status: "past_due" },
+        { created: objects.NOW + 60 }
+      );
+      const older = events.subscriptionEvent(
+        "updated",
+        { status: "active" },
+        { created: objects.NOW }
+      );
+
+      await sendWebhook(ctx.app, newer);
+      await sendWebhook(ctx.app, older);
+
+      expect(ctx.db.getData("clubs/club_1").subscription.status).toBe(
+        "past_due"
+      );
+      expect(storedEvent(older)).toMatchObject({
+        processing_status: "skipped",
+        processing_reason: "stale_event",
+      });
+    });
+
+    it("skips subscriptions without clubId metadata", async () => {
+      const event = events.subscriptionEvent("updated", { metadata: {} });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_reason).toBe("missing_club_id");
+    });
+
+    it("keeps an unknown price without a plan", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("updated", { priceId: "price_legacy" })
+      );
+
+      expect(ctx.db.getData("clubs/club_1").subscription).toMatchObject({
+        plan: null,
+        billingCycle: "monthly",
+        priceId: "price_legacy",
+      });
+    });
+  });
+
+  describe("trials", () => {
+    const trialEnd = objects.NOW + 3 * objects.DAY;
+
+    it("records the trial of a trialing subscription once", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("created", {
+          status: "trialing",
+          trial_end: trialEnd,
+        })
+      );
+
+      const { trial } = ctx.db.getData("clubs/club_1");
+      expect(trial).toMatchObject({ subscriptionId: "sub_1", plan: "pro" });
+      expect(trial.endsAt.toMillis()).toBe(trialEnd * 1000);
+
+      // A later subscription never replaces the recorded trial
+      await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent(
+          "created",
+          { id: "sub_2", status: "trialing", trial_end: trialEnd + 600 },
+          { created: objects.NOW + 60 }
+        )
+      );
+      expect(ctx.db.getData("clubs/club_1").trial).toMatchObject({
+        subscriptionId: "sub_1",
+        usedAt: trial.usedAt,
+      });
+    });
+
+    it("records the trial end and the payment method on trial_will_end", async () => {
+      const event = events.subscriptionEvent("trial_will_end", {
+        status: "trialing",
+        trial_end: trialEnd,
+        default_payment_method: "pm_1",
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      const { trial } = ctx.db.getData("clubs/club_1");
+      expect(trial).toMatchObject({
+        subscriptionId: "sub_1",
+        hasPaymentMethod: true,
+        lastEventId: event.id,
+      });
+      expect(trial.endsAt.toMillis()).toBe(trialEnd * 1000);
+      expect(trial.usedAt).toBeDefined();
+      expect(storedEvent(event)).toMatchObject({
+        processing_status: "applied",
+        club_id: "club_1",
+      });
+      expect(ctx.stripe.customers.retrieve).not.toHaveBeenCalled();
+    });
+
+    it("falls back to the customer's default payment method", async () => {
+      ctx.stripe.customers.retrieve.mockResolvedValueOnce(
+        objects.customer({ invoice_settings: { default_payment_method: null } })
+      );
+
+      await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("trial_will_end", {
+          status: "trialing",
+          trial_end: trialEnd,
+        })
+      );
+
+      expect(ctx.stripe.customers.retrieve).toHaveBeenCalledWith("cus_1");
+      expect(ctx.db.getData("clubs/club_1").trial.hasPaymentMethod).toBe(false);
+    });
+
+    it("skips trial_will_end without clubId metadata", async () => {
+      const event = events.subscriptionEvent("trial_will_end", {
+        metadata: {},
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_reason).toBe("missing_club_id");
+    });
+  });
+
+  describe("invoices", () => {
+    it("records a paid invoice and resets billing health", async () => {
+      await ctx.db
+        .doc("clubs/club_1")
+        .set(
+          { billingHealth: { status: "past_due", failedAttempts: 2 } },
+          { merge: true }
+        );
+      const event = events.invoiceEvent("payment_succeeded");
+
+      await sendWebhook(ctx.app, event);
+
+      expect(ctx.db.getData("clubs/club_1/invoices/in_1")).toMatchObject({
+        invoiceId: "in_1",
+        status: "paid",
+        amountPaid: 2900,
+        lastEventType: "invoice.payment_succeeded",
+      });
+      expect(ctx.db.getData("clubs/club_1").billingHealth).toMatchObject({
+        status: "healthy",
+        failedAttempts: 0,
+        graceEndsAt: null,
+        lastSuccessfulInvoiceId: "in_1",
+      });
+      expect(storedEvent(event).club_id).toBe("club_1");
+    });
+
+    it("starts a grace period on the first failed payment", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.invoiceEvent("payment_failed", {
+          status: "open",
+          amount_paid: 0,
+          attempt_count: 1,
+          next_payment_attempt: objects.NOW + 3 * objects.DAY,
+        })
+      );
+
+      const { billingHealth } = ctx.db.getData("clubs/club_1");
+      expect(billingHealth.status).toBe("past_due");
+      expect(billingHealth.failedAttempts).toBe(1);
+      expect(billingHealth.nextRetryAt.toMillis()).toBe(
+        (objects.NOW + 3 * objects.DAY) * 1000
+      );
+      const graceDays =
+        (billingHealth.graceEndsAt.toMillis() - Date.now()) /
+        (objects.DAY * 1000);
+      expect(graceDays).toBeCloseTo(7, 1);
+    });
+
+    it("does not extend the grace period on retries", async () => {
+      await sendWebhook(ctx.app, events.invoiceEvent("payment_failed"));
+      const firstGrace =
+        ctx.db.getData("clubs/club_1").billingHealth.graceEndsAt;
+
+      await sendWebhook(
+        ctx.app,
+        events.invoiceEvent(
+          "payment_failed",
+          { attempt_count: 2 },
+          { created: objects.NOW + 60 }
+        )
+      );
+
+      const { billingHealth } = ctx.db.getData("clubs/club_1");
+      expect(billingHealth.failedAttempts).toBe(2);
+      expect(billingHealth.graceEndsAt.toMillis()).toBe(firstGrace.toMillis());
+    });
+
+    it("flags an invoice that needs customer action", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.invoiceEvent("payment_action_required")
+      );
+
+      expect(ctx.db.getData("clubs/club_1").billingHealth).toMatchObject({
+        status: "action_required",
+        actionRequired: true,
+        actionUrl: "https://invoice.stripe.com/i/in_1",
+      });
+    });
+
+    it("stores the upcoming invoice without an invoice document", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.invoiceEvent("upcoming", { id: undefined, amount_due: 2900 })
+      );
+
+      expect(ctx.db.listPaths("clubs/club_1/invoices")).toEqual([]);
+      expect(
+        ctx.db.getData("clubs/club_1").billingHealth.upcomingInvoice
+      ).toMatchObject({ amountDue: 2900, currency: "eur" });
+    });
+
+    it("records a late payment failure after the upcoming invoice", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.invoiceEvent(
+          "upcoming",
+          { id: undefined },
+          { created: objects.NOW + 60 }
+        )
+      );
+      const late = events.invoiceEvent("payment_failed", {
+        status: "open",
+        amount_paid: 0,
+      });
+
+      await sendWebhook(ctx.app, late);
+
+      expect(storedEvent(late).processing_status).toBe("applied");
+      expect(ctx.db.getData("clubs/club_1/invoices/in_1")).toMatchObject({
+        status: "open",
+        lastEventType: "invoice.payment_failed",
+      });
+      expect(ctx.db.getData("clubs/club_1").billingHealth).toMatchObject({
+        status: "past_due",
+        lastEventId: late.id,
+      });
+      expect(storedEvent(late).notifications_queued).toBe(2);
+    });
+
+    it("records a late event of an invoice when another one moved on", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.invoiceEvent(
+          "payment_succeeded",
+          { id: "in_2" },
+          { created: objects.NOW + 60 }
+        )
+      );
+      const late = events.invoiceEvent("payment_failed", { status: "open" });
+
+      await sendWebhook(ctx.app, late);
+
+      expect(storedEvent(late).processing_status).toBe("applied");
+      expect(ctx.db.getData("clubs/club_1/invoices/in_1").status).toBe("open");
+      expect(ctx.db.getData("clubs/club_1").billingHealth.status).toBe(
+        "healthy"
+      );
+    });
+
+    it("does not let a late event overwrite a newer one of the same invoice", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.invoiceEvent(
+          "payment_succeeded",
+          {},
+          { created: objects.NOW + 60 }
+        )
+      );
+      const late = events.invoiceEvent("payment_failed", { status: "open" });
+
+      await sendWebhook(ctx.app, late);
+
+      expect(storedEvent(late).processing_reason).toBe("stale_event");
+      expect(ctx.db.getData("clubs/club_1/invoices/in_1").status).toBe("paid");
+      expect(ctx.db.getData("clubs/club_1").billingHealth.status).toBe(
+        "healthy"
+      );
+    });
+
+    it("finds the club from the stored subscription ID", async () => {
+      await ctx.db
+        .doc("clubs/club_1")
+        .set({ subscription: { subscriptionId: "sub_1" } }, { merge: true });
+      const event = events.invoiceEvent("payment_succeeded", {
+        subscription_details: null,
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_status).toBe("applied");
+      expect(ctx.db.getData("clubs/club_1/invoices/in_1")).toBeDefined();
+    });
+
+    it("skips invoices that belong to no club", async () => {
+      const event = events.invoiceEvent("payment_succeeded", {
+        subscription_details: null,
+        subscription: "sub_unknown",
+        customer: "cus_unknown",
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_reason).toBe("missing_club_id");
+    });
+  });
+
+  describe("payment intents", () => {
+    it.each([
+      ["succeeded", "succeeded"],
+      ["payment_failed", "requires_payment_method"],
+    ])("records payment_intent.%s under the club", async (type, status) => {
+      await sendWebhook(
+        ctx.app,
+        events.paymentIntentEvent(type, {
+          status,
+          application_fee_amount: 105,
+          transfer_data: { destination: "acct_club_1" },
+          metadata: { clubId: "club_1", memberId: "user_member" },
+          last_payment_error:
+            type === "payment_failed"
+              ? { code: "card_declined", message: "Your card was declined." }
+              : null,
+        })
+      );
+
+      const payment = ctx.db.getData("clubs/club_1/payments/pi_1");
+      expect(payment).toMatchObject({
+        paymentIntentId: "pi_1",
+        memberId: "user_member",
+        status,
+        applicationFeeAmount: 105,
+        destination: "acct_club_1",
+      });
+      if (type === "payment_failed") {
+        expect(payment.failureCode).toBe("card_declined");
+      }
+    });
+
+    it("does not let a late failure overwrite a success", async () => {
+      const metadata = { clubId: "club_1", memberId: "user_member" };
+      await sendWebhook(
+        ctx.app,
+        events.paymentIntentEvent(
+          "succeeded",
+          { status: "succeeded", metadata },
+          { created: objects.NOW + 60 }
+        )
+      );
+      await sendWebhook(
+        ctx.app,
+        events.paymentIntentEvent("payment_failed", { metadata })
+      );
+
+      expect(ctx.db.getData("clubs/club_1/payments/pi_1").status).toBe(
+        "succeeded"
+      );
+    });
+
+    it("skips platform payments without a club", async () => {
+      const event = events.paymentIntentEvent("succeeded");
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_reason).toBe("missing_club_id");
+    });
+  });
+
+  describe("refunds, disputes and the club ledger", () => {
+    const memberPayment = {
+      status: "succeeded",
+      amount_received: 2999,
+      application_fee_amount: 105,
+      transfer_data: { destination: "acct_club_1" },
+      metadata: { clubId: "club_1", memberId: "user_member" },
+    };
+
+    const ledger = () =>
+      ctx.db
+        .listPaths("clubs/club_1/ledger/")
+        .map((path) => ctx.db.getData(path))
+        .sort((a, b) => a.sequence - b.sequence)
+        .map(({ type, amount, balanceAfter }) => [type, amount, balanceAfter]);
+
+    it("records a member payment and its application fee", async () => {
+      const event = events.paymentIntentEvent("succeeded", memberPayment);
+
+      await sendWebhook(ctx.app, event);
+      await sendWebhook(ctx.app, event);
+      await sendWebhook(
+        ctx.app,
+        events.paymentIntentEvent("succeeded", memberPayment)
+      );
+
+      expect(ledger()).toEqual([
+        ["payment", 2999, 2999],
+        ["application_fee", -105, 2894],
+      ]);
+      expect(ctx.db.getData("clubs/club_1").ledger).toMatchObject({
+        sequence: 2,
+        balances: { eur: 2894 },
+      });
+    });
+
+    it("keeps payments of the club to Clubbix out of its ledger", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.paymentIntentEvent("succeeded", {
+          status: "succeeded",
+          amount_received: 2999,
+          metadata: { clubId: "club_1" },
+        })
+      );
+
+      expect(ctx.db.getData("clubs/club_1/payments/pi_1").status).toBe(
+        "succeeded"
+      );
+      expect(ledger()).toEqual([]);
+    });
+
+    it("records each refund with its share of the application fee", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.paymentIntentEvent("succeeded", memberPayment)
+      );
+      const event = events.chargeRefunded({
+        amount_refunded: 2999,
+        refunded: true,
+        refunds: {
+          object: "list",
+          data: [
+            objects.refund({ id: "re_1", amount: 1000 }),
+            objects.refund({ id: "re_2", amount: 1999 }),
+            objects.refund({ id: "re_3", amount: 500, status: "failed" }),
+          ],
+          has_more: false,
+        },
+      });
+
+      await sendWebhook(ctx.app, event);
+      await sendWebhook(ctx.app, event);
+
+      expect(ledger()).toEqual([
+        ["payment", 2999, 2999],
+        ["application_fee", -105, 2894],
+        ["refund", -1000, 1894],
+        ["application_fee_refund", 35, 1929],
+        ["refund", -1999, -70],
+        ["application_fee_refund", 70, 0],
+      ]);
+      expect(ctx.db.getData("clubs/club_1/payments/pi_1")).toMatchObject({
+        status: "succeeded",
+        chargeId: "ch_1",
+        amountRefunded: 2999,
+        refunded: true,
+      });
+      expect(storedEvent(event)).toMatchObject({
+        club_id: "club_1",
+        charge_id: "ch_1",
+        payment_intent_id: "pi_1",
+        processing_status: "applied",
+      });
+    });
+
+    it("lists the refunds of a charge that the event does not embed", async () => {
+      const event = events.chargeRefunded({
+        amount_refunded: 2999,
+        refunded: true,
+        refunds: undefined,
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(ctx.stripe.refunds.list).toHaveBeenCalledWith({
+        charge: "ch_1",
+        limit: 100,
+      });
+      expect(ledger()).toEqual([
+        ["refund", -2999, -2999],
+        ["application_fee_refund", 105, -2894],
+      ]);
+    });
+
+    it("records the funds and fees of a dispute", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockResolvedValue(
+        objects.paymentIntent(memberPayment)
+      );
+      await sendWebhook(
+        ctx.app,
+        events.paymentIntentEvent("succeeded", memberPayment)
+      );
+      const withdrawn = objects.disputeTransaction();
+
+      await sendWebhook(
+        ctx.app,
+        events.disputeEvent("created", { balance_transactions: [withdrawn] })
+      );
+      await sendWebhook(
+        ctx.app,
+        events.disputeEvent(
+          "closed",
+          {
+            status: "won",
+            balance_transactions: [
+              withdrawn,
+              objects.disputeTransaction({
+                id: "txn_dispute_2",
+                amount: 2999,
+                fee: 0,
+              }),
+            ],
+          },
+          { created: objects.NOW + 60 }
+        )
+      );
+
+      expect(ctx.stripe.paymentIntents.retrieve).toHaveBeenCalledWith("pi_1");
+      expect(ledger()).toEqual([
+        ["payment", 2999, 2999],
+        ["application_fee", -105, 2894],
+        ["dispute", -2999, -105],
+        ["dispute_fee", -1500, -1605],
+        ["dispute_reversal", 2999, 1394],
+      ]);
+      expect(ctx.db.getData("clubs/club_1/payments/pi_1").dispute).toEqual({
+        id: "dp_1",
+        amount: 2999,
+        currency: "eur",
+        reason: "fraudulent",
+        status: "won",
+      });
+    });
+
+    it("does not let a late dispute update overwrite a newer one", async () => {
+      ctx.stripe.paymentIntents.retrieve.mockResolvedValue(
+        objects.paymentIntent(memberPayment)
+      );
+      await sendWebhook(
+        ctx.app,
+        events.disputeEvent(
+          "closed",
+          { status: "lost" },
+          { created: objects.NOW + 60 }
+        )
+      );
+      const late = events.disputeEvent("updated", {
+        status: "under_review",
+      });
+
+      await sendWebhook(ctx.app, late);
+
+      expect(storedEvent(late).processing_reason).toBe("stale_event");
+      expect(ctx.db.getData("clubs/club_1/payments/pi_1").dispute.status).toBe(
+        "lost"
+      );
+    });
+
+    it("skips disputes on payments without a club", async () => {
+      const event = events.disputeEvent("created");
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_reason).toBe("missing_club_id");
+      expect(ledger()).toEqual([]);
+    });
+  });
+
+  describe("account.updated", () => {
+    it("keeps the club's Stripe account in sync", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.accountUpdated({
+          payouts_enabled: false,
+          requirements: {
+            currently_due: ["external_account"],
+            disabled_reason: "requirements.past_due",
+          },
+        })
+      );
+
+      expect(ctx.db.getData("clubs/club_1").stripeAccount).toMatchObject({
+        accountId: "acct_club_1",
+        chargesEnabled: true,
+        payoutsEnabled: false,
+        requirements: {
+          currentlyDue: ["external_account"],
+          disabledReason: "requirements.past_due",
+        },
+      });
+    });
+
+    it("ignores an account that is not the club's", async () => {
+      await ctx.db
+        .doc("clubs/club_1")
+        .set({ stripeAccount: { accountId: "acct_other" } }, { merge: true });
+      const event = events.accountUpdated();
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event).processing_reason).toBe("account_mismatch");
+    });
+  });
+
+  describe("billing notifications", () => {
+    const mails = () =>
+      ctx.db.listPaths("mail/").map((path) => ctx.db.getData(path));
+
+    it("queues a payment failure mail for each club admin", async () => {
+      const event = events.invoiceEvent("payment_failed", {
+        status: "open",
+        amount_paid: 0,
+        next_payment_attempt: Date.UTC(2030, 0, 15) / 1000,
+      });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(ctx.db.listPaths("mail/").sort()).toEqual([
+        `mail/${event.id}_user_admin`,
+        `mail/${event.id}_user_owner`,
+      ]);
+      const mail = ctx.db.getData(`mail/${event.id}_user_owner`);
+      expect(mail).toMatchObject({
+        to: ["owner@club.test"],
+        clubId: "club_1",
+        userId: "user_owner",
+        type: "payment_failed",
+        locale: "fr",
+        eventId: event.id,
+      });
+      expect(mail.message.subject).toBe("Échec du paiement pour FC Clubbix");
+      expect(mail.message.text).toContain("29,00\u00a0€");
+      expect(mail.message.text).toContain("15 janvier 2030");
+      expect(mail.message.html).toContain(
+        '<a href="https://invoice.stripe.com/i/in_1">Payer la facture</a>'
+      );
+      expect(storedEvent(event).notifications_queued).toBe(2);
+    });
+
+    it("follows each admin's preferences and language", async () => {
+      await ctx.db.doc("clubs/club_1").set(
+        {
+          notificationPreferences: {
+            user_owner: { payment_failed: false },
+            user_admin: { locale: "en" },
+          },
+        },
+        { merge: true }
+      );
+
+      await sendWebhook(ctx.app, events.invoiceEvent("payment_failed"));
+
+      expect(mails()).toHaveLength(1);
+      expect(mails()[0]).toMatchObject({
+        userId: "user_admin",
+        locale: "en",
+        message: { subject: "Payment failed for FC Clubbix" },
+      });
+    });
+
+    it("notifies an ending trial and a canceled subscription", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("trial_will_end", {
+          status: "trialing",
+          trial_end: Date.UTC(2030, 0, 15) / 1000,
+        })
+      );
+      await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("deleted", { status: "canceled" })
+      );
+
+      expect(
+        mails()
+          .filter((mail) => mail.userId === "user_owner")
+          .map((mail) => mail.message.subject)
+      ).toEqual([
+        "L'essai de FC Clubbix se termine le 15 janvier 2030",
+        "L'abonnement de FC Clubbix a pris fin",
+      ]);
+    });
+
+    it("does not notify an admin twice for a replayed event", async () => {
+      const event = events.invoiceEvent("payment_failed");
+      await sendWebhook(ctx.app, event);
+
+      const res = await request(ctx.app)
+        .post(`/api/admin/webhooks/${event.id}/replay`)
+        .set("Authorization", "Bearer token-staff");
+
+      expect(res.status).toBe(200);
+      expect(mails()).toHaveLength(2);
+      expect(storedEvent(event).notifications_queued).toBe(0);
+    });
+
+    it("notifies nobody for skipped events", async () => {
+      await sendWebhook(
+        ctx.app,
+        events.subscriptionEvent("deleted", { metadata: {} })
+      );
+
+      expect(mails()).toEqual([]);
+    });
+  });
+
+  describe("handler registry", () => {
+    let unregister = [];
+
+    const register = (handler) => {
+      unregister.push(registerWebhookHandler(handler));
+    };
+
+    afterEach(() => {
+      unregister.forEach((remove) => remove());
+      unregister = [];
+    });
+
+    it("stores events without a handler as unhandled", async () => {
+      const event = events.buildEvent("customer.created", objects.customer());
+
+      const res = await sendWebhook(ctx.app, event);
+
+      expect(res.status).toBe(200);
+      expect(res.body.processing_status).toBe("unhandled");
+      expect(storedEvent(event)).toMatchObject({
+        event_type: "customer.created",
+        processing_status: "unhandled",
+        processing_reason: null,
+        handlers: [],
+      });
+    });
+
+    it("stores the outcome of each handler of an event", async () => {
+      const event = events.subscriptionEvent("deleted", { status: "canceled" });
+
+      await sendWebhook(ctx.app, event);
+
+      expect(storedEvent(event)).toMatchObject({
+        processing_status: "applied",
+        handlers: [
+          { handler: "club_subscription", status: "applied", reason: null },
+          { handler: "admin_notifications", status: "applied", reason: null },
+        ],
+      });
+    });
+
+    it("runs registered handlers after the built-in ones", async () => {
+      const handle = jest.fn(async (event, { results, clubId }) => ({
+        status: "skipped",
+        reason: results[0]?.status === "applied" ? "not_needed" : "no_club",
+        clubId,
+      }));
+      register({
+        name: "audit",
+        events: ["customer.subscription.updated", "customer.created"],
+        describe: (object) => ({ audited_id: object.id }),
+        handle,
+      });
+      const updated = events.subscriptionEvent("updated");
+      const created = events.buildEvent("customer.created", objects.customer());
+
+      await sendWebhook(ctx.app, updated);
+      await sendWebhook(ctx.app, created);
+
+      expect(handle).toHaveBeenCalledTimes(2);
+      expect(storedEvent(updated)).toMatchObject({
+        processing_status: "applied",
+        club_id: "club_1",
+        audited_id: "sub_1",
+        handlers: [
+          { handler: "club_subscription", status: "applied" },
+          { handler: "audit", status: "skipped", reason: "not_needed" },
+        ],
+      });
+      // Skipped by every handler: the first reason is kept
+      expect(storedEvent(created)).toMatchObject({
+        processing_status: "skipped",
+        processing_reason: "no_club",
+      });
+    });
+
+    it("fails the event when a handler throws", async () => {
+      register({
+        name: "broken",
+        events: ["customer.subscription.updated"],
+        handle: async () => {
+          throw new Error("Handler crashed");
+        },
+      });
+      const event = events.subscriptionEvent("updated");
+
+      const res = await sendWebhook(ctx.app, event);
+
+      expect(res.status).toBe(500);
+      expect(storedEvent(event)).toMatchObject({
+        processing_status: "failed",
+        processing_error: "Handler crashed",
+      });
+    });
+
+    it("rejects incomplete and duplicate handlers", () => {
+      expect(() => registerWebhookHandler({ name: "incomplete" })).toThrow(
+        "A webhook handler needs a name, events and handle()"
+      );
+      expect(() =>
+        registerWebhookHandler({
+          name: "club_subscription",
+          events: ["customer.subscription.updated"],
+          handle: async () => ({ status: "applied" }),
+        })
+      ).toThrow("already registered");
+    });
+  });
+});
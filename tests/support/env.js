@@ -0,0 +1,24 @@
+// Environment for the test suite; loaded by Jest before any module
+process.env.NODE_ENV = "test";
+// Tests that switch NODE_ENV must not start logging
+process.env.LOG_LEVEL = "silent";
+process.env.STRIPE_SECRET_KEY = "sk_test_clubbix";
+process.env.STRIPE_PUBLISHABLE_KEY = "pk_test_clubbix";
+process.env.STRIPE_WEBHOOK_SECRET = "whsec_test_platform";
+process.env.STRIPE_CONNECT_WEBHOOK_SECRET = "whsec_test_connect";
+process.env.STRIPE_CONNECT_DEFAULT_COUNTRY = "FR";
+process.env.PLATFORM_FEE_PERCENT = "2.5";
+process.env.PLATFORM_FEE_FIXED = "30";
+process.env.BILLING_GRACE_PERIOD_DAYS = "7";
+process.env.STRIPE_PRICE_STARTER_MONTHLY = "price_starter_monthly";
+process.env.STRIPE_PRICE_STARTER_YEARLY = "price_starter_yearly";
+process.env.STRIPE_PRICE_PRO_MONTHLY = "price_pro_monthly";
+process.env.STRIPE_PRICE_PRO_YEARLY = "price_pro_yearly";
+process.env.STRIPE_PRICE_PREMIUM_MONTHLY = "price_premium_monthly";
+process.env.STRIPE_PRICE_PREMIUM_YEARLY = "price_premium_yearly";
+process.env.STRIPE_TRIAL_DAYS_STARTER = "14";
+process.env.STRIPE_TRIAL_DAYS_PRO = "14";
+// The starter plan is billed per member, the others at a flat price
+process.env.STRIPE_SEAT_UNIT_STARTER = "member";
+// Health checks run on every request unless a test enables the cache
+process.env.HEALTH_CACHE_SECONDS = "0";
@@ -0,0 +1,25 @@
+// Firebase Auth stand-in: each known token maps to a decoded ID token, and
+// the users of those tokens can be looked up by uid
+const createFakeAuth = (tokens = {}) => ({
+  verifyIdToken: jest.fn(async (token) => {
+    if (!tokens[token]) {
+      const error = new Error("Firebase ID token has invalid signature");
+      error.code = "auth/argument-error";
+      throw error;
+    }
+    return tokens[token];
+  }),
+  getUser: jest.fn(async (uid) => {
+    const user = Object.values(tokens).find((decoded) => decoded.uid === uid);
+    if (!user) {
+      const error = new Error(`There is no user record for ${uid}`);
+      error.code = "auth/user-not-found";
+      throw error;
+    }
+    return { uid: user.uid, email: user.email };
+  }),
+});
+
+module.exports = {
+  createFakeAuth,
+};
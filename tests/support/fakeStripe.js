@@ -0,0 +1,114 @@
+const Stripe = require("stripe");
+const fixtures = require("../fixtures/stripeObjects");
+const events = require("../fixtures/stripeEvents");
+
+// Stripe client whose API resources are Jest mocks returning fixture objects.
+// `webhooks` is the real implementation so signatures are verified for real.
+const createFakeStripe = () => {
+  const { webhooks } = Stripe("sk_test_clubbix");
+
+  return {
+    webhooks,
+    accounts: {
+      retrieve: jest.fn(async (id) =>
+        id ? fixtures.connectedAccount({ id }) : fixtures.platformAccount()
+      ),
+      create: jest.fn(async (params) =>
+        fixtures.connectedAccount({
+          country: params.country,
+          metadata: params.metadata,
+          charges_enabled: false,
+          payouts_enabled: false,
+          details_submitted: false,
+        })
+      ),
+    },
+    accountLinks: {
+      create: jest.fn(async () => fixtures.accountLink()),
+    },
+    paymentIntents: {
+      create: jest.fn(async (params) => fixtures.paymentIntent(params)),
+      retrieve: jest.fn(async (id) => fixtures.paymentIntent({ id })),
+    },
+    refunds: {
+      create: jest.fn(async (params) =>
+        fixtures.refund({
+          amount: params.amount || 2999,
+          reason: params.reason,
+          payment_intent: params.payment_intent,
+          metadata: params.metadata,
+        })
+      ),
+      list: jest.fn(async () => ({
+        object: "list",
+        data: [fixtures.refund()],
+        has_more: false,
+      })),
+    },
+    checkout: {
+      sessions: {
+        create: jest.fn(async (params) =>
+          fixtures.checkoutSession({
+            mode: params.mode,
+            metadata: params.metadata,
+            customer_email: params.customer_email || null,
+            status: "open",
+            payment_status: "unpaid",
+            ...(params.expires_at && { expires_at: params.expires_at }),
+          })
+        ),
+        retrieve: jest.fn(async (id) => fixtures.checkoutSession({ id })),
+      },
+    },
+    subscriptions: {
+      list: jest.fn(async () => ({
+        object: "list",
+        data: [fixtures.subscription()],
+        has_more: false,
+      })),
+      retrieve: jest.fn(async (id) => fixtures.subscription({ id })),
+      update: jest.fn(async (id, params) =>
+        fixtures.subscription({
+          id,
+          cancel_at_period_end: !!params.cancel_at_period_end,
+        })
+      ),
+    },
+    subscriptionSchedules: {
+      create: jest.fn(async () => fixtures.subscriptionSchedule()),
+      retrieve: jest.fn(async (id) => fixtures.subscriptionSchedule({ id })),
+      update: jest.fn(async (id) => fixtures.subscriptionSchedule({ id })),
+      release: jest.fn(async (id) => fixtures.subscriptionSchedule({ id })),
+    },
+    invoices: {
+      retrieveUpcoming: jest.fn(async () => fixtures.upcomingInvoice()),
+    },
+    events: {
+      retrieve: jest.fn(async (id) =>
+        events.subscriptionEvent("updated", {}, { id })
+      ),
+    },
+    customers: {
+      list: jest.fn(async () => ({ data: [fixtures.customer()] })),
+      create: jest.fn(async (params) =>
+        fixtures.customer({ id: "cus_new", ...params })
+      ),
+      update: jest.fn(async (id, params) =>
+        fixtures.customer({ id, ...params })
+      ),
+      retrieve: jest.fn(async (id) => fixtures.customer({ id })),
+    },
+    coupons: {
+      retrieve: jest.fn(async (id) => fixtures.coupon({ id })),
+    },
+    billingPortal: {
+      sessions: {
+        create: jest.fn(async () => fixtures.portalSession()),
+      },
+    },
+  };
+};
+
+module.exports = {
+  createFakeStripe,
+};
@@ -0,0 +1,466 @@
+const { Timestamp } = require("firebase-admin").firestore;
+
+// In-memory stand-in for the subset of the Firestore Admin API used by the app.
+// Documents are stored by full path ("clubs/club_1/payments/pi_1").
+
+const isPlainObject = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  Object.getPrototypeOf(value) === Object.prototype;
+
+const isFieldValue = (value) =>
+  value !== null &&
+  typeof value === "object" &&
+  typeof value.methodName === "string" &&
+  value.methodName.startsWith("FieldValue.");
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [key, clone(item)])
+    );
+  }
+  // Timestamps, Dates and FieldValue sentinels are kept as is
+  return value;
+};
+
+const getField = (data, fieldPath) =>
+  fieldPath
+    .split(".")
+    .reduce(
+      (value, key) =>
+        value === undefined || value === null ? undefined : value[key],
+      data
+    );
+
+const applyFieldValue = (current, value) => {
+  switch (value.methodName) {
+    case "FieldValue.increment":
+      return (typeof current === "number" ? current : 0) + value.operand;
+    case "FieldValue.serverTimestamp":
+      return Timestamp.now();
+    case "FieldValue.arrayUnion": {
+      const array = Array.isArray(current) ? [...current] : [];
+      value.elements.forEach((element) => {
+        if (!array.includes(element)) array.push(element);
+      });
+      return array;
+    }
+    case "FieldValue.arrayRemove":
+      return (Array.isArray(current) ? current : []).filter(
+        (element) => !value.elements.includes(element)
+      );
+    default:
+      throw new Error(`Unsupported field value ${value.methodName}`);
+  }
+};
+
+// Resolve sentinels in `data` against the stored `current` document
+const resolveValues = (data, current = {}) => {
+  const result = {};
+  Object.entries(data).forEach(([key, value]) => {
+    if (isFieldValue(value)) {
+      if (value.methodName === "FieldValue.delete") return;
+      result[key] = applyFieldValue(current?.[key], value);
+    } else if (isPlainObject(value)) {
+      result[key] = resolveValues(value, current?.[key]);
+    } else {
+      result[key] = clone(value);
+    }
+  });
+  return result;
+};
+
+const deepMerge = (target, source) => {
+  const result = { ...target };
+  Object.entries(source).forEach(([key, value]) => {
+    if (isFieldValue(value)) {
+      if (value.methodName === "FieldValue.delete") {
+        delete result[key];
+      } else {
+        result[key] = applyFieldValue(result[key], value);
+      }
+    } else if (isPlainObject(value) && isPlainObject(result[key])) {
+      result[key] = deepMerge(result[key], value);
+    } else if (isPlainObject(value)) {
+      result[key] = resolveValues(value);
+    } else {
+      result[key] = clone(value);
+    }
+  });
+  return result;
+};
+
+// Expand "a.b" keys of an update() call into nested objects
+const expandFieldPaths = (data) => {
+  const result = {};
+  Object.entries(data).forEach(([fieldPath, value]) => {
+    const keys = fieldPath.split(".");
+    let target = result;
+    keys.slice(0, -1).forEach((key) => {
+      target[key] = isPlainObject(target[key]) ? target[key] : {};
+      target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+  });
+  return result;
+};
+
+const toComparable = (value) => {
+  if (value instanceof Timestamp) return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  return value;
+};
+
+const compare = (a, b) => {
+  const left = toComparable(a);
+  const right = toComparable(b);
+  if (left === right) return 0;
+  if (left === undefined || left === null) return -1;
+  if (right === undefined || right === null) return 1;
+  return left < right ? -1 : 1;
+};
+
+const matches = (data, { field, op, value }) => {
+  const fieldValue = getField(data, field);
+  switch (op) {
+    case "==":
+      return compare(fieldValue, value) === 0;
+    case "!=":
+      return fieldValue !== undefined && compare(fieldValue, value) !== 0;
+    case "<":
+      return fieldValue !== undefined && compare(fieldValue, value) < 0;
+    case "<=":
+      return fieldValue !== undefined && compare(fieldValue, value) <= 0;
+    case ">":
+      return fieldValue !== undefined && compare(fieldValue, value) > 0;
+    case ">=":
+      return fieldValue !== undefined && compare(fieldValue, value) >= 0;
+    case "in":
+      return value.some((item) => compare(fieldValue, item) === 0);
+    case "not-in":
+      return (
+        fieldValue !== undefined &&
+        !value.some((item) => compare(fieldValue, item) === 0)
+      );
+    case "array-contains":
+      return Array.isArray(fieldValue) && fieldValue.includes(value);
+    case "array-contains-any":
+      return (
+        Array.isArray(fieldValue) &&
+        value.some((item) => fieldValue.includes(item))
+      );
+    default:
+      throw new Error(`Unsupported query operator ${op}`);
+  }
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this._data = data;
+  }
+
+  data() {
+    return this.exists ? clone(this._data) : undefined;
+  }
+
+  get(fieldPath) {
+    return this.exists ? clone(getField(this._data, fieldPath)) : undefined;
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class DocumentReference {
+  constructor(store, path) {
+    this._store = store;
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  get parent() {
+    return new CollectionReference(
+      this._store,
+      this.path.split("/").slice(0, -1).join("/")
+    );
+  }
+
+  collection(name) {
+    return new CollectionReference(this._store, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this._store.getDocument(this);
+  }
+
+  async set(data, options) {
+    this._store.setDocument(this, data, options);
+  }
+
+  async create(data) {
+    this._store.createDocument(this, data);
+  }
+
+  async update(data) {
+    this._store.updateDocument(this, data);
+  }
+
+  async delete() {
+    this._store.deleteDocument(this);
+  }
+}
+
+class Query {
+  constructor(store, path, options = {}) {
+    this._store = store;
+    this._path = path;
+    this._filters = options.filters || [];
+    this._orders = options.orders || [];
+    this._limit = options.limit;
+    this._startAfter = options.startAfter;
+  }
+
+  _with(options) {
+    return new Query(this._store, this._path, {
+      filters: this._filters,
+      orders: this._orders,
+      limit: this._limit,
+      startAfter: this._startAfter,
+      ...options,
+    });
+  }
+
+  where(field, op, value) {
+    return this._with({ filters: [...this._filters, { field, op, value }] });
+  }
+
+  orderBy(field, direction = "asc") {
+    return this._with({ orders: [...this._orders, { field, direction }] });
+  }
+
+  limit(limit) {
+    return this._with({ limit });
+  }
+
+  startAfter(...values) {
+    return this._with({ startAfter: values });
+  }
+
+  async get() {
+    return this._store.runQuery(this);
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(store, path) {
+    super(store, path);
+    this.path = path;
+    this.id = path.split("/").pop();
+  }
+
+  doc(id = this._store.nextId()) {
+    return new DocumentReference(this._store, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class Transaction {
+  constructor(store) {
+    this._store = store;
+    this._writes = [];
+  }
+
+  async get(refOrQuery) {
+    if (this._writes.length) {
+      throw new Error("Firestore transactions require all reads before writes");
+    }
+    return refOrQuery.get();
+  }
+
+  set(ref, data, options) {
+    this._writes.push(() => this._store.setDocument(ref, data, options));
+    return this;
+  }
+
+  create(ref, data) {
+    this._writes.push(() => this._store.createDocument(ref, data));
+    return this;
+  }
+
+  update(ref, data) {
+    this._writes.push(() => this._store.updateDocument(ref, data));
+    return this;
+  }
+
+  delete(ref) {
+    this._writes.push(() => this._store.deleteDocument(ref));
+    return this;
+  }
+
+  _commit() {
+    this._writes.forEach((write) => write());
+  }
+}
+
+class WriteBatch extends Transaction {
+  async commit() {
+    this._commit();
+  }
+}
+
+class MemoryFirestore {
+  constructor(initialData = {}) {
+    this.documents = new Map();
+    this._idCounter = 0;
+    this._transactionQueue = Promise.resolve();
+
+    Object.entries(initialData).forEach(([path, data]) => {
+      this.documents.set(path, clone(data));
+    });
+  }
+
+  nextId() {
+    this._idCounter += 1;
+    return `doc_${String(this._idCounter).padStart(6, "0")}`;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  batch() {
+    return new WriteBatch(this);
+  }
+
+  // Transactions run one at a time, which gives them the isolation of the real thing
+  runTransaction(updateFunction) {
+    const run = this._transactionQueue.then(async () => {
+      const transaction = new Transaction(this);
+      const result = await updateFunction(transaction);
+      transaction._commit();
+      return result;
+    });
+    this._transactionQueue = run.catch(() => {});
+    return run;
+  }
+
+  getDocument(ref) {
+    return new DocumentSnapshot(ref, this.documents.get(ref.path));
+  }
+
+  setDocument(ref, data, options = {}) {
+    const current = this.documents.get(ref.path);
+    const next =
+      options.merge && current
+        ? deepMerge(current, data)
+        : resolveValues(data, options.merge ? current : {});
+    this.documents.set(ref.path, next);
+  }
+
+  createDocument(ref, data) {
+    if (this.documents.has(ref.path)) {
+      const error = new Error(`Document already exists: ${ref.path}`);
+      error.code = 6; // ALREADY_EXISTS
+      throw error;
+    }
+    this.documents.set(ref.path, resolveValues(data));
+  }
+
+  updateDocument(ref, data) {
+    const current = this.documents.get(ref.path);
+    if (!current) {
+      const error = new Error(`No document to update: ${ref.path}`);
+      error.code = 5; // NOT_FOUND
+      throw error;
+    }
+    this.documents.set(ref.path, deepMerge(current, expandFieldPaths(data)));
+  }
+
+  deleteDocument(ref) {
+    this.documents.delete(ref.path);
+  }
+
+  runQuery(query) {
+    const depth = query._path.split("/").length + 1;
+    let docs = [...this.documents.entries()]
+      .filter(
+        ([path]) =>
+          path.startsWith(`${query._path}/`) && path.split("/").length === depth
+      )
+      .filter(([, data]) =>
+        query._filters.every((filter) => matches(data, filter))
+      );
+
+    if (query._orders.length) {
+      docs.sort(([, a], [, b]) => {
+        for (const { field, direction } of query._orders) {
+          const result = compare(getField(a, field), getField(b, field));
+          if (result !== 0) return direction === "desc" ? -result : result;
+        }
+        return 0;
+      });
+    }
+
+    if (query._startAfter) {
+      const cursor = query._startAfter;
+      const index =
+        cursor[0] instanceof DocumentSnapshot
+          ? docs.findIndex(([path]) => path === cursor[0].ref.path)
+          : docs.findIndex(([, data]) =>
+              query._orders.every(
+                ({ field }, position) =>
+                  compare(getField(data, field), cursor[position]) === 0
+              )
+            );
+      if (index >= 0) docs = docs.slice(index + 1);
+    }
+
+    if (query._limit !== undefined) {
+      docs = docs.slice(0, query._limit);
+    }
+
+    return new QuerySnapshot(
+      docs.map(
+        ([path, data]) =>
+          new DocumentSnapshot(new DocumentReference(this, path), data)
+      )
+    );
+  }
+
+  // Test helpers
+  getData(path) {
+    const data = this.documents.get(path);
+    return data === undefined ? undefined : clone(data);
+  }
+
+  listPaths(prefix = "") {
+    return [...this.documents.keys()].filter((path) => path.startsWith(prefix));
+  }
+}
+
+module.exports = {
+  MemoryFirestore,
+};
@@ -0,0 +1,36 @@
+const request = require("supertest");
+const { createApp } = require("../../src/app");
+const { MemoryFirestore } = require("./memoryFirestore");
+const { createFakeStripe } = require("./fakeStripe");
+const { createFakeAuth } = require("./fakeAuth");
+const { TOKENS } = require("../fixtures/firestore");
+const { signEvent } = require("../fixtures/stripeEvents");
+
+// Fresh app wired to an in-memory Firestore, a fake Stripe and a fake Auth.
+// `data` seeds Firestore, keyed by document path; `options` are passed to
+// createApp (e.g. a rate limit store).
+const createTestContext = (data = {}, options = {}) => {
+  const db = new MemoryFirestore(data);
+  const stripe = createFakeStripe();
+  const auth = createFakeAuth(TOKENS);
+  const app = createApp({ stripe, db, auth, ...options });
+  return { app, db, stripe, auth };
+};
+
+const bearer = (user) => `Bearer token-${user}`;
+
+// POST a signed event to the webhook endpoint
+const sendWebhook = (app, event, secret) => {
+  const { payload, signature } = signEvent(event, secret);
+  return request(app)
+    .post("/api/stripe/webhook")
+    .set("Content-Type", "application/json")
+    .set("Stripe-Signature", signature)
+    .send(payload);
+};
+
+module.exports = {
+  createTestContext,
+  bearer,
+  sendWebhook,
+};